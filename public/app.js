@@ -14,6 +14,10 @@ document.addEventListener('alpine:init', () => {
     Alpine.data('logsViewer', window.Components.logsViewer);
     Alpine.data('apiKeys', window.Components.apiKeys);
     Alpine.data('requestLogs', window.Components.requestLogs);
+    Alpine.data('auditLog', window.Components.auditLog);
+    Alpine.data('routingRules', window.Components.routingRules);
+    Alpine.data('fallbackChains', window.Components.fallbackChains);
+    Alpine.data('responseCache', window.Components.responseCache);
 
     // View Loader Directive
     Alpine.directive('load-view', (el, { expression }, { evaluate }) => {
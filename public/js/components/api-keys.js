@@ -1,12 +1,14 @@
 /**
  * API Keys Management Component
- * Advanced API key management with model restrictions, rate limits, IP whitelisting
+ * Advanced API key management with model restrictions, rate limits, scopes, IP whitelisting
  */
 
 window.Components = window.Components || {};
 
 window.Components.apiKeys = () => ({
     keys: [],
+    availableScopes: [],
+    users: [],
     loading: true,
     creating: false,
     newKey: {
@@ -14,8 +16,19 @@ window.Components.apiKeys = () => ({
         allowed_models: [],
         rate_limit_rpm: '',
         rate_limit_rph: '',
+        max_concurrent_requests: '',
+        scopes: [],
+        streaming_only: false,
+        max_tokens_limit: '',
+        thinking_disabled: false,
+        allowed_tools: '',
+        response_cache: '',
         ip_whitelist: '',
         expires_at: '',
+        token_budget_daily: '',
+        token_budget_monthly: '',
+        model_token_budgets: [],
+        owner_user_id: '',
         notes: ''
     },
     generatedKey: null,
@@ -27,10 +40,23 @@ window.Components.apiKeys = () => ({
         allowed_models_arr: [],
         rate_limit_rpm: '',
         rate_limit_rph: '',
+        max_concurrent_requests: '',
+        scopes: [],
+        streaming_only: false,
+        max_tokens_limit: '',
+        thinking_disabled: false,
+        allowed_tools_str: '',
+        response_cache: '',
         ip_whitelist_str: '',
         expires_at_str: '',
+        token_budget_daily: '',
+        token_budget_monthly: '',
+        model_token_budgets: [],
         notes: ''
     },
+    showRegenerateDialog: false,
+    regeneratingKey: null,
+    regenerateGraceHours: '24',
     searchQuery: '',
     showModelDropdown: false,
     showEditModelDropdown: false,
@@ -93,8 +119,82 @@ window.Components.apiKeys = () => ({
         this.editingKey.allowed_models_arr = [];
     },
 
+    // Toggle an endpoint scope (target is newKey or editingKey; no scopes = all endpoints)
+    toggleScope(target, scope) {
+        const idx = target.scopes.indexOf(scope);
+        if (idx === -1) {
+            target.scopes.push(scope);
+        } else {
+            target.scopes.splice(idx, 1);
+        }
+    },
+
+    // Short description of a key's request policies for the keys table
+    getPolicySummary(key) {
+        const parts = [];
+        if (key.streaming_only) parts.push('streaming only');
+        if (key.max_tokens_limit) parts.push(`max_tokens ≤ ${key.max_tokens_limit}`);
+        if (key.thinking_disabled) parts.push('no thinking');
+        if (key.allowed_tools) parts.push(key.allowed_tools.length ? `tools: ${key.allowed_tools.join(', ')}` : 'no tools');
+        if (key.response_cache !== null && key.response_cache !== undefined) parts.push(key.response_cache ? 'cached' : 'no cache');
+        return parts.join(', ');
+    },
+
+    // Response cache select value ('' = server default, 'on', 'off') to and from the API value
+    toCacheOption(value) {
+        if (value === true) return 'on';
+        if (value === false) return 'off';
+        return '';
+    },
+
+    fromCacheOption(option) {
+        if (option === 'on') return true;
+        if (option === 'off') return false;
+        return null;
+    },
+
+    // Add an empty per-model budget row (target is newKey or editingKey)
+    addModelBudget(target) {
+        target.model_token_budgets.push({ model: '', daily: '', monthly: '' });
+    },
+
+    removeModelBudget(target, index) {
+        target.model_token_budgets.splice(index, 1);
+    },
+
+    // Convert per-model budget rows to the API format (rows without a model are dropped)
+    parseModelBudgets(rows) {
+        return rows
+            .filter(row => row.model.trim())
+            .map(row => ({
+                model: row.model.trim(),
+                daily: row.daily ? parseInt(row.daily) : null,
+                monthly: row.monthly ? parseInt(row.monthly) : null
+            }));
+    },
+
     async init() {
-        await this.loadKeys();
+        await Promise.all([this.loadKeys(), this.loadUsers()]);
+    },
+
+    async loadUsers() {
+        // Owners can only be assigned by admins once WebUI users exist
+        await this.$store.global.sessionReady;
+        if (!this.$store.global.usersEnabled || !this.$store.global.isAdmin) return;
+        try {
+            const { response } = await window.utils.request('/api/users');
+            const data = await response.json();
+            if (data.status === 'ok') {
+                this.users = data.users || [];
+            }
+        } catch (error) {
+            console.error('Failed to load WebUI users:', error);
+        }
+    },
+
+    getOwnerName(userId) {
+        const user = this.users.find(u => u.id === userId);
+        return user ? user.username : 'unknown';
     },
 
     async loadKeys() {
@@ -104,6 +204,7 @@ window.Components.apiKeys = () => ({
             const data = await response.json();
             if (data.status === 'ok') {
                 this.keys = data.keys || [];
+                this.availableScopes = data.availableScopes || [];
             }
         } catch (error) {
             console.error('Failed to load API keys:', error);
@@ -128,8 +229,19 @@ window.Components.apiKeys = () => ({
             allowed_models: [],
             rate_limit_rpm: '',
             rate_limit_rph: '',
+            max_concurrent_requests: '',
+            scopes: [],
+            streaming_only: false,
+            max_tokens_limit: '',
+            thinking_disabled: false,
+            allowed_tools: '',
+            response_cache: '',
             ip_whitelist: '',
             expires_at: '',
+            token_budget_daily: '',
+            token_budget_monthly: '',
+            model_token_budgets: [],
+            owner_user_id: '',
             notes: ''
         };
         this.showModelDropdown = false;
@@ -166,6 +278,35 @@ window.Components.apiKeys = () => ({
             if (this.newKey.rate_limit_rph) {
                 body.rate_limit_rph = parseInt(this.newKey.rate_limit_rph);
             }
+            if (this.newKey.max_concurrent_requests) {
+                body.max_concurrent_requests = parseInt(this.newKey.max_concurrent_requests);
+            }
+
+            // Parse token budgets
+            if (this.newKey.token_budget_daily) {
+                body.token_budget_daily = parseInt(this.newKey.token_budget_daily);
+            }
+            if (this.newKey.token_budget_monthly) {
+                body.token_budget_monthly = parseInt(this.newKey.token_budget_monthly);
+            }
+            const modelBudgets = this.parseModelBudgets(this.newKey.model_token_budgets);
+            if (modelBudgets.length > 0) {
+                body.model_token_budgets = modelBudgets;
+            }
+
+            // Scopes and request policies
+            if (this.newKey.scopes.length > 0) {
+                body.scopes = [...this.newKey.scopes];
+            }
+            body.streaming_only = this.newKey.streaming_only;
+            body.thinking_disabled = this.newKey.thinking_disabled;
+            if (this.newKey.max_tokens_limit) {
+                body.max_tokens_limit = parseInt(this.newKey.max_tokens_limit);
+            }
+            if (this.newKey.allowed_tools.trim()) {
+                body.allowed_tools = this.newKey.allowed_tools.split(',').map(tool => tool.trim()).filter(Boolean);
+            }
+            body.response_cache = this.fromCacheOption(this.newKey.response_cache);
 
             // Parse IP whitelist
             if (this.newKey.ip_whitelist.trim()) {
@@ -177,6 +318,10 @@ window.Components.apiKeys = () => ({
                 body.expires_at = new Date(this.newKey.expires_at).getTime();
             }
 
+            if (this.newKey.owner_user_id) {
+                body.owner_user_id = this.newKey.owner_user_id;
+            }
+
             const { response } = await window.utils.request('/api/keys', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
@@ -213,7 +358,20 @@ window.Components.apiKeys = () => ({
             ...key,
             allowed_models_arr: key.allowed_models ? [...key.allowed_models] : [],
             ip_whitelist_str: key.ip_whitelist ? key.ip_whitelist.join(', ') : '',
-            expires_at_str: key.expires_at ? new Date(key.expires_at).toISOString().slice(0, 16) : ''
+            expires_at_str: key.expires_at ? new Date(key.expires_at).toISOString().slice(0, 16) : '',
+            max_concurrent_requests: key.max_concurrent_requests || '',
+            scopes: key.scopes ? [...key.scopes] : [],
+            max_tokens_limit: key.max_tokens_limit || '',
+            allowed_tools_str: key.allowed_tools ? key.allowed_tools.join(', ') : '',
+            response_cache: this.toCacheOption(key.response_cache),
+            owner_user_id: key.owner_user_id || '',
+            token_budget_daily: key.token_budget_daily || '',
+            token_budget_monthly: key.token_budget_monthly || '',
+            model_token_budgets: (key.model_token_budgets || []).map(budget => ({
+                model: budget.model,
+                daily: budget.daily || '',
+                monthly: budget.monthly || ''
+            }))
         };
         this.showEditModelDropdown = false;
         this.showEditDialog = true;
@@ -227,8 +385,19 @@ window.Components.apiKeys = () => ({
             allowed_models_arr: [],
             rate_limit_rpm: '',
             rate_limit_rph: '',
+            max_concurrent_requests: '',
+            scopes: [],
+            streaming_only: false,
+            max_tokens_limit: '',
+            thinking_disabled: false,
+            allowed_tools_str: '',
+            response_cache: '',
             ip_whitelist_str: '',
             expires_at_str: '',
+            token_budget_daily: '',
+            token_budget_monthly: '',
+            model_token_budgets: [],
+            owner_user_id: '',
             notes: ''
         };
     },
@@ -252,6 +421,25 @@ window.Components.apiKeys = () => ({
             // Parse rate limits
             body.rate_limit_rpm = this.editingKey.rate_limit_rpm ? parseInt(this.editingKey.rate_limit_rpm) : null;
             body.rate_limit_rph = this.editingKey.rate_limit_rph ? parseInt(this.editingKey.rate_limit_rph) : null;
+            body.max_concurrent_requests = this.editingKey.max_concurrent_requests ? parseInt(this.editingKey.max_concurrent_requests) : null;
+
+            // Parse token budgets
+            body.token_budget_daily = this.editingKey.token_budget_daily ? parseInt(this.editingKey.token_budget_daily) : null;
+            body.token_budget_monthly = this.editingKey.token_budget_monthly ? parseInt(this.editingKey.token_budget_monthly) : null;
+            const modelBudgets = this.parseModelBudgets(this.editingKey.model_token_budgets);
+            body.model_token_budgets = modelBudgets.length > 0 ? modelBudgets : null;
+
+            // Scopes and request policies
+            body.scopes = this.editingKey.scopes.length > 0 ? [...this.editingKey.scopes] : null;
+            body.streaming_only = this.editingKey.streaming_only;
+            body.thinking_disabled = this.editingKey.thinking_disabled;
+            body.max_tokens_limit = this.editingKey.max_tokens_limit ? parseInt(this.editingKey.max_tokens_limit) : null;
+            if (this.editingKey.allowed_tools_str.trim()) {
+                body.allowed_tools = this.editingKey.allowed_tools_str.split(',').map(tool => tool.trim()).filter(Boolean);
+            } else {
+                body.allowed_tools = null;
+            }
+            body.response_cache = this.fromCacheOption(this.editingKey.response_cache);
 
             // Parse IP whitelist
             if (this.editingKey.ip_whitelist_str.trim()) {
@@ -267,6 +455,11 @@ window.Components.apiKeys = () => ({
                 body.expires_at = null;
             }
 
+            // Only admins see the owner field; leave it untouched otherwise
+            if (this.users.length > 0) {
+                body.owner_user_id = this.editingKey.owner_user_id || null;
+            }
+
             const { response } = await window.utils.request(`/api/keys/${this.editingKey.id}`, {
                 method: 'PATCH',
                 headers: { 'Content-Type': 'application/json' },
@@ -325,24 +518,60 @@ window.Components.apiKeys = () => ({
         }
     },
 
-    async regenerateKey(key) {
-        if (!confirm(`Regenerate API key "${key.name}"? The old key will stop working immediately.`)) return;
+    openRegenerateDialog(key) {
+        this.regeneratingKey = key;
+        this.regenerateGraceHours = '24';
+        this.showRegenerateDialog = true;
+    },
+
+    closeRegenerateDialog() {
+        this.showRegenerateDialog = false;
+        this.regeneratingKey = null;
+    },
+
+    async regenerateKey() {
+        const key = this.regeneratingKey;
+        if (!key) return;
 
         try {
             const { response } = await window.utils.request(`/api/keys/${key.id}/regenerate`, {
-                method: 'POST'
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ grace_period_ms: Number(this.regenerateGraceHours) * 60 * 60 * 1000 })
             });
 
             const data = await response.json();
             if (data.status === 'ok') {
+                this.closeRegenerateDialog();
                 this.generatedKey = data.key.key;
                 this.showCreateDialog = true; // Reuse create dialog to show new key
                 this.$store.global.showToast('API key regenerated', 'success');
                 await this.loadKeys();
+            } else {
+                throw new Error(data.error || 'Failed to regenerate key');
             }
         } catch (error) {
             console.error('Failed to regenerate API key:', error);
-            this.$store.global.showToast('Failed to regenerate key', 'error');
+            this.$store.global.showToast(error.message, 'error');
+        }
+    },
+
+    async revokePreviousKey(key) {
+        if (!confirm(`Revoke the old key of "${key.name}" now? Clients still using it will stop working.`)) return;
+
+        try {
+            const { response } = await window.utils.request(`/api/keys/${key.id}/previous`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                this.$store.global.showToast('Old key revoked', 'success');
+                await this.loadKeys();
+            }
+        } catch (error) {
+            console.error('Failed to revoke old API key:', error);
+            this.$store.global.showToast('Failed to revoke old key', 'error');
         }
     },
 
@@ -361,6 +590,29 @@ window.Components.apiKeys = () => ({
         return key.expires_at && Date.now() > key.expires_at;
     },
 
+    // Compact token count (e.g. 1.2M, 350K)
+    formatTokenCount(count) {
+        if (count >= 1e6) return `${+(count / 1e6).toFixed(1)}M`;
+        if (count >= 1e3) return `${+(count / 1e3).toFixed(1)}K`;
+        return String(count);
+    },
+
+    // Budget windows of a key as display rows: [{ label, budget }]
+    getBudgetRows(key) {
+        const status = key.tokenBudgetStatus;
+        if (!status) return [];
+
+        const rows = [
+            { label: 'Daily', budget: status.daily },
+            { label: 'Monthly', budget: status.monthly }
+        ];
+        for (const entry of status.models) {
+            rows.push({ label: `${entry.model} daily`, budget: entry.daily });
+            rows.push({ label: `${entry.model} monthly`, budget: entry.monthly });
+        }
+        return rows.filter(row => row.budget);
+    },
+
     getExpirationStatus(key) {
         if (!key.expires_at) return null;
         const now = Date.now();
@@ -0,0 +1,158 @@
+/**
+ * Audit Log Component
+ * Administrative changes made through the WebUI, with before/after values
+ */
+
+window.Components = window.Components || {};
+
+window.Components.auditLog = () => ({
+    events: [],
+    total: 0,
+    page: 1,
+    pages: 1,
+    limit: 50,
+    loading: true,
+
+    // Filters
+    filters: {
+        action: '',
+        username: '',
+        from: '',
+        to: '',
+        search: ''
+    },
+
+    // Available filter options (from the server)
+    actions: [],
+    usernames: [],
+
+    // Events with their changes expanded
+    expanded: {},
+
+    async init() {
+        // The audit log is admin-only
+        await this.$store.global.sessionReady;
+        if (!this.$store.global.isAdmin) {
+            this.loading = false;
+            return;
+        }
+
+        await this.loadEvents();
+
+        // Changes are made on other tabs: reload when coming back
+        this.$watch('$store.global.activeTab', tab => {
+            if (tab === 'audit-log') this.loadEvents();
+        });
+    },
+
+    buildFilterParams() {
+        const params = new URLSearchParams();
+        if (this.filters.action) params.set('action', this.filters.action);
+        if (this.filters.username) params.set('username', this.filters.username);
+        if (this.filters.from) params.set('from', new Date(this.filters.from).getTime().toString());
+        if (this.filters.to) params.set('to', new Date(this.filters.to).getTime().toString());
+        if (this.filters.search) params.set('search', this.filters.search);
+        return params;
+    },
+
+    async loadEvents() {
+        this.loading = true;
+        try {
+            const params = this.buildFilterParams();
+            params.set('page', this.page.toString());
+            params.set('limit', this.limit.toString());
+
+            const { response } = await window.utils.request(`/api/audit?${params}`);
+            const data = await response.json();
+
+            if (data.status === 'ok') {
+                this.events = data.events || [];
+                this.total = data.total || 0;
+                this.pages = data.pages || 1;
+                this.actions = data.filterOptions?.actions || [];
+                this.usernames = data.filterOptions?.usernames || [];
+            }
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+            this.$store.global.showToast('Failed to load audit log', 'error');
+        } finally {
+            this.loading = false;
+        }
+    },
+
+    // Action groups ("keys", "accounts", ...) followed by the individual actions
+    get actionOptions() {
+        const groups = [...new Set(this.actions.map(action => action.split('.')[0]))];
+        return [
+            ...groups.map(group => ({ value: group, label: `${group}.*` })),
+            ...this.actions.map(action => ({ value: action, label: action }))
+        ];
+    },
+
+    applyFilters() {
+        this.page = 1;
+        this.loadEvents();
+    },
+
+    clearFilters() {
+        this.filters = {
+            action: '',
+            username: '',
+            from: '',
+            to: '',
+            search: ''
+        };
+        this.page = 1;
+        this.loadEvents();
+    },
+
+    goToPage(pageNum) {
+        if (pageNum < 1 || pageNum > this.pages) return;
+        this.page = pageNum;
+        this.loadEvents();
+    },
+
+    exportEvents(format = 'csv') {
+        const params = this.buildFilterParams();
+        params.set('format', format);
+        window.location.href = `/api/audit/export?${params}`;
+    },
+
+    toggleExpanded(event) {
+        this.expanded[event.id] = !this.expanded[event.id];
+    },
+
+    getChangedFields(event) {
+        return event.changes ? Object.keys(event.changes) : [];
+    },
+
+    formatActor(event) {
+        if (event.username) return event.username;
+        return 'open WebUI';
+    },
+
+    formatValue(value) {
+        if (value === null || value === undefined) return '—';
+        if (typeof value === 'object') return JSON.stringify(value);
+        return String(value);
+    },
+
+    formatDate(timestamp) {
+        if (!timestamp) return '-';
+        return new Date(timestamp).toLocaleString(undefined, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit'
+        });
+    },
+
+    getActionBadgeClass(action) {
+        if (action.endsWith('.delete') || action.endsWith('.disable') || action.endsWith('.revoke_previous')) return 'badge-error';
+        if (action.endsWith('.create') || action.endsWith('.enable')) return 'badge-success';
+        if (action.startsWith('auth.')) return 'badge-ghost';
+        return 'badge-info';
+    }
+});
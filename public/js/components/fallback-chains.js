@@ -0,0 +1,97 @@
+/**
+ * Fallback Chains Component
+ * Per-model fallback chains, edited in the Models view
+ */
+
+window.Components = window.Components || {};
+
+window.Components.fallbackChains = () => ({
+    conditions: ['quota', 'capacity', 'error'],
+    chains: [],
+    loading: true,
+    saving: false,
+    dirty: false,
+
+    async init() {
+        // Fallback chains are admin-only
+        await this.$store.global.sessionReady;
+        if (!this.$store.global.isAdmin) {
+            this.loading = false;
+            return;
+        }
+
+        await this.loadChains();
+    },
+
+    async loadChains() {
+        this.loading = true;
+        try {
+            const { response } = await window.utils.request('/api/routing/fallbacks');
+            const data = await response.json();
+
+            if (data.status === 'ok') {
+                this.chains = this.toForm(data.chains || {});
+                this.dirty = false;
+            }
+        } catch (error) {
+            console.error('Failed to load fallback chains:', error);
+            this.$store.global.showToast('Failed to load fallback chains', 'error');
+        } finally {
+            this.loading = false;
+        }
+    },
+
+    // { model: chain } (as stored) -> editable rows
+    toForm(chains) {
+        return Object.entries(chains).map(([model, chain]) => ({
+            model,
+            models: chain.models.join(', '),
+            on: chain.on || [...this.conditions]
+        }));
+    },
+
+    // Editable rows -> { model: chain } for the API
+    fromForm(rows) {
+        return Object.fromEntries(
+            rows.filter(row => row.model.trim()).map(row => [row.model.trim(), {
+                models: row.models.split(',').map(model => model.trim()).filter(Boolean),
+                on: row.on
+            }])
+        );
+    },
+
+    addChain() {
+        this.chains.push({ model: '', models: '', on: [...this.conditions] });
+        this.dirty = true;
+    },
+
+    removeChain(index) {
+        this.chains.splice(index, 1);
+        this.dirty = true;
+    },
+
+    async saveChains() {
+        this.saving = true;
+        try {
+            const { response } = await window.utils.request('/api/routing/fallbacks', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ chains: this.fromForm(this.chains) })
+            });
+            const data = await response.json();
+
+            if (data.status === 'ok') {
+                this.chains = this.toForm(data.chains);
+                this.dirty = false;
+                this.$store.global.showToast('Fallback chains saved', 'success');
+            } else {
+                this.$store.global.showToast(data.error || 'Failed to save fallback chains', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to save fallback chains:', error);
+            this.$store.global.showToast('Failed to save fallback chains', 'error');
+        } finally {
+            this.saving = false;
+        }
+    }
+});
@@ -18,6 +18,8 @@ window.Components.requestLogs = () => ({
         api_key_id: '',
         model: '',
         status: '',
+        api_format: '',
+        end_user_id: '',
         from: '',
         to: '',
         search: ''
@@ -68,6 +70,8 @@ window.Components.requestLogs = () => ({
             if (this.filters.api_key_id) params.set('api_key_id', this.filters.api_key_id);
             if (this.filters.model) params.set('model', this.filters.model);
             if (this.filters.status) params.set('status', this.filters.status);
+            if (this.filters.api_format) params.set('api_format', this.filters.api_format);
+            if (this.filters.end_user_id) params.set('end_user_id', this.filters.end_user_id);
             if (this.filters.from) params.set('from', new Date(this.filters.from).getTime().toString());
             if (this.filters.to) params.set('to', new Date(this.filters.to).getTime().toString());
             if (this.filters.search) params.set('search', this.filters.search);
@@ -104,6 +108,8 @@ window.Components.requestLogs = () => ({
             api_key_id: '',
             model: '',
             status: '',
+            api_format: '',
+            end_user_id: '',
             from: '',
             to: '',
             search: ''
@@ -200,6 +206,8 @@ window.Components.requestLogs = () => ({
         if (this.filters.api_key_id) params.set('api_key_id', this.filters.api_key_id);
         if (this.filters.model) params.set('model', this.filters.model);
         if (this.filters.status) params.set('status', this.filters.status);
+        if (this.filters.api_format) params.set('api_format', this.filters.api_format);
+        if (this.filters.end_user_id) params.set('end_user_id', this.filters.end_user_id);
         if (this.filters.from) params.set('from', new Date(this.filters.from).getTime().toString());
         if (this.filters.to) params.set('to', new Date(this.filters.to).getTime().toString());
         if (this.filters.search) params.set('search', this.filters.search);
@@ -0,0 +1,112 @@
+/**
+ * Response Cache Component
+ * Response cache settings and statistics, shown in the Settings server tab
+ */
+
+window.Components = window.Components || {};
+
+window.Components.responseCache = () => ({
+    settings: {
+        responseCacheEnabled: false,
+        ttlMinutes: 60,
+        responseCacheMaxEntries: 1000,
+        responseCacheMaxSizeMb: 100
+    },
+    stats: null,
+    loading: true,
+    saving: false,
+    clearing: false,
+    dirty: false,
+
+    async init() {
+        // Cache settings are admin-only
+        await this.$store.global.sessionReady;
+        if (!this.$store.global.isAdmin) {
+            this.loading = false;
+            return;
+        }
+
+        await this.loadCache();
+    },
+
+    async loadCache() {
+        this.loading = true;
+        try {
+            const { response } = await window.utils.request('/api/cache');
+            const data = await response.json();
+
+            if (data.status === 'ok') {
+                this.settings = {
+                    responseCacheEnabled: data.settings.responseCacheEnabled,
+                    ttlMinutes: Math.round(data.settings.responseCacheTtlMs / 60000),
+                    responseCacheMaxEntries: data.settings.responseCacheMaxEntries,
+                    responseCacheMaxSizeMb: data.settings.responseCacheMaxSizeMb
+                };
+                this.stats = data.stats;
+                this.dirty = false;
+            }
+        } catch (error) {
+            console.error('Failed to load response cache:', error);
+            this.$store.global.showToast('Failed to load response cache', 'error');
+        } finally {
+            this.loading = false;
+        }
+    },
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    },
+
+    async saveSettings() {
+        this.saving = true;
+        try {
+            const { response } = await window.utils.request('/api/config', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    responseCacheEnabled: this.settings.responseCacheEnabled,
+                    responseCacheTtlMs: parseInt(this.settings.ttlMinutes) * 60000,
+                    responseCacheMaxEntries: parseInt(this.settings.responseCacheMaxEntries),
+                    responseCacheMaxSizeMb: parseInt(this.settings.responseCacheMaxSizeMb)
+                })
+            });
+            const data = await response.json();
+
+            if (data.status === 'ok') {
+                this.$store.global.showToast('Response cache settings saved', 'success');
+                await this.loadCache();
+            } else {
+                this.$store.global.showToast(data.error || 'Failed to save response cache settings', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to save response cache settings:', error);
+            this.$store.global.showToast('Failed to save response cache settings', 'error');
+        } finally {
+            this.saving = false;
+        }
+    },
+
+    async clearCache() {
+        if (!confirm('Delete all cached responses?')) return;
+
+        this.clearing = true;
+        try {
+            const { response } = await window.utils.request('/api/cache/clear', { method: 'POST' });
+            const data = await response.json();
+
+            if (data.status === 'ok') {
+                this.$store.global.showToast(data.message, 'success');
+                await this.loadCache();
+            } else {
+                this.$store.global.showToast(data.error || 'Failed to clear response cache', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to clear response cache:', error);
+            this.$store.global.showToast('Failed to clear response cache', 'error');
+        } finally {
+            this.clearing = false;
+        }
+    }
+});
@@ -0,0 +1,173 @@
+/**
+ * Routing Rules Component
+ * Ordered model routing rules, edited in the Models view
+ */
+
+window.Components = window.Components || {};
+
+window.Components.routingRules = () => ({
+    rules: [],
+    apiKeys: [],
+    loading: true,
+    saving: false,
+    dirty: false,
+
+    async init() {
+        // Routing rules are admin-only
+        await this.$store.global.sessionReady;
+        if (!this.$store.global.isAdmin) {
+            this.loading = false;
+            return;
+        }
+
+        await Promise.all([this.loadRules(), this.loadApiKeys()]);
+    },
+
+    async loadRules() {
+        this.loading = true;
+        try {
+            const { response } = await window.utils.request('/api/routing/rules');
+            const data = await response.json();
+
+            if (data.status === 'ok') {
+                this.rules = (data.rules || []).map(rule => this.toForm(rule));
+                this.dirty = false;
+            }
+        } catch (error) {
+            console.error('Failed to load routing rules:', error);
+            this.$store.global.showToast('Failed to load routing rules', 'error');
+        } finally {
+            this.loading = false;
+        }
+    },
+
+    async loadApiKeys() {
+        try {
+            const { response } = await window.utils.request('/api/keys');
+            const data = await response.json();
+            if (data.status === 'ok') {
+                this.apiKeys = data.keys || [];
+            }
+        } catch (error) {
+            console.error('Failed to load API keys:', error);
+        }
+    },
+
+    // Rule (as stored) -> editable form fields
+    toForm(rule) {
+        const match = rule.match || {};
+        const toChoice = value => value === true ? 'yes' : (value === false ? 'no' : 'any');
+
+        let fallbackMode = 'default';
+        if (Array.isArray(rule.fallback_models)) {
+            fallbackMode = rule.fallback_models.length > 0 ? 'chain' : 'none';
+        }
+
+        return {
+            id: rule.id || null,
+            name: rule.name || '',
+            enabled: rule.enabled !== false,
+            model: match.model || '',
+            api_key_ids: match.api_key_ids || [],
+            header_name: match.header?.name || '',
+            header_value: match.header?.value || '',
+            has_images: toChoice(match.has_images),
+            has_tools: toChoice(match.has_tools),
+            thinking: toChoice(match.thinking),
+            min_prompt_tokens: match.min_prompt_tokens ?? '',
+            max_prompt_tokens: match.max_prompt_tokens ?? '',
+            target_model: rule.target_model || '',
+            fallbackMode,
+            fallback_models: (rule.fallback_models || []).join(', '),
+            fallback_on: rule.fallback_on || ['quota', 'capacity', 'error']
+        };
+    },
+
+    // Editable form fields -> rule for the API
+    fromForm(form) {
+        const fromChoice = value => value === 'yes' ? true : (value === 'no' ? false : null);
+        const toInt = value => value === '' || value === null ? null : parseInt(value, 10);
+
+        let fallbackModels = null;
+        if (form.fallbackMode === 'none') fallbackModels = [];
+        if (form.fallbackMode === 'chain') {
+            fallbackModels = form.fallback_models.split(',').map(model => model.trim()).filter(Boolean);
+        }
+
+        return {
+            id: form.id || undefined,
+            name: form.name,
+            enabled: form.enabled,
+            match: {
+                model: form.model.trim() || null,
+                api_key_ids: form.api_key_ids,
+                header: form.header_name.trim() ? { name: form.header_name.trim(), value: form.header_value.trim() || null } : null,
+                has_images: fromChoice(form.has_images),
+                has_tools: fromChoice(form.has_tools),
+                thinking: fromChoice(form.thinking),
+                min_prompt_tokens: toInt(form.min_prompt_tokens),
+                max_prompt_tokens: toInt(form.max_prompt_tokens)
+            },
+            target_model: form.target_model.trim() || null,
+            fallback_models: fallbackModels,
+            fallback_on: form.fallbackMode === 'chain' ? form.fallback_on : null
+        };
+    },
+
+    addRule() {
+        this.rules.push(this.toForm({ name: `Rule ${this.rules.length + 1}` }));
+        this.dirty = true;
+    },
+
+    removeRule(index) {
+        this.rules.splice(index, 1);
+        this.dirty = true;
+    },
+
+    moveRule(index, offset) {
+        const target = index + offset;
+        if (target < 0 || target >= this.rules.length) return;
+        const [rule] = this.rules.splice(index, 1);
+        this.rules.splice(target, 0, rule);
+        this.dirty = true;
+    },
+
+    async saveRules() {
+        this.saving = true;
+        try {
+            const { response } = await window.utils.request('/api/routing/rules', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ rules: this.rules.map(rule => this.fromForm(rule)) })
+            });
+            const data = await response.json();
+
+            if (data.status === 'ok') {
+                this.rules = data.rules.map(rule => this.toForm(rule));
+                this.dirty = false;
+                this.$store.global.showToast('Routing rules saved', 'success');
+            } else {
+                this.$store.global.showToast(data.error || 'Failed to save routing rules', 'error');
+            }
+        } catch (error) {
+            console.error('Failed to save routing rules:', error);
+            this.$store.global.showToast('Failed to save routing rules', 'error');
+        } finally {
+            this.saving = false;
+        }
+    },
+
+    // One-line summary of a rule's conditions
+    describeRule(form) {
+        const conditions = [];
+        if (form.model) conditions.push(`model ${form.model}`);
+        if (form.api_key_ids.length > 0) conditions.push(`${form.api_key_ids.length} key(s)`);
+        if (form.header_name) conditions.push(`header ${form.header_name}${form.header_value ? '=' + form.header_value : ''}`);
+        if (form.has_images !== 'any') conditions.push(form.has_images === 'yes' ? 'images' : 'no images');
+        if (form.has_tools !== 'any') conditions.push(form.has_tools === 'yes' ? 'tools' : 'no tools');
+        if (form.thinking !== 'any') conditions.push(form.thinking === 'yes' ? 'thinking' : 'no thinking');
+        if (form.min_prompt_tokens !== '') conditions.push(`≥ ${form.min_prompt_tokens} tokens`);
+        if (form.max_prompt_tokens !== '') conditions.push(`≤ ${form.max_prompt_tokens} tokens`);
+        return conditions.length > 0 ? conditions.join(', ') : 'every request';
+    }
+});
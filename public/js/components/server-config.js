@@ -250,6 +250,12 @@ window.Components.serverConfig = () => ({
             (v) => window.Validators.validateTimeout(v, MAX_WAIT_MIN, MAX_WAIT_MAX));
     },
 
+    toggleStreamKeepAliveMs(value) {
+        const { STREAM_KEEP_ALIVE_MIN, STREAM_KEEP_ALIVE_MAX } = window.AppConstants.VALIDATION;
+        this.saveConfigField('streamKeepAliveMs', value, 'Stream Keep-Alive',
+            (v) => window.Validators.validateTimeout(v, STREAM_KEEP_ALIVE_MIN, STREAM_KEEP_ALIVE_MAX));
+    },
+
     toggleRateLimitDedupWindowMs(value) {
         const { RATE_LIMIT_DEDUP_MIN, RATE_LIMIT_DEDUP_MAX } = window.AppConstants.VALIDATION;
         this.saveConfigField('rateLimitDedupWindowMs', value, 'Rate Limit Dedup Window',
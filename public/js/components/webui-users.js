@@ -0,0 +1,153 @@
+/**
+ * WebUI Users Component
+ * Manage WebUI logins and their roles (admin / viewer)
+ */
+
+window.Components = window.Components || {};
+
+window.Components.webuiUsers = () => ({
+    users: [],
+    roles: ['admin', 'viewer'],
+    loading: true,
+    creating: false,
+    newUser: {
+        username: '',
+        password: '',
+        role: 'viewer'
+    },
+
+    async init() {
+        await this.loadUsers();
+    },
+
+    async loadUsers() {
+        this.loading = true;
+        try {
+            const { response } = await window.utils.request('/api/users');
+            const data = await response.json();
+            if (data.status === 'ok') {
+                this.users = data.users || [];
+                this.roles = data.roles || this.roles;
+                // The first user must be an admin
+                if (this.users.length === 0) this.newUser.role = 'admin';
+            }
+        } catch (error) {
+            console.error('Failed to load WebUI users:', error);
+            this.$store.global.showToast('Failed to load users', 'error');
+        } finally {
+            this.loading = false;
+        }
+    },
+
+    async createUser() {
+        if (!this.newUser.username.trim() || !this.newUser.password) {
+            this.$store.global.showToast('Please enter a username and password', 'error');
+            return;
+        }
+
+        const firstUser = this.users.length === 0;
+        if (firstUser && !confirm('After creating the first user the WebUI requires a login. Continue?')) return;
+
+        this.creating = true;
+        try {
+            const { response } = await window.utils.request('/api/users', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    username: this.newUser.username.trim(),
+                    password: this.newUser.password,
+                    role: this.newUser.role
+                })
+            });
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                this.$store.global.showToast(`User "${data.user.username}" created`, 'success');
+                this.newUser = { username: '', password: '', role: 'viewer' };
+                if (firstUser) {
+                    // Logins are now required: sign in as the new admin
+                    this.$store.global.showLogin = true;
+                    return;
+                }
+                await this.loadUsers();
+            } else {
+                throw new Error(data.error || 'Failed to create user');
+            }
+        } catch (error) {
+            console.error('Failed to create WebUI user:', error);
+            this.$store.global.showToast(error.message, 'error');
+        } finally {
+            this.creating = false;
+        }
+    },
+
+    async updateUser(user, updates, successMessage) {
+        try {
+            const { response } = await window.utils.request(`/api/users/${user.id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(updates)
+            });
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                this.$store.global.showToast(successMessage, 'success');
+            } else {
+                throw new Error(data.error || 'Failed to update user');
+            }
+        } catch (error) {
+            console.error('Failed to update WebUI user:', error);
+            this.$store.global.showToast(error.message, 'error');
+        }
+        await this.loadUsers();
+    },
+
+    async changeRole(user, role) {
+        await this.updateUser(user, { role }, `${user.username} is now ${role}`);
+    },
+
+    async toggleUser(user) {
+        await this.updateUser(user, { enabled: !user.enabled }, `User ${user.enabled ? 'disabled' : 'enabled'}`);
+    },
+
+    async resetPassword(user) {
+        const password = prompt(`New password for "${user.username}" (at least 8 characters):`);
+        if (!password) return;
+        await this.updateUser(user, { password }, 'Password reset; the user was signed out');
+    },
+
+    async deleteUser(user) {
+        if (!confirm(`Delete user "${user.username}"? Their API keys will have no owner.`)) return;
+
+        try {
+            const { response } = await window.utils.request(`/api/users/${user.id}`, {
+                method: 'DELETE'
+            });
+
+            const data = await response.json();
+            if (data.status === 'ok') {
+                this.$store.global.showToast('User deleted', 'success');
+                // Deleting yourself ends your session
+                if (this.isCurrentUser(user)) {
+                    window.location.reload();
+                    return;
+                }
+                await this.loadUsers();
+            } else {
+                throw new Error(data.error || 'Failed to delete user');
+            }
+        } catch (error) {
+            console.error('Failed to delete WebUI user:', error);
+            this.$store.global.showToast(error.message, 'error');
+        }
+    },
+
+    isCurrentUser(user) {
+        return this.$store.global.currentUser?.id === user.id;
+    },
+
+    formatDate(ts) {
+        if (!ts) return 'Never';
+        return new Date(ts).toLocaleString();
+    }
+});
@@ -69,6 +69,10 @@ window.AppConstants.VALIDATION = {
     MAX_WAIT_MIN: 60000,
     MAX_WAIT_MAX: 1800000,
 
+    // Stream keep-alive interval (0 = off, up to 2 minutes)
+    STREAM_KEEP_ALIVE_MIN: 0,
+    STREAM_KEEP_ALIVE_MAX: 120000,
+
     // Rate limit dedup window (1 - 30 seconds)
     RATE_LIMIT_DEDUP_MIN: 1000,
     RATE_LIMIT_DEDUP_MAX: 30000,
@@ -10,6 +10,16 @@ document.addEventListener('alpine:init', () => {
             const validTabs = ['dashboard', 'models', 'accounts', 'logs', 'settings'];
             const getHash = () => window.location.hash.substring(1);
 
+            // Current WebUI user (shows the login dialog when a login is required)
+            this.sessionReady = this.loadSession();
+
+            // Viewers only get the dashboard, API keys, request logs and settings
+            Alpine.effect(() => {
+                if (!this.isAdmin && ['models', 'accounts', 'logs', 'audit-log'].includes(this.activeTab)) {
+                    this.activeTab = 'dashboard';
+                }
+            });
+
             // 1. Initial load from hash
             const initialHash = getHash();
             if (validTabs.includes(initialHash)) {
@@ -37,6 +47,18 @@ document.addEventListener('alpine:init', () => {
         activeTab: 'dashboard',
         webuiPassword: localStorage.getItem('antigravity_webui_password') || '',
 
+        // WebUI user session (usersEnabled once the first WebUI user exists)
+        usersEnabled: false,
+        currentUser: null,
+        showLogin: false,
+        showUserPasswordDialog: false,
+        sessionReady: null,
+
+        // Admins (and everyone on a WebUI without users) can manage accounts and config
+        get isAdmin() {
+            return !this.usersEnabled || this.currentUser?.role === 'admin';
+        },
+
         // i18n
         lang: localStorage.getItem('app_lang') || 'en',
         translations: window.translations || {},
@@ -62,6 +84,48 @@ document.addEventListener('alpine:init', () => {
             return str;
         },
 
+        async loadSession() {
+            try {
+                const response = await fetch('/api/auth/session', {
+                    headers: this.webuiPassword ? { 'x-webui-password': this.webuiPassword } : {}
+                });
+                const data = await response.json();
+                this.usersEnabled = data.usersEnabled;
+                this.currentUser = data.user;
+                this.showLogin = data.usersEnabled && !data.user;
+            } catch (error) {
+                console.error('Failed to load session:', error);
+            }
+        },
+
+        async login(username, password) {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const data = await response.json();
+            if (data.status !== 'ok') throw new Error(data.error || 'Login failed');
+
+            // Reload so every view fetches its data as the new user
+            window.location.reload();
+        },
+
+        async logout() {
+            await fetch('/api/auth/logout', { method: 'POST' });
+            window.location.reload();
+        },
+
+        async changeOwnPassword(oldPassword, newPassword) {
+            const response = await fetch('/api/auth/password', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ oldPassword, newPassword })
+            });
+            const data = await response.json();
+            if (data.status !== 'ok') throw new Error(data.error || 'Failed to change password');
+        },
+
         setLang(l) {
             this.lang = l;
             localStorage.setItem('app_lang', l);
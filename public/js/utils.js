@@ -14,6 +14,14 @@ window.utils = {
 
         if (response.status === 401) {
             const store = Alpine.store('global');
+
+            // WebUI users are enabled: log in instead of prompting for the shared password
+            const body = await response.clone().json().catch(() => ({}));
+            if (body.loginRequired) {
+                if (store) store.showLogin = true;
+                return { response, newPassword: null };
+            }
+
             const password = prompt(store ? store.t('enterPassword') : 'Enter Web UI Password:');
             if (password) {
                 // Return new password so caller can update state
@@ -222,6 +222,17 @@ export class AccountManager {
         return getStrategyLabel(this.#strategyName);
     }
 
+    /**
+     * Switch to a different selection strategy at runtime
+     * Tracker state (health scores, token buckets) starts fresh
+     * @param {string} strategyName - Strategy name
+     */
+    setStrategy(strategyName) {
+        this.#strategyName = strategyName;
+        this.#strategy = createStrategy(strategyName, config?.accountSelection || {});
+        logger.info(`[AccountManager] Switched to ${getStrategyLabel(strategyName)} selection strategy`);
+    }
+
     /**
      * Get the health tracker from the current strategy (if available)
      * Used by handlers for consecutive failure tracking
@@ -0,0 +1,157 @@
+/**
+ * Hybrid Strategy
+ *
+ * Smart distribution combining three signals:
+ * - Health score: penalizes accounts that recently hit rate limits or errors
+ * - Token bucket: spreads load so no single account is drained
+ * - LRU: prefers accounts that have rested the longest
+ *
+ * score = health * w.health + (tokens / maxTokens * 100) * w.tokens + lru * w.lru
+ */
+
+import { BaseStrategy } from './base-strategy.js';
+import { HealthTracker } from './trackers/health-tracker.js';
+import { TokenBucketTracker } from './trackers/token-bucket-tracker.js';
+import { logger } from '../../utils/logger.js';
+
+const DEFAULT_WEIGHTS = {
+    health: 2,
+    tokens: 5,
+    lru: 0.1
+};
+
+// LRU score saturates after an hour of rest
+const LRU_SATURATION_MS = 3600000;
+
+export class HybridStrategy extends BaseStrategy {
+    #healthTracker;
+    #tokenBucketTracker;
+    #weights;
+
+    /**
+     * Create a new HybridStrategy
+     * @param {Object} config - Strategy configuration
+     * @param {Object} [config.healthScore] - HealthTracker configuration
+     * @param {Object} [config.tokenBucket] - TokenBucketTracker configuration
+     * @param {Object} [config.weights] - Scoring weights { health, tokens, lru }
+     */
+    constructor(config = {}) {
+        super(config);
+        this.#healthTracker = new HealthTracker(config.healthScore);
+        this.#tokenBucketTracker = new TokenBucketTracker(config.tokenBucket);
+        this.#weights = { ...DEFAULT_WEIGHTS, ...config.weights };
+    }
+
+    /**
+     * Select the highest scoring usable account
+     *
+     * @param {Array} accounts - Array of account objects
+     * @param {string} modelId - The model ID for the request
+     * @param {Object} options - Additional options
+     * @returns {SelectionResult} The selected account and index
+     */
+    selectAccount(accounts, modelId, options = {}) {
+        const { onSave } = options;
+
+        if (accounts.length === 0) {
+            return { account: null, index: 0, waitMs: 0 };
+        }
+
+        const candidates = this.getUsableAccounts(accounts, modelId).filter(({ account }) =>
+            this.#healthTracker.isUsable(account.email) &&
+            this.#tokenBucketTracker.hasTokens(account.email)
+        );
+
+        if (candidates.length === 0) {
+            return { account: null, index: options.currentIndex || 0, waitMs: 0 };
+        }
+
+        let best = null;
+        let bestScore = -Infinity;
+        for (const candidate of candidates) {
+            const score = this.#scoreAccount(candidate.account);
+            if (score > bestScore) {
+                best = candidate;
+                bestScore = score;
+            }
+        }
+
+        const { account, index } = best;
+        this.#tokenBucketTracker.consume(account.email);
+        account.lastUsed = Date.now();
+
+        if (onSave) onSave();
+
+        logger.info(`[HybridStrategy] Using account: ${account.email} (${index + 1}/${accounts.length}, score ${bestScore.toFixed(1)})`);
+
+        return { account, index, waitMs: 0 };
+    }
+
+    /**
+     * @param {Object} account - The account that was used
+     * @param {string} modelId - The model ID that was used
+     */
+    onSuccess(account, modelId) {
+        if (account?.email) {
+            this.#healthTracker.recordSuccess(account.email);
+        }
+    }
+
+    /**
+     * @param {Object} account - The account that was rate-limited
+     * @param {string} modelId - The model ID that was rate-limited
+     */
+    onRateLimit(account, modelId) {
+        if (account?.email) {
+            this.#healthTracker.recordRateLimit(account.email);
+        }
+    }
+
+    /**
+     * Penalize health and refund the token consumed on selection
+     * @param {Object} account - The account that failed
+     * @param {string} modelId - The model ID that failed
+     */
+    onFailure(account, modelId) {
+        if (account?.email) {
+            this.#healthTracker.recordFailure(account.email);
+            this.#tokenBucketTracker.refund(account.email);
+        }
+    }
+
+    /**
+     * Get the health tracker (used by handlers for consecutive failure tracking)
+     * @returns {HealthTracker} The health tracker
+     */
+    getHealthTracker() {
+        return this.#healthTracker;
+    }
+
+    /**
+     * Get the token bucket tracker
+     * @returns {TokenBucketTracker} The token bucket tracker
+     */
+    getTokenBucketTracker() {
+        return this.#tokenBucketTracker;
+    }
+
+    /**
+     * Compute the combined selection score for an account
+     * @param {Object} account - Account object
+     * @returns {number} Weighted score (higher is better)
+     */
+    #scoreAccount(account) {
+        const health = this.#healthTracker.getScore(account.email);
+        const tokens = this.#tokenBucketTracker.getTokens(account.email);
+        const tokenPercent = (tokens / this.#tokenBucketTracker.getMaxTokens()) * 100;
+
+        const restedMs = Date.now() - (account.lastUsed || 0);
+        const lru = Math.min(restedMs / LRU_SATURATION_MS, 1) * 100;
+
+        return health * this.#weights.health +
+            tokenPercent * this.#weights.tokens +
+            lru * this.#weights.lru;
+    }
+}
+
+export default HybridStrategy;
@@ -1,47 +1,85 @@
 /**
- * Strategy Factory (Simplified)
+ * Strategy Factory
  *
- * Uses only round-robin strategy for account selection.
+ * Creates account selection strategies by name:
+ * - sticky: stay on one account for prompt cache continuity
+ * - round-robin: rotate every request for load balancing
+ * - hybrid: health score + token bucket + LRU (default)
  */
 
+import { StickyStrategy } from './sticky-strategy.js';
 import { RoundRobinStrategy } from './round-robin-strategy.js';
+import { HybridStrategy } from './hybrid-strategy.js';
 import { logger } from '../../utils/logger.js';
+import {
+    SELECTION_STRATEGIES,
+    DEFAULT_SELECTION_STRATEGY,
+    STRATEGY_LABELS
+} from '../../constants.js';
 
-// Only round-robin is supported
-export const STRATEGY_NAMES = ['round-robin'];
-export const DEFAULT_STRATEGY = 'round-robin';
+export const STRATEGY_NAMES = SELECTION_STRATEGIES;
+export const DEFAULT_STRATEGY = DEFAULT_SELECTION_STRATEGY;
 
 /**
- * Create a strategy instance (always returns RoundRobinStrategy)
- * @param {string} strategyName - Ignored, always uses round-robin
+ * Normalize a strategy name (case-insensitive, accepts "roundrobin" alias)
+ * @param {string} name - Strategy name
+ * @returns {string|null} Canonical strategy name or null if unknown
+ */
+function normalizeStrategyName(name) {
+    if (!name || typeof name !== 'string') return null;
+    const lower = name.toLowerCase();
+    if (lower === 'roundrobin') return 'round-robin';
+    return STRATEGY_NAMES.includes(lower) ? lower : null;
+}
+
+/**
+ * Create a strategy instance
+ * @param {string} strategyName - Strategy name (falls back to hybrid if unknown)
  * @param {Object} config - Strategy configuration
- * @returns {RoundRobinStrategy} The strategy instance
+ * @returns {BaseStrategy} The strategy instance
  */
 export function createStrategy(strategyName, config = {}) {
-    logger.debug('[Strategy] Creating RoundRobinStrategy');
-    return new RoundRobinStrategy(config);
+    const name = normalizeStrategyName(strategyName);
+
+    if (strategyName && !name) {
+        logger.warn(`[Strategy] Unknown strategy "${strategyName}", falling back to ${DEFAULT_STRATEGY}`);
+    }
+
+    switch (name || DEFAULT_STRATEGY) {
+        case 'sticky':
+            logger.debug('[Strategy] Creating StickyStrategy');
+            return new StickyStrategy(config);
+        case 'round-robin':
+            logger.debug('[Strategy] Creating RoundRobinStrategy');
+            return new RoundRobinStrategy(config);
+        case 'hybrid':
+        default:
+            logger.debug('[Strategy] Creating HybridStrategy');
+            return new HybridStrategy(config);
+    }
 }
 
 /**
  * Check if a strategy name is valid
  * @param {string} name - Strategy name to check
- * @returns {boolean} True if valid (only round-robin)
+ * @returns {boolean} True if valid
  */
 export function isValidStrategy(name) {
-    if (!name) return false;
-    const lower = name.toLowerCase();
-    return lower === 'round-robin' || lower === 'roundrobin';
+    return normalizeStrategyName(name) !== null;
 }
 
 /**
  * Get the display label for a strategy
  * @param {string} name - Strategy name
- * @returns {string} Display label
+ * @returns {string} Display label (hybrid label for unknown names)
  */
 export function getStrategyLabel(name) {
-    return 'Round Robin (Load Balanced)';
+    return STRATEGY_LABELS[normalizeStrategyName(name) || DEFAULT_STRATEGY];
 }
 
 // Re-export strategies for direct use
+export { StickyStrategy } from './sticky-strategy.js';
 export { RoundRobinStrategy } from './round-robin-strategy.js';
+export { HybridStrategy } from './hybrid-strategy.js';
 export { BaseStrategy } from './base-strategy.js';
+export { HealthTracker, TokenBucketTracker } from './trackers/index.js';
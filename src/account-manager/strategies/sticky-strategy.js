@@ -0,0 +1,92 @@
+/**
+ * Sticky Strategy
+ *
+ * Keeps using the same account until it becomes unavailable, maximizing
+ * prompt cache hits (caches are scoped per account). Only switches when the
+ * current account is rate-limited, disabled or invalid.
+ */
+
+import { BaseStrategy } from './base-strategy.js';
+import { MAX_WAIT_BEFORE_ERROR_MS } from '../../constants.js';
+import { logger } from '../../utils/logger.js';
+
+export class StickyStrategy extends BaseStrategy {
+    /**
+     * Create a new StickyStrategy
+     * @param {Object} config - Strategy configuration
+     */
+    constructor(config = {}) {
+        super(config);
+    }
+
+    /**
+     * Select the current account, or the next available one if it is unusable
+     *
+     * @param {Array} accounts - Array of account objects
+     * @param {string} modelId - The model ID for the request
+     * @param {Object} options - Additional options
+     * @param {number} options.currentIndex - Current account index
+     * @returns {SelectionResult} The selected account and index
+     */
+    selectAccount(accounts, modelId, options = {}) {
+        const { onSave } = options;
+        let { currentIndex = 0 } = options;
+
+        if (accounts.length === 0) {
+            return { account: null, index: 0, waitMs: 0 };
+        }
+
+        // Clamp index to valid range
+        if (currentIndex < 0 || currentIndex >= accounts.length) {
+            currentIndex = 0;
+        }
+
+        const current = accounts[currentIndex];
+        if (this.isAccountUsable(current, modelId)) {
+            current.lastUsed = Date.now();
+            if (onSave) onSave();
+            return { account: current, index: currentIndex, waitMs: 0 };
+        }
+
+        // Current account is unusable - switch to the next usable one (wrapping around)
+        for (let i = 1; i < accounts.length; i++) {
+            const idx = (currentIndex + i) % accounts.length;
+            const account = accounts[idx];
+
+            if (this.isAccountUsable(account, modelId)) {
+                account.lastUsed = Date.now();
+                if (onSave) onSave();
+
+                logger.info(`[StickyStrategy] Switched to account: ${account.email} (${idx + 1}/${accounts.length})`);
+                return { account, index: idx, waitMs: 0 };
+            }
+        }
+
+        // No other account available - wait for the current one if its limit is short
+        const waitMs = this.#getWaitTime(current, modelId);
+        if (waitMs > 0 && waitMs <= MAX_WAIT_BEFORE_ERROR_MS) {
+            logger.info(`[StickyStrategy] Waiting ${Math.ceil(waitMs / 1000)}s for ${current.email} to become available`);
+            return { account: null, index: currentIndex, waitMs };
+        }
+
+        return { account: null, index: currentIndex, waitMs: 0 };
+    }
+
+    /**
+     * Get the remaining rate-limit time for an account that is otherwise valid
+     * @param {Object} account - Account object
+     * @param {string} modelId - Model ID to check
+     * @returns {number} Milliseconds until available, or 0 if not waiting on a rate limit
+     */
+    #getWaitTime(account, modelId) {
+        if (!account || account.isInvalid || account.enabled === false) return 0;
+
+        const limit = modelId && account.modelRateLimits?.[modelId];
+        if (limit?.isRateLimited && limit.resetTime > Date.now()) {
+            return limit.resetTime - Date.now();
+        }
+        return 0;
+    }
+}
+
+export default StickyStrategy;
@@ -0,0 +1,121 @@
+/**
+ * Health Tracker
+ *
+ * Tracks a per-account health score used by the hybrid strategy.
+ * Successes raise the score, rate limits and failures lower it, and
+ * scores passively recover over time so penalized accounts get another chance.
+ */
+
+const DEFAULT_CONFIG = {
+    initial: 70,
+    successReward: 1,
+    rateLimitPenalty: -10,
+    failurePenalty: -20,
+    recoveryPerHour: 2,
+    minUsable: 50,
+    maxScore: 100
+};
+
+export class HealthTracker {
+    #records = new Map(); // email -> { score, lastUpdated, consecutiveFailures }
+    #config;
+
+    /**
+     * Create a new HealthTracker
+     * @param {Object} config - Health score configuration (see DEFAULT_CONFIG)
+     */
+    constructor(config = {}) {
+        this.#config = { ...DEFAULT_CONFIG, ...config };
+    }
+
+    /**
+     * Get the current health score for an account, including passive recovery
+     * @param {string} email - Account email
+     * @returns {number} Health score between 0 and maxScore
+     */
+    getScore(email) {
+        const record = this.#records.get(email);
+        if (!record) return this.#config.initial;
+
+        const hoursElapsed = (Date.now() - record.lastUpdated) / 3600000;
+        const recovered = Math.floor(hoursElapsed * this.#config.recoveryPerHour);
+        return Math.min(this.#config.maxScore, record.score + recovered);
+    }
+
+    /**
+     * Record a successful request
+     * @param {string} email - Account email
+     */
+    recordSuccess(email) {
+        this.#update(email, this.#config.successReward, false);
+    }
+
+    /**
+     * Record a rate-limited request
+     * @param {string} email - Account email
+     */
+    recordRateLimit(email) {
+        this.#update(email, this.#config.rateLimitPenalty, true);
+    }
+
+    /**
+     * Record a failed request (non-rate-limit error)
+     * @param {string} email - Account email
+     */
+    recordFailure(email) {
+        this.#update(email, this.#config.failurePenalty, true);
+    }
+
+    /**
+     * Check if an account is healthy enough to be selected
+     * @param {string} email - Account email
+     * @returns {boolean} True if score >= minUsable
+     */
+    isUsable(email) {
+        return this.getScore(email) >= this.#config.minUsable;
+    }
+
+    /**
+     * Get the number of consecutive rate limits/failures since the last success
+     * @param {string} email - Account email
+     * @returns {number} Consecutive failure count
+     */
+    getConsecutiveFailures(email) {
+        return this.#records.get(email)?.consecutiveFailures || 0;
+    }
+
+    /**
+     * Reset an account to the initial score
+     * @param {string} email - Account email
+     */
+    reset(email) {
+        this.#records.delete(email);
+    }
+
+    /**
+     * Clear all tracked scores
+     */
+    clear() {
+        this.#records.clear();
+    }
+
+    /**
+     * Apply a score delta, folding in any passive recovery so far
+     * @param {string} email - Account email
+     * @param {number} delta - Points to add (negative for penalties)
+     * @param {boolean} isFailure - Whether this counts as a consecutive failure
+     */
+    #update(email, delta, isFailure) {
+        const current = this.getScore(email);
+        const previous = this.#records.get(email);
+        const score = Math.max(0, Math.min(this.#config.maxScore, current + delta));
+
+        this.#records.set(email, {
+            score,
+            lastUpdated: Date.now(),
+            consecutiveFailures: isFailure ? (previous?.consecutiveFailures || 0) + 1 : 0
+        });
+    }
+}
+
+export default HealthTracker;
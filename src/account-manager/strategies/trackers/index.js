@@ -0,0 +1,8 @@
+/**
+ * Trackers
+ *
+ * Per-account state used by the hybrid strategy.
+ */
+
+export { HealthTracker } from './health-tracker.js';
+export { TokenBucketTracker } from './token-bucket-tracker.js';
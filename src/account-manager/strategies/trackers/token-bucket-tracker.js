@@ -0,0 +1,105 @@
+/**
+ * Token Bucket Tracker
+ *
+ * Client-side per-account token bucket used by the hybrid strategy to spread
+ * requests across accounts. Each selection consumes a token and tokens
+ * regenerate continuously up to the bucket capacity.
+ */
+
+const DEFAULT_CONFIG = {
+    maxTokens: 50,
+    tokensPerMinute: 6,
+    initialTokens: 50
+};
+
+export class TokenBucketTracker {
+    #buckets = new Map(); // email -> { tokens, lastUpdated }
+    #config;
+
+    /**
+     * Create a new TokenBucketTracker
+     * @param {Object} config - Token bucket configuration (see DEFAULT_CONFIG)
+     */
+    constructor(config = {}) {
+        this.#config = { ...DEFAULT_CONFIG, ...config };
+    }
+
+    /**
+     * Get the whole tokens currently available for an account
+     * @param {string} email - Account email
+     * @returns {number} Available tokens
+     */
+    getTokens(email) {
+        return Math.floor(this.#currentTokens(email));
+    }
+
+    /**
+     * Check if an account has at least one token available
+     * @param {string} email - Account email
+     * @returns {boolean} True if a token can be consumed
+     */
+    hasTokens(email) {
+        return this.#currentTokens(email) >= 1;
+    }
+
+    /**
+     * Consume a token for an account
+     * @param {string} email - Account email
+     * @returns {boolean} True if a token was consumed, false if the bucket is empty
+     */
+    consume(email) {
+        const tokens = this.#currentTokens(email);
+        if (tokens < 1) return false;
+
+        this.#buckets.set(email, { tokens: tokens - 1, lastUpdated: Date.now() });
+        return true;
+    }
+
+    /**
+     * Return a token to an account (e.g. the request failed before reaching upstream)
+     * @param {string} email - Account email
+     */
+    refund(email) {
+        const tokens = Math.min(this.#config.maxTokens, this.#currentTokens(email) + 1);
+        this.#buckets.set(email, { tokens, lastUpdated: Date.now() });
+    }
+
+    /**
+     * Get the bucket capacity
+     * @returns {number} Maximum tokens per account
+     */
+    getMaxTokens() {
+        return this.#config.maxTokens;
+    }
+
+    /**
+     * Reset an account to the initial token count
+     * @param {string} email - Account email
+     */
+    reset(email) {
+        this.#buckets.delete(email);
+    }
+
+    /**
+     * Clear all tracked buckets
+     */
+    clear() {
+        this.#buckets.clear();
+    }
+
+    /**
+     * Compute the current (fractional) token count including regeneration
+     * @param {string} email - Account email
+     * @returns {number} Current tokens
+     */
+    #currentTokens(email) {
+        const bucket = this.#buckets.get(email);
+        if (!bucket) return this.#config.initialTokens;
+
+        const minutesElapsed = (Date.now() - bucket.lastUpdated) / 60000;
+        const regenerated = minutesElapsed * this.#config.tokensPerMinute;
+        return Math.min(this.#config.maxTokens, bucket.tokens + regenerated);
+    }
+}
+
+export default TokenBucketTracker;
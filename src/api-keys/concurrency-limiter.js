@@ -0,0 +1,170 @@
+/**
+ * Concurrency Limiter
+ * Max in-flight requests per API key
+ *
+ * Slots live in SQLite (api_key_inflight_requests) so the limit holds across
+ * instances sharing the database. A slot is released when its response closes.
+ * Slots left behind by a proxy that died are reclaimed when its process is gone
+ * (same host) or after INFLIGHT_LEASE_MS (any host).
+ *
+ * Holders include a random instance ID, because a restarted proxy can get the
+ * same PID as the one that died (e.g. PID 1 in a container that keeps its hostname).
+ */
+
+import crypto from 'crypto';
+import os from 'os';
+import { apiKeyRateLimitRejectionsTotal } from '../metrics/index.js';
+import {
+    acquireInflightSlot,
+    releaseInflightSlot,
+    countInflightRequests,
+    getInflightHolders,
+    deleteInflightSlotsByHolder
+} from '../database/models/rate-limits.js';
+import { logger } from '../utils/logger.js';
+
+// How long a slot is held before it is assumed leaked (1 hour)
+export const INFLIGHT_LEASE_MS = 60 * 60 * 1000;
+
+// Identifies slots held by this process: "<hostname>:<pid>:<instance id>"
+const HOSTNAME = os.hostname();
+const INSTANCE_ID = crypto.randomBytes(6).toString('hex');
+const HOLDER = `${HOSTNAME}:${process.pid}:${INSTANCE_ID}`;
+
+/**
+ * Split a slot holder into its parts
+ * Holders written before instance IDs were added are "<hostname>:<pid>".
+ * @param {string} holder - Slot holder
+ * @returns {{host: string, pid: number, instanceId: string|null}} Holder parts
+ */
+function parseHolder(holder) {
+    const match = /^(.*):(\d+)(?::([0-9a-f]+))?$/.exec(holder);
+    if (!match) return { host: null, pid: NaN, instanceId: null };
+    return { host: match[1], pid: parseInt(match[2], 10), instanceId: match[3] || null };
+}
+
+/**
+ * Check if a process on this host is still running
+ * @param {number} pid - Process ID
+ * @returns {boolean} True if the process exists
+ */
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        // EPERM: exists but owned by another user
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Release slots held by proxy processes on this host that are no longer running
+ * (e.g. after a crash or a `npm run dev` reload)
+ *
+ * A holder with this process's PID but another instance ID is a previous run
+ * of this proxy whose PID was reused, so its slots are released too.
+ *
+ * @returns {number} Number of released slots
+ */
+export function releaseDeadHolderSlots() {
+    let released = 0;
+    for (const holder of getInflightHolders()) {
+        if (holder === HOLDER) continue;
+
+        const { host, pid } = parseHolder(holder);
+        if (host !== HOSTNAME) continue;
+        if (pid !== process.pid && isProcessAlive(pid)) continue;
+        released += deleteInflightSlotsByHolder(holder);
+    }
+
+    if (released > 0) {
+        logger.info(`[ConcurrencyLimiter] Released ${released} slot(s) held by stopped processes`);
+    }
+    return released;
+}
+
+/**
+ * Concurrency slot result
+ * @typedef {Object} ConcurrencySlot
+ * @property {boolean} allowed - Whether the request may proceed
+ * @property {string|null} error - Error message if the limit is reached
+ * @property {number|null} retryAfter - Suggested seconds before retrying
+ * @property {number} current - In-flight requests for the key (including this one if allowed)
+ * @property {Function} release - Releases the slot; safe to call more than once
+ */
+
+/**
+ * Take an in-flight slot for a request
+ * Call release() when the response has finished or the client disconnected.
+ *
+ * @param {Object} keyEntry - The API key entry
+ * @returns {ConcurrencySlot} Slot result
+ */
+export function acquireConcurrencySlot(keyEntry) {
+    const { id, max_concurrent_requests } = keyEntry;
+
+    if (!max_concurrent_requests) {
+        return { allowed: true, error: null, retryAfter: null, current: 0, release: () => {} };
+    }
+
+    const now = Date.now();
+    const slot = {
+        id: crypto.randomUUID(),
+        api_key_id: id,
+        holder: HOLDER,
+        started_at: now
+    };
+    const staleBefore = now - INFLIGHT_LEASE_MS;
+
+    let result = acquireInflightSlot(slot, max_concurrent_requests, staleBefore);
+
+    // The limit may only be reached because of slots a stopped process never released
+    if (!result.acquired && releaseDeadHolderSlots() > 0) {
+        result = acquireInflightSlot(slot, max_concurrent_requests, staleBefore);
+    }
+
+    if (!result.acquired) {
+        apiKeyRateLimitRejectionsTotal.inc({ key_id: id, window: 'concurrency' });
+        return {
+            allowed: false,
+            error: `Concurrency limit exceeded: ${result.current}/${max_concurrent_requests} requests in flight`,
+            retryAfter: 1,
+            current: result.current,
+            release: () => {}
+        };
+    }
+
+    let released = false;
+    return {
+        allowed: true,
+        error: null,
+        retryAfter: null,
+        current: result.current,
+        release: () => {
+            if (released) return;
+            released = true;
+            try {
+                releaseInflightSlot(slot.id);
+            } catch (error) {
+                logger.warn('[ConcurrencyLimiter] Failed to release slot:', error.message);
+            }
+        }
+    };
+}
+
+/**
+ * Get current concurrency status for a key
+ * @param {Object} keyEntry - The API key entry
+ * @returns {Object} { current, limit, remaining }
+ */
+export function getConcurrencyStatus(keyEntry) {
+    const { id, max_concurrent_requests } = keyEntry;
+    const current = countInflightRequests(id, Date.now() - INFLIGHT_LEASE_MS);
+
+    return {
+        current,
+        limit: max_concurrent_requests || null,
+        remaining: max_concurrent_requests ? Math.max(0, max_concurrent_requests - current) : null
+    };
+}
@@ -15,6 +15,7 @@ export {
     updateApiKey,
     deleteApiKey,
     regenerateApiKey,
+    retirePreviousApiKey,
     recordApiKeyUsage,
     hasApiKeys
 } from '../database/models/api-keys.js';
@@ -26,14 +27,52 @@ export {
     matchModelPattern,
     isModelAllowed,
     matchIpPattern,
-    isIpAllowed
+    isIpAllowed,
+    validateIpWhitelist
 } from './validator.js';
 
+// Scopes and request policies
+export {
+    API_KEY_SCOPES,
+    getEndpointScope,
+    hasRequestPolicies,
+    checkPermissions,
+    validateScopes,
+    validateAllowedTools
+} from './permissions.js';
+
 // Rate limiting
 export {
     checkRateLimit,
     recordRequest,
     getRateLimitStatus,
     resetRateLimit,
+    clearRateLimitCache,
     getAllRateLimits
 } from './rate-limiter.js';
+
+// Concurrency limiting
+export {
+    acquireConcurrencySlot,
+    getConcurrencyStatus,
+    releaseDeadHolderSlots
+} from './concurrency-limiter.js';
+
+// Key rotation
+export {
+    MAX_GRACE_PERIOD_MS,
+    RETIRE_INTERVAL_MS,
+    getUsedKeyPrefix,
+    getKeyRotationStatus,
+    validateGracePeriod,
+    retireExpiredKeys
+} from './key-rotation.js';
+
+// Token budgets
+export {
+    getBudgetWindows,
+    hasTokenBudgets,
+    getTokenBudgetStatus,
+    checkTokenBudget,
+    validateModelTokenBudgets
+} from './token-budget.js';
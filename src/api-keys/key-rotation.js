@@ -0,0 +1,74 @@
+/**
+ * Key Rotation
+ * Grace periods for regenerated API keys
+ *
+ * Regenerating a key with a grace period keeps the replaced key valid until the
+ * period ends. Requests record the prefix of the key they authenticated with, so
+ * clients still on the previous key can be found in request_logs. Expired
+ * previous keys are rejected at lookup and retired by retireExpiredKeys().
+ */
+
+import { retireExpiredPreviousKeys } from '../database/models/api-keys.js';
+import { getKeyClients } from '../database/models/request-logs.js';
+import { logger } from '../utils/logger.js';
+
+// Longest grace period a rotation can keep the previous key valid (30 days)
+export const MAX_GRACE_PERIOD_MS = 30 * 24 * 60 * 60 * 1000;
+
+// How often expired previous keys are retired
+export const RETIRE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Get the prefix of the key a request authenticated with
+ * @param {Object} keyEntry - The API key entry from validateApiKey
+ * @returns {string} The current or previous key prefix
+ */
+export function getUsedKeyPrefix(keyEntry) {
+    return keyEntry.using_previous_key ? keyEntry.previous_key_prefix : keyEntry.key_prefix;
+}
+
+/**
+ * Get the rotation status of an API key
+ * @param {Object} keyEntry - The API key entry
+ * @returns {Object|null} { previousKeyPrefix, rotatedAt, expiresAt, active, clients } or null if never rotated
+ */
+export function getKeyRotationStatus(keyEntry) {
+    const { id, previous_key_prefix, previous_key_expires_at, rotated_at } = keyEntry;
+    if (!rotated_at) return null;
+
+    const active = Boolean(previous_key_expires_at && previous_key_expires_at > Date.now());
+
+    return {
+        previousKeyPrefix: previous_key_prefix,
+        rotatedAt: rotated_at,
+        expiresAt: active ? previous_key_expires_at : null,
+        active,
+        // Clients that used the previous key since the rotation
+        clients: active ? getKeyClients(id, previous_key_prefix, rotated_at) : []
+    };
+}
+
+/**
+ * Validate a grace period from a regenerate request
+ * @param {*} gracePeriodMs - Expected: undefined or an integer between 0 and MAX_GRACE_PERIOD_MS
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateGracePeriod(gracePeriodMs) {
+    if (gracePeriodMs === undefined || gracePeriodMs === null) return null;
+    if (!Number.isInteger(gracePeriodMs) || gracePeriodMs < 0 || gracePeriodMs > MAX_GRACE_PERIOD_MS) {
+        return `grace_period_ms must be an integer between 0 and ${MAX_GRACE_PERIOD_MS} (30 days)`;
+    }
+    return null;
+}
+
+/**
+ * Retire previous keys whose grace period has ended
+ * @returns {number} Number of retired keys
+ */
+export function retireExpiredKeys() {
+    const retired = retireExpiredPreviousKeys();
+    for (const key of retired) {
+        logger.info(`[API Keys] Grace period ended: retired previous key ${key.previous_key_prefix} of "${key.name}"`);
+    }
+    return retired.length;
+}
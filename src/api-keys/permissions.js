@@ -0,0 +1,238 @@
+/**
+ * API Key Permissions
+ * Endpoint scopes and per-key request policies (streaming only, max tokens, thinking, tools)
+ *
+ * Policies are checked against the request converted to Anthropic format, the same
+ * form the proxy forwards, so OpenAI, Responses and Gemini requests are judged
+ * by the max_tokens, thinking and tools they actually end up with.
+ */
+
+import { isThinkingModel } from '../constants.js';
+import { convertOpenAIToAnthropic, convertResponsesToAnthropic } from '../format/openai/index.js';
+import { convertGeminiToAnthropic } from '../format/gemini/index.js';
+import { matchModelPattern } from './validator.js';
+
+/**
+ * Endpoint scopes an API key can be limited to
+ */
+export const API_KEY_SCOPES = [
+    'messages',
+    'count_tokens',
+    'chat.completions',
+    'responses',
+    'generate_content',
+    'models.read',
+    'batches'
+];
+
+/**
+ * Normalize a request path for scope matching
+ * Express routes match case-insensitively and ignore a trailing slash, and the
+ * Gemini model segment may be percent-encoded, so scopes are matched the same way.
+ * @param {string} path - Full request path
+ * @returns {string} Decoded, lowercased path without trailing slashes
+ */
+function normalizeEndpointPath(path) {
+    let decoded = String(path || '');
+    try {
+        decoded = decodeURIComponent(decoded);
+    } catch {
+        // Invalid percent-encoding: match the raw path
+    }
+    return decoded.toLowerCase().replace(/\/+$/, '');
+}
+
+/**
+ * Check if a path is under the API prefixes (/v1 and /v1beta)
+ * @param {string} path - Full request path
+ * @returns {boolean} True for API paths
+ */
+function isApiPath(path) {
+    return /^\/v1(beta)?(\/|$)/.test(normalizeEndpointPath(path));
+}
+
+/**
+ * Get the scope required for an endpoint
+ * @param {string} method - HTTP method
+ * @param {string} path - Full request path (e.g. "/v1/messages"), matched case-insensitively
+ * @returns {string|null} The scope, or null for paths that are not known API endpoints
+ */
+export function getEndpointScope(method, path) {
+    const normalized = normalizeEndpointPath(path);
+    const isRead = method === 'GET' || method === 'HEAD';
+
+    if (normalized === '/v1/messages/batches' || normalized.startsWith('/v1/messages/batches/')) return 'batches';
+    if (normalized === '/v1/messages/count_tokens') return 'count_tokens';
+    if (normalized === '/v1/messages') return 'messages';
+    if (normalized === '/v1/chat/completions') return 'chat.completions';
+    if (normalized === '/v1/responses') return 'responses';
+    if (isRead && (normalized.startsWith('/v1/models') || normalized.startsWith('/v1beta/models'))) return 'models.read';
+
+    if (normalized.startsWith('/v1beta/models/')) {
+        const action = normalized.slice(normalized.lastIndexOf(':') + 1);
+        if (action === 'counttokens') return 'count_tokens';
+        if (action === 'generatecontent' || action === 'streamgeneratecontent') return 'generate_content';
+    }
+    return null;
+}
+
+/**
+ * Check if a key has request policies that need the request body
+ * @param {Object} keyEntry - The API key entry
+ * @returns {boolean} True if any request policy is set
+ */
+export function hasRequestPolicies(keyEntry) {
+    return Boolean(
+        keyEntry.streaming_only ||
+        keyEntry.max_tokens_limit ||
+        keyEntry.thinking_disabled ||
+        keyEntry.allowed_tools
+    );
+}
+
+/**
+ * Get the generation requests an endpoint call would make, in Anthropic format
+ * @param {string} scope - Endpoint scope
+ * @param {string} method - HTTP method
+ * @param {string} path - Normalized request path (see normalizeEndpointPath)
+ * @param {Object} body - Request body
+ * @param {string} [model] - Requested model (Gemini puts it in the path)
+ * @returns {Object[]} Anthropic-format requests (empty if the call generates nothing)
+ */
+function getGenerationRequests(scope, method, path, body, model) {
+    switch (scope) {
+        case 'messages':
+            return [body];
+        case 'chat.completions':
+            return [convertOpenAIToAnthropic(body)];
+        case 'responses':
+            return [convertResponsesToAnthropic(body)];
+        case 'generate_content':
+            return [{
+                ...convertGeminiToAnthropic(body, model),
+                stream: path.endsWith(':streamgeneratecontent')
+            }];
+        case 'batches':
+            // Only batch creation generates; each item is a non-streaming Messages request
+            if (method !== 'POST' || path !== '/v1/messages/batches') return [];
+            return (Array.isArray(body.requests) ? body.requests : []).map(request => request?.params || {});
+        default:
+            return [];
+    }
+}
+
+/**
+ * Check one Anthropic-format request against the key's request policies
+ * @param {Object} keyEntry - The API key entry
+ * @param {Object} request - Anthropic-format request
+ * @returns {string|null} Error message, or null if allowed
+ */
+function checkRequestPolicy(keyEntry, request) {
+    if (keyEntry.streaming_only && !request.stream) {
+        return 'This API key only allows streaming requests';
+    }
+
+    if (keyEntry.max_tokens_limit && request.max_tokens > keyEntry.max_tokens_limit) {
+        return `max_tokens ${request.max_tokens} exceeds this API key's limit of ${keyEntry.max_tokens_limit}`;
+    }
+
+    if (keyEntry.thinking_disabled && (request.thinking?.type === 'enabled' || isThinkingModel(request.model))) {
+        return 'Thinking is not allowed for this API key';
+    }
+
+    if (keyEntry.allowed_tools && Array.isArray(request.tools)) {
+        for (const tool of request.tools) {
+            const name = tool.name || tool.function?.name || tool.custom?.name;
+            if (!keyEntry.allowed_tools.some(pattern => matchModelPattern(name, pattern))) {
+                return `Tool ${name} is not allowed for this API key`;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Permission check result
+ * @typedef {Object} PermissionResult
+ * @property {boolean} allowed - Whether the request is allowed
+ * @property {string|null} error - Error message if denied
+ */
+
+/**
+ * Check an endpoint call against the key's scopes and request policies
+ * @param {Object} keyEntry - The API key entry
+ * @param {Object} endpoint - The endpoint call
+ * @param {string} endpoint.method - HTTP method
+ * @param {string} endpoint.path - Full request path
+ * @param {Object} [endpoint.body] - Request body
+ * @param {string} [endpoint.model] - Requested model
+ * @returns {PermissionResult} Permission check result
+ */
+export function checkPermissions(keyEntry, { method, path, body, model }) {
+    const scope = getEndpointScope(method, path);
+
+    // Scoped keys only reach endpoints they have a scope for
+    if (!scope && keyEntry.scopes && isApiPath(path)) {
+        return { allowed: false, error: 'This API key cannot access this endpoint' };
+    }
+
+    if (scope && keyEntry.scopes && !keyEntry.scopes.includes(scope)) {
+        return { allowed: false, error: `This API key does not have the ${scope} scope` };
+    }
+
+    if (!scope || !hasRequestPolicies(keyEntry)) {
+        return { allowed: true, error: null };
+    }
+
+    let requests;
+    try {
+        requests = getGenerationRequests(scope, method, normalizeEndpointPath(path), body || {}, model);
+    } catch {
+        // Malformed body: the endpoint rejects it with its own validation error
+        return { allowed: true, error: null };
+    }
+
+    for (const [index, request] of requests.entries()) {
+        const error = checkRequestPolicy(keyEntry, request);
+        if (error) {
+            return {
+                allowed: false,
+                error: scope === 'batches' ? `requests.${index}: ${error}` : error
+            };
+        }
+    }
+
+    return { allowed: true, error: null };
+}
+
+/**
+ * Validate scopes from a create/update request
+ * @param {*} scopes - Expected: null or an array of API_KEY_SCOPES
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateScopes(scopes) {
+    if (scopes === null || scopes === undefined) return null;
+    if (!Array.isArray(scopes)) {
+        return 'scopes must be an array';
+    }
+
+    const unknown = scopes.find(scope => !API_KEY_SCOPES.includes(scope));
+    if (unknown !== undefined) {
+        return `Unknown scope: ${unknown}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`;
+    }
+    return null;
+}
+
+/**
+ * Validate allowed tool patterns from a create/update request
+ * @param {*} tools - Expected: null or an array of tool name patterns
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateAllowedTools(tools) {
+    if (tools === null || tools === undefined) return null;
+    if (!Array.isArray(tools) || tools.some(tool => typeof tool !== 'string' || !tool.trim())) {
+        return 'allowed_tools must be an array of tool name patterns';
+    }
+    return null;
+}
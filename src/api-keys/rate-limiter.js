@@ -1,21 +1,40 @@
 /**
  * Rate Limiter
  * Sliding window rate limiting for API keys
+ *
+ * Windows are persisted in SQLite (api_key_rate_limit_events) so they survive
+ * restarts and are shared by every instance using the same database. The
+ * in-memory store is a cache that is reloaded from the database at most once
+ * per RATE_LIMIT_SYNC_INTERVAL_MS, so other instances' requests are seen
+ * within that interval.
  */
 
+import { apiKeyRateLimitRejectionsTotal } from '../metrics/index.js';
+import {
+    recordRateLimitEvent,
+    getRateLimitEvents,
+    deleteRateLimitEvents,
+    pruneRateLimitEvents
+} from '../database/models/rate-limits.js';
+import { logger } from '../utils/logger.js';
+
 /**
- * In-memory store for rate limit tracking
- * Structure: Map<keyId, { rpm: number[], rph: number[] }>
+ * In-memory cache for rate limit tracking
+ * Structure: Map<keyId, { rpm: number[], rph: number[], syncedAt: number }>
  * - rpm: Array of timestamps for requests in the current minute
  * - rph: Array of timestamps for requests in the current hour
+ * - syncedAt: When the timestamps were last loaded from the database
  */
 const rateLimitStore = new Map();
 
+// How long cached windows are trusted before reloading from the database
+export const RATE_LIMIT_SYNC_INTERVAL_MS = 1000;
+
 // Cleanup interval (every 5 minutes)
 const CLEANUP_INTERVAL_MS = 5 * 60 * 1000;
 
 /**
- * Clean up expired entries from the rate limit store
+ * Clean up expired entries from the rate limit store and database
  */
 function cleanupExpiredEntries() {
     const now = Date.now();
@@ -31,21 +50,37 @@ function cleanupExpiredEntries() {
             rateLimitStore.delete(keyId);
         }
     }
+
+    try {
+        pruneRateLimitEvents(oneHourAgo);
+    } catch (error) {
+        logger.warn('[RateLimiter] Failed to prune rate limit events:', error.message);
+    }
 }
 
 // Start cleanup interval
 setInterval(cleanupExpiredEntries, CLEANUP_INTERVAL_MS);
 
 /**
- * Get or create rate limit data for a key
+ * Get rate limit data for a key, reloading it from the database when stale
  * @param {string} keyId - The API key ID
+ * @param {number} [now=Date.now()] - Current timestamp
  * @returns {Object} Rate limit data object
  */
-function getRateLimitData(keyId) {
-    if (!rateLimitStore.has(keyId)) {
-        rateLimitStore.set(keyId, { rpm: [], rph: [] });
+function getRateLimitData(keyId, now = Date.now()) {
+    const cached = rateLimitStore.get(keyId);
+    if (cached && now - cached.syncedAt < RATE_LIMIT_SYNC_INTERVAL_MS) {
+        return cached;
     }
-    return rateLimitStore.get(keyId);
+
+    const rph = getRateLimitEvents(keyId, now - 60 * 60 * 1000);
+    const data = {
+        rpm: rph.filter(ts => ts > now - 60 * 1000),
+        rph,
+        syncedAt: now
+    };
+    rateLimitStore.set(keyId, data);
+    return data;
 }
 
 /**
@@ -81,7 +116,7 @@ export function checkRateLimit(keyEntry) {
     const oneMinuteAgo = now - 60 * 1000;
     const oneHourAgo = now - 60 * 60 * 1000;
 
-    const data = getRateLimitData(id);
+    const data = getRateLimitData(id, now);
 
     // Clean up old timestamps
     data.rpm = data.rpm.filter(ts => ts > oneMinuteAgo);
@@ -96,6 +131,7 @@ export function checkRateLimit(keyEntry) {
         const oldestRpm = Math.min(...data.rpm);
         const retryAfterMs = (oldestRpm + 60 * 1000) - now;
         const retryAfter = Math.ceil(retryAfterMs / 1000);
+        apiKeyRateLimitRejectionsTotal.inc({ key_id: id, window: 'rpm' });
 
         return {
             allowed: false,
@@ -111,6 +147,7 @@ export function checkRateLimit(keyEntry) {
         const oldestRph = Math.min(...data.rph);
         const retryAfterMs = (oldestRph + 60 * 60 * 1000) - now;
         const retryAfter = Math.ceil(retryAfterMs / 1000);
+        apiKeyRateLimitRejectionsTotal.inc({ key_id: id, window: 'rph' });
 
         return {
             allowed: false,
@@ -136,10 +173,14 @@ export function checkRateLimit(keyEntry) {
  */
 export function recordRequest(keyId) {
     const now = Date.now();
-    const data = getRateLimitData(keyId);
+    recordRateLimitEvent(keyId, now);
 
-    data.rpm.push(now);
-    data.rph.push(now);
+    // Keep a fresh cache entry in step; a stale one reloads the event above
+    const data = rateLimitStore.get(keyId);
+    if (data) {
+        data.rpm.push(now);
+        data.rph.push(now);
+    }
 }
 
 /**
@@ -154,7 +195,7 @@ export function getRateLimitStatus(keyEntry) {
     const oneMinuteAgo = now - 60 * 1000;
     const oneHourAgo = now - 60 * 60 * 1000;
 
-    const data = getRateLimitData(id);
+    const data = getRateLimitData(id, now);
 
     // Clean up and count
     data.rpm = data.rpm.filter(ts => ts > oneMinuteAgo);
@@ -180,6 +221,14 @@ export function getRateLimitStatus(keyEntry) {
  */
 export function resetRateLimit(keyId) {
     rateLimitStore.delete(keyId);
+    deleteRateLimitEvents(keyId);
+}
+
+/**
+ * Drop the in-memory cache; windows are reloaded from the database on next use
+ */
+export function clearRateLimitCache() {
+    rateLimitStore.clear();
 }
 
 /**
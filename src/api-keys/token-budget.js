@@ -0,0 +1,171 @@
+/**
+ * Token Budgets
+ * Daily/monthly input + output token budgets per API key, computed from request_logs
+ *
+ * Windows are UTC calendar days and months. A request is allowed while usage is
+ * below the budget, so the request that crosses it may overshoot; the next one is
+ * rejected until the window resets. Request logs are kept for 31 days
+ * (REQUEST_LOG_RETENTION_DAYS) so the monthly window is always complete.
+ */
+
+import { getTokenUsageByModel } from '../database/models/request-logs.js';
+import { matchModelPattern } from './validator.js';
+
+/**
+ * Get the current budget windows
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {{dayStart: number, dayEnd: number, monthStart: number, monthEnd: number}} Window boundaries (UTC)
+ */
+export function getBudgetWindows(now = Date.now()) {
+    const date = new Date(now);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+
+    return {
+        dayStart: Date.UTC(year, month, day),
+        dayEnd: Date.UTC(year, month, day + 1),
+        monthStart: Date.UTC(year, month, 1),
+        monthEnd: Date.UTC(year, month + 1, 1)
+    };
+}
+
+/**
+ * Check if a key has any token budget configured
+ * @param {Object} keyEntry - The API key entry
+ * @returns {boolean} True if a daily, monthly or per-model budget is set
+ */
+export function hasTokenBudgets(keyEntry) {
+    return Boolean(
+        keyEntry.token_budget_daily ||
+        keyEntry.token_budget_monthly ||
+        keyEntry.model_token_budgets?.length
+    );
+}
+
+/**
+ * Describe one budget window
+ * @param {number|null} limit - Budget (null = unlimited)
+ * @param {number} used - Tokens used in the window
+ * @param {number} resetsAt - Window end timestamp
+ * @returns {Object|null} { limit, used, remaining, resets_at }, or null if unlimited
+ */
+function describeBudget(limit, used, resetsAt) {
+    if (!limit) return null;
+    return {
+        limit,
+        used,
+        remaining: Math.max(0, limit - used),
+        resets_at: resetsAt
+    };
+}
+
+/**
+ * Get a key's token budgets with current usage
+ * @param {Object} keyEntry - The API key entry
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {Object|null} { daily, monthly, models: [{ model, daily, monthly }] }, or null if the key has no budgets
+ */
+export function getTokenBudgetStatus(keyEntry, now = Date.now()) {
+    if (!hasTokenBudgets(keyEntry)) return null;
+
+    const { dayStart, dayEnd, monthStart, monthEnd } = getBudgetWindows(now);
+    const usage = getTokenUsageByModel(keyEntry.id, monthStart, dayStart);
+
+    const sumUsage = (rows) => ({
+        daily: rows.reduce((sum, row) => sum + row.daily_tokens, 0),
+        monthly: rows.reduce((sum, row) => sum + row.monthly_tokens, 0)
+    });
+
+    const total = sumUsage(usage);
+
+    return {
+        daily: describeBudget(keyEntry.token_budget_daily, total.daily, dayEnd),
+        monthly: describeBudget(keyEntry.token_budget_monthly, total.monthly, monthEnd),
+        models: (keyEntry.model_token_budgets || []).map(budget => {
+            const modelUsage = sumUsage(usage.filter(row => matchModelPattern(row.model, budget.model)));
+            return {
+                model: budget.model,
+                daily: describeBudget(budget.daily, modelUsage.daily, dayEnd),
+                monthly: describeBudget(budget.monthly, modelUsage.monthly, monthEnd)
+            };
+        })
+    };
+}
+
+/**
+ * Token budget check result
+ * @typedef {Object} TokenBudgetResult
+ * @property {boolean} allowed - Whether the request is allowed
+ * @property {string|null} error - Error message if a budget is exhausted
+ * @property {number|null} retryAfter - Seconds until the exhausted budget resets
+ */
+
+/**
+ * Check if a request for a model is within the key's token budgets
+ * @param {Object} keyEntry - The API key entry
+ * @param {string} model - The requested model
+ * @param {number} [now=Date.now()] - Current timestamp
+ * @returns {TokenBudgetResult} Budget check result
+ */
+export function checkTokenBudget(keyEntry, model, now = Date.now()) {
+    const status = getTokenBudgetStatus(keyEntry, now);
+    if (!status) {
+        return { allowed: true, error: null, retryAfter: null };
+    }
+
+    const budgets = [
+        { scope: null, period: 'day', budget: status.daily },
+        { scope: null, period: 'month', budget: status.monthly }
+    ];
+    for (const entry of status.models) {
+        if (!matchModelPattern(model, entry.model)) continue;
+        budgets.push({ scope: entry.model, period: 'day', budget: entry.daily });
+        budgets.push({ scope: entry.model, period: 'month', budget: entry.monthly });
+    }
+
+    // When several budgets are exhausted, report the one that resets last
+    const exhausted = budgets
+        .filter(({ budget }) => budget && budget.remaining === 0)
+        .sort((a, b) => b.budget.resets_at - a.budget.resets_at)[0];
+
+    if (!exhausted) {
+        return { allowed: true, error: null, retryAfter: null };
+    }
+
+    const { scope, period, budget } = exhausted;
+    const subject = scope ? `Token budget for ${scope}` : 'Token budget';
+
+    return {
+        allowed: false,
+        error: `${subject} exceeded: ${budget.used}/${budget.limit} tokens per ${period} (resets ${new Date(budget.resets_at).toISOString()})`,
+        retryAfter: Math.max(1, Math.ceil((budget.resets_at - now) / 1000))
+    };
+}
+
+/**
+ * Validate per-model token budgets from a create/update request
+ * @param {*} budgets - Expected: null or [{ model, daily?, monthly? }]
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateModelTokenBudgets(budgets) {
+    if (budgets === null || budgets === undefined) return null;
+    if (!Array.isArray(budgets)) {
+        return 'model_token_budgets must be an array';
+    }
+
+    const isBudget = (value) => value === undefined || value === null || (Number.isInteger(value) && value > 0);
+
+    for (const [index, budget] of budgets.entries()) {
+        if (!budget || typeof budget.model !== 'string' || !budget.model.trim()) {
+            return `model_token_budgets.${index}.model is required`;
+        }
+        if (!isBudget(budget.daily) || !isBudget(budget.monthly)) {
+            return `model_token_budgets.${index} daily/monthly must be positive integers`;
+        }
+        if (!budget.daily && !budget.monthly) {
+            return `model_token_budgets.${index} needs a daily or monthly budget`;
+        }
+    }
+    return null;
+}
@@ -1,10 +1,16 @@
 /**
  * API Key Validator
- * Validates API keys and checks restrictions (model, IP, expiration)
+ * Validates API keys and checks restrictions (model, IP, expiration, scopes)
  */
 
 import { hashApiKey, findApiKeyByHash } from '../database/models/api-keys.js';
 import { checkRateLimit } from './rate-limiter.js';
+import { checkTokenBudget } from './token-budget.js';
+import { checkPermissions } from './permissions.js';
+import { matchIpPattern, isValidIpPattern } from '../utils/ip.js';
+
+// IP pattern matching is shared with trusted-proxy resolution
+export { matchIpPattern };
 
 /**
  * Match a model name against a pattern (supports glob-like wildcards)
@@ -44,36 +50,6 @@ export function isModelAllowed(model, allowedModels) {
     return allowedModels.some(pattern => matchModelPattern(model, pattern));
 }
 
-/**
- * Match an IP address against a pattern (supports wildcards)
- * Examples:
- *   - "192.168.1.*" matches "192.168.1.100", "192.168.1.1"
- *   - "10.0.0.1" matches only "10.0.0.1" exactly
- *   - "::1" matches localhost IPv6
- *
- * @param {string} ip - The client IP to check
- * @param {string} pattern - The pattern to match against
- * @returns {boolean} True if IP matches pattern
- */
-export function matchIpPattern(ip, pattern) {
-    if (!pattern || !ip) return false;
-
-    // Normalize IPv6 localhost
-    const normalizedIp = ip === '::1' ? '127.0.0.1' : ip;
-    const normalizedPattern = pattern === '::1' ? '127.0.0.1' : pattern;
-
-    // Remove IPv6 prefix if present (e.g., "::ffff:192.168.1.1")
-    const cleanIp = normalizedIp.replace(/^::ffff:/, '');
-
-    // Escape special regex chars except *
-    const regexPattern = normalizedPattern
-        .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
-        .replace(/\*/g, '.*');
-
-    const regex = new RegExp(`^${regexPattern}$`, 'i');
-    return regex.test(cleanIp);
-}
-
 /**
  * Check if an IP is allowed by the key's IP whitelist
  * @param {string} ip - The client IP
@@ -89,6 +65,25 @@ export function isIpAllowed(ip, ipWhitelist) {
     return ipWhitelist.some(pattern => matchIpPattern(ip, pattern));
 }
 
+/**
+ * Validate an IP whitelist from a create/update request
+ * @param {*} ipWhitelist - Expected: null or an array of IPs, CIDR ranges or IPv4 wildcards
+ * @param {string} [field='ip_whitelist'] - Field name for the error message
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateIpWhitelist(ipWhitelist, field = 'ip_whitelist') {
+    if (ipWhitelist === null || ipWhitelist === undefined) return null;
+    if (!Array.isArray(ipWhitelist)) {
+        return `${field} must be an array`;
+    }
+
+    const invalid = ipWhitelist.find(pattern => !isValidIpPattern(pattern));
+    if (invalid !== undefined) {
+        return `Invalid ${field} entry: ${invalid}. Use an IP address, a CIDR range (10.0.0.0/8, 2001:db8::/32) or a wildcard (192.168.1.*)`;
+    }
+    return null;
+}
+
 /**
  * Validation result object
  * @typedef {Object} ValidationResult
@@ -96,7 +91,8 @@ export function isIpAllowed(ip, ipWhitelist) {
  * @property {Object|null} key - The key entry if valid
  * @property {string|null} error - Error message if invalid
  * @property {number} [status] - HTTP status code for error
- * @property {number} [retryAfter] - Seconds until rate limit resets
+ * @property {string} [errorType] - Anthropic error type when it is not implied by the status
+ * @property {number} [retryAfter] - Seconds until the rate limit or token budget resets
  */
 
 /**
@@ -105,10 +101,13 @@ export function isIpAllowed(ip, ipWhitelist) {
  * @param {Object} context - Request context
  * @param {string} context.model - The requested model
  * @param {string} context.ip - The client IP
+ * @param {string} [context.method] - HTTP method (scopes are only checked with a path)
+ * @param {string} [context.path] - Full request path, e.g. "/v1/messages"
+ * @param {Object} [context.body] - Request body, for request policies
  * @returns {ValidationResult} Validation result
  */
 export function validateApiKey(providedKey, context = {}) {
-    const { model, ip } = context;
+    const { model, ip, method, path, body } = context;
 
     // Check if key is provided
     if (!providedKey) {
@@ -173,6 +172,20 @@ export function validateApiKey(providedKey, context = {}) {
         };
     }
 
+    // Check scopes and request policies (streaming only, max tokens, thinking, tools)
+    if (path) {
+        const permissionResult = checkPermissions(keyEntry, { method, path, body, model });
+        if (!permissionResult.allowed) {
+            return {
+                valid: false,
+                key: keyEntry,
+                error: permissionResult.error,
+                status: 403,
+                errorType: 'permission_error'
+            };
+        }
+    }
+
     // Check rate limits
     const rateLimitResult = checkRateLimit(keyEntry);
     if (!rateLimitResult.allowed) {
@@ -185,6 +198,20 @@ export function validateApiKey(providedKey, context = {}) {
         };
     }
 
+    // Check token budgets (only requests for a model consume tokens)
+    if (model) {
+        const budgetResult = checkTokenBudget(keyEntry, model);
+        if (!budgetResult.allowed) {
+            return {
+                valid: false,
+                key: keyEntry,
+                error: budgetResult.error,
+                status: 429,
+                retryAfter: budgetResult.retryAfter
+            };
+        }
+    }
+
     // All checks passed
     return {
         valid: true,
@@ -195,7 +222,7 @@ export function validateApiKey(providedKey, context = {}) {
 
 /**
  * Extract API key from request headers
- * Supports: Authorization: Bearer <key> and X-API-Key: <key>
+ * Supports: Authorization: Bearer <key>, X-API-Key: <key> and X-Goog-Api-Key: <key>
  * @param {Object} headers - Request headers
  * @returns {string|null} The API key or null
  */
@@ -212,5 +239,11 @@ export function extractApiKey(headers) {
         return xApiKey;
     }
 
+    // Check X-Goog-Api-Key header (Google Gen AI SDKs)
+    const googApiKey = headers['x-goog-api-key'];
+    if (googApiKey) {
+        return googApiKey;
+    }
+
     return null;
 }
@@ -0,0 +1,80 @@
+/**
+ * Message Batches Module
+ * Emulates the Anthropic Message Batches API on top of the account pool
+ */
+
+export { BatchProcessor, DEFAULT_BATCH_CONCURRENCY } from './processor.js';
+
+/**
+ * Maximum number of requests in a single batch (matches the Anthropic API)
+ */
+export const MAX_BATCH_REQUESTS = 100000;
+
+const CUSTOM_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Validate the `requests` array of a create-batch request
+ * @param {Array} requests - [{ custom_id, params }]
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateBatchRequests(requests) {
+    if (!Array.isArray(requests) || requests.length === 0) {
+        return 'requests is required and must be a non-empty array';
+    }
+    if (requests.length > MAX_BATCH_REQUESTS) {
+        return `A batch may contain at most ${MAX_BATCH_REQUESTS} requests`;
+    }
+
+    const seen = new Set();
+    for (const [index, request] of requests.entries()) {
+        const customId = request?.custom_id;
+        if (typeof customId !== 'string' || !CUSTOM_ID_PATTERN.test(customId)) {
+            return `requests.${index}.custom_id must be 1-64 characters of letters, digits, '_' or '-'`;
+        }
+        if (seen.has(customId)) {
+            return `requests.${index}.custom_id "${customId}" is duplicated`;
+        }
+        seen.add(customId);
+
+        const params = request.params;
+        if (!params || typeof params !== 'object') {
+            return `requests.${index}.params is required`;
+        }
+        if (!params.model) {
+            return `requests.${index}.params.model is required`;
+        }
+        if (!Array.isArray(params.messages) || params.messages.length === 0) {
+            return `requests.${index}.params.messages is required and must be a non-empty array`;
+        }
+        if (params.stream) {
+            return `requests.${index}.params.stream is not supported in batches`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Format a stored batch as an Anthropic message_batch object
+ * @param {Object} batch - Batch from the message-batches model
+ * @param {string} baseUrl - Public base URL of the proxy (for results_url)
+ * @returns {Object} Anthropic message_batch object
+ */
+export function formatMessageBatch(batch, baseUrl) {
+    const toIso = (ms) => (ms ? new Date(ms).toISOString() : null);
+
+    return {
+        id: batch.id,
+        type: 'message_batch',
+        processing_status: batch.processing_status,
+        request_counts: batch.request_counts,
+        ended_at: toIso(batch.ended_at),
+        created_at: toIso(batch.created_at),
+        expires_at: toIso(batch.expires_at),
+        archived_at: null,
+        cancel_initiated_at: toIso(batch.cancel_initiated_at),
+        results_url: batch.processing_status === 'ended'
+            ? `${baseUrl}/v1/messages/batches/${batch.id}/results`
+            : null
+    };
+}
@@ -0,0 +1,202 @@
+/**
+ * Message Batch Processor
+ *
+ * Executes queued Message Batches in the background. Batches are processed one
+ * at a time (oldest first); requests within a batch run through sendMessage with
+ * a bounded number of workers, so batch traffic gets the same account selection
+ * and failover as interactive requests without monopolizing the pool.
+ */
+
+import { sendMessage } from '../cloudcode/index.js';
+import { config } from '../config.js';
+import { logger } from '../utils/logger.js';
+import {
+    getMessageBatch,
+    getActiveBatchIds,
+    resetInFlightBatchRequests,
+    claimNextBatchRequest,
+    completeBatchRequest,
+    resolvePendingBatchRequests,
+    endMessageBatch
+} from '../database/models/message-batches.js';
+
+/**
+ * Default number of batch requests processed in parallel
+ */
+export const DEFAULT_BATCH_CONCURRENCY = 4;
+
+export class BatchProcessor {
+    #accountManager;
+    #options;
+    #queue = [];
+    #running = false;
+
+    /**
+     * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+     * @param {Object} [options] - Processor options
+     * @param {boolean} [options.fallbackEnabled=false] - Whether to fall back to another model when quota is exhausted
+     * @param {Function} [options.ensureReady] - Async hook run before processing (e.g. account pool initialization)
+     * @param {Function} [options.prepareRequest] - Maps (stored params, batch) to { params, fallbackEnabled, fallbackChain } (e.g. model routing)
+     * @param {Function} [options.formatError] - Maps an Error to { errorType, errorMessage }
+     * @param {Function} [options.onRequestComplete] - Called with { batch, customId, params, result, trace, startTime, error }
+     */
+    constructor(accountManager, options = {}) {
+        this.#accountManager = accountManager;
+        this.#options = options;
+    }
+
+    /**
+     * Number of workers per batch: the configured concurrency, capped by the account count
+     * @returns {number} Worker count (at least 1)
+     */
+    getConcurrency() {
+        const configured = parseInt(config.batchConcurrency) || DEFAULT_BATCH_CONCURRENCY;
+        const accounts = this.#accountManager.getAccountCount() || 1;
+        return Math.max(1, Math.min(configured, accounts));
+    }
+
+    /**
+     * Queue a batch for processing
+     * @param {string} batchId - The batch ID
+     */
+    enqueue(batchId) {
+        if (!this.#queue.includes(batchId)) {
+            this.#queue.push(batchId);
+        }
+        this.#drain();
+    }
+
+    /**
+     * Re-queue batches left unfinished by a previous run
+     * @returns {number} Number of batches resumed
+     */
+    resume() {
+        const reset = resetInFlightBatchRequests();
+        const batchIds = getActiveBatchIds();
+
+        if (batchIds.length > 0) {
+            logger.info(`[Batches] Resuming ${batchIds.length} unfinished batch(es) (${reset} request(s) requeued)`);
+        }
+        batchIds.forEach(id => this.enqueue(id));
+        return batchIds.length;
+    }
+
+    /**
+     * Process queued batches until the queue is empty
+     */
+    async #drain() {
+        if (this.#running) return;
+        this.#running = true;
+
+        try {
+            while (this.#queue.length > 0) {
+                const batchId = this.#queue[0];
+                try {
+                    await this.#processBatch(batchId);
+                } catch (error) {
+                    // Leave the batch active so it is resumed on the next start
+                    logger.error(`[Batches] Failed to process batch ${batchId}:`, error);
+                }
+                this.#queue.shift();
+            }
+        } finally {
+            this.#running = false;
+        }
+    }
+
+    /**
+     * Process every pending request of a batch, then mark it ended
+     * @param {string} batchId - The batch ID
+     */
+    async #processBatch(batchId) {
+        const batch = getMessageBatch(batchId);
+        if (!batch || batch.processing_status === 'ended') return;
+
+        if (this.#options.ensureReady) {
+            await this.#options.ensureReady();
+        }
+
+        const concurrency = this.getConcurrency();
+        logger.info(`[Batches] Processing batch ${batchId} (${batch.request_counts.processing} request(s), concurrency ${concurrency})`);
+
+        const workers = Array.from({ length: concurrency }, () => this.#runWorker(batch));
+        await Promise.all(workers);
+
+        // Anything still pending was skipped by a cancel or expiry
+        const current = getMessageBatch(batchId);
+        if (!current) return; // Deleted while processing
+
+        if (current.processing_status === 'canceling') {
+            resolvePendingBatchRequests(batchId, 'canceled');
+        } else if (Date.now() >= current.expires_at) {
+            resolvePendingBatchRequests(batchId, 'expired');
+        }
+        endMessageBatch(batchId);
+
+        const counts = getMessageBatch(batchId).request_counts;
+        logger.success(`[Batches] Batch ${batchId} ended: ${counts.succeeded} succeeded, ${counts.errored} errored, ${counts.canceled} canceled, ${counts.expired} expired`);
+    }
+
+    /**
+     * Claim and execute requests until the batch has none left, is canceled or has expired
+     * @param {Object} batch - The batch being processed
+     */
+    async #runWorker(batch) {
+        while (true) {
+            const current = getMessageBatch(batch.id);
+            if (!current || current.processing_status !== 'in_progress' || Date.now() >= current.expires_at) {
+                return;
+            }
+
+            const request = claimNextBatchRequest(batch.id);
+            if (!request) return;
+
+            await this.#executeRequest(batch, request);
+        }
+    }
+
+    /**
+     * Execute one batch request and store its result
+     * @param {Object} batch - The batch being processed
+     * @param {{custom_id: string, params: Object}} request - The claimed request
+     */
+    async #executeRequest(batch, request) {
+        const { prepareRequest, formatError, onRequestComplete } = this.#options;
+        const {
+            params,
+            fallbackEnabled = this.#options.fallbackEnabled || false,
+            fallbackChain = null
+        } = prepareRequest ? prepareRequest(request.params, batch) : { params: request.params };
+        const trace = {};
+        const startTime = Date.now();
+        let result;
+        let error = null;
+
+        try {
+            const message = await sendMessage({ ...params, stream: false }, this.#accountManager, fallbackEnabled, trace, fallbackChain);
+            result = { type: 'succeeded', message };
+        } catch (err) {
+            error = err;
+            const { errorType, errorMessage } = formatError
+                ? formatError(err)
+                : { errorType: 'api_error', errorMessage: err.message };
+            logger.warn(`[Batches] Request ${request.custom_id} in ${batch.id} failed: ${errorMessage}`);
+            result = {
+                type: 'errored',
+                error: { type: 'error', error: { type: errorType, message: errorMessage } }
+            };
+        }
+
+        completeBatchRequest(batch.id, request.custom_id, result);
+
+        if (onRequestComplete) {
+            try {
+                onRequestComplete({ batch, customId: request.custom_id, params, result, trace, startTime, error });
+            } catch (hookError) {
+                logger.error('[Batches] Request completion hook failed:', hookError.message);
+            }
+        }
+    }
+}
+
+export default BatchProcessor;
@@ -0,0 +1,14 @@
+/**
+ * Cache Module
+ * Response cache for repeated identical requests
+ */
+
+export {
+    CACHE_STATUS_HEADER,
+    normalizeCacheRequest,
+    buildCacheKey,
+    isResponseCacheEnabled,
+    getCachePolicy,
+    lookupCachedResponse,
+    storeCachedResponse
+} from './response-cache.js';
@@ -0,0 +1,213 @@
+/**
+ * Response Cache
+ * Exact-match cache of complete responses for repeated identical requests
+ *
+ * The cache key is a hash of the request in Anthropic format (after OpenAI
+ * conversion and model routing): model, system prompt, messages, tools, tool
+ * choice, thinking and sampling parameters. Whether the client streams is not
+ * part of the key; a cached response is replayed as SSE events for streaming
+ * clients. Entries are scoped to the API key that created them.
+ *
+ * Caching is off unless enabled in the server config (responseCacheEnabled) or
+ * on the API key. Clients skip the lookup with "Cache-Control: no-cache" and
+ * the cache entirely with "Cache-Control: no-store".
+ */
+
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { MIN_SIGNATURE_LENGTH, getModelFamily } from '../constants.js';
+import { cacheSignature, cacheThinkingSignature } from '../format/signature-cache.js';
+import { getResponseCacheEntry, putResponseCacheEntry, pruneResponseCache } from '../database/models/response-cache.js';
+import { responseCacheRequestsTotal } from '../metrics/index.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Response header reporting the cache result (HIT, MISS or BYPASS)
+ */
+export const CACHE_STATUS_HEADER = 'X-Cache';
+
+// Request fields that change the response (stream and metadata do not)
+const KEY_FIELDS = ['model', 'system', 'messages', 'tools', 'tool_choice', 'thinking', 'max_tokens', 'temperature', 'top_p', 'top_k', 'stop_sequences'];
+
+/**
+ * Normalize a value for hashing: sorted object keys, no cache_control or empty fields
+ * @param {*} value - Any JSON-compatible value
+ * @returns {*} Normalized copy
+ */
+function normalizeValue(value) {
+    if (Array.isArray(value)) return value.map(normalizeValue);
+    if (!value || typeof value !== 'object') return value;
+
+    return Object.fromEntries(
+        Object.keys(value)
+            .filter(key => key !== 'cache_control' && value[key] !== undefined && value[key] !== null)
+            .sort()
+            .map(key => [key, normalizeValue(value[key])])
+    );
+}
+
+/**
+ * Normalize message or system content to an array of content blocks
+ * @param {string|Array} content - Plain text or content blocks
+ * @returns {Array} Content blocks
+ */
+function normalizeContent(content) {
+    return typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+}
+
+/**
+ * Reduce a request to the fields that determine the response
+ * @param {Object} request - Anthropic-format request (model already routed)
+ * @returns {Object} Normalized request
+ */
+export function normalizeCacheRequest(request) {
+    const normalized = {};
+
+    for (const field of KEY_FIELDS) {
+        let value = request[field];
+        if (value === undefined || value === null) continue;
+
+        if (field === 'system') value = normalizeContent(value);
+        if (field === 'messages') value = value.map(message => ({ role: message.role, content: normalizeContent(message.content) }));
+
+        normalized[field] = normalizeValue(value);
+    }
+
+    return normalized;
+}
+
+/**
+ * Build the cache key for a request
+ * @param {Object} request - Anthropic-format request (model already routed)
+ * @param {string|null} [apiKeyId=null] - API key the entry belongs to
+ * @returns {string} SHA-256 hex digest
+ */
+export function buildCacheKey(request, apiKeyId = null) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ api_key_id: apiKeyId, request: normalizeCacheRequest(request) }))
+        .digest('hex');
+}
+
+/**
+ * Check if responses are cached for an API key
+ * @param {Object|null} [keyEntry] - API key entry (response_cache: true, false or null for the server default)
+ * @returns {boolean} True if the cache is enabled
+ */
+export function isResponseCacheEnabled(keyEntry = null) {
+    if (typeof keyEntry?.response_cache === 'boolean') return keyEntry.response_cache;
+    return config.responseCacheEnabled === true;
+}
+
+/**
+ * Cache policy for one request
+ * @typedef {Object} CachePolicy
+ * @property {string} key - Cache key
+ * @property {string|null} apiKeyId - API key the entry belongs to
+ * @property {boolean} lookup - Whether a cached response may be served
+ * @property {boolean} store - Whether the fresh response may be stored
+ */
+
+/**
+ * Decide how a request uses the cache
+ * @param {Object} request - Anthropic-format request (model already routed)
+ * @param {Object} context - Request context
+ * @param {string|null} [context.apiKeyId] - ID of the API key used
+ * @param {Object|null} [context.keyEntry] - The API key entry
+ * @param {Object} [context.headers] - Request headers (lowercase names, as in Express)
+ * @returns {CachePolicy|null} The policy, or null if the cache is disabled for the request
+ */
+export function getCachePolicy(request, { apiKeyId = null, keyEntry = null, headers = {} } = {}) {
+    if (!isResponseCacheEnabled(keyEntry)) return null;
+
+    const directives = String(headers['cache-control'] || '').toLowerCase().split(',').map(directive => directive.trim());
+    const noStore = directives.includes('no-store');
+
+    return {
+        key: buildCacheKey(request, apiKeyId),
+        apiKeyId,
+        lookup: !noStore && !directives.includes('no-cache'),
+        store: !noStore
+    };
+}
+
+/**
+ * Register a cached response's signatures again (Claude Code may strip them from the next request)
+ * @param {Object} message - Anthropic message
+ */
+function restoreSignatures(message) {
+    for (const block of message.content || []) {
+        if (block.type === 'thinking' && block.signature?.length >= MIN_SIGNATURE_LENGTH) {
+            cacheThinkingSignature(block.signature, getModelFamily(message.model));
+        } else if (block.type === 'tool_use' && block.thoughtSignature?.length >= MIN_SIGNATURE_LENGTH) {
+            cacheSignature(block.id, block.thoughtSignature);
+        }
+    }
+}
+
+/**
+ * Look up the cached response for a request
+ * @param {CachePolicy|null} policy - Policy from getCachePolicy
+ * @returns {{response: Object|null, status: string|null}} The cached Anthropic message (with a new ID) and the X-Cache status (null without a policy)
+ */
+export function lookupCachedResponse(policy) {
+    if (!policy) return { response: null, status: null };
+
+    if (!policy.lookup) {
+        responseCacheRequestsTotal.inc({ result: 'bypass' });
+        return { response: null, status: 'BYPASS' };
+    }
+
+    let cached = null;
+    try {
+        cached = getResponseCacheEntry(policy.key);
+    } catch (error) {
+        // The cache never fails a request
+        logger.warn('[Cache] Lookup failed:', error.message);
+    }
+
+    responseCacheRequestsTotal.inc({ result: cached ? 'hit' : 'miss' });
+    if (!cached) return { response: null, status: 'MISS' };
+
+    restoreSignatures(cached);
+    return {
+        response: { ...cached, id: `msg_${crypto.randomBytes(16).toString('hex')}` },
+        status: 'HIT'
+    };
+}
+
+/**
+ * Store a complete response and enforce the cache limits
+ * Incomplete responses (no stop reason, or a tool call cut mid-stream) are not stored.
+ *
+ * @param {CachePolicy|null} policy - Policy from getCachePolicy
+ * @param {Object} message - Anthropic message, or a message assembled by the stream accumulator
+ */
+export function storeCachedResponse(policy, message) {
+    if (!policy?.store || !message?.stop_reason || !Array.isArray(message.content) || message.content.length === 0) return;
+    if (message.content.some(block => block.type === 'tool_use' && block.input?._partial !== undefined)) return;
+
+    try {
+        putResponseCacheEntry({
+            key: policy.key,
+            api_key_id: policy.apiKeyId,
+            response: {
+                id: message.id || null,
+                type: 'message',
+                role: 'assistant',
+                model: message.model,
+                content: message.content,
+                stop_reason: message.stop_reason,
+                stop_sequence: message.stop_sequence ?? null,
+                usage: message.usage || {}
+            },
+            ttl_ms: config.responseCacheTtlMs
+        });
+
+        pruneResponseCache({
+            maxEntries: config.responseCacheMaxEntries,
+            maxBytes: config.responseCacheMaxSizeMb * 1024 * 1024
+        });
+    } catch (error) {
+        logger.warn('[Cache] Failed to store response:', error.message);
+    }
+}
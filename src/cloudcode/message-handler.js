@@ -17,14 +17,15 @@ import {
     MAX_CAPACITY_RETRIES,
     isThinkingModel
 } from '../constants.js';
-import { convertGoogleToAnthropic } from '../format/index.js';
-import { isRateLimitError, isAuthError } from '../errors.js';
+import { convertGoogleToAnthropic, getResponseOptions } from '../format/index.js';
+import { isRateLimitError, isAuthError, isAbortError } from '../errors.js';
 import { formatDuration, sleep, isNetworkError } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
 import { parseResetTime } from './rate-limit-parser.js';
 import { buildCloudCodeRequest, buildHeaders } from './request-builder.js';
 import { parseThinkingSSEResponse } from './sse-parser.js';
-import { getFallbackModel } from '../fallback-config.js';
+import { getFallbackChain, getNextFallback, recordFallback } from '../fallback-config.js';
+import { retriesTotal, accountFailoversTotal, modelFallbacksTotal, recordTokenUsage } from '../metrics/index.js';
 
 /**
  * Gap 1: Rate limit deduplication - prevents thundering herd on concurrent rate limits
@@ -105,6 +106,15 @@ setInterval(() => {
     }
 }, 60000);
 
+/**
+ * @typedef {Object} RequestTrace
+ * @property {string} [account] - Email of the account that served (or last attempted) the request
+ * @property {number} [attempts] - Number of account attempts, including any fallback hop
+ * @property {string} [fallbackModel] - Model that served the request after falling back (last hop of the chain)
+ * @property {string} [fallbackFrom] - Model the request was sent to before the first fallback
+ * @property {string} [fallbackReason] - Failure that triggered the last fallback ('quota', 'capacity' or 'error')
+ */
+
 /**
  * Send a non-streaming request to Cloud Code with multi-account support
  * Uses SSE endpoint for thinking models (non-streaming doesn't return thinking blocks)
@@ -115,11 +125,20 @@ setInterval(() => {
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to fall back to another model when the request fails
+ * @param {RequestTrace} [trace] - Filled in with the serving account, attempt count and fallback model
+ * @param {import('../fallback-config.js').FallbackChain|null} [fallbackChain=null] - Remaining fallback chain (null = the model's own chain)
+ * @param {AbortSignal|null} [signal=null] - Aborts upstream calls, waits and retries (client disconnected)
  * @returns {Promise<Object>} Anthropic-format response object
  * @throws {Error} If max retries exceeded or no accounts available
  */
-export async function sendMessage(anthropicRequest, accountManager, fallbackEnabled = false) {
+export async function sendMessage(anthropicRequest, accountManager, fallbackEnabled = false, trace = {}, fallbackChain = null, signal = null) {
     const model = anthropicRequest.model;
+
+    // Fallback chain to walk when this model fails (see fallback-config.js)
+    const chain = fallbackEnabled ? (fallbackChain || getFallbackChain(model, { fallbackEnabled: true })) : null;
+    let lastFailure = null; // Why the last account attempt failed: 'quota' or 'error'
+    let capacityExhausted = false;
     const isThinking = isThinkingModel(model);
 
     // Retry loop with account failover
@@ -127,6 +146,9 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        // Stop retrying once the client has gone
+        signal?.throwIfAborted();
+
         // Clear any expired rate limits before picking
         accountManager.clearExpiredLimits();
 
@@ -141,14 +163,14 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
 
                 // If wait time is too long (> 2 minutes), try fallback first, then throw error
                 if (minWaitMs > MAX_WAIT_BEFORE_ERROR_MS) {
-                    // Check if fallback is enabled and available
-                    if (fallbackEnabled) {
-                        const fallbackModel = getFallbackModel(model);
-                        if (fallbackModel) {
-                            logger.warn(`[CloudCode] All accounts exhausted for ${model} (${formatDuration(minWaitMs)} wait). Attempting fallback to ${fallbackModel}`);
-                            const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-                            return await sendMessage(fallbackRequest, accountManager, false);
-                        }
+                    // Check if the fallback chain covers quota exhaustion
+                    const fallback = getNextFallback(model, chain, 'quota');
+                    if (fallback) {
+                        logger.warn(`[CloudCode] All accounts exhausted for ${model} (${formatDuration(minWaitMs)} wait). Attempting fallback to ${fallback.model}`);
+                        recordFallback(trace, model, fallback.model, 'quota');
+                        modelFallbacksTotal.inc({ model, fallback_model: fallback.model, reason: 'quota' });
+                        const fallbackRequest = { ...anthropicRequest, model: fallback.model };
+                        return await sendMessage(fallbackRequest, accountManager, true, trace, fallback.chain, signal);
                     }
                     throw new Error(
                         `RESOURCE_EXHAUSTED: Rate limited on ${model}. Quota will reset after ${formatDuration(minWaitMs)}. Next available: ${resetTime}`
@@ -158,7 +180,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                 // Wait for shortest reset time
                 const accountCount = accountManager.getAccountCount();
                 logger.warn(`[CloudCode] All ${accountCount} account(s) rate-limited. Waiting ${formatDuration(minWaitMs)}...`);
-                await sleep(minWaitMs + 500); // Add 500ms buffer
+                await sleep(minWaitMs + 500, signal); // Add 500ms buffer
                 accountManager.clearExpiredLimits();
                 continue; // Retry the loop
             }
@@ -173,7 +195,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
         // If strategy returns a wait time, sleep and retry
         if (!account && waitMs > 0) {
             logger.info(`[CloudCode] Waiting ${formatDuration(waitMs)} for account...`);
-            await sleep(waitMs + 500);
+            await sleep(waitMs + 500, signal);
             continue;
         }
 
@@ -181,6 +203,10 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
             continue; // Shouldn't happen, but safety check
         }
 
+        // Record the serving account for request logging
+        trace.account = account.email;
+        trace.attempts = (trace.attempts || 0) + 1;
+
         try {
             // Get token and project for this account
             const token = await accountManager.getTokenForAccount(account);
@@ -205,7 +231,8 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                     const response = await fetch(url, {
                         method: 'POST',
                         headers: buildHeaders(token, model, isThinking ? 'text/event-stream' : 'application/json'),
-                        body: JSON.stringify(payload)
+                        body: JSON.stringify(payload),
+                        signal
                     });
 
                     if (!response.ok) {
@@ -224,6 +251,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                             logger.warn('[CloudCode] Transient auth error, refreshing token...');
                             accountManager.clearTokenCache(account.email);
                             accountManager.clearProjectCache(account.email);
+                            retriesTotal.inc({ model, reason: 'auth_refresh' });
                             endpointIndex++;
                             continue;
                         }
@@ -237,11 +265,17 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                                     capacityRetryCount++;
                                     const waitMs = resetMs || CAPACITY_RETRY_DELAY_MS;
                                     logger.info(`[CloudCode] Model capacity exhausted, retry ${capacityRetryCount}/${MAX_CAPACITY_RETRIES} after ${formatDuration(waitMs)}...`);
-                                    await sleep(waitMs);
+                                    retriesTotal.inc({ model, reason: 'capacity' });
+                                    await sleep(waitMs, signal);
                                     // Don't increment endpointIndex - retry same endpoint
                                     continue;
                                 }
-                                // Max capacity retries exceeded - treat as quota exhaustion
+                                // Capacity is model-wide: fall back now if the chain covers it, otherwise treat as quota exhaustion
+                                if (getNextFallback(model, chain, 'capacity')) {
+                                    logger.warn(`[CloudCode] Max capacity retries (${MAX_CAPACITY_RETRIES}) exceeded for ${model}`);
+                                    capacityExhausted = true;
+                                    break;
+                                }
                                 logger.warn(`[CloudCode] Max capacity retries (${MAX_CAPACITY_RETRIES}) exceeded, switching account`);
                             }
 
@@ -266,7 +300,8 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                                     retriedOnce = true;
                                     recordRateLimitTimestamp(model); // Gap 1: Record before retry
                                     logger.info(`[CloudCode] Short rate limit (${formatDuration(waitMs)}), waiting and retrying...`);
-                                    await sleep(waitMs);
+                                    retriesTotal.inc({ model, reason: 'rate_limit' });
+                                    await sleep(waitMs, signal);
                                     // Don't increment endpointIndex - retry same endpoint
                                     continue;
                                 } else {
@@ -282,7 +317,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                             // If it's a 5xx error, wait a bit before trying the next endpoint
                             if (response.status >= 500) {
                                 logger.warn(`[CloudCode] ${response.status} error, waiting 1s before retry...`);
-                                await sleep(1000);
+                                await sleep(1000, signal);
                             }
                             endpointIndex++;
                             continue;
@@ -291,10 +326,11 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
 
                     // For thinking models, parse SSE and accumulate all parts
                     if (isThinking) {
-                        const result = await parseThinkingSSEResponse(response, anthropicRequest.model);
+                        const result = await parseThinkingSSEResponse(response, anthropicRequest.model, getResponseOptions(anthropicRequest));
                         // Gap 1: Clear timestamp on success
                         clearRateLimitTimestamp(model);
                         accountManager.notifySuccess(account, model);
+                        recordTokenUsage(model, result.usage);
                         return result;
                     }
 
@@ -304,9 +340,14 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                     // Gap 1: Clear timestamp on success
                     clearRateLimitTimestamp(model);
                     accountManager.notifySuccess(account, model);
-                    return convertGoogleToAnthropic(data, anthropicRequest.model);
+                    const result = convertGoogleToAnthropic(data, anthropicRequest.model, getResponseOptions(anthropicRequest));
+                    recordTokenUsage(model, result.usage);
+                    return result;
 
                 } catch (endpointError) {
+                    if (isAbortError(endpointError)) {
+                        throw endpointError; // Client disconnected - don't try other endpoints
+                    }
                     if (isRateLimitError(endpointError)) {
                         throw endpointError; // Re-throw to trigger account switch
                     }
@@ -316,6 +357,8 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                 }
             }
 
+            if (capacityExhausted) break;
+
             // If all endpoints failed for this account
             if (lastError) {
                 if (lastError.is429) {
@@ -327,20 +370,29 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
             }
 
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error; // Client disconnected - don't fail over to other accounts
+            }
             if (isRateLimitError(error)) {
                 // Rate limited - already marked, notify strategy and continue to next account
                 accountManager.notifyRateLimit(account, model);
                 logger.info(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
+                accountFailoversTotal.inc({ model, reason: 'rate_limit' });
+                lastFailure = 'quota';
                 continue;
             }
             if (isAuthError(error)) {
                 // Auth invalid - already marked, continue to next account
                 logger.warn(`[CloudCode] Account ${account.email} has invalid credentials, trying next...`);
+                accountFailoversTotal.inc({ model, reason: 'auth' });
+                lastFailure = 'error';
                 continue;
             }
             // Handle 5xx errors
             if (error.message.includes('API error 5') || error.message.includes('500') || error.message.includes('503')) {
                 accountManager.notifyFailure(account, model);
+                accountFailoversTotal.inc({ model, reason: 'server_error' });
+                lastFailure = 'error';
 
                 // Gap 2: Check consecutive failures for extended cooldown
                 const consecutiveFailures = accountManager.getHealthTracker()?.getConsecutiveFailures(account.email) || 0;
@@ -355,6 +407,8 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
 
             if (isNetworkError(error)) {
                 accountManager.notifyFailure(account, model);
+                accountFailoversTotal.inc({ model, reason: 'network' });
+                lastFailure = 'error';
 
                 // Gap 2: Check consecutive failures for extended cooldown
                 const consecutiveFailures = accountManager.getHealthTracker()?.getConsecutiveFailures(account.email) || 0;
@@ -364,7 +418,7 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
                 } else {
                     logger.warn(`[CloudCode] Network error for ${account.email}, trying next account... (${error.message})`);
                 }
-                await sleep(1000);
+                await sleep(1000, signal);
                 continue;
             }
 
@@ -372,14 +426,15 @@ export async function sendMessage(anthropicRequest, accountManager, fallbackEnab
         }
     }
 
-    // All retries exhausted - try fallback model if enabled
-    if (fallbackEnabled) {
-        const fallbackModel = getFallbackModel(model);
-        if (fallbackModel) {
-            logger.warn(`[CloudCode] All retries exhausted for ${model}. Attempting fallback to ${fallbackModel}`);
-            const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-            return await sendMessage(fallbackRequest, accountManager, false);
-        }
+    // Capacity or retries exhausted - try the fallback chain if it covers the failure
+    const reason = capacityExhausted ? 'capacity' : (lastFailure || 'error');
+    const fallback = getNextFallback(model, chain, reason);
+    if (fallback) {
+        logger.warn(`[CloudCode] ${capacityExhausted ? 'Capacity' : 'All retries'} exhausted for ${model}. Attempting fallback to ${fallback.model}`);
+        recordFallback(trace, model, fallback.model, reason);
+        modelFallbacksTotal.inc({ model, fallback_model: fallback.model, reason });
+        const fallbackRequest = { ...anthropicRequest, model: fallback.model };
+        return await sendMessage(fallbackRequest, accountManager, true, trace, fallback.chain, signal);
     }
 
     throw new Error('Max retries exceeded');
@@ -13,9 +13,10 @@ import { logger } from '../utils/logger.js';
  *
  * @param {Response} response - The HTTP response with SSE body
  * @param {string} originalModel - The original model name
+ * @param {Object} [options] - Response options (see getResponseOptions)
  * @returns {Promise<Object>} Anthropic-format response object
  */
-export async function parseThinkingSSEResponse(response, originalModel) {
+export async function parseThinkingSSEResponse(response, originalModel, options = {}) {
     let accumulatedThinkingText = '';
     let accumulatedThinkingSignature = '';
     let accumulatedText = '';
@@ -117,5 +118,5 @@ export async function parseThinkingSSEResponse(response, originalModel) {
         logger.debug('[CloudCode] Thinking signature length:', thinkingPart?.thoughtSignature?.length || 0);
     }
 
-    return convertGoogleToAnthropic(accumulatedResponse, originalModel);
+    return convertGoogleToAnthropic(accumulatedResponse, originalModel, options);
 }
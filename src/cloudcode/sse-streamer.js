@@ -9,6 +9,8 @@ import crypto from 'crypto';
 import { MIN_SIGNATURE_LENGTH, getModelFamily } from '../constants.js';
 import { EmptyResponseError } from '../errors.js';
 import { cacheSignature, cacheThinkingSignature } from '../format/signature-cache.js';
+import { createStopSequenceMatcher } from '../format/stop-sequences.js';
+import { recordTokenUsage } from '../metrics/index.js';
 import { logger } from '../utils/logger.js';
 
 /**
@@ -16,9 +18,13 @@ import { logger } from '../utils/logger.js';
  *
  * @param {Response} response - The HTTP response with SSE body
  * @param {string} originalModel - The original model name
+ * @param {Object} [options] - Response options (see getResponseOptions)
+ * @param {boolean} [options.singleToolUse=false] - Keep only the first tool call
+ * @param {Array<string>} [options.stopSequences=[]] - End the stream at the first of these in the text
+ * @param {Object} [options.toolNames] - Maps function names back to the client's tool names
  * @yields {Object} Anthropic-format SSE events
  */
-export async function* streamSSEResponse(response, originalModel) {
+export async function* streamSSEResponse(response, originalModel, { singleToolUse = false, stopSequences = [], toolNames = null } = {}) {
     const messageId = `msg_${crypto.randomBytes(16).toString('hex')}`;
     let hasEmittedStart = false;
     let blockIndex = 0;
@@ -28,12 +34,23 @@ export async function* streamSSEResponse(response, originalModel) {
     let outputTokens = 0;
     let cacheReadTokens = 0;
     let stopReason = null;
+    let hasToolUse = false;
+    let stopSequence = null;
+    const stopMatcher = stopSequences.length > 0 ? createStopSequenceMatcher(stopSequences) : null;
+
+    // Send text held back by the stop sequence matcher before the text block closes
+    function* flushHeldText() {
+        const text = stopMatcher?.flush();
+        if (text) {
+            yield { type: 'content_block_delta', index: blockIndex, delta: { type: 'text_delta', text } };
+        }
+    }
 
     const reader = response.body.getReader();
     const decoder = new TextDecoder();
     let buffer = '';
 
-    while (true) {
+    read: while (true) {
         const { done, value } = await reader.read();
         if (done) break;
 
@@ -96,6 +113,7 @@ export async function* streamSSEResponse(response, originalModel) {
                         const signature = part.thoughtSignature || '';
 
                         if (currentBlockType !== 'thinking') {
+                            yield* flushHeldText();
                             if (currentBlockType !== null) {
                                 yield { type: 'content_block_stop', index: blockIndex };
                                 blockIndex++;
@@ -150,13 +168,29 @@ export async function* streamSSEResponse(response, originalModel) {
                             };
                         }
 
-                        yield {
-                            type: 'content_block_delta',
-                            index: blockIndex,
-                            delta: { type: 'text_delta', text: part.text }
-                        };
+                        const { text, stopSequence: matched } = stopMatcher
+                            ? stopMatcher.push(part.text)
+                            : { text: part.text, stopSequence: null };
+
+                        if (text) {
+                            yield {
+                                type: 'content_block_delta',
+                                index: blockIndex,
+                                delta: { type: 'text_delta', text }
+                            };
+                        }
+
+                        // Nothing after a stop sequence is sent
+                        if (matched) {
+                            stopReason = 'stop_sequence';
+                            stopSequence = matched;
+                            break read;
+                        }
 
                     } else if (part.functionCall) {
+                        // disable_parallel_tool_use: drop every call after the first
+                        if (singleToolUse && hasToolUse) continue;
+
                         // Handle tool use
                         // For Gemini 3+, capture thoughtSignature from the functionCall part
                         // The signature is a sibling to functionCall, not inside it
@@ -170,12 +204,14 @@ export async function* streamSSEResponse(response, originalModel) {
                             };
                             currentThinkingSignature = '';
                         }
+                        yield* flushHeldText();
                         if (currentBlockType !== null) {
                             yield { type: 'content_block_stop', index: blockIndex };
                             blockIndex++;
                         }
                         currentBlockType = 'tool_use';
                         stopReason = 'tool_use';
+                        hasToolUse = true;
 
                         const toolId = part.functionCall.id || `toolu_${crypto.randomBytes(12).toString('hex')}`;
 
@@ -184,7 +220,7 @@ export async function* streamSSEResponse(response, originalModel) {
                         const toolUseBlock = {
                             type: 'tool_use',
                             id: toolId,
-                            name: part.functionCall.name,
+                            name: toolNames ? toolNames.toClient(part.functionCall.name) : part.functionCall.name,
                             input: {}
                         };
 
@@ -219,6 +255,7 @@ export async function* streamSSEResponse(response, originalModel) {
                             };
                             currentThinkingSignature = '';
                         }
+                        yield* flushHeldText();
                         if (currentBlockType !== null) {
                             yield { type: 'content_block_stop', index: blockIndex };
                             blockIndex++;
@@ -260,12 +297,18 @@ export async function* streamSSEResponse(response, originalModel) {
         }
     }
 
+    // Stopped at a stop sequence: end the upstream response instead of reading the rest
+    if (stopSequence) {
+        await reader.cancel().catch(() => {});
+    }
+
     // Handle no content received - throw error to trigger retry in streaming-handler
     if (!hasEmittedStart) {
         logger.warn('[CloudCode] No content parts received, throwing for retry');
         throw new EmptyResponseError('No content parts received from API');
     } else {
         // Close any open block
+        yield* flushHeldText();
         if (currentBlockType !== null) {
             if (currentBlockType === 'thinking' && currentThinkingSignature) {
                 yield {
@@ -278,10 +321,16 @@ export async function* streamSSEResponse(response, originalModel) {
         }
     }
 
+    recordTokenUsage(originalModel, {
+        input_tokens: inputTokens - cacheReadTokens,
+        output_tokens: outputTokens,
+        cache_read_input_tokens: cacheReadTokens
+    });
+
     // Emit message_delta and message_stop
     yield {
         type: 'message_delta',
-        delta: { stop_reason: stopReason || 'end_turn', stop_sequence: null },
+        delta: { stop_reason: stopReason || 'end_turn', stop_sequence: stopSequence },
         usage: {
             output_tokens: outputTokens,
             cache_read_input_tokens: cacheReadTokens,
@@ -17,13 +17,15 @@ import {
     CAPACITY_RETRY_DELAY_MS,
     MAX_CAPACITY_RETRIES
 } from '../constants.js';
-import { isRateLimitError, isAuthError, isEmptyResponseError } from '../errors.js';
+import { isRateLimitError, isAuthError, isAbortError, isEmptyResponseError } from '../errors.js';
 import { formatDuration, sleep, isNetworkError } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
 import { parseResetTime } from './rate-limit-parser.js';
 import { buildCloudCodeRequest, buildHeaders } from './request-builder.js';
 import { streamSSEResponse } from './sse-streamer.js';
-import { getFallbackModel } from '../fallback-config.js';
+import { getResponseOptions } from '../format/index.js';
+import { getFallbackChain, getNextFallback, recordFallback } from '../fallback-config.js';
+import { retriesTotal, accountFailoversTotal, modelFallbacksTotal } from '../metrics/index.js';
 import crypto from 'crypto';
 
 /**
@@ -113,17 +115,29 @@ setInterval(() => {
  * @param {number} [anthropicRequest.max_tokens] - Maximum tokens to generate
  * @param {Object} [anthropicRequest.thinking] - Thinking configuration
  * @param {import('../account-manager/index.js').default} accountManager - The account manager instance
+ * @param {boolean} [fallbackEnabled=false] - Whether to fall back to another model when the request fails
+ * @param {import('./message-handler.js').RequestTrace} [trace] - Filled in with the serving account, attempt count and fallback model
+ * @param {import('../fallback-config.js').FallbackChain|null} [fallbackChain=null] - Remaining fallback chain (null = the model's own chain)
+ * @param {AbortSignal|null} [signal=null] - Aborts upstream calls, waits and retries (client disconnected)
  * @yields {Object} Anthropic-format SSE events (message_start, content_block_start, content_block_delta, etc.)
  * @throws {Error} If max retries exceeded or no accounts available
  */
-export async function* sendMessageStream(anthropicRequest, accountManager, fallbackEnabled = false) {
+export async function* sendMessageStream(anthropicRequest, accountManager, fallbackEnabled = false, trace = {}, fallbackChain = null, signal = null) {
     const model = anthropicRequest.model;
 
+    // Fallback chain to walk when this model fails (see fallback-config.js)
+    const chain = fallbackEnabled ? (fallbackChain || getFallbackChain(model, { fallbackEnabled: true })) : null;
+    let lastFailure = null; // Why the last account attempt failed: 'quota' or 'error'
+    let capacityExhausted = false;
+
     // Retry loop with account failover
     // Ensure we try at least as many times as there are accounts to cycle through everyone
     const maxAttempts = Math.max(MAX_RETRIES, accountManager.getAccountCount() + 1);
 
     for (let attempt = 0; attempt < maxAttempts; attempt++) {
+        // Stop retrying once the client has gone
+        signal?.throwIfAborted();
+
         // Clear any expired rate limits before picking
         accountManager.clearExpiredLimits();
 
@@ -138,15 +152,15 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
 
                 // If wait time is too long (> 2 minutes), try fallback first, then throw error
                 if (minWaitMs > MAX_WAIT_BEFORE_ERROR_MS) {
-                    // Check if fallback is enabled and available
-                    if (fallbackEnabled) {
-                        const fallbackModel = getFallbackModel(model);
-                        if (fallbackModel) {
-                            logger.warn(`[CloudCode] All accounts exhausted for ${model} (${formatDuration(minWaitMs)} wait). Attempting fallback to ${fallbackModel} (streaming)`);
-                            const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-                            yield* sendMessageStream(fallbackRequest, accountManager, false);
-                            return;
-                        }
+                    // Check if the fallback chain covers quota exhaustion
+                    const fallback = getNextFallback(model, chain, 'quota');
+                    if (fallback) {
+                        logger.warn(`[CloudCode] All accounts exhausted for ${model} (${formatDuration(minWaitMs)} wait). Attempting fallback to ${fallback.model} (streaming)`);
+                        recordFallback(trace, model, fallback.model, 'quota');
+                        modelFallbacksTotal.inc({ model, fallback_model: fallback.model, reason: 'quota' });
+                        const fallbackRequest = { ...anthropicRequest, model: fallback.model };
+                        yield* sendMessageStream(fallbackRequest, accountManager, true, trace, fallback.chain, signal);
+                        return;
                     }
                     throw new Error(
                         `RESOURCE_EXHAUSTED: Rate limited on ${model}. Quota will reset after ${formatDuration(minWaitMs)}. Next available: ${resetTime}`
@@ -156,7 +170,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                 // Wait for shortest reset time
                 const accountCount = accountManager.getAccountCount();
                 logger.warn(`[CloudCode] All ${accountCount} account(s) rate-limited. Waiting ${formatDuration(minWaitMs)}...`);
-                await sleep(minWaitMs + 500); // Add 500ms buffer
+                await sleep(minWaitMs + 500, signal); // Add 500ms buffer
                 accountManager.clearExpiredLimits();
                 continue; // Retry the loop
             }
@@ -171,7 +185,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
         // If strategy returns a wait time, sleep and retry
         if (!account && waitMs > 0) {
             logger.info(`[CloudCode] Waiting ${formatDuration(waitMs)} for account...`);
-            await sleep(waitMs + 500);
+            await sleep(waitMs + 500, signal);
             continue;
         }
 
@@ -179,6 +193,10 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
             continue; // Shouldn't happen, but safety check
         }
 
+        // Record the serving account for request logging
+        trace.account = account.email;
+        trace.attempts = (trace.attempts || 0) + 1;
+
         try {
             // Get token and project for this account
             const token = await accountManager.getTokenForAccount(account);
@@ -201,7 +219,8 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                     const response = await fetch(url, {
                         method: 'POST',
                         headers: buildHeaders(token, model, 'text/event-stream'),
-                        body: JSON.stringify(payload)
+                        body: JSON.stringify(payload),
+                        signal
                     });
 
                     if (!response.ok) {
@@ -219,6 +238,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                             // Transient auth error - clear caches and retry
                             accountManager.clearTokenCache(account.email);
                             accountManager.clearProjectCache(account.email);
+                            retriesTotal.inc({ model, reason: 'auth_refresh' });
                             endpointIndex++;
                             continue;
                         }
@@ -232,11 +252,17 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                                     capacityRetryCount++;
                                     const waitMs = resetMs || CAPACITY_RETRY_DELAY_MS;
                                     logger.info(`[CloudCode] Model capacity exhausted, retry ${capacityRetryCount}/${MAX_CAPACITY_RETRIES} after ${formatDuration(waitMs)}...`);
-                                    await sleep(waitMs);
+                                    retriesTotal.inc({ model, reason: 'capacity' });
+                                    await sleep(waitMs, signal);
                                     // Don't increment endpointIndex - retry same endpoint
                                     continue;
                                 }
-                                // Max capacity retries exceeded - treat as quota exhaustion
+                                // Capacity is model-wide: fall back now if the chain covers it, otherwise treat as quota exhaustion
+                                if (getNextFallback(model, chain, 'capacity')) {
+                                    logger.warn(`[CloudCode] Max capacity retries (${MAX_CAPACITY_RETRIES}) exceeded for ${model}`);
+                                    capacityExhausted = true;
+                                    break;
+                                }
                                 logger.warn(`[CloudCode] Max capacity retries (${MAX_CAPACITY_RETRIES}) exceeded, switching account`);
                             }
 
@@ -261,7 +287,8 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                                     retriedOnce = true;
                                     recordRateLimitTimestamp(model); // Gap 1: Record before retry
                                     logger.info(`[CloudCode] Short rate limit (${formatDuration(waitMs)}), waiting and retrying...`);
-                                    await sleep(waitMs);
+                                    retriesTotal.inc({ model, reason: 'rate_limit' });
+                                    await sleep(waitMs, signal);
                                     // Don't increment endpointIndex - retry same endpoint
                                     continue;
                                 } else {
@@ -277,7 +304,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                         // If it's a 5xx error, wait a bit before trying the next endpoint
                         if (response.status >= 500) {
                             logger.warn(`[CloudCode] ${response.status} stream error, waiting 1s before retry...`);
-                            await sleep(1000);
+                            await sleep(1000, signal);
                         }
 
                         endpointIndex++;
@@ -289,7 +316,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
 
                     for (let emptyRetries = 0; emptyRetries <= MAX_EMPTY_RESPONSE_RETRIES; emptyRetries++) {
                         try {
-                            yield* streamSSEResponse(currentResponse, anthropicRequest.model);
+                            yield* streamSSEResponse(currentResponse, anthropicRequest.model, getResponseOptions(anthropicRequest));
                             logger.debug('[CloudCode] Stream completed');
                             // Gap 1: Clear timestamp on success
                             clearRateLimitTimestamp(model);
@@ -311,13 +338,15 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                             // Exponential backoff: 500ms, 1000ms, 2000ms
                             const backoffMs = 500 * Math.pow(2, emptyRetries);
                             logger.warn(`[CloudCode] Empty response, retry ${emptyRetries + 1}/${MAX_EMPTY_RESPONSE_RETRIES} after ${backoffMs}ms...`);
-                            await sleep(backoffMs);
+                            retriesTotal.inc({ model, reason: 'empty_response' });
+                            await sleep(backoffMs, signal);
 
                             // Refetch the response
                             currentResponse = await fetch(url, {
                                 method: 'POST',
                                 headers: buildHeaders(token, model, 'text/event-stream'),
-                                body: JSON.stringify(payload)
+                                body: JSON.stringify(payload),
+                                signal
                             });
 
                             // Handle specific error codes on retry
@@ -346,11 +375,12 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                                 // For 5xx errors, continue retrying
                                 if (currentResponse.status >= 500) {
                                     logger.warn(`[CloudCode] Retry got ${currentResponse.status}, will retry...`);
-                                    await sleep(1000);
+                                    await sleep(1000, signal);
                                     currentResponse = await fetch(url, {
                                         method: 'POST',
                                         headers: buildHeaders(token, model, 'text/event-stream'),
-                                        body: JSON.stringify(payload)
+                                        body: JSON.stringify(payload),
+                                        signal
                                     });
                                     if (currentResponse.ok) {
                                         continue;
@@ -363,6 +393,9 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                     }
 
                 } catch (endpointError) {
+                    if (isAbortError(endpointError)) {
+                        throw endpointError; // Client disconnected - don't try other endpoints
+                    }
                     if (isRateLimitError(endpointError)) {
                         throw endpointError; // Re-throw to trigger account switch
                     }
@@ -375,6 +408,8 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                 }
             }
 
+            if (capacityExhausted) break;
+
             // If all endpoints failed for this account
             if (lastError) {
                 if (lastError.is429) {
@@ -386,20 +421,29 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
             }
 
         } catch (error) {
+            if (isAbortError(error)) {
+                throw error; // Client disconnected - don't fail over to other accounts
+            }
             if (isRateLimitError(error)) {
                 // Rate limited - already marked, notify strategy and continue to next account
                 accountManager.notifyRateLimit(account, model);
                 logger.info(`[CloudCode] Account ${account.email} rate-limited, trying next...`);
+                accountFailoversTotal.inc({ model, reason: 'rate_limit' });
+                lastFailure = 'quota';
                 continue;
             }
             if (isAuthError(error)) {
                 // Auth invalid - already marked, continue to next account
                 logger.warn(`[CloudCode] Account ${account.email} has invalid credentials, trying next...`);
+                accountFailoversTotal.inc({ model, reason: 'auth' });
+                lastFailure = 'error';
                 continue;
             }
             // Handle 5xx errors
             if (error.message.includes('API error 5') || error.message.includes('500') || error.message.includes('503')) {
                 accountManager.notifyFailure(account, model);
+                accountFailoversTotal.inc({ model, reason: 'server_error' });
+                lastFailure = 'error';
 
                 // Gap 2: Check consecutive failures for extended cooldown
                 const consecutiveFailures = accountManager.getHealthTracker()?.getConsecutiveFailures(account.email) || 0;
@@ -414,6 +458,8 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
 
             if (isNetworkError(error)) {
                 accountManager.notifyFailure(account, model);
+                accountFailoversTotal.inc({ model, reason: 'network' });
+                lastFailure = 'error';
 
                 // Gap 2: Check consecutive failures for extended cooldown
                 const consecutiveFailures = accountManager.getHealthTracker()?.getConsecutiveFailures(account.email) || 0;
@@ -423,7 +469,7 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
                 } else {
                     logger.warn(`[CloudCode] Network error for ${account.email} (stream), trying next account... (${error.message})`);
                 }
-                await sleep(1000);
+                await sleep(1000, signal);
                 continue;
             }
 
@@ -431,15 +477,16 @@ export async function* sendMessageStream(anthropicRequest, accountManager, fallb
         }
     }
 
-    // All retries exhausted - try fallback model if enabled
-    if (fallbackEnabled) {
-        const fallbackModel = getFallbackModel(model);
-        if (fallbackModel) {
-            logger.warn(`[CloudCode] All retries exhausted for ${model}. Attempting fallback to ${fallbackModel} (streaming)`);
-            const fallbackRequest = { ...anthropicRequest, model: fallbackModel };
-            yield* sendMessageStream(fallbackRequest, accountManager, false);
-            return;
-        }
+    // Capacity or retries exhausted - try the fallback chain if it covers the failure
+    const reason = capacityExhausted ? 'capacity' : (lastFailure || 'error');
+    const fallback = getNextFallback(model, chain, reason);
+    if (fallback) {
+        logger.warn(`[CloudCode] ${capacityExhausted ? 'Capacity' : 'All retries'} exhausted for ${model}. Attempting fallback to ${fallback.model} (streaming)`);
+        recordFallback(trace, model, fallback.model, reason);
+        modelFallbacksTotal.inc({ model, fallback_model: fallback.model, reason });
+        const fallbackRequest = { ...anthropicRequest, model: fallback.model };
+        yield* sendMessageStream(fallbackRequest, accountManager, true, trace, fallback.chain, signal);
+        return;
     }
 
     throw new Error('Max retries exceeded');
@@ -9,6 +9,7 @@ const DEFAULT_CONFIG = {
     apiKey: '',           // Legacy single API key (backward compatible)
     apiKeys: [],          // Array of API key objects: [{ id, key, name, enabled, createdAt, lastUsed, requestCount }]
     webuiPassword: '',
+    metricsToken: '',     // Bearer token Prometheus scrapers can use for /metrics (works without a WebUI login)
     debug: false,
     logLevel: 'info',
     maxRetries: 5,
@@ -17,7 +18,17 @@ const DEFAULT_CONFIG = {
     persistTokenCache: false,
     defaultCooldownMs: 10000,  // 10 seconds
     maxWaitBeforeErrorMs: 120000, // 2 minutes
+    streamKeepAliveMs: 15000, // Keep-alive interval for silent streaming responses (0 = off)
+    batchConcurrency: 4,  // Parallel requests per message batch (capped by account count)
+    trustedProxies: [],   // Reverse proxy IPs/CIDR ranges whose X-Forwarded-For header is trusted
+    keyRotationGraceMs: 86400000, // 24 hours - how long a regenerated API key's old key keeps working
+    responseCacheEnabled: false,  // Serve repeated identical requests from the response cache (API keys can override)
+    responseCacheTtlMs: 3600000,  // 1 hour - how long a cached response is served
+    responseCacheMaxEntries: 1000,
+    responseCacheMaxSizeMb: 100,
     modelMapping: {},
+    fallbackChains: {},   // Per-model fallback chains: { model: { models: [...], on: ['quota', 'capacity', 'error'] } }
+    routingRules: [],     // Ordered model routing rules (see src/routing/model-router.js)
     // Account selection strategy configuration
     accountSelection: {
         strategy: 'hybrid',           // 'sticky' | 'round-robin' | 'hybrid'
@@ -78,7 +89,11 @@ function loadConfig() {
         // Environment overrides
         if (process.env.API_KEY) config.apiKey = process.env.API_KEY;
         if (process.env.WEBUI_PASSWORD) config.webuiPassword = process.env.WEBUI_PASSWORD;
+        if (process.env.METRICS_TOKEN) config.metricsToken = process.env.METRICS_TOKEN;
         if (process.env.DEBUG === 'true') config.debug = true;
+        if (process.env.TRUSTED_PROXIES) {
+            config.trustedProxies = process.env.TRUSTED_PROXIES.split(',').map(entry => entry.trim()).filter(Boolean);
+        }
 
     } catch (error) {
         logger.error('[Config] Error loading config:', error);
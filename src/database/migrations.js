@@ -84,6 +84,223 @@ const migrations = [
                 applied_at INTEGER NOT NULL
             );
         `
+    },
+    {
+        version: 2,
+        name: 'request_logs_api_format',
+        up: `
+            -- Which client protocol the request came in on ('anthropic' | 'openai')
+            ALTER TABLE request_logs ADD COLUMN api_format TEXT NOT NULL DEFAULT 'anthropic';
+            CREATE INDEX IF NOT EXISTS idx_logs_api_format ON request_logs(api_format);
+        `
+    },
+    {
+        version: 3,
+        name: 'request_logs_account_tracking',
+        up: `
+            -- Upstream attempts (account failovers + fallback hops) and model fallback flag
+            ALTER TABLE request_logs ADD COLUMN attempts INTEGER;
+            ALTER TABLE request_logs ADD COLUMN fallback_used INTEGER NOT NULL DEFAULT 0;
+            CREATE INDEX IF NOT EXISTS idx_logs_account ON request_logs(account_email);
+        `
+    },
+    {
+        version: 4,
+        name: 'message_batches',
+        up: `
+            -- Message Batches API (processed in the background through the account pool)
+            CREATE TABLE IF NOT EXISTS message_batches (
+                id TEXT PRIMARY KEY,
+                api_key_id TEXT,
+                processing_status TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                cancel_initiated_at INTEGER,
+                ended_at INTEGER,
+
+                FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+            );
+
+            -- One row per batch item; result holds the JSONL result once processed
+            CREATE TABLE IF NOT EXISTS message_batch_requests (
+                batch_id TEXT NOT NULL,
+                custom_id TEXT NOT NULL,
+                position INTEGER NOT NULL,
+                params TEXT NOT NULL,
+                status TEXT NOT NULL DEFAULT 'pending',
+                result TEXT,
+                completed_at INTEGER,
+
+                PRIMARY KEY (batch_id, custom_id),
+                FOREIGN KEY (batch_id) REFERENCES message_batches(id) ON DELETE CASCADE
+            );
+
+            CREATE INDEX IF NOT EXISTS idx_batches_api_key ON message_batches(api_key_id);
+            CREATE INDEX IF NOT EXISTS idx_batches_status ON message_batches(processing_status);
+            CREATE INDEX IF NOT EXISTS idx_batch_requests_status ON message_batch_requests(batch_id, status, position);
+        `
+    },
+    {
+        version: 5,
+        name: 'api_key_token_budgets',
+        up: `
+            -- Token budgets (input + output tokens per UTC day/month, computed from request_logs)
+            ALTER TABLE api_keys ADD COLUMN token_budget_daily INTEGER;
+            ALTER TABLE api_keys ADD COLUMN token_budget_monthly INTEGER;
+            -- JSON array of { model, daily, monthly } where model is a pattern like allowed_models
+            ALTER TABLE api_keys ADD COLUMN model_token_budgets TEXT;
+            CREATE INDEX IF NOT EXISTS idx_logs_api_key_timestamp ON request_logs(api_key_id, timestamp);
+        `
+    },
+    {
+        version: 6,
+        name: 'persistent_rate_limits',
+        up: `
+            -- One row per request counted against RPM/RPH limits (pruned after an hour)
+            CREATE TABLE IF NOT EXISTS api_key_rate_limit_events (
+                api_key_id TEXT NOT NULL,
+                timestamp INTEGER NOT NULL,
+
+                FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+            );
+
+            -- In-flight requests; holder is "<hostname>:<pid>" of the proxy serving it
+            CREATE TABLE IF NOT EXISTS api_key_inflight_requests (
+                id TEXT PRIMARY KEY,
+                api_key_id TEXT NOT NULL,
+                holder TEXT NOT NULL,
+                started_at INTEGER NOT NULL,
+
+                FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+            );
+
+            ALTER TABLE api_keys ADD COLUMN max_concurrent_requests INTEGER;
+
+            CREATE INDEX IF NOT EXISTS idx_rate_limit_events_key ON api_key_rate_limit_events(api_key_id, timestamp);
+            CREATE INDEX IF NOT EXISTS idx_inflight_key ON api_key_inflight_requests(api_key_id);
+        `
+    },
+    {
+        version: 7,
+        name: 'api_key_permissions',
+        up: `
+            -- JSON array of endpoint scopes (NULL = all endpoints)
+            ALTER TABLE api_keys ADD COLUMN scopes TEXT;
+            -- Request policies
+            ALTER TABLE api_keys ADD COLUMN streaming_only INTEGER NOT NULL DEFAULT 0;
+            ALTER TABLE api_keys ADD COLUMN max_tokens_limit INTEGER;
+            ALTER TABLE api_keys ADD COLUMN thinking_disabled INTEGER NOT NULL DEFAULT 0;
+            -- JSON array of tool name patterns (NULL = all tools)
+            ALTER TABLE api_keys ADD COLUMN allowed_tools TEXT;
+        `
+    },
+    {
+        version: 8,
+        name: 'api_key_rotation',
+        up: `
+            -- Key replaced by the last rotation; its hash stays valid until previous_key_expires_at
+            ALTER TABLE api_keys ADD COLUMN previous_key_hash TEXT;
+            ALTER TABLE api_keys ADD COLUMN previous_key_prefix TEXT;
+            ALTER TABLE api_keys ADD COLUMN previous_key_expires_at INTEGER;
+            ALTER TABLE api_keys ADD COLUMN rotated_at INTEGER;
+            -- Prefix of the key (current or previous) that authenticated the request
+            ALTER TABLE request_logs ADD COLUMN key_prefix TEXT;
+            CREATE INDEX IF NOT EXISTS idx_api_keys_previous_hash ON api_keys(previous_key_hash);
+        `
+    },
+    {
+        version: 9,
+        name: 'webui_users',
+        up: `
+            -- WebUI users; role is 'admin' (full access) or 'viewer' (dashboard, own keys and logs)
+            CREATE TABLE IF NOT EXISTS webui_users (
+                id TEXT PRIMARY KEY,
+                username TEXT NOT NULL UNIQUE COLLATE NOCASE,
+                password_hash TEXT NOT NULL,
+                role TEXT NOT NULL,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                created_at INTEGER NOT NULL,
+                last_login_at INTEGER
+            );
+
+            -- Login sessions; id is the SHA-256 hash of the session cookie
+            CREATE TABLE IF NOT EXISTS webui_sessions (
+                id TEXT PRIMARY KEY,
+                user_id TEXT NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                client_ip TEXT,
+                user_agent TEXT,
+
+                FOREIGN KEY (user_id) REFERENCES webui_users(id) ON DELETE CASCADE
+            );
+
+            -- Who changed what through the WebUI
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id TEXT PRIMARY KEY,
+                timestamp INTEGER NOT NULL,
+                user_id TEXT,
+                username TEXT,
+                client_ip TEXT,
+                action TEXT NOT NULL,
+                target TEXT
+            );
+
+            -- Viewer that can see the key and its request logs
+            ALTER TABLE api_keys ADD COLUMN owner_user_id TEXT REFERENCES webui_users(id) ON DELETE SET NULL;
+
+            CREATE INDEX IF NOT EXISTS idx_webui_sessions_user ON webui_sessions(user_id);
+            CREATE INDEX IF NOT EXISTS idx_audit_log_timestamp ON audit_log(timestamp);
+            CREATE INDEX IF NOT EXISTS idx_api_keys_owner ON api_keys(owner_user_id);
+        `
+    },
+    {
+        version: 10,
+        name: 'audit_log_changes',
+        up: `
+            -- Before/after values of the changed fields (JSON, secrets redacted)
+            ALTER TABLE audit_log ADD COLUMN changes TEXT;
+
+            CREATE INDEX IF NOT EXISTS idx_audit_log_action ON audit_log(action);
+        `
+    },
+    {
+        version: 11,
+        name: 'response_cache',
+        up: `
+            -- Cached responses; key is the SHA-256 of the normalized request and the API key ID
+            CREATE TABLE IF NOT EXISTS response_cache (
+                key TEXT PRIMARY KEY,
+                api_key_id TEXT,
+                model TEXT NOT NULL,
+                response TEXT NOT NULL,
+                size_bytes INTEGER NOT NULL,
+                created_at INTEGER NOT NULL,
+                expires_at INTEGER NOT NULL,
+                last_used_at INTEGER NOT NULL,
+                hits INTEGER NOT NULL DEFAULT 0,
+
+                FOREIGN KEY (api_key_id) REFERENCES api_keys(id) ON DELETE CASCADE
+            );
+
+            -- Per-key cache setting (NULL = server default, 1 = on, 0 = off)
+            ALTER TABLE api_keys ADD COLUMN response_cache INTEGER;
+            -- Served from the response cache (not counted against token budgets)
+            ALTER TABLE request_logs ADD COLUMN cache_hit INTEGER NOT NULL DEFAULT 0;
+
+            CREATE INDEX IF NOT EXISTS idx_response_cache_expires ON response_cache(expires_at);
+            CREATE INDEX IF NOT EXISTS idx_response_cache_last_used ON response_cache(last_used_at);
+        `
+    },
+    {
+        version: 12,
+        name: 'request_logs_end_user',
+        up: `
+            -- End user the request was made for (Anthropic metadata.user_id, OpenAI user)
+            ALTER TABLE request_logs ADD COLUMN end_user_id TEXT;
+
+            CREATE INDEX IF NOT EXISTS idx_request_logs_end_user ON request_logs(end_user_id);
+        `
     }
 ];
 
@@ -147,12 +364,19 @@ export function runMigrations(db) {
 }
 
 /**
- * Prune old request logs (30-day retention)
+ * Days of request logs to keep
+ * Monthly token budgets are computed from request logs, so a whole calendar
+ * month (up to 31 days) must still be there at the end of the month.
+ */
+export const REQUEST_LOG_RETENTION_DAYS = 31;
+
+/**
+ * Prune old request logs
  * @param {Database} db - The database instance
- * @param {number} retentionDays - Number of days to keep logs (default: 30)
+ * @param {number} retentionDays - Number of days to keep logs (default: REQUEST_LOG_RETENTION_DAYS)
  * @returns {number} Number of deleted records
  */
-export function pruneOldLogs(db, retentionDays = 30) {
+export function pruneOldLogs(db, retentionDays = REQUEST_LOG_RETENTION_DAYS) {
     const cutoffTime = Date.now() - (retentionDays * 24 * 60 * 60 * 1000);
 
     const result = db.prepare(`
@@ -43,6 +43,17 @@ export function getKeyPrefix(key) {
  * @param {number|null} options.rate_limit_rph - Requests per hour (null = unlimited)
  * @param {string[]|null} options.ip_whitelist - Allowed IPs (null = all)
  * @param {number|null} options.expires_at - Unix timestamp for expiration (null = never)
+ * @param {number|null} options.token_budget_daily - Input + output tokens per UTC day (null = unlimited)
+ * @param {number|null} options.token_budget_monthly - Input + output tokens per UTC month (null = unlimited)
+ * @param {Array<{model: string, daily?: number, monthly?: number}>|null} options.model_token_budgets - Per-model budgets (null = none)
+ * @param {number|null} options.max_concurrent_requests - Max in-flight requests (null = unlimited)
+ * @param {string[]|null} options.scopes - Allowed endpoint scopes (null = all)
+ * @param {boolean} options.streaming_only - Reject non-streaming generation requests
+ * @param {number|null} options.max_tokens_limit - Max max_tokens per request (null = unlimited)
+ * @param {boolean} options.thinking_disabled - Reject thinking requests and thinking models
+ * @param {string[]|null} options.allowed_tools - Allowed tool name patterns (null = all)
+ * @param {string|null} options.owner_user_id - WebUI user that can see the key and its logs
+ * @param {boolean|null} options.response_cache - Cache responses for this key (null = server default)
  * @param {string|null} options.notes - Optional notes
  * @returns {Object} The created key entry with full key (shown only once)
  */
@@ -61,6 +72,17 @@ export function createApiKey(options = {}) {
         rate_limit_rph: options.rate_limit_rph || null,
         ip_whitelist: options.ip_whitelist ? JSON.stringify(options.ip_whitelist) : null,
         expires_at: options.expires_at || null,
+        token_budget_daily: options.token_budget_daily || null,
+        token_budget_monthly: options.token_budget_monthly || null,
+        model_token_budgets: options.model_token_budgets?.length ? JSON.stringify(options.model_token_budgets) : null,
+        max_concurrent_requests: options.max_concurrent_requests || null,
+        scopes: options.scopes ? JSON.stringify(options.scopes) : null,
+        streaming_only: options.streaming_only ? 1 : 0,
+        max_tokens_limit: options.max_tokens_limit || null,
+        thinking_disabled: options.thinking_disabled ? 1 : 0,
+        allowed_tools: options.allowed_tools ? JSON.stringify(options.allowed_tools) : null,
+        owner_user_id: options.owner_user_id || null,
+        response_cache: typeof options.response_cache === 'boolean' ? Number(options.response_cache) : null,
         enabled: 1,
         created_at: Date.now(),
         last_used_at: null,
@@ -72,10 +94,14 @@ export function createApiKey(options = {}) {
         INSERT INTO api_keys (
             id, key_hash, key_prefix, name,
             allowed_models, rate_limit_rpm, rate_limit_rph, ip_whitelist, expires_at,
+            token_budget_daily, token_budget_monthly, model_token_budgets, max_concurrent_requests,
+            scopes, streaming_only, max_tokens_limit, thinking_disabled, allowed_tools, owner_user_id, response_cache,
             enabled, created_at, last_used_at, request_count, notes
         ) VALUES (
             @id, @key_hash, @key_prefix, @name,
             @allowed_models, @rate_limit_rpm, @rate_limit_rph, @ip_whitelist, @expires_at,
+            @token_budget_daily, @token_budget_monthly, @model_token_budgets, @max_concurrent_requests,
+            @scopes, @streaming_only, @max_tokens_limit, @thinking_disabled, @allowed_tools, @owner_user_id, @response_cache,
             @enabled, @created_at, @last_used_at, @request_count, @notes
         )
     `).run(entry);
@@ -91,6 +117,17 @@ export function createApiKey(options = {}) {
         rate_limit_rph: entry.rate_limit_rph,
         ip_whitelist: options.ip_whitelist || null,
         expires_at: entry.expires_at,
+        token_budget_daily: entry.token_budget_daily,
+        token_budget_monthly: entry.token_budget_monthly,
+        model_token_budgets: options.model_token_budgets?.length ? options.model_token_budgets : null,
+        max_concurrent_requests: entry.max_concurrent_requests,
+        scopes: options.scopes || null,
+        streaming_only: Boolean(entry.streaming_only),
+        max_tokens_limit: entry.max_tokens_limit,
+        thinking_disabled: Boolean(entry.thinking_disabled),
+        allowed_tools: options.allowed_tools || null,
+        owner_user_id: entry.owner_user_id,
+        response_cache: entry.response_cache === null ? null : Boolean(entry.response_cache),
         enabled: true,
         created_at: entry.created_at,
         last_used_at: entry.last_used_at,
@@ -101,24 +138,37 @@ export function createApiKey(options = {}) {
 
 /**
  * Get all API keys (without hashes, with parsed JSON fields)
+ * @param {Object} [options] - List options
+ * @param {string} [options.owner_user_id] - Only keys owned by this WebUI user
  * @returns {Array} Array of key entries
  */
-export function listApiKeys() {
+export function listApiKeys(options = {}) {
     const db = getDatabase();
+    const ownerFilter = options.owner_user_id ? 'WHERE owner_user_id = @owner_user_id' : '';
     const rows = db.prepare(`
         SELECT
             id, key_prefix, name,
             allowed_models, rate_limit_rpm, rate_limit_rph, ip_whitelist, expires_at,
-            enabled, created_at, last_used_at, request_count, notes
+            token_budget_daily, token_budget_monthly, model_token_budgets, max_concurrent_requests,
+            scopes, streaming_only, max_tokens_limit, thinking_disabled, allowed_tools, owner_user_id, response_cache,
+            enabled, created_at, last_used_at, request_count, notes,
+            previous_key_prefix, previous_key_expires_at, rotated_at
         FROM api_keys
+        ${ownerFilter}
         ORDER BY created_at DESC
-    `).all();
+    `).all({ owner_user_id: options.owner_user_id || null });
 
     return rows.map(row => ({
         ...row,
         enabled: Boolean(row.enabled),
         allowed_models: row.allowed_models ? JSON.parse(row.allowed_models) : null,
-        ip_whitelist: row.ip_whitelist ? JSON.parse(row.ip_whitelist) : null
+        ip_whitelist: row.ip_whitelist ? JSON.parse(row.ip_whitelist) : null,
+        model_token_budgets: row.model_token_budgets ? JSON.parse(row.model_token_budgets) : null,
+        scopes: row.scopes ? JSON.parse(row.scopes) : null,
+        streaming_only: Boolean(row.streaming_only),
+        thinking_disabled: Boolean(row.thinking_disabled),
+        allowed_tools: row.allowed_tools ? JSON.parse(row.allowed_tools) : null,
+        response_cache: row.response_cache === null ? null : Boolean(row.response_cache)
     }));
 }
 
@@ -133,7 +183,10 @@ export function getApiKeyById(id) {
         SELECT
             id, key_prefix, name,
             allowed_models, rate_limit_rpm, rate_limit_rph, ip_whitelist, expires_at,
-            enabled, created_at, last_used_at, request_count, notes
+            token_budget_daily, token_budget_monthly, model_token_budgets, max_concurrent_requests,
+            scopes, streaming_only, max_tokens_limit, thinking_disabled, allowed_tools, owner_user_id, response_cache,
+            enabled, created_at, last_used_at, request_count, notes,
+            previous_key_prefix, previous_key_expires_at, rotated_at
         FROM api_keys
         WHERE id = ?
     `).get(id);
@@ -144,14 +197,22 @@ export function getApiKeyById(id) {
         ...row,
         enabled: Boolean(row.enabled),
         allowed_models: row.allowed_models ? JSON.parse(row.allowed_models) : null,
-        ip_whitelist: row.ip_whitelist ? JSON.parse(row.ip_whitelist) : null
+        ip_whitelist: row.ip_whitelist ? JSON.parse(row.ip_whitelist) : null,
+        model_token_budgets: row.model_token_budgets ? JSON.parse(row.model_token_budgets) : null,
+        scopes: row.scopes ? JSON.parse(row.scopes) : null,
+        streaming_only: Boolean(row.streaming_only),
+        thinking_disabled: Boolean(row.thinking_disabled),
+        allowed_tools: row.allowed_tools ? JSON.parse(row.allowed_tools) : null,
+        response_cache: row.response_cache === null ? null : Boolean(row.response_cache)
     };
 }
 
 /**
  * Find an API key by its hash
+ * Also matches the previous key of a rotated API key until its grace period ends.
+ *
  * @param {string} keyHash - The SHA-256 hash of the key
- * @returns {Object|null} The key entry or null if not found
+ * @returns {Object|null} The key entry (with using_previous_key) or null if not found
  */
 export function findApiKeyByHash(keyHash) {
     const db = getDatabase();
@@ -159,18 +220,30 @@ export function findApiKeyByHash(keyHash) {
         SELECT
             id, key_hash, key_prefix, name,
             allowed_models, rate_limit_rpm, rate_limit_rph, ip_whitelist, expires_at,
-            enabled, created_at, last_used_at, request_count, notes
+            token_budget_daily, token_budget_monthly, model_token_budgets, max_concurrent_requests,
+            scopes, streaming_only, max_tokens_limit, thinking_disabled, allowed_tools, owner_user_id, response_cache,
+            enabled, created_at, last_used_at, request_count, notes,
+            previous_key_prefix, previous_key_expires_at, rotated_at
         FROM api_keys
-        WHERE key_hash = ?
-    `).get(keyHash);
+        WHERE key_hash = @keyHash
+            OR (previous_key_hash = @keyHash AND previous_key_expires_at > @now)
+    `).get({ keyHash, now: Date.now() });
 
     if (!row) return null;
 
     return {
         ...row,
+        // Authenticated with the key replaced by the last rotation (still in its grace period)
+        using_previous_key: row.key_hash !== keyHash,
         enabled: Boolean(row.enabled),
         allowed_models: row.allowed_models ? JSON.parse(row.allowed_models) : null,
-        ip_whitelist: row.ip_whitelist ? JSON.parse(row.ip_whitelist) : null
+        ip_whitelist: row.ip_whitelist ? JSON.parse(row.ip_whitelist) : null,
+        model_token_budgets: row.model_token_budgets ? JSON.parse(row.model_token_budgets) : null,
+        scopes: row.scopes ? JSON.parse(row.scopes) : null,
+        streaming_only: Boolean(row.streaming_only),
+        thinking_disabled: Boolean(row.thinking_disabled),
+        allowed_tools: row.allowed_tools ? JSON.parse(row.allowed_tools) : null,
+        response_cache: row.response_cache === null ? null : Boolean(row.response_cache)
     };
 }
 
@@ -185,7 +258,9 @@ export function updateApiKey(id, updates) {
 
     const allowedFields = [
         'name', 'allowed_models', 'rate_limit_rpm', 'rate_limit_rph',
-        'ip_whitelist', 'expires_at', 'enabled', 'notes'
+        'ip_whitelist', 'expires_at', 'token_budget_daily', 'token_budget_monthly',
+        'model_token_budgets', 'max_concurrent_requests', 'scopes', 'streaming_only',
+        'max_tokens_limit', 'thinking_disabled', 'allowed_tools', 'owner_user_id', 'response_cache', 'enabled', 'notes'
     ];
 
     const setClauses = [];
@@ -195,10 +270,14 @@ export function updateApiKey(id, updates) {
         if (!allowedFields.includes(key)) continue;
 
         let dbValue = value;
-        if (key === 'allowed_models' || key === 'ip_whitelist') {
+        if (key === 'allowed_models' || key === 'ip_whitelist' || key === 'scopes' || key === 'allowed_tools') {
             dbValue = value ? JSON.stringify(value) : null;
-        } else if (key === 'enabled') {
+        } else if (key === 'model_token_budgets') {
+            dbValue = value?.length ? JSON.stringify(value) : null;
+        } else if (key === 'enabled' || key === 'streaming_only' || key === 'thinking_disabled') {
             dbValue = value ? 1 : 0;
+        } else if (key === 'response_cache') {
+            dbValue = typeof value === 'boolean' ? Number(value) : null;
         }
 
         setClauses.push(`${key} = @${key}`);
@@ -227,11 +306,17 @@ export function deleteApiKey(id) {
 
 /**
  * Regenerate an API key (new key with same settings)
+ * With a grace period the replaced key keeps working until it ends, so running
+ * clients can be moved over; a rotation during a grace period retires the older key.
+ *
  * @param {string} id - The key ID to regenerate
+ * @param {Object} [options] - Rotation options
+ * @param {number} [options.gracePeriodMs=0] - How long the replaced key stays valid (0 = invalidate immediately)
  * @returns {Object|null} The new key entry with full key, or null if not found
  */
-export function regenerateApiKey(id) {
+export function regenerateApiKey(id, options = {}) {
     const db = getDatabase();
+    const gracePeriodMs = options.gracePeriodMs || 0;
 
     // Get current key settings
     const existing = getApiKeyById(id);
@@ -241,23 +326,80 @@ export function regenerateApiKey(id) {
     const newKey = generateApiKey();
     const newKeyHash = hashApiKey(newKey);
     const newKeyPrefix = getKeyPrefix(newKey);
+    const rotatedAt = Date.now();
+    const previousKeyExpiresAt = gracePeriodMs > 0 ? rotatedAt + gracePeriodMs : null;
 
-    // Update the key
+    // Update the key, keeping the replaced hash during the grace period
     db.prepare(`
         UPDATE api_keys
-        SET key_hash = ?, key_prefix = ?, last_used_at = NULL, request_count = 0
-        WHERE id = ?
-    `).run(newKeyHash, newKeyPrefix, id);
+        SET previous_key_hash = CASE WHEN @previous_key_expires_at IS NULL THEN NULL ELSE key_hash END,
+            previous_key_prefix = key_prefix,
+            previous_key_expires_at = @previous_key_expires_at,
+            rotated_at = @rotated_at,
+            key_hash = @key_hash, key_prefix = @key_prefix, last_used_at = NULL, request_count = 0
+        WHERE id = @id
+    `).run({
+        id,
+        key_hash: newKeyHash,
+        key_prefix: newKeyPrefix,
+        previous_key_expires_at: previousKeyExpiresAt,
+        rotated_at: rotatedAt
+    });
 
     return {
         ...existing,
         key: newKey, // Full key - shown only once!
         key_prefix: newKeyPrefix,
+        previous_key_prefix: existing.key_prefix,
+        previous_key_expires_at: previousKeyExpiresAt,
+        rotated_at: rotatedAt,
         last_used_at: null,
         request_count: 0
     };
 }
 
+/**
+ * Retire the previous key of an API key now, ending its grace period early
+ * @param {string} id - The key ID
+ * @returns {boolean} True if a previous key was still valid and has been retired
+ */
+export function retirePreviousApiKey(id) {
+    const db = getDatabase();
+    const result = db.prepare(`
+        UPDATE api_keys
+        SET previous_key_hash = NULL, previous_key_expires_at = NULL
+        WHERE id = ? AND previous_key_hash IS NOT NULL
+    `).run(id);
+    return result.changes > 0;
+}
+
+/**
+ * Retire previous keys whose grace period has ended
+ * Expired previous keys are already rejected by findApiKeyByHash; this drops their hashes.
+ * The previous prefix and rotation time are kept for display.
+ *
+ * @returns {Array<{id: string, name: string, previous_key_prefix: string}>} Keys whose previous key was retired
+ */
+export function retireExpiredPreviousKeys() {
+    const db = getDatabase();
+    const now = Date.now();
+
+    return db.transaction(() => {
+        const rows = db.prepare(`
+            SELECT id, name, previous_key_prefix FROM api_keys
+            WHERE previous_key_hash IS NOT NULL AND previous_key_expires_at <= ?
+        `).all(now);
+
+        db.prepare(`
+            UPDATE api_keys
+            SET previous_key_hash = NULL, previous_key_expires_at = NULL
+            WHERE previous_key_hash IS NOT NULL AND previous_key_expires_at <= ?
+        `).run(now);
+
+        return rows;
+    })();
+}
+
 /**
  * Record API key usage (increment count and update last used)
  * @param {string} id - The key ID
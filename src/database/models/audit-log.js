@@ -0,0 +1,251 @@
+/**
+ * Audit Log Data Model
+ * Record of administrative changes made through the WebUI
+ *
+ * Each event stores who made the change (WebUI user, client IP), what was done
+ * (action and target) and the before/after values of the fields that changed.
+ * Secret values (passwords, tokens, key hashes) are never stored: a changed
+ * secret shows up as "[redacted]".
+ */
+
+import crypto from 'crypto';
+import { getDatabase } from '../index.js';
+
+// Stored in place of secret values
+export const REDACTED = '[redacted]';
+
+// Field names whose values are secrets (checked at any depth)
+const SECRET_FIELDS = new Set([
+    'password',
+    'password_hash',
+    'oldPassword',
+    'newPassword',
+    'webuiPassword',
+    'metricsToken',
+    'apiKey',
+    'key',
+    'key_hash',
+    'previous_key_hash',
+    'refreshToken',
+    'accessToken',
+    'token'
+]);
+
+/**
+ * Replace secret values in a value for storage
+ * @param {*} value - Any JSON-compatible value
+ * @param {string} [field] - Name of the field holding the value
+ * @returns {*} Copy of the value with secrets replaced by REDACTED
+ */
+export function redactSecrets(value, field = null) {
+    if (value === null || value === undefined) return null;
+    if (field && SECRET_FIELDS.has(field)) return value === '' ? '' : REDACTED;
+    if (Array.isArray(value)) return value.map(item => redactSecrets(item));
+    if (typeof value === 'object') {
+        return Object.fromEntries(
+            Object.entries(value).map(([key, item]) => [key, redactSecrets(item, key)])
+        );
+    }
+    return value;
+}
+
+/**
+ * Compute the changed fields between two versions of an object
+ * null and undefined are treated as equal, so created and deleted objects
+ * only list the fields that are set.
+ *
+ * @param {Object|null} before - Value before the change
+ * @param {Object|null} after - Value after the change
+ * @returns {Object|null} { field: { before, after } } with secrets redacted, or null if nothing changed
+ */
+export function diffAuditValues(before, after) {
+    const previous = before || {};
+    const next = after || {};
+    const changes = {};
+
+    for (const field of new Set([...Object.keys(previous), ...Object.keys(next)])) {
+        const oldValue = previous[field] ?? null;
+        const newValue = next[field] ?? null;
+        if (JSON.stringify(oldValue) === JSON.stringify(newValue)) continue;
+
+        changes[field] = {
+            before: redactSecrets(oldValue, field),
+            after: redactSecrets(newValue, field)
+        };
+    }
+
+    return Object.keys(changes).length > 0 ? changes : null;
+}
+
+/**
+ * Record an audit event
+ * @param {Object} event - The event
+ * @param {string|null} event.user_id - Acting WebUI user (null for the shared password or an open WebUI)
+ * @param {string|null} event.username - Acting user's name at the time of the change
+ * @param {string|null} event.client_ip - Client IP
+ * @param {string} event.action - What was done, e.g. "keys.create"
+ * @param {string|null} [event.target] - What it was done to, e.g. an API key ID or account email
+ * @param {Object|null} [event.before] - Changed object before the change
+ * @param {Object|null} [event.after] - Changed object after the change
+ * @returns {Object} The stored event
+ */
+export function recordAuditEvent(event) {
+    const db = getDatabase();
+
+    const entry = {
+        id: crypto.randomUUID(),
+        timestamp: Date.now(),
+        user_id: event.user_id || null,
+        username: event.username || null,
+        client_ip: event.client_ip || null,
+        action: event.action,
+        target: event.target ?? null,
+        changes: diffAuditValues(event.before, event.after)
+    };
+
+    db.prepare(`
+        INSERT INTO audit_log (id, timestamp, user_id, username, client_ip, action, target, changes)
+        VALUES (@id, @timestamp, @user_id, @username, @client_ip, @action, @target, @changes)
+    `).run({ ...entry, changes: entry.changes ? JSON.stringify(entry.changes) : null });
+
+    return entry;
+}
+
+/**
+ * Build the WHERE clause for audit log filters
+ * @param {Object} options - Filter options (see getAuditEvents)
+ * @returns {{whereClause: string, params: Object}} SQL and bound parameters
+ */
+function buildAuditFilters(options) {
+    const { action, username, target, from, to, search } = options;
+    const conditions = [];
+    const params = {};
+
+    if (action) {
+        // "keys" matches every keys.* action
+        conditions.push('(action = @action OR action LIKE @actionPrefix)');
+        params.action = action;
+        params.actionPrefix = `${action}.%`;
+    }
+
+    if (username) {
+        conditions.push('username = @username');
+        params.username = username;
+    }
+
+    if (target) {
+        conditions.push('target = @target');
+        params.target = target;
+    }
+
+    if (from) {
+        conditions.push('timestamp >= @from');
+        params.from = from;
+    }
+
+    if (to) {
+        conditions.push('timestamp <= @to');
+        params.to = to;
+    }
+
+    if (search) {
+        conditions.push('(target LIKE @search OR changes LIKE @search OR client_ip LIKE @search)');
+        params.search = `%${search}%`;
+    }
+
+    return {
+        whereClause: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params
+    };
+}
+
+/**
+ * Parse the stored changes of an audit row
+ * @param {Object} row - Database row
+ * @returns {Object} The event with changes as an object
+ */
+function parseAuditRow(row) {
+    return { ...row, changes: row.changes ? JSON.parse(row.changes) : null };
+}
+
+/**
+ * Get audit events with filtering and pagination, most recent first
+ * @param {Object} [options] - Query options
+ * @param {string} [options.action] - Action, or action group like "keys"
+ * @param {string} [options.username] - Acting user
+ * @param {string} [options.target] - Target (key ID, account email, ...)
+ * @param {number} [options.from] - Start timestamp
+ * @param {number} [options.to] - End timestamp
+ * @param {string} [options.search] - Search in target, changes and client IP
+ * @param {number} [options.page=1] - Page number (1-indexed)
+ * @param {number} [options.limit=100] - Events per page
+ * @returns {Object} { events, total, page, pages }
+ */
+export function getAuditEvents(options = {}) {
+    const db = getDatabase();
+    const { page = 1, limit = 100 } = options;
+    const { whereClause, params } = buildAuditFilters(options);
+
+    const { total } = db.prepare(`SELECT COUNT(*) as total FROM audit_log ${whereClause}`).get(params);
+
+    const events = db.prepare(`
+        SELECT * FROM audit_log
+        ${whereClause}
+        ORDER BY timestamp DESC
+        LIMIT @limit OFFSET @offset
+    `).all({ ...params, limit, offset: (page - 1) * limit });
+
+    return {
+        events: events.map(parseAuditRow),
+        total,
+        page,
+        pages: Math.ceil(total / limit)
+    };
+}
+
+/**
+ * Get the distinct actors and actions in the audit log (for filter dropdowns)
+ * @returns {{usernames: string[], actions: string[]}} Sorted usernames and actions
+ */
+export function getAuditFilterOptions() {
+    const db = getDatabase();
+    return {
+        usernames: db.prepare('SELECT DISTINCT username FROM audit_log WHERE username IS NOT NULL ORDER BY username').pluck().all(),
+        actions: db.prepare('SELECT DISTINCT action FROM audit_log ORDER BY action').pluck().all()
+    };
+}
+
+/**
+ * Export audit events as CSV
+ * @param {Object} [options] - Filter options (see getAuditEvents)
+ * @returns {string} CSV content
+ */
+export function exportAuditEvents(options = {}) {
+    const db = getDatabase();
+    const { whereClause, params } = buildAuditFilters(options);
+
+    const rows = db.prepare(`
+        SELECT * FROM audit_log
+        ${whereClause}
+        ORDER BY timestamp DESC
+    `).all(params);
+
+    const headers = ['id', 'timestamp', 'username', 'user_id', 'client_ip', 'action', 'target', 'changes'];
+    const csvRows = [headers.join(',')];
+
+    for (const row of rows) {
+        const values = headers.map(h => {
+            const val = h === 'timestamp' ? new Date(row[h]).toISOString() : row[h];
+            if (val === null || val === undefined) return '';
+            // Escape quotes and wrap in quotes if contains comma
+            const str = String(val);
+            if (str.includes(',') || str.includes('"') || str.includes('\n')) {
+                return `"${str.replace(/"/g, '""')}"`;
+            }
+            return str;
+        });
+        csvRows.push(values.join(','));
+    }
+
+    return csvRows.join('\n');
+}
@@ -0,0 +1,306 @@
+/**
+ * Message Batches Data Model
+ * Storage for the Message Batches API (batches and their individual requests)
+ */
+
+import crypto from 'crypto';
+import { getDatabase } from '../index.js';
+
+/**
+ * How long a batch may take before unprocessed requests expire (24 hours)
+ */
+export const BATCH_EXPIRY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days ended batches and their results are kept (matches Anthropic's 29-day results retention)
+ */
+export const BATCH_RESULTS_RETENTION_DAYS = 29;
+
+/**
+ * Request status values that count as processed
+ */
+const RESULT_STATUSES = ['succeeded', 'errored', 'canceled', 'expired'];
+
+/**
+ * Generate a batch ID
+ * Format: msgbatch_<24 random hex chars>
+ * @returns {string} The generated batch ID
+ */
+export function generateBatchId() {
+    return `msgbatch_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+/**
+ * Create a batch and its requests
+ * @param {Object} options - Batch options
+ * @param {string|null} options.api_key_id - API key that created the batch
+ * @param {Array<{custom_id: string, params: Object}>} options.requests - Batch requests
+ * @returns {Object} The created batch
+ */
+export function createMessageBatch({ api_key_id = null, requests }) {
+    const db = getDatabase();
+    const now = Date.now();
+    const id = generateBatchId();
+
+    const insertBatch = db.prepare(`
+        INSERT INTO message_batches (id, api_key_id, processing_status, created_at, expires_at)
+        VALUES (?, ?, 'in_progress', ?, ?)
+    `);
+    const insertRequest = db.prepare(`
+        INSERT INTO message_batch_requests (batch_id, custom_id, position, params)
+        VALUES (?, ?, ?, ?)
+    `);
+
+    db.transaction(() => {
+        insertBatch.run(id, api_key_id, now, now + BATCH_EXPIRY_MS);
+        requests.forEach((request, index) => {
+            insertRequest.run(id, request.custom_id, index, JSON.stringify(request.params));
+        });
+    })();
+
+    return getMessageBatch(id);
+}
+
+/**
+ * Count a batch's requests by status
+ * @param {string} batchId - The batch ID
+ * @returns {Object} { processing, succeeded, errored, canceled, expired }
+ */
+export function getBatchRequestCounts(batchId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+        SELECT status, COUNT(*) as count
+        FROM message_batch_requests
+        WHERE batch_id = ?
+        GROUP BY status
+    `).all(batchId);
+
+    const counts = { processing: 0, succeeded: 0, errored: 0, canceled: 0, expired: 0 };
+    for (const row of rows) {
+        if (RESULT_STATUSES.includes(row.status)) {
+            counts[row.status] += row.count;
+        } else {
+            // pending and in-flight requests are both reported as processing
+            counts.processing += row.count;
+        }
+    }
+    return counts;
+}
+
+/**
+ * Get a batch by ID
+ * @param {string} id - The batch ID
+ * @returns {Object|null} The batch with request_counts, or null if not found
+ */
+export function getMessageBatch(id) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM message_batches WHERE id = ?').get(id);
+
+    if (!row) return null;
+
+    return { ...row, request_counts: getBatchRequestCounts(id) };
+}
+
+/**
+ * List batches, most recent first
+ * @param {Object} options - List options
+ * @param {string} [options.api_key_id] - Only batches created by this key
+ * @param {number} [options.limit=20] - Page size (1-1000)
+ * @param {string} [options.before_id] - Return the page immediately before (newer than) this batch
+ * @param {string} [options.after_id] - Return the page immediately after (older than) this batch
+ * @returns {{batches: Array, has_more: boolean}} A page of batches
+ */
+export function listMessageBatches(options = {}) {
+    const db = getDatabase();
+    const limit = Math.min(Math.max(parseInt(options.limit) || 20, 1), 1000);
+
+    const conditions = [];
+    const params = { limit: limit + 1 };
+
+    if (options.api_key_id) {
+        conditions.push('api_key_id = @api_key_id');
+        params.api_key_id = options.api_key_id;
+    }
+
+    // Cursors compare on (created_at, id) so batches created in the same millisecond page stably
+    const cursorId = options.before_id || options.after_id;
+    const cursor = cursorId ? db.prepare('SELECT created_at, id FROM message_batches WHERE id = ?').get(cursorId) : null;
+    const newer = Boolean(options.before_id);
+
+    if (cursor) {
+        conditions.push(newer
+            ? '(created_at > @cursor_created_at OR (created_at = @cursor_created_at AND id > @cursor_id))'
+            : '(created_at < @cursor_created_at OR (created_at = @cursor_created_at AND id < @cursor_id))');
+        params.cursor_created_at = cursor.created_at;
+        params.cursor_id = cursor.id;
+    }
+
+    const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+    const order = newer && cursor ? 'ASC' : 'DESC';
+
+    let rows = db.prepare(`
+        SELECT * FROM message_batches
+        ${whereClause}
+        ORDER BY created_at ${order}, id ${order}
+        LIMIT @limit
+    `).all(params);
+
+    const hasMore = rows.length > limit;
+    rows = rows.slice(0, limit);
+    if (order === 'ASC') rows.reverse();
+
+    return {
+        batches: rows.map(row => ({ ...row, request_counts: getBatchRequestCounts(row.id) })),
+        has_more: hasMore
+    };
+}
+
+/**
+ * Get the IDs of batches that still need processing (oldest first)
+ * @returns {string[]} Batch IDs with status in_progress or canceling
+ */
+export function getActiveBatchIds() {
+    const db = getDatabase();
+    return db.prepare(`
+        SELECT id FROM message_batches
+        WHERE processing_status IN ('in_progress', 'canceling')
+        ORDER BY created_at ASC
+    `).all().map(row => row.id);
+}
+
+/**
+ * Return requests left in flight (e.g. by a restart) to the pending queue
+ * @returns {number} Number of requests reset
+ */
+export function resetInFlightBatchRequests() {
+    const db = getDatabase();
+    return db.prepare(`
+        UPDATE message_batch_requests SET status = 'pending' WHERE status = 'processing'
+    `).run().changes;
+}
+
+/**
+ * Claim the next pending request of a batch for processing
+ * @param {string} batchId - The batch ID
+ * @returns {{custom_id: string, params: Object}|null} The claimed request, or null if none are pending
+ */
+export function claimNextBatchRequest(batchId) {
+    const db = getDatabase();
+
+    return db.transaction(() => {
+        const row = db.prepare(`
+            SELECT custom_id, params FROM message_batch_requests
+            WHERE batch_id = ? AND status = 'pending'
+            ORDER BY position ASC
+            LIMIT 1
+        `).get(batchId);
+
+        if (!row) return null;
+
+        db.prepare(`
+            UPDATE message_batch_requests SET status = 'processing'
+            WHERE batch_id = ? AND custom_id = ?
+        `).run(batchId, row.custom_id);
+
+        return { custom_id: row.custom_id, params: JSON.parse(row.params) };
+    })();
+}
+
+/**
+ * Store the result of a batch request
+ * @param {string} batchId - The batch ID
+ * @param {string} customId - The request's custom_id
+ * @param {Object} result - { type: 'succeeded'|'errored'|'canceled'|'expired', ... }
+ */
+export function completeBatchRequest(batchId, customId, result) {
+    const db = getDatabase();
+    db.prepare(`
+        UPDATE message_batch_requests
+        SET status = ?, result = ?, completed_at = ?
+        WHERE batch_id = ? AND custom_id = ?
+    `).run(result.type, JSON.stringify(result), Date.now(), batchId, customId);
+}
+
+/**
+ * Resolve every pending request of a batch without processing it
+ * @param {string} batchId - The batch ID
+ * @param {'canceled'|'expired'} type - Result type to record
+ * @returns {number} Number of requests resolved
+ */
+export function resolvePendingBatchRequests(batchId, type) {
+    const db = getDatabase();
+    return db.prepare(`
+        UPDATE message_batch_requests
+        SET status = ?, result = ?, completed_at = ?
+        WHERE batch_id = ? AND status = 'pending'
+    `).run(type, JSON.stringify({ type }), Date.now(), batchId).changes;
+}
+
+/**
+ * Mark a batch as canceling
+ * @param {string} id - The batch ID
+ * @returns {boolean} True if the batch was in progress and is now canceling
+ */
+export function cancelMessageBatch(id) {
+    const db = getDatabase();
+    const result = db.prepare(`
+        UPDATE message_batches
+        SET processing_status = 'canceling', cancel_initiated_at = ?
+        WHERE id = ? AND processing_status = 'in_progress'
+    `).run(Date.now(), id);
+    return result.changes > 0;
+}
+
+/**
+ * Mark a batch as ended
+ * @param {string} id - The batch ID
+ */
+export function endMessageBatch(id) {
+    const db = getDatabase();
+    db.prepare(`
+        UPDATE message_batches SET processing_status = 'ended', ended_at = ?
+        WHERE id = ? AND processing_status != 'ended'
+    `).run(Date.now(), id);
+}
+
+/**
+ * Iterate over the results of a batch in submission order
+ * @param {string} batchId - The batch ID
+ * @returns {IterableIterator<{custom_id: string, result: Object}>} Results
+ */
+export function* iterateBatchResults(batchId) {
+    const db = getDatabase();
+    const rows = db.prepare(`
+        SELECT custom_id, result FROM message_batch_requests
+        WHERE batch_id = ? AND result IS NOT NULL
+        ORDER BY position ASC
+    `).iterate(batchId);
+
+    for (const row of rows) {
+        yield { custom_id: row.custom_id, result: JSON.parse(row.result) };
+    }
+}
+
+/**
+ * Delete a batch and its requests
+ * @param {string} id - The batch ID
+ * @returns {boolean} True if deleted
+ */
+export function deleteMessageBatch(id) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM message_batches WHERE id = ?').run(id);
+    return result.changes > 0;
+}
+
+/**
+ * Delete ended batches older than the retention period
+ * @param {number} retentionDays - Number of days to keep ended batches (default: BATCH_RESULTS_RETENTION_DAYS)
+ * @returns {number} Number of deleted batches
+ */
+export function pruneOldBatches(retentionDays = BATCH_RESULTS_RETENTION_DAYS) {
+    const db = getDatabase();
+    const cutoffTime = Date.now() - (retentionDays * 24 * 60 * 60 * 1000);
+    return db.prepare(`
+        DELETE FROM message_batches WHERE processing_status = 'ended' AND ended_at < ?
+    `).run(cutoffTime).changes;
+}
@@ -0,0 +1,141 @@
+/**
+ * Rate Limits Data Model
+ * Persistent sliding-window events and in-flight request slots for API keys
+ *
+ * Shared by every proxy instance using the same database, so limits survive
+ * restarts and are not multiplied by running several instances.
+ */
+
+import { getDatabase } from '../index.js';
+
+/**
+ * Record a request against a key's sliding windows
+ * @param {string} apiKeyId - The API key ID
+ * @param {number} timestamp - Request timestamp
+ */
+export function recordRateLimitEvent(apiKeyId, timestamp) {
+    const db = getDatabase();
+    db.prepare(`
+        INSERT INTO api_key_rate_limit_events (api_key_id, timestamp)
+        VALUES (?, ?)
+    `).run(apiKeyId, timestamp);
+}
+
+/**
+ * Get a key's request timestamps since a point in time
+ * @param {string} apiKeyId - The API key ID
+ * @param {number} since - Only return timestamps after this
+ * @returns {number[]} Timestamps in ascending order
+ */
+export function getRateLimitEvents(apiKeyId, since) {
+    const db = getDatabase();
+    return db.prepare(`
+        SELECT timestamp FROM api_key_rate_limit_events
+        WHERE api_key_id = ? AND timestamp > ?
+        ORDER BY timestamp ASC
+    `).pluck().all(apiKeyId, since);
+}
+
+/**
+ * Delete all recorded requests for a key
+ * @param {string} apiKeyId - The API key ID
+ * @returns {number} Number of deleted events
+ */
+export function deleteRateLimitEvents(apiKeyId) {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM api_key_rate_limit_events WHERE api_key_id = ?').run(apiKeyId).changes;
+}
+
+/**
+ * Delete recorded requests that have left every window
+ * @param {number} before - Delete events at or before this timestamp
+ * @returns {number} Number of deleted events
+ */
+export function pruneRateLimitEvents(before) {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM api_key_rate_limit_events WHERE timestamp <= ?').run(before).changes;
+}
+
+/**
+ * Take an in-flight slot for a key if it is below its concurrency limit
+ * Runs in an IMMEDIATE transaction so concurrent instances cannot both take the last slot.
+ *
+ * @param {Object} slot - Slot to insert
+ * @param {string} slot.id - Unique slot ID
+ * @param {string} slot.api_key_id - The API key ID
+ * @param {string} slot.holder - "<hostname>:<pid>:<instance id>" of the proxy serving the request
+ * @param {number} slot.started_at - Request start timestamp
+ * @param {number} limit - Max in-flight requests for the key
+ * @param {number} staleBefore - Slots started at or before this are treated as leaked and removed
+ * @returns {{acquired: boolean, current: number}} Whether the slot was taken and the in-flight count
+ */
+export function acquireInflightSlot(slot, limit, staleBefore) {
+    const db = getDatabase();
+
+    const acquire = db.transaction(() => {
+        db.prepare(`
+            DELETE FROM api_key_inflight_requests
+            WHERE api_key_id = ? AND started_at <= ?
+        `).run(slot.api_key_id, staleBefore);
+
+        const current = db.prepare(`
+            SELECT COUNT(*) FROM api_key_inflight_requests WHERE api_key_id = ?
+        `).pluck().get(slot.api_key_id);
+
+        if (current >= limit) {
+            return { acquired: false, current };
+        }
+
+        db.prepare(`
+            INSERT INTO api_key_inflight_requests (id, api_key_id, holder, started_at)
+            VALUES (@id, @api_key_id, @holder, @started_at)
+        `).run(slot);
+
+        return { acquired: true, current: current + 1 };
+    });
+
+    return acquire.immediate();
+}
+
+/**
+ * Release an in-flight slot
+ * @param {string} id - The slot ID
+ * @returns {boolean} True if the slot existed
+ */
+export function releaseInflightSlot(id) {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM api_key_inflight_requests WHERE id = ?').run(id).changes > 0;
+}
+
+/**
+ * Count a key's in-flight requests
+ * @param {string} apiKeyId - The API key ID
+ * @param {number} staleBefore - Ignore slots started at or before this
+ * @returns {number} In-flight request count
+ */
+export function countInflightRequests(apiKeyId, staleBefore) {
+    const db = getDatabase();
+    return db.prepare(`
+        SELECT COUNT(*) FROM api_key_inflight_requests
+        WHERE api_key_id = ? AND started_at > ?
+    `).pluck().get(apiKeyId, staleBefore);
+}
+
+/**
+ * Get every holder that currently has in-flight slots
+ * @returns {string[]} Distinct holders
+ */
+export function getInflightHolders() {
+    const db = getDatabase();
+    return db.prepare('SELECT DISTINCT holder FROM api_key_inflight_requests').pluck().all();
+}
+
+/**
+ * Release every slot held by a proxy process
+ * @param {string} holder - "<hostname>:<pid>:<instance id>" of the process
+ * @returns {number} Number of released slots
+ */
+export function deleteInflightSlotsByHolder(holder) {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM api_key_inflight_requests WHERE holder = ?').run(holder).changes;
+}
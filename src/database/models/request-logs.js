@@ -23,7 +23,10 @@ export function createRequestLog(log) {
         actual_model: log.actual_model || null,
         account_email: log.account_email || null,
         request_messages: JSON.stringify(log.request_messages),
-        request_system: log.request_system || null,
+        // System prompt may be a string or an array of content blocks
+        request_system: log.request_system == null || typeof log.request_system === 'string'
+            ? (log.request_system || null)
+            : JSON.stringify(log.request_system),
         response_content: log.response_content ? JSON.stringify(log.response_content) : null,
         input_tokens: log.input_tokens || null,
         output_tokens: log.output_tokens || null,
@@ -32,7 +35,13 @@ export function createRequestLog(log) {
         error_message: log.error_message || null,
         http_status: log.http_status || null,
         client_ip: log.client_ip || null,
-        user_agent: log.user_agent || null
+        user_agent: log.user_agent || null,
+        key_prefix: log.key_prefix || null,
+        api_format: log.api_format || 'anthropic',
+        attempts: log.attempts || null,
+        fallback_used: log.fallback_used ? 1 : 0,
+        cache_hit: log.cache_hit ? 1 : 0,
+        end_user_id: log.end_user_id || null
     };
 
     db.prepare(`
@@ -41,13 +50,15 @@ export function createRequestLog(log) {
             request_messages, request_system, response_content,
             input_tokens, output_tokens, duration_ms,
             status, error_message, http_status,
-            client_ip, user_agent
+            client_ip, user_agent, key_prefix, api_format,
+            attempts, fallback_used, cache_hit, end_user_id
         ) VALUES (
             @id, @api_key_id, @timestamp, @model, @actual_model, @account_email,
             @request_messages, @request_system, @response_content,
             @input_tokens, @output_tokens, @duration_ms,
             @status, @error_message, @http_status,
-            @client_ip, @user_agent
+            @client_ip, @user_agent, @key_prefix, @api_format,
+            @attempts, @fallback_used, @cache_hit, @end_user_id
         )
     `).run(entry);
 
@@ -58,8 +69,12 @@ export function createRequestLog(log) {
  * Get request logs with filtering and pagination
  * @param {Object} options - Query options
  * @param {string} [options.api_key_id] - Filter by API key
+ * @param {string} [options.owner_user_id] - Only logs of API keys owned by this WebUI user
  * @param {string} [options.model] - Filter by model
- * @param {string} [options.status] - Filter by status (success/error/rate_limited)
+ * @param {string} [options.status] - Filter by status (success/error/rate_limited/cancelled)
+ * @param {string} [options.api_format] - Filter by client API format (anthropic/openai/gemini)
+ * @param {string} [options.account_email] - Filter by upstream account
+ * @param {string} [options.end_user_id] - Filter by end user (metadata.user_id)
  * @param {number} [options.from] - Start timestamp
  * @param {number} [options.to] - End timestamp
  * @param {string} [options.search] - Search in request/response content
@@ -72,8 +87,12 @@ export function getRequestLogs(options = {}) {
 
     const {
         api_key_id,
+        owner_user_id,
         model,
         status,
+        api_format,
+        account_email,
+        end_user_id,
         from,
         to,
         search,
@@ -89,6 +108,11 @@ export function getRequestLogs(options = {}) {
         params.api_key_id = api_key_id;
     }
 
+    if (owner_user_id) {
+        conditions.push('rl.api_key_id IN (SELECT id FROM api_keys WHERE owner_user_id = @owner_user_id)');
+        params.owner_user_id = owner_user_id;
+    }
+
     if (model) {
         conditions.push('rl.model = @model');
         params.model = model;
@@ -99,6 +123,21 @@ export function getRequestLogs(options = {}) {
         params.status = status;
     }
 
+    if (api_format) {
+        conditions.push('rl.api_format = @api_format');
+        params.api_format = api_format;
+    }
+
+    if (account_email) {
+        conditions.push('rl.account_email = @account_email');
+        params.account_email = account_email;
+    }
+
+    if (end_user_id) {
+        conditions.push('rl.end_user_id = @end_user_id');
+        params.end_user_id = end_user_id;
+    }
+
     if (from) {
         conditions.push('rl.timestamp >= @from');
         params.from = from;
@@ -130,7 +169,8 @@ export function getRequestLogs(options = {}) {
             rl.id, rl.api_key_id, rl.timestamp, rl.model, rl.actual_model, rl.account_email,
             rl.input_tokens, rl.output_tokens, rl.duration_ms,
             rl.status, rl.error_message, rl.http_status,
-            rl.client_ip, rl.user_agent,
+            rl.client_ip, rl.user_agent, rl.key_prefix, rl.api_format,
+            rl.attempts, rl.fallback_used, rl.cache_hit, rl.end_user_id,
             ak.name as api_key_name, ak.key_prefix as api_key_prefix
         FROM request_logs rl
         LEFT JOIN api_keys ak ON rl.api_key_id = ak.id
@@ -160,7 +200,7 @@ export function getRequestLogById(id) {
     const row = db.prepare(`
         SELECT
             rl.*,
-            ak.name as api_key_name, ak.key_prefix as api_key_prefix
+            ak.name as api_key_name, ak.key_prefix as api_key_prefix, ak.owner_user_id as api_key_owner_id
         FROM request_logs rl
         LEFT JOIN api_keys ak ON rl.api_key_id = ak.id
         WHERE rl.id = ?
@@ -226,6 +266,8 @@ export function clearRequestLogs(options = {}) {
  * Get request log statistics
  * @param {Object} options - Stats options
  * @param {string} [options.api_key_id] - Filter by API key
+ * @param {string} [options.owner_user_id] - Only logs of API keys owned by this WebUI user
+ * @param {string} [options.api_format] - Filter by client API format (anthropic/openai/gemini)
  * @param {number} [options.from] - Start timestamp
  * @param {number} [options.to] - End timestamp
  * @returns {Object} Statistics object
@@ -233,7 +275,7 @@ export function clearRequestLogs(options = {}) {
 export function getRequestStats(options = {}) {
     const db = getDatabase();
 
-    const { api_key_id, from, to } = options;
+    const { api_key_id, owner_user_id, api_format, from, to } = options;
     const conditions = [];
     const params = {};
 
@@ -242,6 +284,16 @@ export function getRequestStats(options = {}) {
         params.api_key_id = api_key_id;
     }
 
+    if (owner_user_id) {
+        conditions.push('api_key_id IN (SELECT id FROM api_keys WHERE owner_user_id = @owner_user_id)');
+        params.owner_user_id = owner_user_id;
+    }
+
+    if (api_format) {
+        conditions.push('api_format = @api_format');
+        params.api_format = api_format;
+    }
+
     if (from) {
         conditions.push('timestamp >= @from');
         params.from = from;
@@ -262,7 +314,9 @@ export function getRequestStats(options = {}) {
             SUM(CASE WHEN status = 'rate_limited' THEN 1 ELSE 0 END) as rate_limited_requests,
             SUM(COALESCE(input_tokens, 0)) as total_input_tokens,
             SUM(COALESCE(output_tokens, 0)) as total_output_tokens,
-            AVG(duration_ms) as avg_duration_ms
+            AVG(duration_ms) as avg_duration_ms,
+            SUM(fallback_used) as fallback_requests,
+            SUM(cache_hit) as cache_hits
         FROM request_logs
         ${whereClause}
     `).get(params);
@@ -280,12 +334,89 @@ export function getRequestStats(options = {}) {
         ORDER BY requests DESC
     `).all(params);
 
+    // Get per-protocol breakdown
+    const formatStats = db.prepare(`
+        SELECT
+            api_format,
+            COUNT(*) as requests,
+            SUM(COALESCE(input_tokens, 0)) as input_tokens,
+            SUM(COALESCE(output_tokens, 0)) as output_tokens
+        FROM request_logs
+        ${whereClause}
+        GROUP BY api_format
+        ORDER BY requests DESC
+    `).all(params);
+
+    // Get per-account breakdown (requests that never reached an account have no email)
+    const accountStats = db.prepare(`
+        SELECT
+            account_email,
+            COUNT(*) as requests,
+            SUM(CASE WHEN status = 'success' THEN 1 ELSE 0 END) as successful_requests,
+            SUM(CASE WHEN status = 'error' THEN 1 ELSE 0 END) as error_requests,
+            SUM(CASE WHEN status = 'rate_limited' THEN 1 ELSE 0 END) as rate_limited_requests,
+            SUM(COALESCE(input_tokens, 0)) as input_tokens,
+            SUM(COALESCE(output_tokens, 0)) as output_tokens,
+            AVG(duration_ms) as avg_duration_ms,
+            AVG(attempts) as avg_attempts,
+            SUM(fallback_used) as fallback_requests
+        FROM request_logs
+        ${whereClause ? `${whereClause} AND` : 'WHERE'} account_email IS NOT NULL
+        GROUP BY account_email
+        ORDER BY requests DESC
+    `).all(params);
+
     return {
         ...stats,
-        models: modelStats
+        models: modelStats,
+        formats: formatStats,
+        accounts: accountStats
     };
 }
 
+/**
+ * Get an API key's token usage per model, for the current day and month
+ * Responses served from the response cache are not counted.
+ *
+ * @param {string} apiKeyId - The API key ID
+ * @param {number} monthStart - Start of the month window (timestamp)
+ * @param {number} dayStart - Start of the day window (timestamp, >= monthStart)
+ * @returns {Array<{model: string, daily_tokens: number, monthly_tokens: number}>} Input + output tokens per model
+ */
+export function getTokenUsageByModel(apiKeyId, monthStart, dayStart) {
+    const db = getDatabase();
+    return db.prepare(`
+        SELECT
+            model,
+            SUM(CASE WHEN timestamp >= @dayStart
+                THEN COALESCE(input_tokens, 0) + COALESCE(output_tokens, 0) ELSE 0 END) as daily_tokens,
+            SUM(COALESCE(input_tokens, 0) + COALESCE(output_tokens, 0)) as monthly_tokens
+        FROM request_logs
+        WHERE api_key_id = @apiKeyId AND timestamp >= @monthStart AND cache_hit = 0
+        GROUP BY model
+    `).all({ apiKeyId, monthStart, dayStart });
+}
+
+/**
+ * Get the clients (IP + user agent) that authenticated with a given key of an API key
+ * Used to find clients still on the previous key after a rotation.
+ *
+ * @param {string} apiKeyId - The API key ID
+ * @param {string} keyPrefix - Prefix of the key the requests were made with
+ * @param {number} since - Start timestamp
+ * @returns {Array<{client_ip: string|null, user_agent: string|null, requests: number, last_seen: number}>} Clients, most recent first
+ */
+export function getKeyClients(apiKeyId, keyPrefix, since) {
+    const db = getDatabase();
+    return db.prepare(`
+        SELECT client_ip, user_agent, COUNT(*) as requests, MAX(timestamp) as last_seen
+        FROM request_logs
+        WHERE api_key_id = @apiKeyId AND key_prefix = @keyPrefix AND timestamp >= @since
+        GROUP BY client_ip, user_agent
+        ORDER BY last_seen DESC
+    `).all({ apiKeyId, keyPrefix, since });
+}
+
 /**
  * Export request logs to CSV format
  * @param {Object} options - Same as getRequestLogs options (without pagination)
@@ -294,7 +425,7 @@ export function getRequestStats(options = {}) {
 export function exportRequestLogs(options = {}) {
     const db = getDatabase();
 
-    const { api_key_id, model, status, from, to, search } = options;
+    const { api_key_id, owner_user_id, model, status, api_format, account_email, end_user_id, from, to, search } = options;
     const conditions = [];
     const params = {};
 
@@ -303,6 +434,11 @@ export function exportRequestLogs(options = {}) {
         params.api_key_id = api_key_id;
     }
 
+    if (owner_user_id) {
+        conditions.push('rl.api_key_id IN (SELECT id FROM api_keys WHERE owner_user_id = @owner_user_id)');
+        params.owner_user_id = owner_user_id;
+    }
+
     if (model) {
         conditions.push('rl.model = @model');
         params.model = model;
@@ -313,6 +449,21 @@ export function exportRequestLogs(options = {}) {
         params.status = status;
     }
 
+    if (api_format) {
+        conditions.push('rl.api_format = @api_format');
+        params.api_format = api_format;
+    }
+
+    if (account_email) {
+        conditions.push('rl.account_email = @account_email');
+        params.account_email = account_email;
+    }
+
+    if (end_user_id) {
+        conditions.push('rl.end_user_id = @end_user_id');
+        params.end_user_id = end_user_id;
+    }
+
     if (from) {
         conditions.push('rl.timestamp >= @from');
         params.from = from;
@@ -335,7 +486,8 @@ export function exportRequestLogs(options = {}) {
             rl.id, rl.timestamp, rl.model, rl.actual_model, rl.account_email,
             rl.input_tokens, rl.output_tokens, rl.duration_ms,
             rl.status, rl.error_message, rl.http_status,
-            rl.client_ip, rl.user_agent,
+            rl.client_ip, rl.user_agent, rl.api_format,
+            rl.attempts, rl.fallback_used, rl.cache_hit, rl.end_user_id,
             ak.name as api_key_name
         FROM request_logs rl
         LEFT JOIN api_keys ak ON rl.api_key_id = ak.id
@@ -347,7 +499,8 @@ export function exportRequestLogs(options = {}) {
     const headers = [
         'id', 'timestamp', 'api_key_name', 'model', 'actual_model', 'account_email',
         'input_tokens', 'output_tokens', 'duration_ms', 'status', 'error_message',
-        'http_status', 'client_ip', 'user_agent'
+        'http_status', 'client_ip', 'user_agent', 'api_format',
+        'attempts', 'fallback_used', 'cache_hit', 'end_user_id'
     ];
 
     const csvRows = [headers.join(',')];
@@ -0,0 +1,117 @@
+/**
+ * Response Cache Data Model
+ * Storage for cached Anthropic responses (see src/cache/response-cache.js)
+ */
+
+import { getDatabase } from '../index.js';
+
+/**
+ * Get an unexpired cache entry and mark it as used
+ * @param {string} key - Cache key
+ * @param {number} [now=Date.now()] - Current time
+ * @returns {Object|null} The cached Anthropic message, or null on a miss
+ */
+export function getResponseCacheEntry(key, now = Date.now()) {
+    const db = getDatabase();
+    const row = db.prepare(`
+        SELECT response FROM response_cache WHERE key = ? AND expires_at > ?
+    `).get(key, now);
+
+    if (!row) return null;
+
+    db.prepare(`
+        UPDATE response_cache SET hits = hits + 1, last_used_at = ? WHERE key = ?
+    `).run(now, key);
+
+    return JSON.parse(row.response);
+}
+
+/**
+ * Store (or replace) a cache entry
+ * @param {Object} entry - The entry
+ * @param {string} entry.key - Cache key
+ * @param {string|null} entry.api_key_id - API key the response was cached for
+ * @param {Object} entry.response - Anthropic message
+ * @param {number} entry.ttl_ms - How long the entry stays valid
+ * @returns {number} Size of the stored response in bytes
+ */
+export function putResponseCacheEntry({ key, api_key_id = null, response, ttl_ms }) {
+    const db = getDatabase();
+    const now = Date.now();
+    const serialized = JSON.stringify(response);
+    const sizeBytes = Buffer.byteLength(serialized);
+
+    db.prepare(`
+        INSERT OR REPLACE INTO response_cache (key, api_key_id, model, response, size_bytes, created_at, expires_at, last_used_at, hits)
+        VALUES (@key, @api_key_id, @model, @response, @size_bytes, @now, @expires_at, @now, 0)
+    `).run({
+        key,
+        api_key_id,
+        model: response.model || 'unknown',
+        response: serialized,
+        size_bytes: sizeBytes,
+        now,
+        expires_at: now + ttl_ms
+    });
+
+    return sizeBytes;
+}
+
+/**
+ * Remove expired entries, then the least recently used entries over the limits
+ * @param {Object} [limits] - Limits
+ * @param {number} [limits.maxEntries] - Maximum number of entries
+ * @param {number} [limits.maxBytes] - Maximum total size of the stored responses
+ * @returns {number} Number of removed entries
+ */
+export function pruneResponseCache({ maxEntries = Number.MAX_SAFE_INTEGER, maxBytes = Number.MAX_SAFE_INTEGER } = {}) {
+    const db = getDatabase();
+
+    const expired = db.prepare('DELETE FROM response_cache WHERE expires_at <= ?').run(Date.now());
+
+    // Keep the most recently used entries that fit both limits
+    const evicted = db.prepare(`
+        DELETE FROM response_cache WHERE key IN (
+            SELECT key FROM (
+                SELECT key,
+                    ROW_NUMBER() OVER (ORDER BY last_used_at DESC) as position,
+                    SUM(size_bytes) OVER (ORDER BY last_used_at DESC ROWS UNBOUNDED PRECEDING) as running_size
+                FROM response_cache
+            )
+            WHERE position > @maxEntries OR running_size > @maxBytes
+        )
+    `).run({ maxEntries, maxBytes });
+
+    return expired.changes + evicted.changes;
+}
+
+/**
+ * Delete cache entries
+ * @param {Object} [options] - Options
+ * @param {string} [options.api_key_id] - Only entries of this API key
+ * @returns {number} Number of deleted entries
+ */
+export function clearResponseCache(options = {}) {
+    const db = getDatabase();
+    if (options.api_key_id) {
+        return db.prepare('DELETE FROM response_cache WHERE api_key_id = ?').run(options.api_key_id).changes;
+    }
+    return db.prepare('DELETE FROM response_cache').run().changes;
+}
+
+/**
+ * Get response cache statistics
+ * @returns {{entries: number, size_bytes: number, hits: number, oldest: number|null}} Totals over unexpired entries
+ */
+export function getResponseCacheStats() {
+    const db = getDatabase();
+    return db.prepare(`
+        SELECT
+            COUNT(*) as entries,
+            COALESCE(SUM(size_bytes), 0) as size_bytes,
+            COALESCE(SUM(hits), 0) as hits,
+            MIN(created_at) as oldest
+        FROM response_cache
+        WHERE expires_at > ?
+    `).get(Date.now());
+}
@@ -0,0 +1,283 @@
+/**
+ * WebUI Users Data Model
+ * WebUI accounts with roles, and their login sessions
+ */
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import { getDatabase } from '../index.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+// scrypt output length and salt size (bytes)
+const PASSWORD_KEY_LENGTH = 64;
+const PASSWORD_SALT_LENGTH = 16;
+
+/**
+ * WebUI roles: admins manage everything, viewers see the dashboard and their own API keys/logs
+ */
+export const WEBUI_ROLES = ['admin', 'viewer'];
+
+/**
+ * Hash a password with scrypt
+ * Format: scrypt$<salt hex>$<hash hex>
+ * @param {string} password - The plain password
+ * @returns {Promise<string>} The password hash
+ */
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(PASSWORD_SALT_LENGTH);
+    const hash = await scrypt(password, salt, PASSWORD_KEY_LENGTH);
+    return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a hash from hashPassword
+ * @param {string} password - The plain password
+ * @param {string} passwordHash - The stored hash
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, passwordHash) {
+    const [scheme, saltHex, hashHex] = String(passwordHash).split('$');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Convert a user row (without password hash) for API responses
+ * @param {Object} row - Database row
+ * @returns {Object} The user entry
+ */
+function toUser(row) {
+    return {
+        id: row.id,
+        username: row.username,
+        role: row.role,
+        enabled: Boolean(row.enabled),
+        created_at: row.created_at,
+        last_login_at: row.last_login_at
+    };
+}
+
+/**
+ * Create a WebUI user
+ * @param {Object} options - User options
+ * @param {string} options.username - Login name (unique, case-insensitive)
+ * @param {string} options.password - Plain password
+ * @param {string} options.role - One of WEBUI_ROLES
+ * @returns {Promise<Object>} The created user
+ */
+export async function createWebuiUser({ username, password, role }) {
+    const db = getDatabase();
+
+    const entry = {
+        id: crypto.randomUUID(),
+        username,
+        password_hash: await hashPassword(password),
+        role,
+        enabled: 1,
+        created_at: Date.now(),
+        last_login_at: null
+    };
+
+    db.prepare(`
+        INSERT INTO webui_users (id, username, password_hash, role, enabled, created_at, last_login_at)
+        VALUES (@id, @username, @password_hash, @role, @enabled, @created_at, @last_login_at)
+    `).run(entry);
+
+    return toUser(entry);
+}
+
+/**
+ * List all WebUI users
+ * @returns {Array} User entries (without password hashes)
+ */
+export function listWebuiUsers() {
+    const db = getDatabase();
+    return db.prepare(`
+        SELECT id, username, role, enabled, created_at, last_login_at
+        FROM webui_users
+        ORDER BY created_at ASC
+    `).all().map(toUser);
+}
+
+/**
+ * Get a WebUI user by ID
+ * @param {string} id - The user ID
+ * @returns {Object|null} The user entry or null if not found
+ */
+export function getWebuiUserById(id) {
+    const db = getDatabase();
+    const row = db.prepare(`
+        SELECT id, username, role, enabled, created_at, last_login_at
+        FROM webui_users
+        WHERE id = ?
+    `).get(id);
+    return row ? toUser(row) : null;
+}
+
+/**
+ * Find a WebUI user by username, including the password hash for login
+ * @param {string} username - Login name (case-insensitive)
+ * @returns {Object|null} The user entry with password_hash, or null if not found
+ */
+export function findWebuiUserByUsername(username) {
+    const db = getDatabase();
+    const row = db.prepare('SELECT * FROM webui_users WHERE username = ?').get(username);
+    return row ? { ...toUser(row), password_hash: row.password_hash } : null;
+}
+
+/**
+ * Update a WebUI user
+ * Changing the password, role or enabled state ends the user's sessions.
+ *
+ * @param {string} id - The user ID
+ * @param {Object} updates - Fields to update (password, role, enabled)
+ * @returns {Promise<boolean>} True if updated, false if not found
+ */
+export async function updateWebuiUser(id, updates) {
+    const db = getDatabase();
+
+    const setClauses = [];
+    const params = { id };
+
+    if (updates.password !== undefined) {
+        setClauses.push('password_hash = @password_hash');
+        params.password_hash = await hashPassword(updates.password);
+    }
+    if (updates.role !== undefined) {
+        setClauses.push('role = @role');
+        params.role = updates.role;
+    }
+    if (updates.enabled !== undefined) {
+        setClauses.push('enabled = @enabled');
+        params.enabled = updates.enabled ? 1 : 0;
+    }
+
+    if (setClauses.length === 0) return false;
+
+    return db.transaction(() => {
+        const result = db.prepare(`
+            UPDATE webui_users SET ${setClauses.join(', ')} WHERE id = @id
+        `).run(params);
+
+        if (result.changes > 0) {
+            db.prepare('DELETE FROM webui_sessions WHERE user_id = ?').run(id);
+        }
+        return result.changes > 0;
+    })();
+}
+
+/**
+ * Delete a WebUI user (sessions are removed, owned API keys lose their owner)
+ * @param {string} id - The user ID
+ * @returns {boolean} True if deleted, false if not found
+ */
+export function deleteWebuiUser(id) {
+    const db = getDatabase();
+    const result = db.prepare('DELETE FROM webui_users WHERE id = ?').run(id);
+    return result.changes > 0;
+}
+
+/**
+ * Check if any WebUI users exist (switches the WebUI to user logins)
+ * @returns {boolean} True if at least one user exists
+ */
+export function hasWebuiUsers() {
+    const db = getDatabase();
+    return db.prepare('SELECT 1 FROM webui_users LIMIT 1').get() !== undefined;
+}
+
+/**
+ * Count enabled admins, optionally ignoring one user
+ * @param {string} [excludeId] - User ID to leave out (e.g. the one being demoted)
+ * @returns {number} Number of enabled admins
+ */
+export function countEnabledAdmins(excludeId = null) {
+    const db = getDatabase();
+    return db.prepare(`
+        SELECT COUNT(*) FROM webui_users
+        WHERE role = 'admin' AND enabled = 1 AND id IS NOT @excludeId
+    `).pluck().get({ excludeId });
+}
+
+/**
+ * Record a successful login
+ * @param {string} id - The user ID
+ */
+export function recordWebuiLogin(id) {
+    const db = getDatabase();
+    db.prepare('UPDATE webui_users SET last_login_at = ? WHERE id = ?').run(Date.now(), id);
+}
+
+/**
+ * Hash a session token for storage
+ * @param {string} token - The session cookie value
+ * @returns {string} SHA-256 hex digest
+ */
+function hashSessionToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Create a login session
+ * @param {string} userId - The user ID
+ * @param {Object} options - Session options
+ * @param {number} options.ttlMs - Session lifetime
+ * @param {string} [options.client_ip] - Client IP at login
+ * @param {string} [options.user_agent] - User agent at login
+ * @returns {{token: string, expires_at: number}} Session token (only stored hashed) and expiry
+ */
+export function createWebuiSession(userId, { ttlMs, client_ip = null, user_agent = null }) {
+    const db = getDatabase();
+    const token = crypto.randomBytes(32).toString('base64url');
+    const now = Date.now();
+
+    db.prepare(`
+        INSERT INTO webui_sessions (id, user_id, created_at, expires_at, client_ip, user_agent)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(hashSessionToken(token), userId, now, now + ttlMs, client_ip, user_agent);
+
+    return { token, expires_at: now + ttlMs };
+}
+
+/**
+ * Find the enabled user of a valid session
+ * @param {string} token - The session cookie value
+ * @returns {Object|null} The user entry, or null if the session is unknown, expired or the user is disabled
+ */
+export function findWebuiSessionUser(token) {
+    if (!token) return null;
+
+    const db = getDatabase();
+    const row = db.prepare(`
+        SELECT u.id, u.username, u.role, u.enabled, u.created_at, u.last_login_at
+        FROM webui_sessions s
+        JOIN webui_users u ON u.id = s.user_id
+        WHERE s.id = ? AND s.expires_at > ? AND u.enabled = 1
+    `).get(hashSessionToken(token), Date.now());
+
+    return row ? toUser(row) : null;
+}
+
+/**
+ * End a login session
+ * @param {string} token - The session cookie value
+ * @returns {boolean} True if a session was deleted
+ */
+export function deleteWebuiSession(token) {
+    if (!token) return false;
+    const db = getDatabase();
+    return db.prepare('DELETE FROM webui_sessions WHERE id = ?').run(hashSessionToken(token)).changes > 0;
+}
+
+/**
+ * Delete expired sessions
+ * @returns {number} Number of deleted sessions
+ */
+export function pruneExpiredWebuiSessions() {
+    const db = getDatabase();
+    return db.prepare('DELETE FROM webui_sessions WHERE expires_at <= ?').run(Date.now()).changes;
+}
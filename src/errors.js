@@ -221,6 +221,16 @@ export function isCapacityExhaustedError(error) {
         msg.includes('service temporarily unavailable');
 }
 
+/**
+ * Check if an error comes from an aborted request (client disconnected)
+ * fetch, body reads and sleep reject with the signal's reason, an AbortError by default
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export function isAbortError(error) {
+    return error?.name === 'AbortError';
+}
+
 export default {
     AntigravityError,
     RateLimitError,
@@ -234,5 +244,6 @@ export default {
     isRateLimitError,
     isAuthError,
     isEmptyResponseError,
-    isCapacityExhaustedError
+    isCapacityExhaustedError,
+    isAbortError
 };
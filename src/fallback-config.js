@@ -1,11 +1,13 @@
 /**
  * Model Fallback Configuration
  *
- * Defines fallback mappings for when a model's quota is exhausted across all accounts.
- * Enables graceful degradation to alternative models with similar capabilities.
+ * Defines fallback chains for when a model's quota is exhausted across all accounts,
+ * its capacity runs out or its retries fail. Enables graceful degradation to
+ * alternative models with similar capabilities.
  */
 
 import { MODEL_FALLBACK_MAP } from './constants.js';
+import { config } from './config.js';
 
 // Re-export for convenience
 export { MODEL_FALLBACK_MAP };
@@ -27,3 +29,120 @@ export function getFallbackModel(model) {
 export function hasFallback(model) {
     return model in MODEL_FALLBACK_MAP;
 }
+
+/**
+ * Failures a fallback chain can react to:
+ * - quota: every account is rate-limited on the model for longer than maxWaitBeforeErrorMs
+ * - capacity: upstream reports the model itself is out of capacity (MODEL_CAPACITY_EXHAUSTED)
+ * - error: retries ran out on server, network or auth errors
+ */
+export const FALLBACK_CONDITIONS = ['quota', 'capacity', 'error'];
+
+/**
+ * Fallback chain
+ * @typedef {Object} FallbackChain
+ * @property {string[]} models - Models to try in order
+ * @property {string[]} on - Failures that trigger the chain (FALLBACK_CONDITIONS)
+ */
+
+/**
+ * Get the fallback chain for a model
+ * A chain configured for the model (config.fallbackChains) always applies;
+ * the built-in MODEL_FALLBACK_MAP hop only with --fallback.
+ *
+ * @param {string} model - Primary model ID
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.fallbackEnabled=false] - Whether the built-in fallbacks are enabled
+ * @param {Object} [options.chains] - Configured chains (defaults to config.fallbackChains)
+ * @returns {FallbackChain|null} The chain, or null if the model has none
+ */
+export function getFallbackChain(model, { fallbackEnabled = false, chains = config.fallbackChains || {} } = {}) {
+    const configured = chains[model];
+    if (configured && Array.isArray(configured.models)) {
+        return {
+            models: configured.models,
+            on: Array.isArray(configured.on) ? configured.on : FALLBACK_CONDITIONS
+        };
+    }
+
+    const fallbackModel = fallbackEnabled ? getFallbackModel(model) : null;
+    return fallbackModel ? { models: [fallbackModel], on: FALLBACK_CONDITIONS } : null;
+}
+
+/**
+ * Get the next model to fall back to after a failure
+ * @param {string} model - Model that failed
+ * @param {FallbackChain|null} chain - Remaining fallback chain
+ * @param {string} reason - Why the model failed (one of FALLBACK_CONDITIONS)
+ * @returns {{model: string, chain: FallbackChain}|null} Next model and the rest of the chain, or null if the chain does not apply
+ */
+export function getNextFallback(model, chain, reason) {
+    if (!chain || !chain.on.includes(reason)) return null;
+
+    const models = chain.models.filter(candidate => candidate !== model);
+    if (models.length === 0) return null;
+
+    const [next, ...remaining] = models;
+    return { model: next, chain: { models: remaining, on: chain.on } };
+}
+
+/**
+ * Record a fallback hop on a request trace
+ * @param {import('./cloudcode/message-handler.js').RequestTrace} trace - The request trace
+ * @param {string} model - Model that failed
+ * @param {string} fallbackModel - Model tried next
+ * @param {string} reason - Why the model failed
+ */
+export function recordFallback(trace, model, fallbackModel, reason) {
+    trace.fallbackFrom = trace.fallbackFrom || model;
+    trace.fallbackModel = fallbackModel;
+    trace.fallbackReason = reason;
+}
+
+/**
+ * Validate configured fallback chains from an update request
+ * @param {*} chains - Expected: { model: { models: string[], on?: string[] } }
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateFallbackChains(chains) {
+    if (!chains || typeof chains !== 'object' || Array.isArray(chains)) {
+        return 'chains must be an object keyed by model';
+    }
+
+    for (const [model, chain] of Object.entries(chains)) {
+        if (!chain || typeof chain !== 'object') {
+            return `${model}: chain must be an object`;
+        }
+        if (!Array.isArray(chain.models) || chain.models.some(item => typeof item !== 'string' || !item.trim())) {
+            return `${model}: models must be an array of model names`;
+        }
+        if (chain.models.includes(model)) {
+            return `${model}: a model cannot fall back to itself`;
+        }
+        if (chain.on !== undefined && chain.on !== null) {
+            if (!Array.isArray(chain.on) || chain.on.length === 0) {
+                return `${model}: on must be a non-empty array`;
+            }
+            const unknown = chain.on.find(condition => !FALLBACK_CONDITIONS.includes(condition));
+            if (unknown !== undefined) {
+                return `${model}: unknown condition ${unknown}. Valid conditions: ${FALLBACK_CONDITIONS.join(', ')}`;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Normalize validated fallback chains for storage
+ * @param {Object} chains - Chains that passed validateFallbackChains
+ * @returns {Object} Chains ready to save in config.fallbackChains
+ */
+export function normalizeFallbackChains(chains) {
+    return Object.fromEntries(
+        Object.entries(chains).map(([model, chain]) => [model.trim(), {
+            models: chain.models.map(item => item.trim()),
+            on: Array.isArray(chain.on) ? [...new Set(chain.on)] : [...FALLBACK_CONDITIONS]
+        }])
+    );
+}
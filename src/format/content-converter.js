@@ -23,9 +23,10 @@ export function convertRole(role) {
  * @param {string|Array} content - Anthropic message content
  * @param {boolean} isClaudeModel - Whether the model is a Claude model
  * @param {boolean} isGeminiModel - Whether the model is a Gemini model
+ * @param {Object} [toolNames] - Tool name map for the request (see createToolNameMap)
  * @returns {Array} Google Generative AI parts array
  */
-export function convertContentToParts(content, isClaudeModel = false, isGeminiModel = false) {
+export function convertContentToParts(content, isClaudeModel = false, isGeminiModel = false, toolNames = null) {
     if (typeof content === 'string') {
         return [{ text: content }];
     }
@@ -85,7 +86,7 @@ export function convertContentToParts(content, isClaudeModel = false, isGeminiMo
             // Convert tool_use to functionCall (Google format)
             // For Claude models, include the id field
             const functionCall = {
-                name: block.name,
+                name: toolNames ? toolNames.toGoogle(block.name) : block.name,
                 args: block.input || {}
             };
 
@@ -0,0 +1,8 @@
+/**
+ * Gemini Format Converters
+ * Provides native Gemini generateContent API compatibility
+ */
+
+export { validateGeminiRequest, convertGeminiToAnthropic } from './request-converter.js';
+export { convertAnthropicToGemini } from './response-converter.js';
+export { createGeminiStreamAdapter } from './streaming-adapter.js';
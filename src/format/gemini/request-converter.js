@@ -0,0 +1,301 @@
+/**
+ * Gemini Request Converter
+ * Converts native Gemini generateContent requests to Anthropic Messages API format
+ *
+ * Like the OpenAI converters, native requests are routed through the Anthropic
+ * format so they share account selection, failover, thinking signature handling
+ * and request logging with the other endpoints.
+ */
+
+import { sanitizeSchema } from '../schema-sanitizer.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Check the shape of a native Gemini request before it is converted
+ *
+ * @param {Object} geminiRequest - Gemini generateContent request body
+ * @returns {string|null} Error message for a 400 response, or null if the request is valid
+ */
+export function validateGeminiRequest(geminiRequest) {
+    if (!isPlainObject(geminiRequest)) {
+        return 'Request body must be a JSON object';
+    }
+
+    const { contents, generationConfig } = geminiRequest;
+    if (!Array.isArray(contents) || contents.length === 0) {
+        return 'contents is required and must be a non-empty array';
+    }
+    for (const [i, content] of contents.entries()) {
+        if (!isPlainObject(content)) {
+            return `contents[${i}] must be an object`;
+        }
+        if (content.parts !== undefined && (!Array.isArray(content.parts) || !content.parts.every(isPlainObject))) {
+            return `contents[${i}].parts must be an array of objects`;
+        }
+    }
+
+    if (generationConfig !== undefined && !isPlainObject(generationConfig)) {
+        return 'generationConfig must be an object';
+    }
+
+    return null;
+}
+
+/**
+ * Convert a native Gemini request to Anthropic Messages format
+ *
+ * @param {Object} geminiRequest - Gemini generateContent request body
+ * @param {string} model - Model name from the request path
+ * @returns {Object} Anthropic format request
+ */
+export function convertGeminiToAnthropic(geminiRequest, model) {
+    const {
+        contents,
+        systemInstruction,
+        generationConfig = {},
+        tools,
+        toolConfig
+    } = geminiRequest;
+
+    const anthropicRequest = {
+        model,
+        messages: convertContents(contents),
+        max_tokens: generationConfig.maxOutputTokens || 8192
+    };
+
+    const system = typeof systemInstruction === 'string'
+        ? systemInstruction
+        : extractText(systemInstruction?.parts);
+    if (system) {
+        anthropicRequest.system = system;
+    }
+
+    // Generation parameters
+    if (generationConfig.temperature !== undefined) {
+        anthropicRequest.temperature = generationConfig.temperature;
+    }
+    if (generationConfig.topP !== undefined) {
+        anthropicRequest.top_p = generationConfig.topP;
+    }
+    if (generationConfig.topK !== undefined) {
+        anthropicRequest.top_k = generationConfig.topK;
+    }
+    if (Array.isArray(generationConfig.stopSequences) && generationConfig.stopSequences.length > 0) {
+        anthropicRequest.stop_sequences = generationConfig.stopSequences;
+    }
+    const thinkingBudget = generationConfig.thinkingConfig?.thinkingBudget;
+    if (thinkingBudget > 0) {
+        anthropicRequest.thinking = { type: 'enabled', budget_tokens: thinkingBudget };
+    }
+
+    // Function declarations (built-in tools like googleSearch are not supported upstream)
+    const anthropicTools = convertTools(tools);
+    if (anthropicTools.length > 0) {
+        anthropicRequest.tools = anthropicTools;
+
+        const toolChoice = convertFunctionCallingConfig(toolConfig?.functionCallingConfig);
+        if (toolChoice) {
+            anthropicRequest.tool_choice = toolChoice;
+        }
+    }
+
+    return anthropicRequest;
+}
+
+/**
+ * Convert Gemini contents to Anthropic messages
+ * Function calls without an id get one derived from their name, and function
+ * responses without an id are paired with the oldest open call of the same name.
+ * @param {Array} [contents] - Gemini contents
+ * @returns {Array} Anthropic messages
+ */
+function convertContents(contents) {
+    const messages = [];
+    const usedIds = new Set();
+    const openCalls = new Map(); // function name -> queue of unanswered call IDs
+
+    for (const content of Array.isArray(contents) ? contents : []) {
+        const role = content.role === 'model' ? 'assistant' : 'user';
+        const blocks = [];
+
+        for (const part of content.parts || []) {
+            if (part.functionCall) {
+                const { name, args } = part.functionCall;
+                let id = part.functionCall.id;
+                if (!id) {
+                    id = name;
+                    for (let n = 2; usedIds.has(id); n++) {
+                        id = `${name}_${n}`;
+                    }
+                }
+                usedIds.add(id);
+                if (!openCalls.has(name)) openCalls.set(name, []);
+                openCalls.get(name).push(id);
+
+                const block = { type: 'tool_use', id, name, input: args || {} };
+                if (part.thoughtSignature) {
+                    block.thoughtSignature = part.thoughtSignature;
+                }
+                blocks.push(block);
+            } else if (part.functionResponse) {
+                const { name, response } = part.functionResponse;
+                const queue = openCalls.get(name) || [];
+                let id = part.functionResponse.id;
+                if (id) {
+                    const index = queue.indexOf(id);
+                    if (index !== -1) queue.splice(index, 1);
+                } else {
+                    id = queue.shift() || name;
+                }
+
+                blocks.push({
+                    type: 'tool_result',
+                    tool_use_id: id,
+                    content: typeof response === 'string' ? response : JSON.stringify(response ?? {})
+                });
+            } else if (part.thought === true) {
+                // Thinking without a signature can't be replayed upstream
+                if (part.thoughtSignature) {
+                    blocks.push({ type: 'thinking', thinking: part.text || '', signature: part.thoughtSignature });
+                }
+            } else if (part.text !== undefined) {
+                blocks.push({ type: 'text', text: part.text });
+            } else if (part.inlineData) {
+                blocks.push({
+                    type: part.inlineData.mimeType?.startsWith('image/') ? 'image' : 'document',
+                    source: {
+                        type: 'base64',
+                        media_type: part.inlineData.mimeType,
+                        data: part.inlineData.data
+                    }
+                });
+            } else if (part.fileData) {
+                blocks.push({
+                    type: part.fileData.mimeType?.startsWith('image/') ? 'image' : 'document',
+                    source: {
+                        type: 'url',
+                        media_type: part.fileData.mimeType,
+                        url: part.fileData.fileUri
+                    }
+                });
+            } else {
+                logger.debug(`[Gemini] Skipping unsupported part: ${Object.keys(part).join(', ')}`);
+            }
+        }
+
+        if (blocks.length === 0) continue;
+
+        // Merge consecutive same-role contents (Anthropic requirement)
+        const previous = messages[messages.length - 1];
+        if (previous && previous.role === role) {
+            previous.content.push(...blocks);
+        } else {
+            messages.push({ role, content: blocks });
+        }
+    }
+
+    return messages;
+}
+
+/**
+ * Convert Gemini tools to Anthropic tools
+ * @param {Array} [tools] - Gemini tools ([{ functionDeclarations: [...] }, ...])
+ * @returns {Array} Anthropic tool definitions
+ */
+function convertTools(tools) {
+    const byName = new Map();
+
+    for (const tool of Array.isArray(tools) ? tools : []) {
+        if (!Array.isArray(tool?.functionDeclarations)) {
+            logger.debug(`[Gemini] Skipping unsupported tool: ${Object.keys(tool || {}).join(', ')}`);
+            continue;
+        }
+        for (const fn of tool.functionDeclarations) {
+            if (!fn?.name || byName.has(fn.name)) continue;
+            byName.set(fn.name, {
+                name: fn.name,
+                description: fn.description || '',
+                input_schema: sanitizeSchema(toJsonSchemaTypes(fn.parametersJsonSchema || fn.parameters))
+            });
+        }
+    }
+
+    return [...byName.values()];
+}
+
+/**
+ * Lowercase Gemini OpenAPI-style types (OBJECT, STRING, ...) to JSON Schema types
+ * @param {Object} schema - Gemini parameter schema
+ * @returns {Object} Schema with JSON Schema type names
+ */
+function toJsonSchemaTypes(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    if (Array.isArray(schema)) return schema.map(toJsonSchemaTypes);
+
+    const result = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (key === 'type' && typeof value === 'string') {
+            result.type = value.toLowerCase();
+        } else if (key === 'properties' && value && typeof value === 'object') {
+            result.properties = Object.fromEntries(
+                Object.entries(value).map(([prop, propSchema]) => [prop, toJsonSchemaTypes(propSchema)])
+            );
+        } else {
+            result[key] = typeof value === 'object' ? toJsonSchemaTypes(value) : value;
+        }
+    }
+    return result;
+}
+
+/**
+ * Convert Gemini functionCallingConfig to Anthropic tool_choice
+ *
+ * - AUTO / VALIDATED -> { type: 'auto' }
+ * - NONE             -> { type: 'none' }
+ * - ANY              -> { type: 'any' }, or { type: 'tool', name } with a single allowed function
+ *
+ * @param {Object} [config] - Gemini functionCallingConfig
+ * @returns {Object|null} Anthropic tool_choice, or null to use the default
+ */
+function convertFunctionCallingConfig(config) {
+    const mode = config?.mode?.toUpperCase();
+
+    if (mode === 'NONE') {
+        return { type: 'none' };
+    }
+    if (mode === 'ANY') {
+        const allowed = config.allowedFunctionNames || [];
+        return allowed.length === 1 ? { type: 'tool', name: allowed[0] } : { type: 'any' };
+    }
+    if (mode === 'AUTO' || mode === 'VALIDATED') {
+        return { type: 'auto' };
+    }
+    return null;
+}
+
+/**
+ * Check for a non-null, non-array object
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Join the text of Gemini parts
+ * @param {Array} [parts] - Gemini parts
+ * @returns {string} Text content
+ */
+function extractText(parts) {
+    if (!Array.isArray(parts)) return '';
+    return parts
+        .filter(part => typeof part?.text === 'string')
+        .map(part => part.text)
+        .join('\n');
+}
+
+export default {
+    validateGeminiRequest,
+    convertGeminiToAnthropic
+};
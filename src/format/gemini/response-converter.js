@@ -0,0 +1,90 @@
+/**
+ * Gemini Response Converter
+ * Converts Anthropic Messages API responses to native Gemini generateContent format
+ */
+
+/**
+ * Map Anthropic stop_reason to Gemini finishReason
+ * @param {string|null} stopReason - Anthropic stop_reason
+ * @returns {string} Gemini finishReason
+ */
+export function toGeminiFinishReason(stopReason) {
+    return stopReason === 'max_tokens' ? 'MAX_TOKENS' : 'STOP';
+}
+
+/**
+ * Convert Anthropic usage to Gemini usageMetadata
+ * @param {Object} [usage] - Anthropic usage
+ * @returns {Object} Gemini usageMetadata
+ */
+export function toGeminiUsage(usage = {}) {
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    const promptTokens = (usage.input_tokens || 0) + cachedTokens;
+    const outputTokens = usage.output_tokens || 0;
+
+    const usageMetadata = {
+        promptTokenCount: promptTokens,
+        candidatesTokenCount: outputTokens,
+        totalTokenCount: promptTokens + outputTokens
+    };
+    if (cachedTokens > 0) {
+        usageMetadata.cachedContentTokenCount = cachedTokens;
+    }
+    return usageMetadata;
+}
+
+/**
+ * Convert a single Anthropic content block to a Gemini part
+ * @param {Object} block - Anthropic content block
+ * @returns {Object|null} Gemini part, or null for unsupported blocks
+ */
+export function toGeminiPart(block) {
+    if (block.type === 'text') {
+        return { text: block.text };
+    }
+    if (block.type === 'thinking') {
+        const part = { text: block.thinking, thought: true };
+        if (block.signature) {
+            part.thoughtSignature = block.signature;
+        }
+        return part;
+    }
+    if (block.type === 'tool_use') {
+        const part = { functionCall: { id: block.id, name: block.name, args: block.input || {} } };
+        if (block.thoughtSignature) {
+            part.thoughtSignature = block.thoughtSignature;
+        }
+        return part;
+    }
+    if (block.type === 'image' && block.source?.type === 'base64') {
+        return { inlineData: { mimeType: block.source.media_type, data: block.source.data } };
+    }
+    return null;
+}
+
+/**
+ * Convert Anthropic response to native Gemini format
+ *
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {string} model - Model name (reported as modelVersion)
+ * @returns {Object} Gemini generateContent response
+ */
+export function convertAnthropicToGemini(anthropicResponse, model) {
+    const parts = (anthropicResponse.content || [])
+        .map(toGeminiPart)
+        .filter(Boolean);
+
+    return {
+        candidates: [{
+            content: { role: 'model', parts },
+            finishReason: toGeminiFinishReason(anthropicResponse.stop_reason),
+            index: 0
+        }],
+        usageMetadata: toGeminiUsage(anthropicResponse.usage),
+        modelVersion: anthropicResponse.model || model
+    };
+}
+
+export default {
+    convertAnthropicToGemini
+};
@@ -0,0 +1,114 @@
+/**
+ * Gemini Streaming Adapter
+ * Converts Anthropic SSE stream events to native Gemini streamGenerateContent chunks
+ *
+ * Each chunk is a complete GenerateContentResponse carrying only the new parts.
+ * Chunks are returned as objects so the route can frame them either as SSE
+ * (`?alt=sse`) or as the elements of a streamed JSON array (the REST default).
+ */
+
+import { toGeminiFinishReason, toGeminiUsage, toGeminiPart } from './response-converter.js';
+
+/**
+ * Create a Gemini streaming adapter
+ *
+ * @param {string} model - Model name (reported as modelVersion)
+ * @returns {Object} Adapter with transform method
+ */
+export function createGeminiStreamAdapter(model) {
+    const usage = {};
+    let modelVersion = model;
+    let toolBlock = null; // tool_use block being assembled (Gemini sends whole function calls)
+
+    const chunk = (parts, extra = {}) => ({
+        candidates: [{
+            content: { role: 'model', parts },
+            index: 0,
+            ...extra
+        }],
+        modelVersion
+    });
+
+    return {
+        /**
+         * Transform an Anthropic SSE event to a Gemini chunk
+         * @param {Object} event - Parsed Anthropic event
+         * @returns {Object|null} Gemini response chunk or null if skipped
+         */
+        transform(event) {
+            if (!event || !event.type) {
+                return null;
+            }
+
+            switch (event.type) {
+                case 'message_start': {
+                    Object.assign(usage, event.message?.usage);
+                    modelVersion = event.message?.model || model;
+                    return null;
+                }
+
+                case 'content_block_start': {
+                    const block = event.content_block;
+                    if (block?.type === 'tool_use') {
+                        toolBlock = { ...block, json: '' };
+                    } else if (block?.type === 'image') {
+                        const part = toGeminiPart(block);
+                        return part ? chunk([part]) : null;
+                    }
+                    return null;
+                }
+
+                case 'content_block_delta': {
+                    const delta = event.delta;
+                    if (!delta) return null;
+
+                    if (delta.type === 'text_delta') {
+                        return chunk([{ text: delta.text }]);
+                    }
+                    if (delta.type === 'thinking_delta') {
+                        return chunk([{ text: delta.thinking, thought: true }]);
+                    }
+                    if (delta.type === 'signature_delta') {
+                        return chunk([{ text: '', thought: true, thoughtSignature: delta.signature }]);
+                    }
+                    if (delta.type === 'input_json_delta' && toolBlock) {
+                        toolBlock.json += delta.partial_json;
+                    }
+                    return null;
+                }
+
+                case 'content_block_stop': {
+                    if (!toolBlock) return null;
+                    const { json, ...block } = toolBlock;
+                    toolBlock = null;
+
+                    if (json) {
+                        try {
+                            block.input = JSON.parse(json);
+                        } catch {
+                            block.input = { raw: json };
+                        }
+                    }
+                    return chunk([toGeminiPart(block)]);
+                }
+
+                case 'message_delta': {
+                    Object.assign(usage, event.usage);
+                    if (!event.delta?.stop_reason) return null;
+
+                    return {
+                        ...chunk([{ text: '' }], { finishReason: toGeminiFinishReason(event.delta.stop_reason) }),
+                        usageMetadata: toGeminiUsage(usage)
+                    };
+                }
+
+                default:
+                    return null;
+            }
+        }
+    };
+}
+
+export default {
+    createGeminiStreamAdapter
+};
@@ -10,6 +10,11 @@ export * from './content-converter.js';
 export * from './schema-sanitizer.js';
 export * from './thinking-utils.js';
 export * from './signature-cache.js';
+export * from './token-counter.js';
+export * from './stream-accumulator.js';
+export * from './stream-replay.js';
+export * from './stop-sequences.js';
+export * from './tool-names.js';
 
 // Default export for backward compatibility
 import { convertAnthropicToGoogle } from './request-converter.js';
@@ -1,9 +1,12 @@
 /**
  * OpenAI Format Converters
- * Provides OpenAI Chat Completions API compatibility
+ * Provides OpenAI Chat Completions and Responses API compatibility
  */
 
 export { mapModel, getOpenAIModels, OPENAI_MODEL_MAP } from './model-mapper.js';
 export { convertOpenAIToAnthropic } from './request-converter.js';
 export { convertAnthropicToOpenAI, createStreamChunk, createDoneMarker } from './response-converter.js';
 export { createOpenAIStreamAdapter, transformAnthropicStreamToOpenAI } from './streaming-adapter.js';
+export { convertResponsesToAnthropic } from './responses-request-converter.js';
+export { convertAnthropicToResponses } from './responses-response-converter.js';
+export { createResponsesStreamAdapter } from './responses-streaming-adapter.js';
@@ -7,6 +7,7 @@
  */
 
 import { mapModel } from './model-mapper.js';
+import { sanitizeSchema } from '../schema-sanitizer.js';
 import { logger } from '../../utils/logger.js';
 
 /**
@@ -28,7 +29,12 @@ export function convertOpenAIToAnthropic(openaiRequest) {
         n,
         presence_penalty,
         frequency_penalty,
-        user
+        user,
+        tools,
+        tool_choice,
+        parallel_tool_calls,
+        functions,
+        function_call
     } = openaiRequest;
 
     // Map OpenAI model to internal model
@@ -108,6 +114,21 @@ export function convertOpenAIToAnthropic(openaiRequest) {
     if (stop) {
         anthropicRequest.stop_sequences = Array.isArray(stop) ? stop : [stop];
     }
+    if (user) {
+        anthropicRequest.metadata = { user_id: user };
+    }
+
+    // Tool definitions (current `tools` and legacy `functions`)
+    const anthropicTools = convertTools(tools, functions);
+    if (anthropicTools.length > 0) {
+        anthropicRequest.tools = anthropicTools;
+
+        // tool_choice takes precedence over the legacy function_call
+        const toolChoice = convertToolChoice(tool_choice ?? function_call, parallel_tool_calls);
+        if (toolChoice) {
+            anthropicRequest.tool_choice = toolChoice;
+        }
+    }
 
     // Note: presence_penalty, frequency_penalty, n are not supported by Anthropic
     // We ignore them silently for compatibility
@@ -115,6 +136,81 @@ export function convertOpenAIToAnthropic(openaiRequest) {
     return anthropicRequest;
 }
 
+/**
+ * Convert OpenAI tool definitions to Anthropic tools
+ * Accepts both `tools` ({ type: 'function', function: {...} }) and legacy `functions`
+ * @param {Array} [tools] - OpenAI tools
+ * @param {Array} [functions] - Legacy OpenAI functions
+ * @returns {Array} Anthropic tool definitions
+ */
+function convertTools(tools, functions) {
+    const definitions = [];
+
+    for (const tool of Array.isArray(tools) ? tools : []) {
+        if (tool?.type === 'function' && tool.function?.name) {
+            definitions.push(tool.function);
+        } else {
+            logger.debug(`[OpenAI] Skipping unsupported tool type: ${tool?.type}`);
+        }
+    }
+
+    for (const fn of Array.isArray(functions) ? functions : []) {
+        if (fn?.name) {
+            definitions.push(fn);
+        }
+    }
+
+    // A name may be defined in both lists - keep the first definition
+    const byName = new Map();
+    for (const fn of definitions) {
+        if (!byName.has(fn.name)) {
+            byName.set(fn.name, {
+                name: fn.name,
+                description: fn.description || '',
+                input_schema: sanitizeSchema(fn.parameters)
+            });
+        }
+    }
+    return [...byName.values()];
+}
+
+/**
+ * Convert OpenAI tool_choice (or legacy function_call) to Anthropic tool_choice
+ *
+ * - 'auto'     -> { type: 'auto' }
+ * - 'none'     -> { type: 'none' }
+ * - 'required' -> { type: 'any' }
+ * - { type: 'function', function: { name } } or { name } -> { type: 'tool', name }
+ *
+ * parallel_tool_calls: false maps to disable_parallel_tool_use.
+ *
+ * @param {string|Object} [choice] - OpenAI tool_choice or function_call
+ * @param {boolean} [parallelToolCalls] - OpenAI parallel_tool_calls
+ * @returns {Object|null} Anthropic tool_choice, or null to use the default
+ */
+export function convertToolChoice(choice, parallelToolCalls) {
+    let toolChoice = null;
+
+    if (choice === 'auto') {
+        toolChoice = { type: 'auto' };
+    } else if (choice === 'none') {
+        toolChoice = { type: 'none' };
+    } else if (choice === 'required') {
+        toolChoice = { type: 'any' };
+    } else if (choice && typeof choice === 'object') {
+        const name = choice.function?.name || choice.name;
+        if (name) {
+            toolChoice = { type: 'tool', name };
+        }
+    }
+
+    if (parallelToolCalls === false && toolChoice?.type !== 'none') {
+        toolChoice = { ...(toolChoice || { type: 'auto' }), disable_parallel_tool_use: true };
+    }
+
+    return toolChoice;
+}
+
 /**
  * Extract text content from OpenAI content (string or array)
  * @param {string|Array} content - OpenAI content
@@ -254,7 +350,7 @@ function convertAssistantMessage(msg) {
  * @param {Array} messages - Array of messages
  * @returns {Array} Merged messages
  */
-function mergeConsecutiveMessages(messages) {
+export function mergeConsecutiveMessages(messages) {
     if (messages.length === 0) return [];
 
     const merged = [];
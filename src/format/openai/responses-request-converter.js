@@ -0,0 +1,244 @@
+/**
+ * OpenAI Responses Request Converter
+ * Converts OpenAI Responses API requests (/v1/responses) to Anthropic Messages API format
+ *
+ * Responses input is a flat list of items rather than chat messages:
+ *   { role, content }                              -> user/assistant message (system/developer -> system)
+ *   { type: 'function_call', call_id, name, ... }  -> assistant tool_use block
+ *   { type: 'function_call_output', call_id, ... } -> user tool_result block
+ *   { type: 'reasoning', summary, encrypted_content } -> assistant thinking block
+ *
+ * Consecutive items of the same role are merged, so a reasoning item followed by
+ * its function calls becomes a single assistant turn.
+ */
+
+import { mapModel } from './model-mapper.js';
+import { convertToolChoice, mergeConsecutiveMessages } from './request-converter.js';
+import { sanitizeSchema } from '../schema-sanitizer.js';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Thinking budgets for Responses `reasoning.effort`
+ */
+const REASONING_EFFORT_BUDGETS = {
+    minimal: 1024,
+    low: 4096,
+    medium: 10000,
+    high: 24576
+};
+
+/**
+ * Convert OpenAI Responses request to Anthropic Messages format
+ *
+ * @param {Object} responsesRequest - OpenAI Responses format request
+ * @returns {Object} Anthropic format request
+ */
+export function convertResponsesToAnthropic(responsesRequest) {
+    const {
+        model,
+        input,
+        instructions,
+        max_output_tokens,
+        temperature,
+        top_p,
+        stream,
+        tools,
+        tool_choice,
+        parallel_tool_calls,
+        reasoning
+    } = responsesRequest;
+
+    // Map OpenAI model to internal model
+    const mappedModel = mapModel(model);
+    logger.debug(`[OpenAI] Model mapping: ${model} → ${mappedModel}`);
+
+    const anthropicRequest = {
+        model: mappedModel,
+        messages: [],
+        max_tokens: max_output_tokens || 4096,
+        stream: stream || false
+    };
+
+    const systemParts = [];
+    if (instructions) {
+        systemParts.push(instructions);
+    }
+
+    const convertedMessages = [];
+    const items = typeof input === 'string'
+        ? [{ role: 'user', content: input }]
+        : (Array.isArray(input) ? input : []);
+
+    for (const item of items) {
+        const type = item?.type || 'message';
+
+        if (type === 'message') {
+            if (item.role === 'system' || item.role === 'developer') {
+                const text = extractText(item.content);
+                if (text) systemParts.push(text);
+            } else if (item.role === 'user' || item.role === 'assistant') {
+                convertedMessages.push({
+                    role: item.role,
+                    content: convertInputContent(item.content)
+                });
+            }
+        } else if (type === 'function_call') {
+            let args = {};
+            try {
+                args = JSON.parse(item.arguments || '{}');
+            } catch {
+                args = { raw: item.arguments };
+            }
+
+            convertedMessages.push({
+                role: 'assistant',
+                content: [{
+                    type: 'tool_use',
+                    id: item.call_id,
+                    name: item.name,
+                    input: args
+                }]
+            });
+        } else if (type === 'function_call_output') {
+            convertedMessages.push({
+                role: 'user',
+                content: [{
+                    type: 'tool_result',
+                    tool_use_id: item.call_id,
+                    content: typeof item.output === 'string' ? item.output : extractText(item.output)
+                }]
+            });
+        } else if (type === 'reasoning') {
+            // Thinking blocks without a signature are dropped by the Google converter anyway
+            if (!item.encrypted_content) continue;
+
+            convertedMessages.push({
+                role: 'assistant',
+                content: [{
+                    type: 'thinking',
+                    thinking: (item.summary || []).map(part => part.text || '').join('\n\n'),
+                    signature: item.encrypted_content
+                }]
+            });
+        } else {
+            logger.debug(`[OpenAI] Skipping unsupported Responses input item: ${type}`);
+        }
+    }
+
+    if (systemParts.length > 0) {
+        anthropicRequest.system = systemParts.join('\n\n');
+    }
+
+    // Merge consecutive same-role messages (Anthropic requirement)
+    anthropicRequest.messages = mergeConsecutiveMessages(convertedMessages);
+
+    // Optional parameters
+    if (temperature !== undefined && temperature !== null) {
+        anthropicRequest.temperature = temperature;
+    }
+    if (top_p !== undefined && top_p !== null) {
+        anthropicRequest.top_p = top_p;
+    }
+
+    const budget = REASONING_EFFORT_BUDGETS[reasoning?.effort];
+    if (budget) {
+        anthropicRequest.thinking = { type: 'enabled', budget_tokens: budget };
+    }
+
+    // Function tools (Responses uses a flat { type: 'function', name, parameters } shape)
+    const anthropicTools = convertResponsesTools(tools);
+    if (anthropicTools.length > 0) {
+        anthropicRequest.tools = anthropicTools;
+
+        const toolChoice = convertToolChoice(tool_choice, parallel_tool_calls);
+        if (toolChoice) {
+            anthropicRequest.tool_choice = toolChoice;
+        }
+    }
+
+    return anthropicRequest;
+}
+
+/**
+ * Convert Responses function tools to Anthropic tools
+ * Built-in tools (web_search, file_search, ...) have no upstream equivalent and are skipped.
+ * @param {Array} [tools] - Responses tools
+ * @returns {Array} Anthropic tool definitions
+ */
+function convertResponsesTools(tools) {
+    const byName = new Map();
+
+    for (const tool of Array.isArray(tools) ? tools : []) {
+        if (tool?.type !== 'function' || !tool.name) {
+            logger.debug(`[OpenAI] Skipping unsupported tool type: ${tool?.type}`);
+            continue;
+        }
+        if (!byName.has(tool.name)) {
+            byName.set(tool.name, {
+                name: tool.name,
+                description: tool.description || '',
+                input_schema: sanitizeSchema(tool.parameters)
+            });
+        }
+    }
+
+    return [...byName.values()];
+}
+
+/**
+ * Extract text from Responses content (string or content part array)
+ * @param {string|Array} content - Responses content
+ * @returns {string} Text content
+ */
+function extractText(content) {
+    if (typeof content === 'string') {
+        return content;
+    }
+    if (Array.isArray(content)) {
+        return content
+            .filter(part => typeof part?.text === 'string')
+            .map(part => part.text)
+            .join('\n');
+    }
+    return '';
+}
+
+/**
+ * Convert Responses message content to Anthropic content
+ * Handles input_text / output_text parts and base64 input_image parts
+ * @param {string|Array} content - Responses content
+ * @returns {string|Array} Anthropic content
+ */
+function convertInputContent(content) {
+    if (!Array.isArray(content)) {
+        return content || '';
+    }
+
+    const anthropicContent = [];
+    for (const part of content) {
+        if (part.type === 'input_text' || part.type === 'output_text' || part.type === 'text') {
+            anthropicContent.push({ type: 'text', text: part.text });
+        } else if (part.type === 'input_image') {
+            // Only data URLs are supported - remote URLs and file IDs would need fetching
+            const match = (part.image_url || '').match(/^data:([^;]+);base64,(.+)$/);
+            if (match) {
+                anthropicContent.push({
+                    type: 'image',
+                    source: {
+                        type: 'base64',
+                        media_type: match[1],
+                        data: match[2]
+                    }
+                });
+            }
+        }
+    }
+
+    return anthropicContent.length === 1 && anthropicContent[0].type === 'text'
+        ? anthropicContent[0].text
+        : anthropicContent;
+}
+
+export default {
+    convertResponsesToAnthropic
+};
@@ -0,0 +1,146 @@
+/**
+ * OpenAI Responses Response Converter
+ * Converts Anthropic Messages API responses to OpenAI Responses API format
+ *
+ * Anthropic content blocks become Responses output items:
+ *   thinking  -> { type: 'reasoning', summary: [{ type: 'summary_text' }], encrypted_content }
+ *   text      -> { type: 'message', content: [{ type: 'output_text' }] } (consecutive text blocks share one item)
+ *   tool_use  -> { type: 'function_call', call_id, name, arguments }
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Generate a Responses object/item ID
+ * @param {string} prefix - ID prefix (resp, msg, rs, fc)
+ * @returns {string} Prefixed random ID
+ */
+export function generateResponsesId(prefix) {
+    return `${prefix}_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+/**
+ * Convert Anthropic usage to Responses usage
+ * @param {Object} [usage] - Anthropic usage
+ * @returns {Object} Responses usage
+ */
+export function convertResponsesUsage(usage = {}) {
+    const cachedTokens = usage.cache_read_input_tokens || 0;
+    const inputTokens = (usage.input_tokens || 0) + cachedTokens;
+    const outputTokens = usage.output_tokens || 0;
+
+    return {
+        input_tokens: inputTokens,
+        input_tokens_details: { cached_tokens: cachedTokens },
+        output_tokens: outputTokens,
+        output_tokens_details: { reasoning_tokens: 0 },
+        total_tokens: inputTokens + outputTokens
+    };
+}
+
+/**
+ * Build a Responses `response` object
+ * Request parameters are echoed back the way the OpenAI API does.
+ *
+ * @param {Object} options - Response options
+ * @param {string} options.id - Response ID
+ * @param {string} options.model - Model name from the request
+ * @param {Object} options.request - Original Responses request
+ * @param {string} options.status - in_progress | completed | incomplete | failed
+ * @param {Array} [options.output] - Output items
+ * @param {Object|null} [options.usage] - Responses usage
+ * @param {Object|null} [options.error] - { code, message } for failed responses
+ * @param {number} [options.createdAt] - Creation time (unix seconds)
+ * @returns {Object} Responses object
+ */
+export function createResponseObject({ id, model, request = {}, status, output = [], usage = null, error = null, createdAt }) {
+    return {
+        id,
+        object: 'response',
+        created_at: createdAt || Math.floor(Date.now() / 1000),
+        status,
+        error,
+        incomplete_details: status === 'incomplete' ? { reason: 'max_output_tokens' } : null,
+        instructions: request.instructions ?? null,
+        max_output_tokens: request.max_output_tokens ?? null,
+        model,
+        output,
+        parallel_tool_calls: request.parallel_tool_calls ?? true,
+        previous_response_id: null,
+        reasoning: request.reasoning ?? null,
+        store: false,
+        temperature: request.temperature ?? null,
+        tool_choice: request.tool_choice ?? 'auto',
+        tools: request.tools ?? [],
+        top_p: request.top_p ?? null,
+        usage,
+        metadata: request.metadata ?? {}
+    };
+}
+
+/**
+ * Convert Anthropic response to OpenAI Responses format
+ *
+ * @param {Object} anthropicResponse - Anthropic format response
+ * @param {string} requestModel - The model name from the request (for display)
+ * @param {Object} [responsesRequest] - Original Responses request (echoed parameters)
+ * @returns {Object} OpenAI Responses format response
+ */
+export function convertAnthropicToResponses(anthropicResponse, requestModel, responsesRequest = {}) {
+    const output = [];
+    let messageItem = null;
+
+    for (const block of anthropicResponse.content || []) {
+        if (block.type === 'text') {
+            if (!messageItem) {
+                messageItem = {
+                    type: 'message',
+                    id: generateResponsesId('msg'),
+                    status: 'completed',
+                    role: 'assistant',
+                    content: []
+                };
+                output.push(messageItem);
+            }
+            messageItem.content.push({ type: 'output_text', text: block.text, annotations: [] });
+            continue;
+        }
+
+        // Any other block ends the current message item
+        messageItem = null;
+
+        if (block.type === 'thinking') {
+            const item = {
+                type: 'reasoning',
+                id: generateResponsesId('rs'),
+                summary: block.thinking ? [{ type: 'summary_text', text: block.thinking }] : []
+            };
+            if (block.signature) {
+                item.encrypted_content = block.signature;
+            }
+            output.push(item);
+        } else if (block.type === 'tool_use') {
+            output.push({
+                type: 'function_call',
+                id: generateResponsesId('fc'),
+                call_id: block.id,
+                name: block.name,
+                arguments: JSON.stringify(block.input || {}),
+                status: 'completed'
+            });
+        }
+    }
+
+    return createResponseObject({
+        id: generateResponsesId('resp'),
+        model: requestModel,
+        request: responsesRequest,
+        status: anthropicResponse.stop_reason === 'max_tokens' ? 'incomplete' : 'completed',
+        output,
+        usage: convertResponsesUsage(anthropicResponse.usage)
+    });
+}
+
+export default {
+    convertAnthropicToResponses
+};
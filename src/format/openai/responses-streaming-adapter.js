@@ -0,0 +1,309 @@
+/**
+ * OpenAI Responses Streaming Adapter
+ * Converts Anthropic SSE stream events to the typed OpenAI Responses event stream
+ *
+ * Responses format (every event is named and carries a sequence_number):
+ *   event: response.created
+ *   data: {"type":"response.created","sequence_number":0,"response":{...}}
+ *
+ *   event: response.output_text.delta
+ *   data: {"type":"response.output_text.delta","item_id":"msg_xxx","output_index":0,"content_index":0,"delta":"Hello"}
+ *
+ *   event: response.completed
+ *   data: {"type":"response.completed","response":{...}}
+ */
+
+import {
+    generateResponsesId,
+    createResponseObject,
+    convertResponsesUsage
+} from './responses-response-converter.js';
+
+/**
+ * Create an OpenAI Responses streaming adapter
+ * Transforms Anthropic SSE events to Responses events
+ *
+ * @param {string} model - The model name for the response
+ * @param {Object} [request] - Original Responses request (echoed parameters)
+ * @returns {Object} Adapter with transform/fail methods and state
+ */
+export function createResponsesStreamAdapter(model, request = {}) {
+    const responseId = generateResponsesId('resp');
+    const createdAt = Math.floor(Date.now() / 1000);
+    const output = [];
+    const usage = {};
+    let sequenceNumber = 0;
+    let stopReason = null;
+    let started = false;
+    let finished = false;
+
+    // Output item for the Anthropic block currently streaming
+    let current = null;
+    // Open assistant message item (consecutive text blocks share one item)
+    let messageItem = null;
+
+    /**
+     * Format one Responses SSE event
+     * @param {string} type - Event type
+     * @param {Object} payload - Event fields
+     * @returns {string} SSE event text
+     */
+    const emit = (type, payload) => {
+        const data = { type, sequence_number: sequenceNumber++, ...payload };
+        return `event: ${type}\ndata: ${JSON.stringify(data)}\n\n`;
+    };
+
+    const snapshot = (status, extra = {}) => createResponseObject({
+        id: responseId,
+        model,
+        request,
+        status,
+        output,
+        createdAt,
+        usage: status === 'in_progress' ? null : convertResponsesUsage(usage),
+        ...extra
+    });
+
+    const start = () => {
+        if (started) return '';
+        started = true;
+        return emit('response.created', { response: snapshot('in_progress') }) +
+            emit('response.in_progress', { response: snapshot('in_progress') });
+    };
+
+    const closeMessageItem = () => {
+        if (!messageItem) return '';
+        const item = messageItem;
+        messageItem = null;
+        item.status = 'completed';
+        return emit('response.output_item.done', { output_index: output.indexOf(item), item });
+    };
+
+    return {
+        /**
+         * Transform an Anthropic SSE event to Responses events
+         * @param {Object} event - Parsed Anthropic event
+         * @returns {string|null} Responses SSE event text or null if skipped
+         */
+        transform(event) {
+            if (!event || !event.type || finished) {
+                return null;
+            }
+
+            switch (event.type) {
+                case 'message_start': {
+                    Object.assign(usage, event.message?.usage);
+                    return start() || null;
+                }
+
+                case 'content_block_start': {
+                    const block = event.content_block;
+                    if (!block) return null;
+                    let out = start();
+
+                    if (block.type === 'text') {
+                        if (!messageItem) {
+                            messageItem = {
+                                type: 'message',
+                                id: generateResponsesId('msg'),
+                                status: 'in_progress',
+                                role: 'assistant',
+                                content: []
+                            };
+                            output.push(messageItem);
+                            out += emit('response.output_item.added', {
+                                output_index: output.length - 1,
+                                item: { ...messageItem, content: [] }
+                            });
+                        }
+                        const part = { type: 'output_text', text: '', annotations: [] };
+                        messageItem.content.push(part);
+                        current = { kind: 'text', item: messageItem, part, contentIndex: messageItem.content.length - 1 };
+                        out += emit('response.content_part.added', {
+                            item_id: messageItem.id,
+                            output_index: output.indexOf(messageItem),
+                            content_index: current.contentIndex,
+                            part: { ...part }
+                        });
+                        return out;
+                    }
+
+                    // Any other block ends the current message item
+                    out += closeMessageItem();
+
+                    if (block.type === 'thinking') {
+                        const item = { type: 'reasoning', id: generateResponsesId('rs'), summary: [] };
+                        output.push(item);
+                        current = { kind: 'reasoning', item, text: '' };
+                        out += emit('response.output_item.added', { output_index: output.length - 1, item: { ...item, summary: [] } });
+                        out += emit('response.reasoning_summary_part.added', {
+                            item_id: item.id,
+                            output_index: output.length - 1,
+                            summary_index: 0,
+                            part: { type: 'summary_text', text: '' }
+                        });
+                        return out;
+                    }
+
+                    if (block.type === 'tool_use') {
+                        const item = {
+                            type: 'function_call',
+                            id: generateResponsesId('fc'),
+                            call_id: block.id,
+                            name: block.name,
+                            arguments: '',
+                            status: 'in_progress'
+                        };
+                        output.push(item);
+                        current = { kind: 'function_call', item };
+                        out += emit('response.output_item.added', { output_index: output.length - 1, item: { ...item } });
+                        return out;
+                    }
+
+                    current = null;
+                    return out || null;
+                }
+
+                case 'content_block_delta': {
+                    const delta = event.delta;
+                    if (!delta || !current) return null;
+                    const outputIndex = output.indexOf(current.item);
+
+                    if (delta.type === 'text_delta' && current.kind === 'text') {
+                        current.part.text += delta.text;
+                        return emit('response.output_text.delta', {
+                            item_id: current.item.id,
+                            output_index: outputIndex,
+                            content_index: current.contentIndex,
+                            delta: delta.text
+                        });
+                    }
+
+                    if (delta.type === 'thinking_delta' && current.kind === 'reasoning') {
+                        current.text += delta.thinking;
+                        return emit('response.reasoning_summary_text.delta', {
+                            item_id: current.item.id,
+                            output_index: outputIndex,
+                            summary_index: 0,
+                            delta: delta.thinking
+                        });
+                    }
+
+                    if (delta.type === 'signature_delta' && current.kind === 'reasoning') {
+                        current.item.encrypted_content = delta.signature;
+                        return null;
+                    }
+
+                    if (delta.type === 'input_json_delta' && current.kind === 'function_call') {
+                        current.item.arguments += delta.partial_json;
+                        return emit('response.function_call_arguments.delta', {
+                            item_id: current.item.id,
+                            output_index: outputIndex,
+                            delta: delta.partial_json
+                        });
+                    }
+
+                    return null;
+                }
+
+                case 'content_block_stop': {
+                    if (!current) return null;
+                    const block = current;
+                    current = null;
+                    const outputIndex = output.indexOf(block.item);
+
+                    if (block.kind === 'text') {
+                        // The message item stays open for following text blocks
+                        return emit('response.output_text.done', {
+                            item_id: block.item.id,
+                            output_index: outputIndex,
+                            content_index: block.contentIndex,
+                            text: block.part.text
+                        }) + emit('response.content_part.done', {
+                            item_id: block.item.id,
+                            output_index: outputIndex,
+                            content_index: block.contentIndex,
+                            part: { ...block.part }
+                        });
+                    }
+
+                    if (block.kind === 'reasoning') {
+                        const part = { type: 'summary_text', text: block.text };
+                        if (block.text) {
+                            block.item.summary.push(part);
+                        }
+                        return emit('response.reasoning_summary_text.done', {
+                            item_id: block.item.id,
+                            output_index: outputIndex,
+                            summary_index: 0,
+                            text: block.text
+                        }) + emit('response.reasoning_summary_part.done', {
+                            item_id: block.item.id,
+                            output_index: outputIndex,
+                            summary_index: 0,
+                            part
+                        }) + emit('response.output_item.done', { output_index: outputIndex, item: block.item });
+                    }
+
+                    // function_call
+                    block.item.status = 'completed';
+                    return emit('response.function_call_arguments.done', {
+                        item_id: block.item.id,
+                        output_index: outputIndex,
+                        arguments: block.item.arguments
+                    }) + emit('response.output_item.done', { output_index: outputIndex, item: block.item });
+                }
+
+                case 'message_delta': {
+                    // Message metadata update (stop_reason, usage)
+                    if (event.delta?.stop_reason) {
+                        stopReason = event.delta.stop_reason;
+                    }
+                    Object.assign(usage, event.usage);
+                    return null;
+                }
+
+                case 'message_stop': {
+                    finished = true;
+                    const out = start() + closeMessageItem();
+                    if (stopReason === 'max_tokens') {
+                        return out + emit('response.incomplete', { response: snapshot('incomplete') });
+                    }
+                    return out + emit('response.completed', { response: snapshot('completed') });
+                }
+
+                case 'error': {
+                    return this.fail(event.error?.message || 'Unknown error');
+                }
+
+                default:
+                    return null;
+            }
+        },
+
+        /**
+         * End the stream with a response.failed event
+         * @param {string} message - Error message
+         * @returns {string|null} Responses SSE event text, or null if already finished
+         */
+        fail(message) {
+            if (finished) return null;
+            finished = true;
+            return start() + emit('response.failed', {
+                response: snapshot('failed', { error: { code: 'server_error', message } })
+            });
+        },
+
+        /**
+         * Get the response ID
+         * @returns {string}
+         */
+        getId() {
+            return responseId;
+        }
+    };
+}
+
+export default {
+    createResponsesStreamAdapter
+};
@@ -11,6 +11,8 @@ import {
 } from '../constants.js';
 import { convertContentToParts, convertRole } from './content-converter.js';
 import { sanitizeSchema, cleanSchema } from './schema-sanitizer.js';
+import { normalizeStopSequences } from './stop-sequences.js';
+import { createToolNameMap, getToolName } from './tool-names.js';
 import {
     restoreThinkingSignatures,
     removeTrailingThinkingBlocks,
@@ -33,12 +35,13 @@ import { logger } from '../utils/logger.js';
  * @returns {Object} Request body for Cloud Code API
  */
 export function convertAnthropicToGoogle(anthropicRequest) {
-    const { messages, system, max_tokens, temperature, top_p, top_k, stop_sequences, tools, tool_choice, thinking } = anthropicRequest;
+    const { messages, system, max_tokens, temperature, top_p, top_k, tools, tool_choice, thinking } = anthropicRequest;
     const modelName = anthropicRequest.model || '';
     const modelFamily = getModelFamily(modelName);
     const isClaudeModel = modelFamily === 'claude';
     const isGeminiModel = modelFamily === 'gemini';
     const isThinking = isThinkingModel(modelName);
+    const toolNames = createToolNameMap(anthropicRequest);
 
     const googleRequest = {
         contents: [],
@@ -111,7 +114,7 @@ export function convertAnthropicToGoogle(anthropicRequest) {
             msgContent = reorderAssistantContent(msgContent);
         }
 
-        const parts = convertContentToParts(msgContent, isClaudeModel, isGeminiModel);
+        const parts = convertContentToParts(msgContent, isClaudeModel, isGeminiModel, toolNames);
 
         // SAFETY: Google API requires at least one part per content message
         // This happens when all thinking blocks are filtered out (unsigned)
@@ -147,9 +150,7 @@ export function convertAnthropicToGoogle(anthropicRequest) {
     if (top_k !== undefined) {
         googleRequest.generationConfig.topK = top_k;
     }
-    if (stop_sequences && stop_sequences.length > 0) {
-        googleRequest.generationConfig.stopSequences = stop_sequences;
-    }
+    // stop_sequences are applied to the response by the proxy (see stop-sequences.js)
 
     // Enable image generation for image models (e.g., gemini-3-pro-image)
     const isImage = isImageModel(modelName);
@@ -203,7 +204,7 @@ export function convertAnthropicToGoogle(anthropicRequest) {
     if (tools && tools.length > 0) {
         const functionDeclarations = tools.map((tool, idx) => {
             // Extract name from various possible locations
-            const name = tool.name || tool.function?.name || tool.custom?.name || `tool-${idx}`;
+            const name = getToolName(tool, idx);
 
             // Extract description from various possible locations
             const description = tool.description || tool.function?.description || tool.custom?.description || '';
@@ -226,7 +227,7 @@ export function convertAnthropicToGoogle(anthropicRequest) {
             parameters = cleanSchema(parameters);
 
             return {
-                name: String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, 64),
+                name: toolNames.toGoogle(name),
                 description: description,
                 parameters
             };
@@ -235,14 +236,9 @@ export function convertAnthropicToGoogle(anthropicRequest) {
         googleRequest.tools = [{ functionDeclarations }];
         logger.debug(`[RequestConverter] Tools: ${JSON.stringify(googleRequest.tools).substring(0, 300)}`);
 
-        // For Claude models, set functionCallingConfig.mode = "VALIDATED"
-        // This ensures strict parameter validation (matches opencode-antigravity-auth)
-        if (isClaudeModel) {
-            googleRequest.toolConfig = {
-                functionCallingConfig: {
-                    mode: 'VALIDATED'
-                }
-            };
+        const functionCallingConfig = convertToolChoice(tool_choice, isClaudeModel, toolNames);
+        if (functionCallingConfig) {
+            googleRequest.toolConfig = { functionCallingConfig };
         }
     }
 
@@ -254,3 +250,51 @@ export function convertAnthropicToGoogle(anthropicRequest) {
 
     return googleRequest;
 }
+
+/**
+ * Convert Anthropic tool_choice to Google functionCallingConfig
+ *
+ * - auto (or unset) -> VALIDATED for Claude (strict parameter validation, matches
+ *   opencode-antigravity-auth), AUTO for Gemini (unset keeps the Gemini default)
+ * - any             -> ANY
+ * - tool            -> ANY with allowedFunctionNames: [name]
+ * - none            -> NONE
+ *
+ * Google has no switch for disable_parallel_tool_use; it is applied to the
+ * response instead (see getResponseOptions).
+ *
+ * @param {Object} [toolChoice] - Anthropic tool_choice
+ * @param {boolean} isClaudeModel - Whether the target is a Claude model
+ * @param {Object} toolNames - Tool name map for the request (see createToolNameMap)
+ * @returns {Object|null} functionCallingConfig, or null to send none
+ */
+function convertToolChoice(toolChoice, isClaudeModel, toolNames) {
+    switch (toolChoice?.type) {
+        case 'any':
+            return { mode: 'ANY' };
+        case 'tool':
+            return { mode: 'ANY', allowedFunctionNames: [toolNames.toGoogle(toolChoice.name)] };
+        case 'none':
+            return { mode: 'NONE' };
+        case 'auto':
+            return { mode: isClaudeModel ? 'VALIDATED' : 'AUTO' };
+        default:
+            return isClaudeModel ? { mode: 'VALIDATED' } : null;
+    }
+}
+
+/**
+ * Get the response conversion options for an Anthropic request
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @returns {{singleToolUse: boolean, stopSequences: Array<string>, toolNames: Object}} singleToolUse keeps
+ *   only the first tool call (tool_choice.disable_parallel_tool_use); stopSequences end the text at the
+ *   first match; toolNames maps upstream function names back to the client's tool names
+ */
+export function getResponseOptions(anthropicRequest) {
+    return {
+        singleToolUse: anthropicRequest.tool_choice?.disable_parallel_tool_use === true
+            && anthropicRequest.tool_choice.type !== 'none',
+        stopSequences: normalizeStopSequences(anthropicRequest.stop_sequences),
+        toolNames: createToolNameMap(anthropicRequest)
+    };
+}
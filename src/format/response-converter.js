@@ -6,15 +6,20 @@
 import crypto from 'crypto';
 import { MIN_SIGNATURE_LENGTH, getModelFamily } from '../constants.js';
 import { cacheSignature, cacheThinkingSignature } from './signature-cache.js';
+import { findStopSequence } from './stop-sequences.js';
 
 /**
  * Convert Google Generative AI response to Anthropic Messages API format
  *
  * @param {Object} googleResponse - Google format response (the inner response object)
  * @param {string} model - The model name used
+ * @param {Object} [options] - Options from getResponseOptions
+ * @param {boolean} [options.singleToolUse=false] - Keep only the first tool call
+ * @param {Array<string>} [options.stopSequences=[]] - End the response at the first of these in the text
+ * @param {Object} [options.toolNames] - Maps function names back to the client's tool names
  * @returns {Object} Anthropic format response
  */
-export function convertGoogleToAnthropic(googleResponse, model) {
+export function convertGoogleToAnthropic(googleResponse, model, { singleToolUse = false, stopSequences = [], toolNames = null } = {}) {
     // Handle the response wrapper
     const response = googleResponse.response || googleResponse;
 
@@ -26,8 +31,18 @@ export function convertGoogleToAnthropic(googleResponse, model) {
     // Convert parts to Anthropic content blocks
     const anthropicContent = [];
     let hasToolCalls = false;
+    let stopSequence = null;
+
+    // Consecutive text parts are matched as one text, so a stop sequence split across parts is found
+    let runBlocks = []; // { block, start } for each text block of the current run
+    let runText = '';
 
     for (const part of parts) {
+        if (part.text === undefined || part.thought === true) {
+            runBlocks = [];
+            runText = '';
+        }
+
         if (part.text !== undefined) {
             // Handle thinking blocks
             if (part.thought === true) {
@@ -46,19 +61,34 @@ export function convertGoogleToAnthropic(googleResponse, model) {
                     signature: signature
                 });
             } else {
-                anthropicContent.push({
-                    type: 'text',
-                    text: part.text
-                });
+                const block = { type: 'text', text: part.text };
+                anthropicContent.push(block);
+                runBlocks.push({ block, start: runText.length });
+                runText += part.text;
+
+                // Nothing from the stop sequence on is returned
+                const match = stopSequences.length > 0 ? findStopSequence(runText, stopSequences) : null;
+                if (match) {
+                    const kept = runBlocks.filter(({ start }) => start < match.index);
+                    anthropicContent.splice(anthropicContent.length - (runBlocks.length - kept.length));
+                    const last = kept[kept.length - 1];
+                    if (last) last.block.text = last.block.text.slice(0, match.index - last.start);
+
+                    stopSequence = match.sequence;
+                    break;
+                }
             }
         } else if (part.functionCall) {
+            // disable_parallel_tool_use: drop every call after the first
+            if (singleToolUse && hasToolCalls) continue;
+
             // Convert functionCall to tool_use
             // Use the id from the response if available, otherwise generate one
             const toolId = part.functionCall.id || `toolu_${crypto.randomBytes(12).toString('hex')}`;
             const toolUseBlock = {
                 type: 'tool_use',
                 id: toolId,
-                name: part.functionCall.name,
+                name: toolNames ? toolNames.toClient(part.functionCall.name) : part.functionCall.name,
                 input: part.functionCall.args || {}
             };
 
@@ -87,7 +117,9 @@ export function convertGoogleToAnthropic(googleResponse, model) {
     // Determine stop reason
     const finishReason = firstCandidate.finishReason;
     let stopReason = 'end_turn';
-    if (finishReason === 'STOP') {
+    if (stopSequence) {
+        stopReason = 'stop_sequence';
+    } else if (finishReason === 'STOP') {
         stopReason = 'end_turn';
     } else if (finishReason === 'MAX_TOKENS') {
         stopReason = 'max_tokens';
@@ -109,7 +141,7 @@ export function convertGoogleToAnthropic(googleResponse, model) {
         content: anthropicContent.length > 0 ? anthropicContent : [{ type: 'text', text: '' }],
         model: model,
         stop_reason: stopReason,
-        stop_sequence: null,
+        stop_sequence: stopSequence,
         usage: {
             input_tokens: promptTokens - cachedTokens,
             output_tokens: usageMetadata.candidatesTokenCount || 0,
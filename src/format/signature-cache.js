@@ -86,3 +86,15 @@ export function getCachedSignatureFamily(signature) {
 export function clearThinkingSignatureCache() {
     thinkingSignatureCache.clear();
 }
+
+/**
+ * Get the number of entries in each signature cache (for metrics)
+ * Expired entries are counted until they are next looked up.
+ * @returns {{toolUse: number, thinking: number}} Cache sizes
+ */
+export function getSignatureCacheSizes() {
+    return {
+        toolUse: signatureCache.size,
+        thinking: thinkingSignatureCache.size
+    };
+}
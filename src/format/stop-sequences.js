@@ -0,0 +1,90 @@
+/**
+ * Stop Sequences
+ * Applies Anthropic stop_sequences to generated text
+ *
+ * Google also supports stopSequences, but it drops the matched text and reports
+ * the same finishReason (STOP) as a natural end, so the proxy could not tell
+ * clients which sequence stopped the response. Stop sequences are therefore
+ * not sent upstream: the response converter and the SSE streamer cut the text
+ * at the first match and return stop_reason "stop_sequence" with the match.
+ * The streamer also cancels the upstream stream then, so generation stops early.
+ */
+
+/**
+ * Drop empty and non-string entries
+ * @param {Array} [stopSequences] - Anthropic stop_sequences
+ * @returns {Array<string>} Usable stop sequences
+ */
+export function normalizeStopSequences(stopSequences) {
+    if (!Array.isArray(stopSequences)) return [];
+    return stopSequences.filter(sequence => typeof sequence === 'string' && sequence.length > 0);
+}
+
+/**
+ * Find the earliest stop sequence in a text
+ * @param {string} text - Generated text
+ * @param {Array<string>} stopSequences - Stop sequences (normalized)
+ * @returns {{index: number, sequence: string}|null} Position and value of the first match
+ */
+export function findStopSequence(text, stopSequences) {
+    let match = null;
+    for (const sequence of stopSequences) {
+        const index = text.indexOf(sequence);
+        if (index !== -1 && (match === null || index < match.index)) {
+            match = { index, sequence };
+        }
+    }
+    return match;
+}
+
+/**
+ * Create a matcher for streamed text
+ *
+ * Text that could be the start of a stop sequence is held back until the next
+ * chunk shows whether it matches, so a sequence split across chunks is never
+ * sent to the client.
+ *
+ * @param {Array<string>} stopSequences - Stop sequences (normalized, not empty)
+ * @returns {{push: Function, flush: Function}} push(text) returns { text, stopSequence } (the text to send,
+ *   and the matched sequence once the stream must stop); flush() returns the held-back text
+ */
+export function createStopSequenceMatcher(stopSequences) {
+    const longest = Math.max(...stopSequences.map(sequence => sequence.length));
+    let pending = '';
+
+    /**
+     * Index from which pending text could still turn into a match
+     * @returns {number} Start of the text to hold back (pending.length if none)
+     */
+    function holdFrom() {
+        for (let start = Math.max(0, pending.length - longest + 1); start < pending.length; start++) {
+            const tail = pending.slice(start);
+            if (stopSequences.some(sequence => sequence.startsWith(tail))) return start;
+        }
+        return pending.length;
+    }
+
+    function push(text) {
+        pending += text;
+
+        const match = findStopSequence(pending, stopSequences);
+        if (match) {
+            const before = pending.slice(0, match.index);
+            pending = '';
+            return { text: before, stopSequence: match.sequence };
+        }
+
+        const start = holdFrom();
+        const ready = pending.slice(0, start);
+        pending = pending.slice(start);
+        return { text: ready, stopSequence: null };
+    }
+
+    function flush() {
+        const rest = pending;
+        pending = '';
+        return rest;
+    }
+
+    return { push, flush };
+}
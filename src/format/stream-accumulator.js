@@ -0,0 +1,125 @@
+/**
+ * Stream Accumulator
+ * Rebuilds a complete Anthropic message from streamed SSE events
+ *
+ * Used to log streaming requests: events are fed in as they are forwarded to
+ * the client, and the assembled content, usage and stop reason are read back
+ * once the stream ends (or is cut short).
+ */
+
+/**
+ * Create an accumulator for Anthropic streaming events
+ * @returns {{add: Function, getMessage: Function}} Accumulator
+ */
+export function createStreamAccumulator() {
+    const blocks = [];
+    const partialJson = new Map(); // block index -> accumulated input_json_delta
+    let model = null;
+    let stopReason = null;
+    let stopSequence = null;
+    const usage = {
+        input_tokens: 0,
+        output_tokens: 0,
+        cache_read_input_tokens: 0,
+        cache_creation_input_tokens: 0
+    };
+
+    /**
+     * Feed a single Anthropic stream event
+     * @param {Object} event - Event yielded by sendMessageStream
+     */
+    function add(event) {
+        if (!event || !event.type) return;
+
+        switch (event.type) {
+            case 'message_start':
+                model = event.message?.model || model;
+                Object.assign(usage, pickUsage(event.message?.usage));
+                break;
+
+            case 'content_block_start':
+                blocks[event.index] = { ...event.content_block };
+                break;
+
+            case 'content_block_delta': {
+                const block = blocks[event.index];
+                const delta = event.delta || {};
+                if (!block) break;
+
+                if (delta.type === 'text_delta') {
+                    block.text = (block.text || '') + delta.text;
+                } else if (delta.type === 'thinking_delta') {
+                    block.thinking = (block.thinking || '') + delta.thinking;
+                } else if (delta.type === 'signature_delta') {
+                    block.signature = delta.signature;
+                } else if (delta.type === 'input_json_delta') {
+                    partialJson.set(event.index, (partialJson.get(event.index) || '') + delta.partial_json);
+                }
+                break;
+            }
+
+            case 'content_block_stop':
+                finalizeToolInput(event.index);
+                break;
+
+            case 'message_delta':
+                stopReason = event.delta?.stop_reason ?? stopReason;
+                stopSequence = event.delta?.stop_sequence ?? stopSequence;
+                Object.assign(usage, pickUsage(event.usage));
+                break;
+        }
+    }
+
+    /**
+     * Parse accumulated tool input JSON into the tool_use block
+     * @param {number} index - Content block index
+     */
+    function finalizeToolInput(index) {
+        const block = blocks[index];
+        if (!block || !partialJson.has(index)) return;
+
+        try {
+            block.input = JSON.parse(partialJson.get(index) || '{}');
+        } catch {
+            // Stream was cut mid-block - keep the raw fragment for debugging
+            block.input = { _partial: partialJson.get(index) };
+        }
+        partialJson.delete(index);
+    }
+
+    /**
+     * Get the message assembled so far
+     * @returns {Object} Anthropic-style message ({ model, content, stop_reason, stop_sequence, usage })
+     */
+    function getMessage() {
+        for (const index of [...partialJson.keys()]) {
+            finalizeToolInput(index);
+        }
+
+        return {
+            model,
+            content: blocks.filter(Boolean),
+            stop_reason: stopReason,
+            stop_sequence: stopSequence,
+            usage: { ...usage }
+        };
+    }
+
+    return { add, getMessage };
+}
+
+/**
+ * Extract numeric usage fields from an event usage object
+ * @param {Object} usage - Usage object
+ * @returns {Object} Numeric usage fields only
+ */
+function pickUsage(usage) {
+    if (!usage) return {};
+    const result = {};
+    for (const [key, value] of Object.entries(usage)) {
+        if (typeof value === 'number') result[key] = value;
+    }
+    return result;
+}
+
+export default createStreamAccumulator;
@@ -0,0 +1,90 @@
+/**
+ * Stream Replay
+ * Turns a complete Anthropic message back into streaming SSE events
+ *
+ * The inverse of the stream accumulator: used to serve a stored response
+ * (e.g. from the response cache) to a streaming client. Events have the same
+ * shape as the ones sendMessageStream yields, so they can go through the
+ * OpenAI and Gemini streaming adapters unchanged.
+ */
+
+/**
+ * Get the streaming events for one content block
+ * @param {Object} block - Anthropic content block
+ * @param {number} index - Block index
+ * @returns {Array<Object>} content_block_start, deltas and content_block_stop
+ */
+function blockToEvents(block, index) {
+    const events = [];
+
+    if (block.type === 'thinking') {
+        events.push({ type: 'content_block_start', index, content_block: { type: 'thinking', thinking: '' } });
+        if (block.thinking) {
+            events.push({ type: 'content_block_delta', index, delta: { type: 'thinking_delta', thinking: block.thinking } });
+        }
+        if (block.signature) {
+            events.push({ type: 'content_block_delta', index, delta: { type: 'signature_delta', signature: block.signature } });
+        }
+    } else if (block.type === 'text') {
+        events.push({ type: 'content_block_start', index, content_block: { type: 'text', text: '' } });
+        if (block.text) {
+            events.push({ type: 'content_block_delta', index, delta: { type: 'text_delta', text: block.text } });
+        }
+    } else if (block.type === 'tool_use') {
+        const { input, ...toolUse } = block;
+        events.push({ type: 'content_block_start', index, content_block: { ...toolUse, input: {} } });
+        events.push({ type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: JSON.stringify(input || {}) } });
+    } else {
+        // Blocks without deltas (e.g. generated images) are sent whole
+        events.push({ type: 'content_block_start', index, content_block: block });
+    }
+
+    events.push({ type: 'content_block_stop', index });
+    return events;
+}
+
+/**
+ * Replay a complete Anthropic message as streaming events
+ * @param {Object} message - Anthropic message ({ id, model, content, stop_reason, stop_sequence, usage })
+ * @yields {Object} Anthropic-format SSE events, from message_start to message_stop
+ */
+export function* replayMessageEvents(message) {
+    const usage = message.usage || {};
+
+    yield {
+        type: 'message_start',
+        message: {
+            id: message.id,
+            type: 'message',
+            role: 'assistant',
+            content: [],
+            model: message.model,
+            stop_reason: null,
+            stop_sequence: null,
+            usage: {
+                input_tokens: usage.input_tokens || 0,
+                output_tokens: 0,
+                cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+                cache_creation_input_tokens: usage.cache_creation_input_tokens || 0
+            }
+        }
+    };
+
+    for (const [index, block] of (message.content || []).entries()) {
+        yield* blockToEvents(block, index);
+    }
+
+    yield {
+        type: 'message_delta',
+        delta: { stop_reason: message.stop_reason || 'end_turn', stop_sequence: message.stop_sequence ?? null },
+        usage: {
+            output_tokens: usage.output_tokens || 0,
+            cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+            cache_creation_input_tokens: usage.cache_creation_input_tokens || 0
+        }
+    };
+
+    yield { type: 'message_stop' };
+}
+
+export default replayMessageEvents;
@@ -0,0 +1,313 @@
+/**
+ * Token Counter
+ * Estimates input tokens for Anthropic Messages API requests without calling upstream
+ *
+ * Neither Claude nor Gemini tokenizers are available offline for current models,
+ * so counts are produced by a heuristic calibrated per model family:
+ * - Text: characters per token ratio, with CJK characters counted individually
+ * - Images: Anthropic (width * height / 750) or Gemini 258-token tiles,
+ *   using dimensions read from the base64 image header when available
+ * - Documents: fixed per-page cost (pages counted from the PDF structure)
+ * - Tools: serialized definition plus the tool-use system prompt overhead
+ */
+
+import { getModelFamily } from '../constants.js';
+
+// Average characters per token for Latin-script text and code
+const CHARS_PER_TOKEN = {
+    claude: 3.5,
+    gemini: 4,
+    unknown: 3.75
+};
+
+// Fixed overheads (calibrated against upstream count_tokens responses)
+const MESSAGE_OVERHEAD_TOKENS = 3;
+const REQUEST_OVERHEAD_TOKENS = 7;
+const TOOL_OVERHEAD_TOKENS = 12;
+
+// Tool-use system prompt injected by Claude when tools are present
+const CLAUDE_TOOL_PROMPT_TOKENS = {
+    auto: 346,
+    any: 313
+};
+
+// Image costs
+const CLAUDE_IMAGE_PIXELS_PER_TOKEN = 750;
+const CLAUDE_IMAGE_MAX_TOKENS = 1600;
+const GEMINI_IMAGE_TILE_TOKENS = 258;
+const GEMINI_IMAGE_TILE_SIZE = 768;
+
+// Document (PDF) costs per page
+const DOCUMENT_PAGE_TOKENS = {
+    claude: 1500,
+    gemini: 258,
+    unknown: 1500
+};
+
+// CJK, Hangul, Kana and fullwidth ranges tokenize at roughly one token per character
+const WIDE_CHAR_REGEX = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff\uff00-\uffef]/g;
+
+/**
+ * Estimate tokens for a plain text string
+ * @param {string} text - Text to measure
+ * @param {string} family - Model family ('claude' | 'gemini' | 'unknown')
+ * @returns {number} Estimated token count
+ */
+export function estimateTextTokens(text, family = 'claude') {
+    if (!text) return 0;
+    const str = String(text);
+
+    const wideChars = (str.match(WIDE_CHAR_REGEX) || []).length;
+    const narrowChars = str.length - wideChars;
+    const ratio = CHARS_PER_TOKEN[family] || CHARS_PER_TOKEN.unknown;
+
+    return Math.ceil(narrowChars / ratio) + wideChars;
+}
+
+/**
+ * Read image dimensions from the header of a base64-encoded PNG, JPEG, GIF or WebP image
+ * @param {string} data - Base64 image data
+ * @returns {{width: number, height: number}|null} Dimensions or null if unknown
+ */
+export function getImageDimensions(data) {
+    if (!data || typeof data !== 'string') return null;
+
+    let buf;
+    try {
+        // JPEG SOF markers can be far from the start, but decoding everything is wasteful
+        buf = Buffer.from(data.slice(0, 65536), 'base64');
+    } catch {
+        return null;
+    }
+
+    // PNG: IHDR chunk at fixed offset
+    if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+        return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+    }
+
+    // GIF: logical screen descriptor
+    if (buf.length >= 10 && buf.toString('ascii', 0, 3) === 'GIF') {
+        return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+    }
+
+    // WebP: VP8 / VP8L / VP8X chunks
+    if (buf.length >= 30 && buf.toString('ascii', 0, 4) === 'RIFF' && buf.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = buf.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ') {
+            return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L') {
+            const bits = buf.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X') {
+            return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+
+    // JPEG: scan segments for a start-of-frame marker
+    if (buf.length >= 4 && buf[0] === 0xff && buf[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < buf.length) {
+            if (buf[offset] !== 0xff) return null;
+            const marker = buf[offset + 1];
+            const length = buf.readUInt16BE(offset + 2);
+            const isSOF = marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc;
+            if (isSOF) {
+                return { height: buf.readUInt16BE(offset + 5), width: buf.readUInt16BE(offset + 7) };
+            }
+            offset += 2 + length;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Estimate tokens for an image content block
+ * @param {Object} block - Anthropic image block
+ * @param {string} family - Model family
+ * @returns {number} Estimated token count
+ */
+export function estimateImageTokens(block, family = 'claude') {
+    const dims = block?.source?.type === 'base64' ? getImageDimensions(block.source.data) : null;
+
+    if (family === 'gemini') {
+        if (!dims) return GEMINI_IMAGE_TILE_TOKENS;
+        // Small images are a single tile, larger ones are cropped into 768x768 tiles
+        if (dims.width <= 384 && dims.height <= 384) return GEMINI_IMAGE_TILE_TOKENS;
+        const tiles = Math.ceil(dims.width / GEMINI_IMAGE_TILE_SIZE) * Math.ceil(dims.height / GEMINI_IMAGE_TILE_SIZE);
+        return tiles * GEMINI_IMAGE_TILE_TOKENS;
+    }
+
+    if (!dims) return CLAUDE_IMAGE_MAX_TOKENS;
+    return Math.min(CLAUDE_IMAGE_MAX_TOKENS, Math.ceil((dims.width * dims.height) / CLAUDE_IMAGE_PIXELS_PER_TOKEN));
+}
+
+/**
+ * Estimate tokens for a document content block (PDF or plain text)
+ * @param {Object} block - Anthropic document block
+ * @param {string} family - Model family
+ * @returns {number} Estimated token count
+ */
+export function estimateDocumentTokens(block, family = 'claude') {
+    const source = block?.source || {};
+    const pageTokens = DOCUMENT_PAGE_TOKENS[family] || DOCUMENT_PAGE_TOKENS.unknown;
+
+    if (source.type === 'text') {
+        return estimateTextTokens(source.data, family);
+    }
+
+    if (source.type === 'content' && Array.isArray(source.content)) {
+        return estimateContentTokens(source.content, family);
+    }
+
+    if (source.type === 'base64' && source.data) {
+        // Count page objects in the PDF body; fall back to one page
+        const pdf = Buffer.from(source.data, 'base64').toString('latin1');
+        const pages = (pdf.match(/\/Type\s*\/Page(?!s)/g) || []).length || 1;
+        return pages * pageTokens;
+    }
+
+    return pageTokens;
+}
+
+/**
+ * Estimate tokens for Anthropic message content (string or content blocks)
+ * @param {string|Array} content - Message content
+ * @param {string} family - Model family
+ * @param {Object} [options] - Options
+ * @param {boolean} [options.includeThinking=true] - Whether thinking blocks count
+ * @returns {number} Estimated token count
+ */
+export function estimateContentTokens(content, family = 'claude', options = {}) {
+    const { includeThinking = true } = options;
+
+    if (typeof content === 'string') {
+        return estimateTextTokens(content, family);
+    }
+    if (!Array.isArray(content)) {
+        return 0;
+    }
+
+    let tokens = 0;
+    for (const block of content) {
+        if (!block) continue;
+
+        switch (block.type) {
+            case 'text':
+                tokens += estimateTextTokens(block.text, family);
+                break;
+            case 'image':
+                tokens += estimateImageTokens(block, family);
+                break;
+            case 'document':
+                tokens += estimateDocumentTokens(block, family);
+                break;
+            case 'tool_use':
+                tokens += estimateTextTokens(block.name, family);
+                tokens += estimateTextTokens(JSON.stringify(block.input || {}), family);
+                tokens += MESSAGE_OVERHEAD_TOKENS;
+                break;
+            case 'tool_result':
+                tokens += estimateContentTokens(block.content, family);
+                tokens += MESSAGE_OVERHEAD_TOKENS;
+                break;
+            case 'thinking':
+                if (includeThinking) tokens += estimateTextTokens(block.thinking, family);
+                break;
+            case 'redacted_thinking':
+                // Encrypted payload is roughly 4/3 the size of the underlying text
+                if (includeThinking) tokens += Math.ceil(estimateTextTokens(block.data, family) * 0.75);
+                break;
+            default:
+                // Unknown block types (e.g. server tool results) - count their serialized form
+                tokens += estimateTextTokens(JSON.stringify(block), family);
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Estimate tokens for tool definitions
+ * @param {Array} tools - Anthropic tool definitions
+ * @param {Object} [toolChoice] - Anthropic tool_choice
+ * @param {string} family - Model family
+ * @returns {number} Estimated token count
+ */
+export function estimateToolTokens(tools, toolChoice, family = 'claude') {
+    if (!Array.isArray(tools) || tools.length === 0) return 0;
+
+    let tokens = 0;
+    for (const tool of tools) {
+        const name = tool.name || tool.function?.name || '';
+        const description = tool.description || tool.function?.description || '';
+        const schema = tool.input_schema || tool.function?.parameters || tool.parameters || {};
+
+        tokens += TOOL_OVERHEAD_TOKENS;
+        tokens += estimateTextTokens(name, family);
+        tokens += estimateTextTokens(description, family);
+        tokens += estimateTextTokens(JSON.stringify(schema), family);
+    }
+
+    // Claude prepends a tool-use system prompt whose size depends on tool_choice
+    if (family === 'claude') {
+        const forced = toolChoice?.type === 'any' || toolChoice?.type === 'tool';
+        tokens += forced ? CLAUDE_TOOL_PROMPT_TOKENS.any : CLAUDE_TOOL_PROMPT_TOKENS.auto;
+    }
+
+    return tokens;
+}
+
+/**
+ * Estimate input tokens for an Anthropic Messages API request
+ *
+ * Thinking blocks from earlier assistant turns are stripped by the API and do
+ * not count; only the final assistant turn keeps its thinking.
+ *
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @returns {number} Estimated input token count
+ */
+export function countRequestTokens(anthropicRequest) {
+    const { model, system, messages = [], tools, tool_choice } = anthropicRequest;
+    const family = getModelFamily(model);
+
+    let tokens = REQUEST_OVERHEAD_TOKENS;
+
+    // System prompt
+    if (typeof system === 'string') {
+        tokens += estimateTextTokens(system, family);
+    } else if (Array.isArray(system)) {
+        tokens += estimateContentTokens(system, family);
+    }
+
+    // Messages
+    let lastAssistantIndex = -1;
+    messages.forEach((msg, i) => {
+        if (msg?.role === 'assistant') lastAssistantIndex = i;
+    });
+
+    messages.forEach((msg, i) => {
+        if (!msg) return;
+        tokens += MESSAGE_OVERHEAD_TOKENS;
+        tokens += estimateContentTokens(msg.content, family, {
+            includeThinking: msg.role !== 'assistant' || i === lastAssistantIndex
+        });
+    });
+
+    // Tools
+    tokens += estimateToolTokens(tools, tool_choice, family);
+
+    return tokens;
+}
+
+export default {
+    countRequestTokens,
+    estimateTextTokens,
+    estimateContentTokens,
+    estimateImageTokens,
+    estimateDocumentTokens,
+    estimateToolTokens,
+    getImageDimensions
+};
@@ -0,0 +1,93 @@
+/**
+ * Tool Names
+ * Maps client tool names to names Google accepts, and back
+ *
+ * Google function names may only contain [a-zA-Z0-9_-] and are limited to 64
+ * characters. Other names (e.g. MCP tools like "mcp__server.tool") are sanitized
+ * for the upstream request and mapped back to the client's name in responses.
+ * Names that sanitize to the same string get a numeric suffix.
+ *
+ * The map is built from the request alone, so the request converter and the
+ * response converters build identical maps for the same request.
+ */
+
+const MAX_FUNCTION_NAME_LENGTH = 64;
+const VALID_FUNCTION_NAME = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Get the name of a tool definition
+ * @param {Object} tool - Tool definition (Anthropic, or OpenAI/custom shapes)
+ * @param {number} index - Position in the tools array
+ * @returns {string} Tool name
+ */
+export function getToolName(tool, index) {
+    return tool.name || tool.function?.name || tool.custom?.name || `tool-${index}`;
+}
+
+/**
+ * Convert a tool name to a valid Google function name
+ * @param {string} name - Tool name
+ * @returns {string} Name with only [a-zA-Z0-9_-], at most 64 characters
+ */
+export function sanitizeToolName(name) {
+    return String(name).replace(/[^a-zA-Z0-9_-]/g, '_').slice(0, MAX_FUNCTION_NAME_LENGTH);
+}
+
+/**
+ * Collect every tool name used by a request, in a stable order
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @returns {Array<string>} Tool definitions, then tool_use blocks in history, then tool_choice
+ */
+function collectToolNames(anthropicRequest) {
+    const names = (anthropicRequest.tools || []).map(getToolName);
+
+    for (const msg of anthropicRequest.messages || []) {
+        if (!Array.isArray(msg.content)) continue;
+        for (const block of msg.content) {
+            if (block?.type === 'tool_use' && block.name) names.push(block.name);
+        }
+    }
+
+    if (anthropicRequest.tool_choice?.type === 'tool' && anthropicRequest.tool_choice.name) {
+        names.push(anthropicRequest.tool_choice.name);
+    }
+
+    return names.map(String);
+}
+
+/**
+ * Create the tool name map for a request
+ *
+ * Valid names are kept as they are and claimed first, so a sanitized name never
+ * takes the place of a real tool with that name.
+ *
+ * @param {Object} anthropicRequest - Anthropic format request
+ * @returns {{toGoogle: Function, toClient: Function}} toGoogle(name) returns the upstream
+ *   function name; toClient(name) returns the client's tool name for an upstream name
+ */
+export function createToolNameMap(anthropicRequest) {
+    const names = [...new Set(collectToolNames(anthropicRequest))];
+    const googleNames = new Map();
+    const clientNames = new Map();
+
+    for (const name of names.filter(name => VALID_FUNCTION_NAME.test(name))) {
+        googleNames.set(name, name);
+        clientNames.set(name, name);
+    }
+
+    for (const name of names.filter(name => !googleNames.has(name))) {
+        const base = sanitizeToolName(name);
+        let googleName = base;
+        for (let n = 2; clientNames.has(googleName); n++) {
+            const suffix = `_${n}`;
+            googleName = base.slice(0, MAX_FUNCTION_NAME_LENGTH - suffix.length) + suffix;
+        }
+        googleNames.set(name, googleName);
+        clientNames.set(googleName, name);
+    }
+
+    return {
+        toGoogle: name => googleNames.get(name) ?? sanitizeToolName(name),
+        toClient: name => clientNames.get(name) ?? name
+    };
+}
@@ -3,7 +3,7 @@
  * Entry point - starts the proxy server
  */
 
-import app, { accountManager } from './server.js';
+import app, { accountManager, batchProcessor } from './server.js';
 import { DEFAULT_PORT } from './constants.js';
 import { logger } from './utils/logger.js';
 import { getStrategyLabel, STRATEGY_NAMES, DEFAULT_STRATEGY } from './account-manager/strategies/index.js';
@@ -125,6 +125,13 @@ ${border}    ${align4(`export ANTHROPIC_BASE_URL=http://localhost:${PORT}`)}${bo
     if (isDebug) {
         logger.warn('Running in DEBUG mode - verbose logs enabled');
     }
+
+    // Continue any message batches interrupted by a restart
+    try {
+        batchProcessor.resume();
+    } catch (error) {
+        logger.error('[Batches] Failed to resume batches:', error.message);
+    }
 });
 
 // Graceful shutdown
@@ -0,0 +1,201 @@
+/**
+ * Metrics Module
+ * Prometheus metrics for the proxy, exposed at GET /metrics
+ *
+ * Counters and histograms are updated where the events happen (server
+ * middleware, cloudcode handlers, API key rate limiter); account and cache
+ * gauges are refreshed from their sources on every scrape.
+ */
+
+import { Counter, Gauge, Histogram, MetricsRegistry, PROMETHEUS_CONTENT_TYPE } from './registry.js';
+import { getSignatureCacheSizes } from '../format/signature-cache.js';
+import { MODEL_FALLBACK_MAP } from '../constants.js';
+import { config } from '../config.js';
+
+export { PROMETHEUS_CONTENT_TYPE };
+
+const registry = new MetricsRegistry();
+
+/**
+ * Latency buckets in seconds (LLM requests range from sub-second to minutes)
+ */
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+
+export const httpRequestsTotal = registry.register(new Counter(
+    'antigravity_http_requests_total',
+    'HTTP requests by route, model and status code',
+    ['method', 'route', 'model', 'status']
+));
+
+export const httpRequestDuration = registry.register(new Histogram(
+    'antigravity_http_request_duration_seconds',
+    'HTTP request latency by route, model and status code',
+    ['method', 'route', 'model', 'status'],
+    DURATION_BUCKETS
+));
+
+export const tokensTotal = registry.register(new Counter(
+    'antigravity_tokens_total',
+    'Tokens processed by model and type (input, output, cache_read)',
+    ['model', 'type']
+));
+
+export const retriesTotal = registry.register(new Counter(
+    'antigravity_upstream_retries_total',
+    'Upstream retries on the same account by reason (rate_limit, capacity, auth_refresh, empty_response)',
+    ['model', 'reason']
+));
+
+export const accountFailoversTotal = registry.register(new Counter(
+    'antigravity_account_failovers_total',
+    'Switches to another account by reason (rate_limit, auth, server_error, network)',
+    ['model', 'reason']
+));
+
+export const modelFallbacksTotal = registry.register(new Counter(
+    'antigravity_model_fallbacks_total',
+    'Requests retried on a fallback model, by failure reason (quota, capacity, error)',
+    ['model', 'fallback_model', 'reason']
+));
+
+export const responseCacheRequestsTotal = registry.register(new Counter(
+    'antigravity_response_cache_requests_total',
+    'Response cache lookups by result (hit, miss, bypass)',
+    ['result']
+));
+
+export const apiKeyRateLimitRejectionsTotal = registry.register(new Counter(
+    'antigravity_api_key_rate_limit_rejections_total',
+    'Requests rejected by per-key rate limits by window (rpm, rph, concurrency)',
+    ['key_id', 'window']
+));
+
+const accountsGauge = registry.register(new Gauge(
+    'antigravity_accounts',
+    'Accounts by state (total, available, rate_limited, invalid)',
+    ['state']
+));
+
+const accountRateLimitedGauge = registry.register(new Gauge(
+    'antigravity_account_rate_limited',
+    'Whether an account is currently rate-limited for a model (1) or not (0)',
+    ['account', 'model']
+));
+
+const accountRateLimitResetGauge = registry.register(new Gauge(
+    'antigravity_account_rate_limit_reset_seconds',
+    'Seconds until an account rate limit for a model resets',
+    ['account', 'model']
+));
+
+const signatureCacheGauge = registry.register(new Gauge(
+    'antigravity_signature_cache_entries',
+    'Entries in the thought signature caches (tool_use, thinking)',
+    ['cache']
+));
+
+// Account gauges are rebuilt on each scrape so removed accounts and expired limits disappear
+registry.addCollector(({ accountManager }) => {
+    accountsGauge.reset();
+    accountRateLimitedGauge.reset();
+    accountRateLimitResetGauge.reset();
+
+    if (!accountManager) return;
+
+    const status = accountManager.getStatus();
+    accountsGauge.set({ state: 'total' }, status.total);
+    accountsGauge.set({ state: 'available' }, status.available);
+    accountsGauge.set({ state: 'rate_limited' }, status.rateLimited);
+    accountsGauge.set({ state: 'invalid' }, status.invalid);
+
+    for (const account of status.accounts) {
+        for (const modelId of Object.keys(account.modelRateLimits)) {
+            const info = accountManager.getRateLimitInfo(account.email, modelId);
+            const labels = { account: account.email, model: modelId };
+            accountRateLimitedGauge.set(labels, info.isRateLimited ? 1 : 0);
+            accountRateLimitResetGauge.set(labels, info.waitMs / 1000);
+        }
+    }
+});
+
+registry.addCollector(() => {
+    const sizes = getSignatureCacheSizes();
+    signatureCacheGauge.set({ cache: 'tool_use' }, sizes.toolUse);
+    signatureCacheGauge.set({ cache: 'thinking' }, sizes.thinking);
+});
+
+/**
+ * Model label for models the proxy doesn't know about
+ */
+export const OTHER_MODEL_LABEL = 'other';
+
+/**
+ * Collect the models the proxy knows about: the built-in models and the models
+ * named in its own configuration (model mapping, fallback chains, routing rules)
+ * @returns {Set<string>} Known model names
+ */
+function getKnownModels() {
+    const models = new Set([...Object.keys(MODEL_FALLBACK_MAP), ...Object.values(MODEL_FALLBACK_MAP)]);
+
+    for (const entry of Object.values(config.modelMapping || {})) {
+        if (entry?.mapping) models.add(entry.mapping);
+    }
+    for (const [model, chain] of Object.entries(config.fallbackChains || {})) {
+        models.add(model);
+        for (const fallback of chain?.models || []) models.add(fallback);
+    }
+    for (const rule of config.routingRules || []) {
+        if (rule?.target_model) models.add(rule.target_model);
+        for (const fallback of rule?.fallback_models || []) models.add(fallback);
+    }
+
+    return models;
+}
+
+/**
+ * Get the model label for HTTP request metrics
+ * Unknown models share one label so clients can't create new series by
+ * sending arbitrary model names.
+ * @param {string} [model] - Routed model
+ * @returns {string} The model, OTHER_MODEL_LABEL, or '' when no model was routed
+ */
+export function getModelLabel(model) {
+    if (!model) return '';
+    return getKnownModels().has(model) ? model : OTHER_MODEL_LABEL;
+}
+
+/**
+ * Record a finished HTTP request
+ * @param {Object} request - Request details
+ * @param {string} request.method - HTTP method
+ * @param {string} request.route - Route pattern (not the raw path, to bound cardinality)
+ * @param {string} [request.model] - Routed model (labeled via getModelLabel)
+ * @param {number} request.status - HTTP status code
+ * @param {number} request.durationMs - Time until the response finished
+ */
+export function recordHttpRequest({ method, route, model, status, durationMs }) {
+    const labels = { method, route, model: getModelLabel(model), status };
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, durationMs / 1000);
+}
+
+/**
+ * Record token usage from an Anthropic-format usage object
+ * @param {string} model - Model that served the request
+ * @param {Object} [usage] - { input_tokens, output_tokens, cache_read_input_tokens }
+ */
+export function recordTokenUsage(model, usage) {
+    if (!usage) return;
+    tokensTotal.inc({ model, type: 'input' }, usage.input_tokens || 0);
+    tokensTotal.inc({ model, type: 'output' }, usage.output_tokens || 0);
+    tokensTotal.inc({ model, type: 'cache_read' }, usage.cache_read_input_tokens || 0);
+}
+
+/**
+ * Render all metrics in the Prometheus text format
+ * @param {import('../account-manager/index.js').default} [accountManager] - Source of account rate-limit state
+ * @returns {string} Text exposition
+ */
+export function renderMetrics(accountManager) {
+    return registry.render({ accountManager });
+}
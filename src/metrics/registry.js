@@ -0,0 +1,223 @@
+/**
+ * Metrics Registry
+ * Minimal Prometheus text exposition (format 0.0.4) without external dependencies
+ */
+
+/**
+ * Content-Type for the Prometheus text format
+ */
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Escape a label value for the text format
+ * @param {*} value - Label value
+ * @returns {string} Escaped value
+ */
+function escapeLabelValue(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/\n/g, '\\n')
+        .replace(/"/g, '\\"');
+}
+
+/**
+ * Format a label set as {a="1",b="2"}
+ * @param {Object} labels - Label name/value pairs
+ * @returns {string} Formatted label set ('' if empty)
+ */
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+/**
+ * Format a sample value (Prometheus spells infinities as +Inf/-Inf)
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+/**
+ * Base class for labeled metrics
+ */
+class Metric {
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {string[]} [labelNames] - Label names, in output order
+     */
+    constructor(name, help, labelNames = []) {
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        this.series = new Map();
+    }
+
+    /**
+     * Get or create the series for a label set
+     * @param {Object} labels - Label values
+     * @param {Function} create - Creates the initial series state
+     * @returns {Object} Series state
+     */
+    getSeries(labels, create) {
+        const values = this.labelNames.map(name => String(labels[name] ?? ''));
+        const key = JSON.stringify(values);
+
+        if (!this.series.has(key)) {
+            const labelSet = Object.fromEntries(this.labelNames.map((name, i) => [name, values[i]]));
+            this.series.set(key, { labels: labelSet, ...create() });
+        }
+        return this.series.get(key);
+    }
+
+    /**
+     * Remove all series (used by gauges refreshed on every scrape)
+     */
+    reset() {
+        this.series.clear();
+    }
+
+    /**
+     * Render HELP/TYPE lines followed by samples
+     * @returns {string} Text exposition
+     */
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join('\n');
+    }
+}
+
+/**
+ * Monotonically increasing counter
+ */
+export class Counter extends Metric {
+    type = 'counter';
+
+    /**
+     * @param {Object} [labels] - Label values
+     * @param {number} [value=1] - Amount to add
+     */
+    inc(labels = {}, value = 1) {
+        if (!(value > 0)) return;
+        this.getSeries(labels, () => ({ value: 0 })).value += value;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+/**
+ * Gauge that can go up and down
+ */
+export class Gauge extends Metric {
+    type = 'gauge';
+
+    /**
+     * @param {Object} labels - Label values
+     * @param {number} value - New value
+     */
+    set(labels, value) {
+        this.getSeries(labels, () => ({ value: 0 })).value = value;
+    }
+
+    renderSeries(series) {
+        return [`${this.name}${formatLabels(series.labels)} ${formatValue(series.value)}`];
+    }
+}
+
+/**
+ * Histogram with fixed upper bounds
+ */
+export class Histogram extends Metric {
+    type = 'histogram';
+
+    /**
+     * @param {string} name - Metric name
+     * @param {string} help - Help text
+     * @param {string[]} labelNames - Label names
+     * @param {number[]} buckets - Bucket upper bounds (ascending, +Inf is implicit)
+     */
+    constructor(name, help, labelNames, buckets) {
+        super(name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    /**
+     * @param {Object} labels - Label values
+     * @param {number} value - Observed value
+     */
+    observe(labels, value) {
+        const series = this.getSeries(labels, () => ({
+            counts: new Array(this.buckets.length).fill(0),
+            sum: 0,
+            count: 0
+        }));
+
+        const index = this.buckets.findIndex(bound => value <= bound);
+        if (index !== -1) {
+            series.counts[index]++;
+        }
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries(series) {
+        const lines = [];
+        let cumulative = 0;
+
+        this.buckets.forEach((bound, i) => {
+            cumulative += series.counts[i];
+            lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: formatValue(bound) })} ${cumulative}`);
+        });
+        lines.push(`${this.name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`);
+        lines.push(`${this.name}_sum${formatLabels(series.labels)} ${formatValue(series.sum)}`);
+        lines.push(`${this.name}_count${formatLabels(series.labels)} ${series.count}`);
+        return lines;
+    }
+}
+
+/**
+ * Collection of metrics rendered together
+ */
+export class MetricsRegistry {
+    #metrics = [];
+    #collectors = [];
+
+    /**
+     * Add a metric to the registry
+     * @param {Metric} metric - Counter, Gauge or Histogram
+     * @returns {Metric} The metric (for chaining into a const)
+     */
+    register(metric) {
+        this.#metrics.push(metric);
+        return metric;
+    }
+
+    /**
+     * Add a callback run before every render (used to refresh gauges)
+     * @param {Function} collector - Called with the render context
+     */
+    addCollector(collector) {
+        this.#collectors.push(collector);
+    }
+
+    /**
+     * Render all metrics in the Prometheus text format
+     * @param {Object} [context] - Passed to collectors
+     * @returns {string} Text exposition
+     */
+    render(context = {}) {
+        for (const collector of this.#collectors) {
+            collector(context);
+        }
+        return this.#metrics.map(metric => metric.render()).join('\n') + '\n';
+    }
+}
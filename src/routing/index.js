@@ -0,0 +1,12 @@
+/**
+ * Routing Module
+ * Model routing rules shared by every API surface
+ */
+
+export {
+    resolveModelRoute,
+    validateRoutingRules,
+    normalizeRoutingRules,
+    hasImageContent,
+    isThinkingRequested
+} from './model-router.js';
@@ -0,0 +1,238 @@
+/**
+ * Model Router
+ * Picks the model (and fallback chain) for a request from ordered routing rules
+ *
+ * Every API surface converts its request to Anthropic format and then resolves
+ * the model here, so a rule applies the same way to /v1/messages, Chat
+ * Completions, Responses, native Gemini, batches and token counting.
+ *
+ * Rules are checked in order and the first enabled rule whose conditions all
+ * match wins. Without a matching rule the model goes through the per-model
+ * mapping from the Models view (config.modelMapping). A rule's fallback chain
+ * replaces the target model's own chain (config.fallbackChains, or the built-in
+ * MODEL_FALLBACK_MAP when --fallback is on).
+ */
+
+import crypto from 'crypto';
+import { config } from '../config.js';
+import { isThinkingModel } from '../constants.js';
+import { countRequestTokens } from '../format/token-counter.js';
+import { matchModelPattern } from '../api-keys/validator.js';
+import { FALLBACK_CONDITIONS, getFallbackChain } from '../fallback-config.js';
+
+// Conditions a rule can match on
+const MATCH_FIELDS = ['model', 'api_key_ids', 'header', 'has_images', 'has_tools', 'thinking', 'min_prompt_tokens', 'max_prompt_tokens'];
+
+/**
+ * Check if any message content contains an image (including images inside tool results)
+ * @param {Array} messages - Anthropic-format messages
+ * @returns {boolean} True if an image block is present
+ */
+export function hasImageContent(messages) {
+    const containsImage = (content) => Array.isArray(content) && content.some(block =>
+        block?.type === 'image' || (block?.type === 'tool_result' && containsImage(block.content))
+    );
+    return Array.isArray(messages) && messages.some(message => containsImage(message?.content));
+}
+
+/**
+ * Check if a request asks for extended thinking
+ * @param {Object} request - Anthropic-format request
+ * @returns {boolean} True if thinking is enabled or a thinking model was requested
+ */
+export function isThinkingRequested(request) {
+    return request.thinking?.type === 'enabled' || isThinkingModel(request.model);
+}
+
+/**
+ * Check one rule's conditions against a request
+ * @param {Object} match - The rule's conditions (unset conditions always match)
+ * @param {Object} facts - Request facts (see resolveModelRoute)
+ * @returns {boolean} True if every set condition matches
+ */
+function matchesRule(match, facts) {
+    if (match.model && !matchModelPattern(facts.requestedModel, match.model)) {
+        return false;
+    }
+
+    if (Array.isArray(match.api_key_ids) && match.api_key_ids.length > 0 && !match.api_key_ids.includes(facts.apiKeyId)) {
+        return false;
+    }
+
+    if (match.header?.name) {
+        const value = facts.headers[match.header.name.toLowerCase()];
+        if (value === undefined) return false;
+        if (match.header.value && !matchModelPattern(String(value), match.header.value)) return false;
+    }
+
+    if (typeof match.has_images === 'boolean' && match.has_images !== facts.hasImages) return false;
+    if (typeof match.has_tools === 'boolean' && match.has_tools !== facts.hasTools) return false;
+    if (typeof match.thinking === 'boolean' && match.thinking !== facts.thinking) return false;
+
+    // Only estimate the prompt size when a rule asks for it
+    if (match.min_prompt_tokens && facts.promptTokens < match.min_prompt_tokens) return false;
+    if (match.max_prompt_tokens && facts.promptTokens > match.max_prompt_tokens) return false;
+
+    return true;
+}
+
+/**
+ * Resolved model route
+ * @typedef {Object} ModelRoute
+ * @property {string} model - Model to send the request to
+ * @property {boolean} fallbackEnabled - Whether the request has models to fall back to
+ * @property {import('../fallback-config.js').FallbackChain|null} fallbackChain - Fallback chain for the target model
+ * @property {{id: string, name: string}|null} rule - The matching rule, if any
+ */
+
+/**
+ * Resolve the target model and fallback chain for a request
+ * @param {Object} request - Anthropic-format request (model already mapped from OpenAI names)
+ * @param {Object} [context] - Request context
+ * @param {string} [context.requestedModel] - Model name the client sent (defaults to request.model)
+ * @param {string|null} [context.apiKeyId] - ID of the API key used
+ * @param {Object} [context.headers] - Request headers (lowercase names, as in Express)
+ * @param {boolean} [context.fallbackEnabled=false] - Default fallback setting (--fallback)
+ * @param {Array} [context.rules] - Routing rules (defaults to config.routingRules)
+ * @param {Object} [context.modelMapping] - Per-model mapping (defaults to config.modelMapping)
+ * @param {Object} [context.fallbackChains] - Per-model fallback chains (defaults to config.fallbackChains)
+ * @returns {ModelRoute} The route
+ */
+export function resolveModelRoute(request, context = {}) {
+    const {
+        requestedModel = request.model,
+        apiKeyId = null,
+        headers = {},
+        fallbackEnabled = false,
+        rules = config.routingRules || [],
+        modelMapping = config.modelMapping || {},
+        fallbackChains = config.fallbackChains || {}
+    } = context;
+
+    const mappedModel = modelMapping[requestedModel]?.mapping || modelMapping[request.model]?.mapping || request.model;
+
+    let promptTokens;
+    const facts = {
+        requestedModel,
+        apiKeyId,
+        headers,
+        hasImages: hasImageContent(request.messages),
+        hasTools: Array.isArray(request.tools) && request.tools.length > 0,
+        thinking: isThinkingRequested(request),
+        get promptTokens() {
+            if (promptTokens === undefined) promptTokens = countRequestTokens({ ...request, model: mappedModel });
+            return promptTokens;
+        }
+    };
+
+    const rule = rules.find(candidate => candidate.enabled !== false && matchesRule(candidate.match || {}, facts)) || null;
+    const model = rule?.target_model || mappedModel;
+
+    const fallbackChain = Array.isArray(rule?.fallback_models)
+        ? { models: rule.fallback_models, on: rule.fallback_on || FALLBACK_CONDITIONS }
+        : getFallbackChain(model, { fallbackEnabled, chains: fallbackChains });
+
+    return {
+        model,
+        fallbackEnabled: Boolean(fallbackChain && fallbackChain.models.length > 0),
+        fallbackChain,
+        rule: rule ? { id: rule.id, name: rule.name } : null
+    };
+}
+
+/**
+ * Validate routing rules from an update request
+ * @param {*} rules - Expected: an array of rules
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateRoutingRules(rules) {
+    if (!Array.isArray(rules)) {
+        return 'rules must be an array';
+    }
+
+    for (const [index, rule] of rules.entries()) {
+        const prefix = `rules.${index}`;
+
+        if (!rule || typeof rule !== 'object') {
+            return `${prefix} must be an object`;
+        }
+        if (rule.name !== undefined && typeof rule.name !== 'string') {
+            return `${prefix}.name must be a string`;
+        }
+        if (rule.enabled !== undefined && typeof rule.enabled !== 'boolean') {
+            return `${prefix}.enabled must be a boolean`;
+        }
+        if (rule.target_model && typeof rule.target_model !== 'string') {
+            return `${prefix}.target_model must be a string`;
+        }
+        if (rule.fallback_models !== undefined && rule.fallback_models !== null &&
+            (!Array.isArray(rule.fallback_models) || rule.fallback_models.some(model => typeof model !== 'string' || !model.trim()))) {
+            return `${prefix}.fallback_models must be an array of model names`;
+        }
+        if (rule.fallback_on !== undefined && rule.fallback_on !== null &&
+            (!Array.isArray(rule.fallback_on) || rule.fallback_on.length === 0 || rule.fallback_on.some(condition => !FALLBACK_CONDITIONS.includes(condition)))) {
+            return `${prefix}.fallback_on must be a non-empty array of: ${FALLBACK_CONDITIONS.join(', ')}`;
+        }
+        if (!rule.target_model && !Array.isArray(rule.fallback_models)) {
+            return `${prefix} must set target_model or fallback_models`;
+        }
+
+        const match = rule.match || {};
+        if (typeof match !== 'object' || Array.isArray(match)) {
+            return `${prefix}.match must be an object`;
+        }
+
+        const unknown = Object.keys(match).find(field => !MATCH_FIELDS.includes(field));
+        if (unknown) {
+            return `${prefix}.match.${unknown} is not a known condition. Valid conditions: ${MATCH_FIELDS.join(', ')}`;
+        }
+        if (match.model !== undefined && match.model !== null && typeof match.model !== 'string') {
+            return `${prefix}.match.model must be a model name pattern`;
+        }
+        if (match.api_key_ids !== undefined && match.api_key_ids !== null &&
+            (!Array.isArray(match.api_key_ids) || match.api_key_ids.some(id => typeof id !== 'string'))) {
+            return `${prefix}.match.api_key_ids must be an array of API key IDs`;
+        }
+        if (match.header !== undefined && match.header !== null &&
+            (typeof match.header !== 'object' || typeof match.header.name !== 'string' || !match.header.name.trim())) {
+            return `${prefix}.match.header must be { name, value }`;
+        }
+        for (const field of ['has_images', 'has_tools', 'thinking']) {
+            if (match[field] !== undefined && match[field] !== null && typeof match[field] !== 'boolean') {
+                return `${prefix}.match.${field} must be a boolean`;
+            }
+        }
+        for (const field of ['min_prompt_tokens', 'max_prompt_tokens']) {
+            if (match[field] !== undefined && match[field] !== null && (!Number.isInteger(match[field]) || match[field] < 0)) {
+                return `${prefix}.match.${field} must be a non-negative integer`;
+            }
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Normalize validated routing rules for storage (IDs, defaults, no empty conditions)
+ * @param {Array} rules - Rules that passed validateRoutingRules
+ * @returns {Array} Rules ready to save in config.routingRules
+ */
+export function normalizeRoutingRules(rules) {
+    return rules.map(rule => {
+        const match = Object.fromEntries(
+            Object.entries(rule.match || {}).filter(([, value]) =>
+                value !== null && value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+            )
+        );
+
+        return {
+            id: rule.id || crypto.randomUUID(),
+            name: rule.name?.trim() || '',
+            enabled: rule.enabled !== false,
+            match,
+            target_model: rule.target_model?.trim() || null,
+            fallback_models: Array.isArray(rule.fallback_models) ? rule.fallback_models.map(model => model.trim()) : null,
+            fallback_on: Array.isArray(rule.fallback_models) && Array.isArray(rule.fallback_on) ? rule.fallback_on : null
+        };
+    });
+}
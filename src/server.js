@@ -14,8 +14,19 @@ import {
     convertAnthropicToOpenAI,
     createOpenAIStreamAdapter,
     getOpenAIModels,
-    mapModel
+    convertResponsesToAnthropic,
+    convertAnthropicToResponses,
+    createResponsesStreamAdapter
 } from './format/openai/index.js';
+import {
+    validateGeminiRequest,
+    convertGeminiToAnthropic,
+    convertAnthropicToGemini,
+    createGeminiStreamAdapter
+} from './format/gemini/index.js';
+import { countRequestTokens } from './format/token-counter.js';
+import { createStreamAccumulator } from './format/stream-accumulator.js';
+import { replayMessageEvents } from './format/stream-replay.js';
 import { mountWebUI } from './webui/index.js';
 import { config } from './config.js';
 
@@ -25,7 +36,10 @@ import { forceRefresh } from './auth/token-extractor.js';
 import { REQUEST_BODY_LIMIT } from './constants.js';
 import { AccountManager } from './account-manager/index.js';
 import { formatDuration } from './utils/helpers.js';
+import { isAbortError } from './errors.js';
 import { logger } from './utils/logger.js';
+import { resolveClientIp } from './utils/ip.js';
+import { ANTHROPIC_PING, SSE_COMMENT_PING, keepStreamAlive } from './utils/stream-keep-alive.js';
 
 // Database and API key management
 import { initDatabase } from './database/index.js';
@@ -33,11 +47,33 @@ import {
     validateApiKey,
     extractApiKey,
     recordRequest,
+    acquireConcurrencySlot,
+    releaseDeadHolderSlots,
+    retireExpiredKeys,
+    getUsedKeyPrefix,
+    RETIRE_INTERVAL_MS,
     recordApiKeyUsage,
-    hasApiKeys
+    hasApiKeys,
+    isModelAllowed
 } from './api-keys/index.js';
 import { createRequestLog } from './database/models/request-logs.js';
-import { pruneOldLogs } from './database/migrations.js';
+import { pruneOldLogs, REQUEST_LOG_RETENTION_DAYS } from './database/migrations.js';
+import { pruneExpiredWebuiSessions } from './database/models/webui-users.js';
+import { pruneResponseCache } from './database/models/response-cache.js';
+import {
+    createMessageBatch,
+    getMessageBatch,
+    listMessageBatches,
+    cancelMessageBatch,
+    deleteMessageBatch,
+    iterateBatchResults,
+    pruneOldBatches,
+    BATCH_RESULTS_RETENTION_DAYS
+} from './database/models/message-batches.js';
+import { BatchProcessor, validateBatchRequests, formatMessageBatch } from './batches/index.js';
+import { resolveModelRoute } from './routing/index.js';
+import { CACHE_STATUS_HEADER, getCachePolicy, lookupCachedResponse, storeCachedResponse } from './cache/index.js';
+import { renderMetrics, recordHttpRequest, PROMETHEUS_CONTENT_TYPE } from './metrics/index.js';
 
 // Parse fallback flag directly from command line args to avoid circular dependency
 const args = process.argv.slice(2);
@@ -53,6 +89,10 @@ for (let i = 0; i < args.length; i++) {
     }
 }
 
+// Headers reporting which model answered (sent as trailers on streaming responses,
+// whose headers go out before the model is known)
+const SERVED_MODEL_HEADERS = ['X-Served-Model', 'X-Fallback-From', 'X-Fallback-Reason'];
+
 const app = express();
 
 // Disable x-powered-by header for security
@@ -64,10 +104,26 @@ try {
     db = initDatabase();
     logger.info('[Server] Database initialized');
 
+    // Free concurrency slots left by a previous run of the proxy on this host
+    releaseDeadHolderSlots();
+
+    // Retire previous keys of rotated API keys once their grace period ends
+    retireExpiredKeys();
+    setInterval(() => {
+        try {
+            retireExpiredKeys();
+        } catch (e) {
+            logger.error('[Server] Key rotation cleanup error:', e);
+        }
+    }, RETIRE_INTERVAL_MS);
+
     // Schedule log pruning (runs daily)
     setInterval(() => {
         try {
-            pruneOldLogs(db, 30);
+            pruneOldLogs(db, REQUEST_LOG_RETENTION_DAYS);
+            pruneOldBatches(BATCH_RESULTS_RETENTION_DAYS);
+            pruneExpiredWebuiSessions();
+            pruneResponseCache();
         } catch (e) {
             logger.error('[Server] Log pruning error:', e);
         }
@@ -110,44 +166,121 @@ async function ensureInitialized() {
     return initPromise;
 }
 
+// Background processor for the Message Batches API (resumed on startup by index.js)
+export const batchProcessor = new BatchProcessor(accountManager, {
+    fallbackEnabled: FALLBACK_ENABLED,
+    ensureReady: ensureInitialized,
+    prepareRequest: (params, batch) => {
+        // Route the model like /v1/messages (batches have no headers; the creating key still matches)
+        const route = resolveModelRoute(params, { apiKeyId: batch.api_key_id, fallbackEnabled: FALLBACK_ENABLED });
+        return {
+            params: { ...params, model: route.model, max_tokens: params.max_tokens || 4096 },
+            fallbackEnabled: route.fallbackEnabled,
+            fallbackChain: route.fallbackChain
+        };
+    },
+    formatError: (error) => parseError(error),
+    onRequestComplete: logBatchRequest
+});
+
 // Middleware
-app.use(cors());
+app.use(cors({ exposedHeaders: [...SERVED_MODEL_HEADERS, CACHE_STATUS_HEADER] }));
 app.use(express.json({ limit: REQUEST_BODY_LIMIT }));
 
-// API Key authentication middleware for /v1/* endpoints
-app.use('/v1', (req, res, next) => {
+// Prometheus request metrics (registered before auth so rejected requests are counted too)
+app.use((req, res, next) => {
+    const start = Date.now();
+
+    res.on('finish', () => {
+        // Label by route pattern rather than raw path to keep series bounded
+        const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+
+        recordHttpRequest({
+            method: req.method,
+            route,
+            model: res.locals.model, // Set once the handler has routed the request
+            status: res.statusCode,
+            durationMs: Date.now() - start
+        });
+    });
+
+    next();
+});
+
+// API Key authentication middleware for /v1/* and native Gemini /v1beta/* endpoints
+app.use(['/v1', '/v1beta'], (req, res, next) => {
     // Skip validation if no API keys are configured in database
     if (!hasApiKeys()) {
         return next();
     }
 
-    // Extract API key from headers
-    const providedKey = extractApiKey(req.headers);
+    const isGemini = req.baseUrl === '/v1beta';
 
-    // Get client IP and model from request
-    const clientIp = req.ip || req.connection.remoteAddress;
-    const model = req.body?.model;
+    // Extract API key from headers (Gemini clients may also pass ?key=)
+    const providedKey = extractApiKey(req.headers) || (isGemini ? req.query.key : null) || null;
 
-    // Validate key with all restrictions (model, IP, rate limit, expiration)
-    const result = validateApiKey(providedKey, { model, ip: clientIp });
+    // Get client IP and model from request (Gemini puts the model in the path)
+    const clientIp = getClientIp(req);
+    const model = isGemini
+        ? (req.path.startsWith('/models/') ? parseGeminiModelAction(decodePathSegment(req.path.slice('/models/'.length))).model : undefined)
+        : req.body?.model;
+
+    // Validate key with all restrictions (model, IP, scopes, rate limit, expiration)
+    const result = validateApiKey(providedKey, {
+        model,
+        ip: clientIp,
+        method: req.method,
+        path: req.baseUrl + req.path,
+        body: req.body
+    });
 
     if (!result.valid) {
         logger.warn(`[API] Unauthorized request from ${clientIp}: ${result.error}`);
 
+        // Add Retry-After header for rate limits
+        if (result.retryAfter) {
+            res.setHeader('Retry-After', result.retryAfter);
+        }
+
+        if (isGemini) {
+            return sendGeminiError(res, result.status || 401, result.error);
+        }
+
         const response = {
             type: 'error',
             error: {
-                type: result.status === 429 ? 'rate_limit_error' : 'authentication_error',
+                type: result.errorType || (result.status === 429 ? 'rate_limit_error' : 'authentication_error'),
                 message: result.error
             }
         };
 
-        // Add Retry-After header for rate limits
-        if (result.retryAfter) {
-            res.setHeader('Retry-After', result.retryAfter);
+        return res.status(result.status || 401).json(response);
+    }
+
+    // Take an in-flight slot; released when the response finishes or the client disconnects
+    const slot = acquireConcurrencySlot(result.key);
+
+    if (!slot.allowed) {
+        logger.warn(`[API] Concurrency limit for key ${result.key.key_prefix}: ${slot.error}`);
+        res.setHeader('Retry-After', slot.retryAfter);
+
+        if (isGemini) {
+            return sendGeminiError(res, 429, slot.error);
         }
 
-        return res.status(result.status || 401).json(response);
+        return res.status(429).json({
+            type: 'error',
+            error: {
+                type: 'rate_limit_error',
+                message: slot.error
+            }
+        });
+    }
+
+    res.on('close', slot.release);
+
+    if (result.key.using_previous_key) {
+        logger.debug(`[API] Key ${result.key.previous_key_prefix} was rotated; valid until ${new Date(result.key.previous_key_expires_at).toISOString()}`);
     }
 
     // Store key info for request logging
@@ -188,7 +321,11 @@ function parseError(error) {
     let statusCode = 500;
     let errorMessage = error.message;
 
-    if (error.message.includes('401') || error.message.includes('UNAUTHENTICATED')) {
+    if (isAbortError(error)) {
+        // Upstream call aborted because the client disconnected (see createClientAbortSignal)
+        statusCode = 499;
+        errorMessage = CLIENT_DISCONNECTED_MESSAGE;
+    } else if (error.message.includes('401') || error.message.includes('UNAUTHENTICATED')) {
         errorType = 'authentication_error';
         statusCode = 401;
         errorMessage = 'Authentication failed. Make sure Antigravity is running with a valid token.';
@@ -225,6 +362,247 @@ function parseError(error) {
     return { errorType, statusCode, errorMessage };
 }
 
+/**
+ * Get the client IP (X-Forwarded-For is only honoured from config.trustedProxies)
+ * @param {Object} req - Express request
+ * @returns {string} Client IP
+ */
+function getClientIp(req) {
+    return resolveClientIp(req.socket.remoteAddress, req.headers['x-forwarded-for'], config.trustedProxies) || 'unknown';
+}
+
+/**
+ * Resolve the model route for a converted request
+ * The routed model is kept in res.locals.model for the request metrics.
+ * @param {Object} req - Express request (API key and headers)
+ * @param {Object} anthropicRequest - Anthropic-format request
+ * @param {string} requestedModel - Model name the client sent
+ * @returns {import('./routing/model-router.js').ModelRoute} The route
+ */
+function routeRequest(req, anthropicRequest, requestedModel) {
+    const route = resolveModelRoute(anthropicRequest, {
+        requestedModel,
+        apiKeyId: req.apiKeyId || null,
+        headers: req.headers,
+        fallbackEnabled: FALLBACK_ENABLED
+    });
+
+    if (route.rule) {
+        logger.info(`[Router] Rule "${route.rule.name || route.rule.id}" routed ${requestedModel} -> ${route.model}`);
+    } else if (route.model !== anthropicRequest.model) {
+        logger.info(`[Server] Mapping model ${anthropicRequest.model} -> ${route.model}`);
+    }
+    req.res.locals.model = route.model;
+    return route;
+}
+
+/**
+ * Write an API request to the request_logs table
+ * Only requests authenticated with an API key are logged. Logging failures
+ * are reported but never affect the response.
+ * @param {Object} req - Express request
+ * @param {number} startTime - Request start time (ms)
+ * @param {Object} entry - Log fields (model, status, content, usage, ...)
+ */
+function logApiRequest(req, startTime, entry) {
+    if (!req.apiKeyId) return;
+
+    try {
+        createRequestLog({
+            api_key_id: req.apiKeyId,
+            timestamp: startTime,
+            duration_ms: Date.now() - startTime,
+            client_ip: getClientIp(req),
+            user_agent: req.headers['user-agent'] || null,
+            key_prefix: getUsedKeyPrefix(req.apiKeyEntry),
+            end_user_id: getEndUserId(req.body),
+            ...entry
+        });
+    } catch (error) {
+        logger.error('[API] Failed to write request log:', error.message);
+    }
+}
+
+/**
+ * Get the end user a request was made for, for per-user attribution in request logs
+ * @param {Object} [body] - Request body
+ * @returns {string|null} Anthropic metadata.user_id or OpenAI user (max 256 characters)
+ */
+function getEndUserId(body) {
+    const userId = body?.metadata?.user_id ?? body?.user;
+    return typeof userId === 'string' && userId ? userId.slice(0, 256) : null;
+}
+
+/**
+ * Convert a cloudcode request trace into request log fields
+ * @param {import('./cloudcode/message-handler.js').RequestTrace} trace - Trace filled by sendMessage/sendMessageStream
+ * @returns {Object} { account_email, attempts, fallback_used }
+ */
+function getTraceLogFields(trace) {
+    return {
+        account_email: trace.account || null,
+        attempts: trace.attempts || null,
+        fallback_used: !!trace.fallbackModel
+    };
+}
+
+/**
+ * Build the headers reporting which model answered a request
+ * @param {import('./cloudcode/message-handler.js').RequestTrace} trace - Trace filled by sendMessage/sendMessageStream
+ * @param {string} model - Model the request was routed to
+ * @returns {Object} X-Served-Model, plus X-Fallback-From and X-Fallback-Reason after a fallback
+ */
+function getServedModelHeaders(trace, model) {
+    if (!trace.fallbackModel) {
+        return { 'X-Served-Model': model };
+    }
+    return {
+        'X-Served-Model': trace.fallbackModel,
+        'X-Fallback-From': trace.fallbackFrom,
+        'X-Fallback-Reason': trace.fallbackReason
+    };
+}
+
+/**
+ * Normalize Responses API input for request logging
+ * @param {string|Array} [input] - Responses `input` (plain string or item list)
+ * @returns {Array} Message/item list
+ */
+function toLogMessages(input) {
+    if (typeof input === 'string') {
+        return [{ role: 'user', content: input }];
+    }
+    return Array.isArray(input) ? input : [];
+}
+
+const CLIENT_DISCONNECTED_MESSAGE = 'Client disconnected before the response completed';
+
+/**
+ * Create a signal that aborts when the client disconnects before the response is complete
+ * Passed to sendMessage/sendMessageStream so upstream calls, waits and retries stop with it.
+ * @param {Object} res - Express response
+ * @returns {AbortSignal} Signal for the request's upstream work
+ */
+function createClientAbortSignal(res) {
+    const controller = new AbortController();
+    res.on('close', () => {
+        if (!res.writableEnded) controller.abort();
+    });
+    return controller.signal;
+}
+
+/**
+ * Map a parsed error to a request log status
+ * @param {Error} error - Original error
+ * @param {number} statusCode - HTTP status from parseError
+ * @returns {{status: string, http_status: number}} Log status fields
+ */
+function getLogStatus(error, statusCode) {
+    if (isAbortError(error)) {
+        return { status: 'cancelled', http_status: 499 };
+    }
+
+    // parseError reports quota errors as 400 so clients don't retry; log them as rate limits
+    const isRateLimit = /429|RESOURCE_EXHAUSTED|QUOTA_EXHAUSTED/.test(error.message);
+    return {
+        status: isRateLimit ? 'rate_limited' : 'error',
+        http_status: isRateLimit ? 429 : statusCode
+    };
+}
+
+/**
+ * Write a processed batch request to the request_logs table
+ * Only batches created with an API key are logged.
+ * @param {Object} completion - Completion details from the BatchProcessor
+ */
+function logBatchRequest({ batch, params, result, trace, startTime, error }) {
+    if (!batch.api_key_id) return;
+
+    const message = result.message;
+    const entry = {
+        ...getTraceLogFields(trace),
+        api_key_id: batch.api_key_id,
+        timestamp: startTime,
+        duration_ms: Date.now() - startTime,
+        client_ip: null,
+        user_agent: `message-batch/${batch.id}`,
+        model: params.model,
+        actual_model: message?.model || params.model,
+        request_messages: params.messages,
+        request_system: params.system || null,
+        response_content: message?.content || null,
+        input_tokens: message?.usage?.input_tokens || null,
+        output_tokens: message?.usage?.output_tokens || null
+    };
+
+    if (error) {
+        const { statusCode, errorMessage } = parseError(error);
+        Object.assign(entry, getLogStatus(error, statusCode), { error_message: errorMessage });
+    } else {
+        Object.assign(entry, { status: 'success', http_status: 200 });
+    }
+
+    try {
+        createRequestLog(entry);
+    } catch (logError) {
+        logger.error('[API] Failed to write request log:', logError.message);
+    }
+}
+
+/**
+ * Split a Gemini `{model}:{action}` path segment
+ * @param {string} [segment] - Decoded segment, e.g. "gemini-3-flash:streamGenerateContent"
+ * @returns {{model: string|undefined, action: string|undefined}} Model and action
+ */
+function parseGeminiModelAction(segment = '') {
+    const separator = segment.lastIndexOf(':');
+    if (separator === -1) {
+        return { model: segment || undefined, action: undefined };
+    }
+    return { model: segment.slice(0, separator), action: segment.slice(separator + 1) };
+}
+
+/**
+ * Decode a raw URL path segment, keeping it as-is if it is not valid percent-encoding
+ * @param {string} segment - Raw path segment
+ * @returns {string} Decoded segment
+ */
+function decodePathSegment(segment) {
+    try {
+        return decodeURIComponent(segment);
+    } catch {
+        return segment;
+    }
+}
+
+/**
+ * Send an error in Google's API error format
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ */
+function sendGeminiError(res, statusCode, message) {
+    res.status(statusCode).json({ error: toGeminiError(statusCode, message) });
+}
+
+/**
+ * Build a Google API error body ({ code, message, status })
+ * @param {number} statusCode - HTTP status
+ * @param {string} message - Error message
+ * @returns {Object} Google error object
+ */
+function toGeminiError(statusCode, message) {
+    const statuses = {
+        400: 'INVALID_ARGUMENT',
+        401: 'UNAUTHENTICATED',
+        403: 'PERMISSION_DENIED',
+        404: 'NOT_FOUND',
+        429: 'RESOURCE_EXHAUSTED',
+        503: 'UNAVAILABLE'
+    };
+    return { code: statusCode, message, status: statuses[statusCode] || 'INTERNAL' };
+}
+
 // Request logging middleware
 app.use((req, res, next) => {
     const start = Date.now();
@@ -375,6 +753,20 @@ app.get('/health', async (req, res) => {
     }
 });
 
+/**
+ * Prometheus metrics endpoint
+ * Request, token, retry/failover and rate-limit metrics in the text exposition format
+ */
+app.get('/metrics', (req, res) => {
+    try {
+        res.set('Content-Type', PROMETHEUS_CONTENT_TYPE);
+        res.send(renderMetrics(accountManager));
+    } catch (error) {
+        logger.error('[Server] Failed to render metrics:', error);
+        res.status(500).type('text/plain').send(`# Failed to render metrics: ${error.message}\n`);
+    }
+});
+
 /**
  * Account limits endpoint - fetch quota/limits for all accounts × all models
  * Returns a table showing remaining quota and reset time for each combination
@@ -703,16 +1095,214 @@ app.get('/v1/models', async (req, res) => {
 
 /**
  * Count tokens endpoint - Anthropic Messages API compatible
- * Uses local tokenization with official tokenizers (@anthropic-ai/tokenizer for Claude, @lenml/tokenizer-gemini for Gemini)
+ * Estimates input tokens locally (no upstream call) using per-family heuristics
  */
 app.post('/v1/messages/count_tokens', (req, res) => {
-    res.status(501).json({
-        type: 'error',
-        error: {
-            type: 'not_implemented',
-            message: 'Token counting is not implemented. Use /v1/messages with max_tokens or configure your client to skip token counting.'
+    try {
+        const { model, messages, system, tools, tool_choice } = req.body || {};
+
+        if (!messages || !Array.isArray(messages)) {
+            return res.status(400).json({
+                type: 'error',
+                error: {
+                    type: 'invalid_request_error',
+                    message: 'messages is required and must be an array'
+                }
+            });
         }
-    });
+
+        const requestedModel = model || 'claude-3-5-sonnet-20241022';
+        const request = { ...req.body, model: requestedModel };
+
+        // Route the model so the estimate uses the target model family
+        request.model = routeRequest(req, request, requestedModel).model;
+
+        const inputTokens = countRequestTokens({
+            model: request.model,
+            messages,
+            system,
+            tools,
+            tool_choice
+        });
+
+        res.json({ input_tokens: inputTokens });
+    } catch (error) {
+        logger.error('[API] Token counting error:', error);
+        res.status(500).json({
+            type: 'error',
+            error: {
+                type: 'api_error',
+                message: error.message
+            }
+        });
+    }
+});
+
+/**
+ * Message Batches API
+ * Batches are stored in SQLite and executed in the background by the BatchProcessor.
+ * Batches created with an API key are only visible to that key.
+ */
+
+/**
+ * Send an Anthropic-format error response
+ * @param {Object} res - Express response
+ * @param {number} statusCode - HTTP status
+ * @param {string} type - Anthropic error type
+ * @param {string} message - Error message
+ */
+function sendApiError(res, statusCode, type, message) {
+    res.status(statusCode).json({ type: 'error', error: { type, message } });
+}
+
+/**
+ * Load a batch owned by the requesting API key
+ * @param {Object} req - Express request (req.params.id)
+ * @returns {Object|null} The batch, or null if missing or owned by another key
+ */
+function getOwnedBatch(req) {
+    const batch = getMessageBatch(req.params.id);
+    if (!batch || (req.apiKeyId && batch.api_key_id !== req.apiKeyId)) {
+        return null;
+    }
+    return batch;
+}
+
+/**
+ * Public base URL of this request (for results_url)
+ * @param {Object} req - Express request
+ * @returns {string} e.g. http://localhost:8080
+ */
+function getBaseUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+/**
+ * Create a batch
+ * POST /v1/messages/batches
+ */
+app.post('/v1/messages/batches', (req, res) => {
+    try {
+        const { requests } = req.body || {};
+
+        const validationError = validateBatchRequests(requests);
+        if (validationError) {
+            return sendApiError(res, 400, 'invalid_request_error', validationError);
+        }
+
+        // The auth middleware only sees the top-level body, so check model restrictions per request
+        const allowedModels = req.apiKeyEntry?.allowed_models;
+        const blocked = requests.find(r => !isModelAllowed(r.params.model, allowedModels));
+        if (blocked) {
+            return sendApiError(res, 403, 'permission_error', `Model "${blocked.params.model}" is not allowed for this API key`);
+        }
+
+        const batch = createMessageBatch({ api_key_id: req.apiKeyId || null, requests });
+        logger.info(`[API] Created message batch ${batch.id} with ${requests.length} request(s)`);
+
+        batchProcessor.enqueue(batch.id);
+        res.json(formatMessageBatch(batch, getBaseUrl(req)));
+    } catch (error) {
+        logger.error('[API] Error creating message batch:', error);
+        sendApiError(res, 500, 'api_error', error.message);
+    }
+});
+
+/**
+ * List batches, most recent first
+ * GET /v1/messages/batches?limit=20&before_id=...&after_id=...
+ */
+app.get('/v1/messages/batches', (req, res) => {
+    try {
+        const { limit, before_id, after_id } = req.query;
+        const { batches, has_more } = listMessageBatches({
+            api_key_id: req.apiKeyId,
+            limit,
+            before_id,
+            after_id
+        });
+
+        const data = batches.map(batch => formatMessageBatch(batch, getBaseUrl(req)));
+        res.json({
+            data,
+            has_more,
+            first_id: data[0]?.id || null,
+            last_id: data[data.length - 1]?.id || null
+        });
+    } catch (error) {
+        logger.error('[API] Error listing message batches:', error);
+        sendApiError(res, 500, 'api_error', error.message);
+    }
+});
+
+/**
+ * Retrieve a batch
+ * GET /v1/messages/batches/:id
+ */
+app.get('/v1/messages/batches/:id', (req, res) => {
+    const batch = getOwnedBatch(req);
+    if (!batch) {
+        return sendApiError(res, 404, 'not_found_error', `Message batch ${req.params.id} not found`);
+    }
+    res.json(formatMessageBatch(batch, getBaseUrl(req)));
+});
+
+/**
+ * Cancel a batch (requests already in flight still complete)
+ * POST /v1/messages/batches/:id/cancel
+ */
+app.post('/v1/messages/batches/:id/cancel', (req, res) => {
+    const batch = getOwnedBatch(req);
+    if (!batch) {
+        return sendApiError(res, 404, 'not_found_error', `Message batch ${req.params.id} not found`);
+    }
+
+    if (cancelMessageBatch(batch.id)) {
+        logger.info(`[API] Canceling message batch ${batch.id}`);
+        // Wakes the processor so queued-but-unstarted batches end promptly
+        batchProcessor.enqueue(batch.id);
+    }
+    res.json(formatMessageBatch(getMessageBatch(batch.id), getBaseUrl(req)));
+});
+
+/**
+ * Stream batch results as JSONL (available once the batch has ended)
+ * GET /v1/messages/batches/:id/results
+ */
+app.get('/v1/messages/batches/:id/results', (req, res) => {
+    const batch = getOwnedBatch(req);
+    if (!batch) {
+        return sendApiError(res, 404, 'not_found_error', `Message batch ${req.params.id} not found`);
+    }
+    if (batch.processing_status !== 'ended') {
+        return sendApiError(res, 400, 'invalid_request_error', `Message batch ${batch.id} is still processing; results are available once it has ended`);
+    }
+
+    res.setHeader('Content-Type', 'application/x-jsonl');
+    res.setHeader('Content-Disposition', `attachment; filename="${batch.id}_results.jsonl"`);
+
+    // Written synchronously: better-sqlite3 iterators block other statements while open
+    for (const line of iterateBatchResults(batch.id)) {
+        res.write(JSON.stringify(line) + '\n');
+    }
+    res.end();
+});
+
+/**
+ * Delete an ended batch
+ * DELETE /v1/messages/batches/:id
+ */
+app.delete('/v1/messages/batches/:id', (req, res) => {
+    const batch = getOwnedBatch(req);
+    if (!batch) {
+        return sendApiError(res, 404, 'not_found_error', `Message batch ${req.params.id} not found`);
+    }
+    if (batch.processing_status !== 'ended') {
+        return sendApiError(res, 400, 'invalid_request_error', `Message batch ${batch.id} must be ended or canceled before it can be deleted`);
+    }
+
+    deleteMessageBatch(batch.id);
+    res.json({ id: batch.id, type: 'message_batch_deleted' });
 });
 
 /**
@@ -726,9 +1316,8 @@ app.post('/v1/messages/count_tokens', (req, res) => {
  */
 app.post('/v1/messages', async (req, res) => {
     const startTime = Date.now();
-    const apiKeyId = req.apiKeyId || null;
-    const clientIp = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.socket.remoteAddress || 'unknown';
-    const userAgent = req.headers['user-agent'] || null;
+    const trace = {}; // Filled in by the cloudcode handlers (serving account, attempts, fallback)
+    const signal = createClientAbortSignal(res); // Cancels upstream work when the client disconnects
 
     try {
         // Ensure account manager is initialized
@@ -745,26 +1334,13 @@ app.post('/v1/messages', async (req, res) => {
             thinking,
             top_p,
             top_k,
-            temperature
+            temperature,
+            stop_sequences,
+            metadata,
+            service_tier
         } = req.body;
 
-        // Resolve model mapping if configured
-        let requestedModel = model || 'claude-3-5-sonnet-20241022';
-        const modelMapping = config.modelMapping || {};
-        if (modelMapping[requestedModel] && modelMapping[requestedModel].mapping) {
-            const targetModel = modelMapping[requestedModel].mapping;
-            logger.info(`[Server] Mapping model ${requestedModel} -> ${targetModel}`);
-            requestedModel = targetModel;
-        }
-
-        const modelId = requestedModel;
-
-        // Optimistic Retry: If ALL accounts are rate-limited for this model, reset them to force a fresh check.
-        // If we have some available accounts, we try them first.
-        if (accountManager.isAllRateLimited(modelId)) {
-            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
-            accountManager.resetAllRateLimits();
-        }
+        const requestedModel = model || 'claude-3-5-sonnet-20241022';
 
         // Validate required fields
         if (!messages || !Array.isArray(messages)) {
@@ -779,7 +1355,7 @@ app.post('/v1/messages', async (req, res) => {
 
         // Build the request object
         const request = {
-            model: modelId,
+            model: requestedModel,
             messages,
             max_tokens: max_tokens || 4096,
             stream,
@@ -789,9 +1365,29 @@ app.post('/v1/messages', async (req, res) => {
             thinking,
             top_p,
             top_k,
-            temperature
+            temperature,
+            stop_sequences,
+            metadata,
+            service_tier
         };
 
+        // Resolve the target model and fallback chain from the routing rules
+        const route = routeRequest(req, request, requestedModel);
+        const modelId = route.model;
+        request.model = modelId;
+
+        // Serve repeated identical requests from the response cache
+        const cache = getCachePolicy(request, { apiKeyId: req.apiKeyId, keyEntry: req.apiKeyEntry, headers: req.headers });
+        const { response: cachedResponse, status: cacheStatus } = lookupCachedResponse(cache);
+        if (cacheStatus) res.setHeader(CACHE_STATUS_HEADER, cacheStatus);
+
+        // Optimistic Retry: If ALL accounts are rate-limited for this model, reset them to force a fresh check.
+        // If we have some available accounts, we try them first.
+        if (!cachedResponse && accountManager.isAllRateLimited(modelId)) {
+            logger.warn(`[Server] All accounts rate-limited for ${modelId}. Resetting state for optimistic retry.`);
+            accountManager.resetAllRateLimits();
+        }
+
         logger.info(`[API] Request for model: ${request.model}, stream: ${!!stream}`);
 
         // Debug: Log message structure to diagnose tool_use/tool_result ordering
@@ -811,62 +1407,110 @@ app.post('/v1/messages', async (req, res) => {
             res.setHeader('Cache-Control', 'no-cache');
             res.setHeader('Connection', 'keep-alive');
             res.setHeader('X-Accel-Buffering', 'no');
+            res.setHeader('Trailer', SERVED_MODEL_HEADERS.join(', '));
 
             // Flush headers immediately to start the stream
             res.flushHeaders();
 
+            // Assemble the streamed message so it can be logged once the stream ends
+            const accumulator = createStreamAccumulator();
+            const keepAlive = keepStreamAlive(res, ANTHROPIC_PING, config.streamKeepAliveMs);
+
+            /**
+             * Log the streamed request with whatever content was assembled
+             * @param {Object} outcome - { status, error_message, http_status }
+             */
+            const logStream = (outcome) => {
+                const message = accumulator.getMessage();
+                logApiRequest(req, startTime, {
+                    ...getTraceLogFields(trace),
+                    api_format: 'anthropic',
+                    model: model || requestedModel,
+                    actual_model: message.model || modelId,
+                    request_messages: messages,
+                    request_system: system || null,
+                    response_content: message.content.length > 0 ? message.content : null,
+                    input_tokens: message.usage.input_tokens || null,
+                    output_tokens: message.usage.output_tokens || null,
+                    cache_hit: Boolean(cachedResponse),
+                    ...outcome
+                });
+            };
+
             try {
-                // Use the streaming generator with account manager
-                for await (const event of sendMessageStream(request, accountManager, FALLBACK_ENABLED)) {
+                // Use the streaming generator with account manager (or replay the cached response)
+                const events = cachedResponse
+                    ? replayMessageEvents(cachedResponse)
+                    : sendMessageStream(request, accountManager, route.fallbackEnabled, trace, route.fallbackChain, signal);
+
+                for await (const event of events) {
+                    accumulator.add(event);
+                    if (signal.aborted) break;
+
                     res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
                     // Flush after each event for real-time streaming
                     if (res.flush) res.flush();
+                    keepAlive.touch();
                 }
+                if (!signal.aborted) res.addTrailers(getServedModelHeaders(trace, cachedResponse?.model || modelId));
                 res.end();
 
+                if (signal.aborted) {
+                    logger.warn('[API] Client disconnected before stream completed');
+                    logStream({ status: 'cancelled', error_message: CLIENT_DISCONNECTED_MESSAGE, http_status: 499 });
+                } else {
+                    if (!cachedResponse) storeCachedResponse(cache, accumulator.getMessage());
+                    logStream({ status: 'success', error_message: null, http_status: 200 });
+                }
+
             } catch (streamError) {
-                logger.error('[API] Stream error:', streamError);
+                if (isAbortError(streamError)) {
+                    logger.warn('[API] Client disconnected, upstream request cancelled');
+                } else {
+                    logger.error('[API] Stream error:', streamError);
+                }
 
-                const { errorType, errorMessage } = parseError(streamError);
+                const { errorType, statusCode, errorMessage } = parseError(streamError);
 
                 res.write(`event: error\ndata: ${JSON.stringify({
                     type: 'error',
                     error: { type: errorType, message: errorMessage }
                 })}\n\n`);
                 res.end();
+
+                logStream({ ...getLogStatus(streamError, statusCode), error_message: errorMessage });
             }
 
         } else {
             // Handle non-streaming response
-            const response = await sendMessage(request, accountManager, FALLBACK_ENABLED);
+            const response = cachedResponse || await sendMessage(request, accountManager, route.fallbackEnabled, trace, route.fallbackChain, signal);
+            if (!cachedResponse) storeCachedResponse(cache, response);
+
+            res.set(getServedModelHeaders(trace, cachedResponse?.model || modelId));
             res.json(response);
 
-            // Log request to database (async, don't await)
-            if (apiKeyId) {
-                const durationMs = Date.now() - startTime;
-                createRequestLog({
-                    api_key_id: apiKeyId,
-                    timestamp: startTime,
-                    model: model || requestedModel,
-                    actual_model: response.model || modelId,
-                    account_email: null, // Could be extracted from response if available
-                    request_messages: messages,
-                    request_system: system || null,
-                    response_content: response.content || null,
-                    input_tokens: response.usage?.input_tokens || null,
-                    output_tokens: response.usage?.output_tokens || null,
-                    duration_ms: durationMs,
-                    status: 'success',
-                    error_message: null,
-                    http_status: 200,
-                    client_ip: clientIp,
-                    user_agent: userAgent
-                });
-            }
+            logApiRequest(req, startTime, {
+                ...getTraceLogFields(trace),
+                api_format: 'anthropic',
+                model: model || requestedModel,
+                actual_model: response.model || modelId,
+                request_messages: messages,
+                request_system: system || null,
+                response_content: response.content || null,
+                input_tokens: response.usage?.input_tokens || null,
+                output_tokens: response.usage?.output_tokens || null,
+                cache_hit: Boolean(cachedResponse),
+                status: 'success',
+                http_status: 200
+            });
         }
 
     } catch (error) {
-        logger.error('[API] Error:', error);
+        if (isAbortError(error)) {
+            logger.warn('[API] Client disconnected, upstream request cancelled');
+        } else {
+            logger.error('[API] Error:', error);
+        }
 
         let { errorType, statusCode, errorMessage } = parseError(error);
 
@@ -903,29 +1547,16 @@ app.post('/v1/messages', async (req, res) => {
             });
         }
 
-        // Log error to database (async, don't await)
-        if (apiKeyId) {
-            const durationMs = Date.now() - startTime;
-            const { model, messages, system } = req.body || {};
-            createRequestLog({
-                api_key_id: apiKeyId,
-                timestamp: startTime,
-                model: model || 'unknown',
-                actual_model: null,
-                account_email: null,
-                request_messages: messages || [],
-                request_system: system || null,
-                response_content: null,
-                input_tokens: null,
-                output_tokens: null,
-                duration_ms: durationMs,
-                status: statusCode === 429 ? 'rate_limited' : 'error',
-                error_message: errorMessage,
-                http_status: statusCode,
-                client_ip: clientIp,
-                user_agent: userAgent
-            });
-        }
+        const { model, messages, system } = req.body || {};
+        logApiRequest(req, startTime, {
+            ...getTraceLogFields(trace),
+            api_format: 'anthropic',
+            model: model || 'unknown',
+            request_messages: messages || [],
+            request_system: system || null,
+            ...getLogStatus(error, statusCode),
+            error_message: errorMessage
+        });
     }
 });
 
@@ -936,22 +1567,33 @@ app.post('/v1/messages', async (req, res) => {
  * Provides compatibility with OpenAI SDK and tools like LangChain, Cursor, etc.
  */
 app.post('/v1/chat/completions', async (req, res) => {
+    const startTime = Date.now();
+    const trace = {}; // Filled in by the cloudcode handlers (serving account, attempts, fallback)
+    const signal = createClientAbortSignal(res); // Cancels upstream work when the client disconnects
+
     try {
         await ensureInitialized();
 
         const { model, messages, stream } = req.body;
         const requestModel = model || 'gpt-4';
 
-        // Map OpenAI model name to internal model
-        const internalModel = mapModel(requestModel);
+        // Convert OpenAI request to Anthropic format (maps OpenAI model names to internal models)
+        const anthropicRequest = convertOpenAIToAnthropic(req.body);
+
+        // Resolve the target model and fallback chain from the routing rules
+        const route = routeRequest(req, anthropicRequest, requestModel);
+        const internalModel = route.model;
+        anthropicRequest.model = internalModel;
 
         logger.info(`[OpenAI API] Request for model: ${requestModel} → ${internalModel}, stream: ${!!stream}`);
 
-        // Convert OpenAI request to Anthropic format
-        const anthropicRequest = convertOpenAIToAnthropic(req.body);
+        // Serve repeated identical requests from the response cache
+        const cache = getCachePolicy(anthropicRequest, { apiKeyId: req.apiKeyId, keyEntry: req.apiKeyEntry, headers: req.headers });
+        const { response: cachedResponse, status: cacheStatus } = lookupCachedResponse(cache);
+        if (cacheStatus) res.setHeader(CACHE_STATUS_HEADER, cacheStatus);
 
         // Optimistic Retry: If ALL accounts are rate-limited, reset them
-        if (accountManager.isAllRateLimited(internalModel)) {
+        if (!cachedResponse && accountManager.isAllRateLimited(internalModel)) {
             logger.warn(`[OpenAI API] All accounts rate-limited for ${internalModel}. Resetting state for optimistic retry.`);
             accountManager.resetAllRateLimits();
         }
@@ -962,41 +1604,108 @@ app.post('/v1/chat/completions', async (req, res) => {
             res.setHeader('Cache-Control', 'no-cache');
             res.setHeader('Connection', 'keep-alive');
             res.setHeader('X-Accel-Buffering', 'no');
+            res.setHeader('Trailer', SERVED_MODEL_HEADERS.join(', '));
             res.flushHeaders();
 
+            const accumulator = createStreamAccumulator();
+            const keepAlive = keepStreamAlive(res, SSE_COMMENT_PING, config.streamKeepAliveMs);
+
+            /**
+             * Log the streamed request with whatever content was assembled
+             * @param {Object} outcome - { status, error_message, http_status }
+             */
+            const logStream = (outcome) => {
+                const message = accumulator.getMessage();
+                logApiRequest(req, startTime, {
+                    ...getTraceLogFields(trace),
+                    api_format: 'openai',
+                    model: requestModel,
+                    actual_model: message.model || internalModel,
+                    request_messages: messages,
+                    response_content: message.content.length > 0 ? message.content : null,
+                    input_tokens: message.usage.input_tokens || null,
+                    output_tokens: message.usage.output_tokens || null,
+                    cache_hit: Boolean(cachedResponse),
+                    ...outcome
+                });
+            };
+
             try {
                 const adapter = createOpenAIStreamAdapter(requestModel);
 
-                // Stream Anthropic events and convert to OpenAI format
-                for await (const event of sendMessageStream(anthropicRequest, accountManager, FALLBACK_ENABLED)) {
+                // Stream Anthropic events (or replay the cached response) and convert to OpenAI format
+                const events = cachedResponse
+                    ? replayMessageEvents(cachedResponse)
+                    : sendMessageStream(anthropicRequest, accountManager, route.fallbackEnabled, trace, route.fallbackChain, signal);
+
+                for await (const event of events) {
+                    accumulator.add(event);
+                    if (signal.aborted) break;
+
                     const openaiLine = adapter.transform(event);
                     if (openaiLine) {
                         res.write(openaiLine);
                         if (res.flush) res.flush();
+                        keepAlive.touch();
                     }
                 }
+                if (!signal.aborted) res.addTrailers(getServedModelHeaders(trace, cachedResponse?.model || internalModel));
                 res.end();
 
+                if (signal.aborted) {
+                    logger.warn('[OpenAI API] Client disconnected before stream completed');
+                    logStream({ status: 'cancelled', error_message: CLIENT_DISCONNECTED_MESSAGE, http_status: 499 });
+                } else {
+                    if (!cachedResponse) storeCachedResponse(cache, accumulator.getMessage());
+                    logStream({ status: 'success', http_status: 200 });
+                }
+
             } catch (streamError) {
-                logger.error('[OpenAI API] Stream error:', streamError);
-                const { errorMessage } = parseError(streamError);
+                if (isAbortError(streamError)) {
+                    logger.warn('[OpenAI API] Client disconnected, upstream request cancelled');
+                } else {
+                    logger.error('[OpenAI API] Stream error:', streamError);
+                }
+                const { statusCode, errorMessage } = parseError(streamError);
                 res.write(`data: ${JSON.stringify({
                     error: { message: errorMessage, type: 'server_error', code: null }
                 })}\n\n`);
                 res.end();
+
+                logStream({ ...getLogStatus(streamError, statusCode), error_message: errorMessage });
             }
 
         } else {
             // Handle non-streaming response
-            const anthropicResponse = await sendMessage(anthropicRequest, accountManager, FALLBACK_ENABLED);
+            const anthropicResponse = cachedResponse || await sendMessage(anthropicRequest, accountManager, route.fallbackEnabled, trace, route.fallbackChain, signal);
+            if (!cachedResponse) storeCachedResponse(cache, anthropicResponse);
 
             // Convert Anthropic response to OpenAI format
             const openaiResponse = convertAnthropicToOpenAI(anthropicResponse, requestModel);
+            res.set(getServedModelHeaders(trace, cachedResponse?.model || internalModel));
             res.json(openaiResponse);
+
+            logApiRequest(req, startTime, {
+                ...getTraceLogFields(trace),
+                api_format: 'openai',
+                model: requestModel,
+                actual_model: anthropicResponse.model || internalModel,
+                request_messages: messages,
+                response_content: anthropicResponse.content || null,
+                input_tokens: anthropicResponse.usage?.input_tokens || null,
+                output_tokens: anthropicResponse.usage?.output_tokens || null,
+                cache_hit: Boolean(cachedResponse),
+                status: 'success',
+                http_status: 200
+            });
         }
 
     } catch (error) {
-        logger.error('[OpenAI API] Error:', error);
+        if (isAbortError(error)) {
+            logger.warn('[OpenAI API] Client disconnected, upstream request cancelled');
+        } else {
+            logger.error('[OpenAI API] Error:', error);
+        }
 
         const { statusCode, errorMessage } = parseError(error);
 
@@ -1016,6 +1725,194 @@ app.post('/v1/chat/completions', async (req, res) => {
                 }
             });
         }
+
+        const { model, messages } = req.body || {};
+        logApiRequest(req, startTime, {
+            ...getTraceLogFields(trace),
+            api_format: 'openai',
+            model: model || 'unknown',
+            request_messages: messages || [],
+            ...getLogStatus(error, statusCode),
+            error_message: errorMessage
+        });
+    }
+});
+
+/**
+ * OpenAI-compatible Responses API
+ * POST /v1/responses
+ *
+ * Used by newer OpenAI SDKs and agents (Codex CLI, Agents SDK). Stateless:
+ * the full conversation must be sent as `input` on every request.
+ */
+app.post('/v1/responses', async (req, res) => {
+    const startTime = Date.now();
+    const trace = {}; // Filled in by the cloudcode handlers (serving account, attempts, fallback)
+    const signal = createClientAbortSignal(res); // Cancels upstream work when the client disconnects
+
+    try {
+        await ensureInitialized();
+
+        const { model, input, instructions, stream, previous_response_id } = req.body;
+        const requestModel = model || 'gpt-4';
+
+        if (previous_response_id) {
+            return res.status(400).json({
+                error: {
+                    message: 'previous_response_id is not supported. Responses are not stored; send the full conversation as input.',
+                    type: 'invalid_request_error',
+                    param: 'previous_response_id',
+                    code: null
+                }
+            });
+        }
+
+        const requestMessages = toLogMessages(input);
+
+        // Convert Responses request to Anthropic format (maps OpenAI model names to internal models)
+        const anthropicRequest = convertResponsesToAnthropic(req.body);
+
+        // Resolve the target model and fallback chain from the routing rules
+        const route = routeRequest(req, anthropicRequest, requestModel);
+        const internalModel = route.model;
+        anthropicRequest.model = internalModel;
+
+        logger.info(`[OpenAI API] Responses request for model: ${requestModel} → ${internalModel}, stream: ${!!stream}`);
+
+        // Optimistic Retry: If ALL accounts are rate-limited, reset them
+        if (accountManager.isAllRateLimited(internalModel)) {
+            logger.warn(`[OpenAI API] All accounts rate-limited for ${internalModel}. Resetting state for optimistic retry.`);
+            accountManager.resetAllRateLimits();
+        }
+
+        if (stream) {
+            // Handle streaming response (typed Responses SSE events)
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.setHeader('Trailer', SERVED_MODEL_HEADERS.join(', '));
+            res.flushHeaders();
+
+            const adapter = createResponsesStreamAdapter(requestModel, req.body);
+            const accumulator = createStreamAccumulator();
+            const keepAlive = keepStreamAlive(res, SSE_COMMENT_PING, config.streamKeepAliveMs);
+
+            /**
+             * Log the streamed request with whatever content was assembled
+             * @param {Object} outcome - { status, error_message, http_status }
+             */
+            const logStream = (outcome) => {
+                const message = accumulator.getMessage();
+                logApiRequest(req, startTime, {
+                    ...getTraceLogFields(trace),
+                    api_format: 'openai',
+                    model: requestModel,
+                    actual_model: message.model || internalModel,
+                    request_messages: requestMessages,
+                    request_system: instructions || null,
+                    response_content: message.content.length > 0 ? message.content : null,
+                    input_tokens: message.usage.input_tokens || null,
+                    output_tokens: message.usage.output_tokens || null,
+                    ...outcome
+                });
+            };
+
+            try {
+                for await (const event of sendMessageStream(anthropicRequest, accountManager, route.fallbackEnabled, trace, route.fallbackChain, signal)) {
+                    accumulator.add(event);
+                    if (signal.aborted) break;
+
+                    const responsesEvents = adapter.transform(event);
+                    if (responsesEvents) {
+                        res.write(responsesEvents);
+                        if (res.flush) res.flush();
+                        keepAlive.touch();
+                    }
+                }
+                if (!signal.aborted) res.addTrailers(getServedModelHeaders(trace, internalModel));
+                res.end();
+
+                if (signal.aborted) {
+                    logger.warn('[OpenAI API] Client disconnected before stream completed');
+                    logStream({ status: 'cancelled', error_message: CLIENT_DISCONNECTED_MESSAGE, http_status: 499 });
+                } else {
+                    logStream({ status: 'success', http_status: 200 });
+                }
+
+            } catch (streamError) {
+                if (isAbortError(streamError)) {
+                    logger.warn('[OpenAI API] Client disconnected, upstream request cancelled');
+                } else {
+                    logger.error('[OpenAI API] Stream error:', streamError);
+                }
+                const { statusCode, errorMessage } = parseError(streamError);
+                const failedEvent = adapter.fail(errorMessage);
+                if (failedEvent) res.write(failedEvent);
+                res.end();
+
+                logStream({ ...getLogStatus(streamError, statusCode), error_message: errorMessage });
+            }
+
+        } else {
+            // Handle non-streaming response
+            const anthropicResponse = await sendMessage(anthropicRequest, accountManager, route.fallbackEnabled, trace, route.fallbackChain, signal);
+
+            // Convert Anthropic response to Responses format
+            res.set(getServedModelHeaders(trace, internalModel));
+            res.json(convertAnthropicToResponses(anthropicResponse, requestModel, req.body));
+
+            logApiRequest(req, startTime, {
+                ...getTraceLogFields(trace),
+                api_format: 'openai',
+                model: requestModel,
+                actual_model: anthropicResponse.model || internalModel,
+                request_messages: requestMessages,
+                request_system: instructions || null,
+                response_content: anthropicResponse.content || null,
+                input_tokens: anthropicResponse.usage?.input_tokens || null,
+                output_tokens: anthropicResponse.usage?.output_tokens || null,
+                status: 'success',
+                http_status: 200
+            });
+        }
+
+    } catch (error) {
+        if (isAbortError(error)) {
+            logger.warn('[OpenAI API] Client disconnected, upstream request cancelled');
+        } else {
+            logger.error('[OpenAI API] Responses error:', error);
+        }
+
+        const { statusCode, errorMessage } = parseError(error);
+
+        // Check if headers have already been sent (for streaming that failed mid-way)
+        if (res.headersSent) {
+            res.write(`event: error\ndata: ${JSON.stringify({
+                type: 'error', code: 'server_error', message: errorMessage, param: null
+            })}\n\n`);
+            res.end();
+        } else {
+            res.status(statusCode).json({
+                error: {
+                    message: errorMessage,
+                    type: 'server_error',
+                    param: null,
+                    code: null
+                }
+            });
+        }
+
+        const { model, input, instructions } = req.body || {};
+        logApiRequest(req, startTime, {
+            ...getTraceLogFields(trace),
+            api_format: 'openai',
+            model: model || 'unknown',
+            request_messages: toLogMessages(input),
+            request_system: instructions || null,
+            ...getLogStatus(error, statusCode),
+            error_message: errorMessage
+        });
     }
 });
 
@@ -1045,6 +1942,204 @@ app.get('/v1/models/openai', async (req, res) => {
     }
 });
 
+/**
+ * Native Gemini API
+ * POST /v1beta/models/{model}:generateContent
+ * POST /v1beta/models/{model}:streamGenerateContent (JSON array stream, or SSE with ?alt=sse)
+ * POST /v1beta/models/{model}:countTokens
+ *
+ * Native payloads are converted to the Anthropic format so they share the
+ * account pool, failover and request logging with the other endpoints.
+ */
+app.post('/v1beta/models/:modelAction', async (req, res) => {
+    const startTime = Date.now();
+    const trace = {}; // Filled in by the cloudcode handlers (serving account, attempts, fallback)
+    const signal = createClientAbortSignal(res); // Cancels upstream work when the client disconnects
+    let model;
+    let anthropicRequest = null;
+
+    /**
+     * Build request log fields shared by every outcome
+     * @returns {Object} Partial request log entry
+     */
+    const baseLogEntry = () => ({
+        ...getTraceLogFields(trace),
+        api_format: 'gemini',
+        model: model || 'unknown',
+        request_messages: Array.isArray(req.body?.contents) ? req.body.contents : [],
+        request_system: anthropicRequest?.system || null
+    });
+
+    try {
+        let action;
+        ({ model, action } = parseGeminiModelAction(req.params.modelAction));
+
+        if (!model || !['generateContent', 'streamGenerateContent', 'countTokens'].includes(action)) {
+            return sendGeminiError(res, 404, `Method ${action || '(none)'} is not supported. Use generateContent, streamGenerateContent or countTokens.`);
+        }
+
+        if (action === 'countTokens') {
+            // countTokens accepts either { contents } or { generateContentRequest }
+            const body = req.body?.generateContentRequest || req.body;
+            const validationError = validateGeminiRequest(body);
+            if (validationError) {
+                return sendGeminiError(res, 400, validationError);
+            }
+
+            try {
+                const countRequest = convertGeminiToAnthropic(body, model);
+                countRequest.model = routeRequest(req, countRequest, model).model;
+                const totalTokens = countRequestTokens(countRequest);
+                return res.json({ totalTokens });
+            } catch (error) {
+                logger.error('[Gemini API] Token counting error:', error);
+                return sendGeminiError(res, 500, error.message);
+            }
+        }
+
+        const validationError = validateGeminiRequest(req.body);
+        if (validationError) {
+            return sendGeminiError(res, 400, validationError);
+        }
+
+        const stream = action === 'streamGenerateContent';
+        const useSSE = req.query.alt === 'sse';
+        anthropicRequest = convertGeminiToAnthropic(req.body, model);
+
+        // Resolve the target model and fallback chain from the routing rules
+        const route = routeRequest(req, anthropicRequest, model);
+        const targetModel = route.model;
+        anthropicRequest.model = targetModel;
+
+        await ensureInitialized();
+
+        logger.info(`[Gemini API] Request for model: ${targetModel}, stream: ${stream}`);
+
+        // Optimistic Retry: If ALL accounts are rate-limited, reset them
+        if (accountManager.isAllRateLimited(targetModel)) {
+            logger.warn(`[Gemini API] All accounts rate-limited for ${targetModel}. Resetting state for optimistic retry.`);
+            accountManager.resetAllRateLimits();
+        }
+
+        if (stream) {
+            // SSE with ?alt=sse, otherwise a JSON array written element by element
+            res.setHeader('Content-Type', useSSE ? 'text/event-stream' : 'application/json');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            res.setHeader('X-Accel-Buffering', 'no');
+            res.setHeader('Trailer', SERVED_MODEL_HEADERS.join(', '));
+            res.flushHeaders();
+
+            const adapter = createGeminiStreamAdapter(targetModel);
+            const accumulator = createStreamAccumulator();
+            let chunkCount = 0;
+            // The JSON array stream (no alt=sse) has no room for keep-alives
+            const keepAlive = useSSE ? keepStreamAlive(res, SSE_COMMENT_PING, config.streamKeepAliveMs) : null;
+
+            const writeChunk = (chunk) => {
+                if (useSSE) {
+                    res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+                } else {
+                    res.write(`${chunkCount === 0 ? '[' : ',\n'}${JSON.stringify(chunk)}`);
+                }
+                chunkCount++;
+                if (res.flush) res.flush();
+                keepAlive?.touch();
+            };
+            const endStream = () => {
+                if (!useSSE) res.write(chunkCount === 0 ? '[]' : ']');
+                res.end();
+            };
+
+            /**
+             * Log the streamed request with whatever content was assembled
+             * @param {Object} outcome - { status, error_message, http_status }
+             */
+            const logStream = (outcome) => {
+                const message = accumulator.getMessage();
+                logApiRequest(req, startTime, {
+                    ...baseLogEntry(),
+                    actual_model: message.model || targetModel,
+                    response_content: message.content.length > 0 ? message.content : null,
+                    input_tokens: message.usage.input_tokens || null,
+                    output_tokens: message.usage.output_tokens || null,
+                    ...outcome
+                });
+            };
+
+            try {
+                for await (const event of sendMessageStream(anthropicRequest, accountManager, route.fallbackEnabled, trace, route.fallbackChain, signal)) {
+                    accumulator.add(event);
+                    if (signal.aborted) break;
+
+                    const chunk = adapter.transform(event);
+                    if (chunk) writeChunk(chunk);
+                }
+                if (!signal.aborted) res.addTrailers(getServedModelHeaders(trace, targetModel));
+                endStream();
+
+                if (signal.aborted) {
+                    logger.warn('[Gemini API] Client disconnected before stream completed');
+                    logStream({ status: 'cancelled', error_message: CLIENT_DISCONNECTED_MESSAGE, http_status: 499 });
+                } else {
+                    logStream({ status: 'success', http_status: 200 });
+                }
+
+            } catch (streamError) {
+                if (isAbortError(streamError)) {
+                    logger.warn('[Gemini API] Client disconnected, upstream request cancelled');
+                } else {
+                    logger.error('[Gemini API] Stream error:', streamError);
+                }
+                const { statusCode, errorMessage } = parseError(streamError);
+                const logStatus = getLogStatus(streamError, statusCode);
+                writeChunk({ error: toGeminiError(logStatus.http_status, errorMessage) });
+                endStream();
+
+                logStream({ ...logStatus, error_message: errorMessage });
+            }
+
+        } else {
+            const anthropicResponse = await sendMessage(anthropicRequest, accountManager, route.fallbackEnabled, trace, route.fallbackChain, signal);
+            res.set(getServedModelHeaders(trace, targetModel));
+            res.json(convertAnthropicToGemini(anthropicResponse, targetModel));
+
+            logApiRequest(req, startTime, {
+                ...baseLogEntry(),
+                actual_model: anthropicResponse.model || targetModel,
+                response_content: anthropicResponse.content || null,
+                input_tokens: anthropicResponse.usage?.input_tokens || null,
+                output_tokens: anthropicResponse.usage?.output_tokens || null,
+                status: 'success',
+                http_status: 200
+            });
+        }
+
+    } catch (error) {
+        if (isAbortError(error)) {
+            logger.warn('[Gemini API] Client disconnected, upstream request cancelled');
+        } else {
+            logger.error('[Gemini API] Error:', error);
+        }
+
+        // Native Gemini clients handle 429 RESOURCE_EXHAUSTED themselves
+        const { statusCode, errorMessage } = parseError(error);
+        const logStatus = getLogStatus(error, statusCode);
+
+        if (res.headersSent) {
+            res.end();
+        } else {
+            sendGeminiError(res, logStatus.http_status, errorMessage);
+        }
+
+        logApiRequest(req, startTime, {
+            ...baseLogEntry(),
+            ...logStatus,
+            error_message: errorMessage
+        });
+    }
+});
+
 /**
  * Catch-all for unsupported endpoints
  */
@@ -27,10 +27,27 @@ export function formatDuration(ms) {
 /**
  * Sleep for specified milliseconds
  * @param {number} ms - Duration to sleep in milliseconds
+ * @param {AbortSignal|null} [signal] - Rejects with the abort reason when aborted
  * @returns {Promise<void>} Resolves after the specified duration
  */
-export function sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
+export function sleep(ms, signal = null) {
+    if (!signal) return new Promise(resolve => setTimeout(resolve, ms));
+
+    return new Promise((resolve, reject) => {
+        if (signal.aborted) {
+            reject(signal.reason);
+            return;
+        }
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal.addEventListener('abort', onAbort, { once: true });
+    });
 }
 
 /**
@@ -0,0 +1,227 @@
+/**
+ * IP Address Utilities
+ * IPv4/IPv6 parsing, CIDR and wildcard pattern matching, and client IP
+ * resolution behind trusted reverse proxies
+ *
+ * Addresses are compared as numbers, so "2001:DB8::1" equals "2001:db8:0:0::1"
+ * and IPv4-mapped IPv6 addresses ("::ffff:10.0.0.1") match IPv4 patterns.
+ */
+
+/**
+ * Parse a dotted IPv4 address
+ * @param {string} address - e.g. "10.20.0.1"
+ * @returns {bigint|null} 32-bit value, or null if invalid
+ */
+function parseIpv4(address) {
+    const parts = address.split('.');
+    if (parts.length !== 4) return null;
+
+    let value = 0n;
+    for (const part of parts) {
+        if (!/^\d{1,3}$/.test(part) || Number(part) > 255) return null;
+        value = (value << 8n) | BigInt(part);
+    }
+    return value;
+}
+
+/**
+ * Parse an IPv6 address (with "::" compression and an optional trailing IPv4 part)
+ * @param {string} address - e.g. "2001:db8::1" or "::ffff:10.0.0.1"
+ * @returns {bigint|null} 128-bit value, or null if invalid
+ */
+function parseIpv6(address) {
+    let text = address;
+
+    // Trailing dotted IPv4 ("::ffff:10.0.0.1") becomes two hex groups
+    if (text.includes('.')) {
+        const lastColon = text.lastIndexOf(':');
+        const ipv4 = parseIpv4(text.slice(lastColon + 1));
+        if (ipv4 === null) return null;
+        text = `${text.slice(0, lastColon + 1)}${(ipv4 >> 16n).toString(16)}:${(ipv4 & 0xffffn).toString(16)}`;
+    }
+
+    const halves = text.split('::');
+    if (halves.length > 2) return null;
+
+    const head = halves[0] ? halves[0].split(':') : [];
+    const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+    const missing = 8 - head.length - tail.length;
+    if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+    const groups = [...head, ...new Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+
+    let value = 0n;
+    for (const group of groups) {
+        if (!/^[0-9a-f]{1,4}$/i.test(group)) return null;
+        value = (value << 16n) | BigInt(`0x${group}`);
+    }
+    return value;
+}
+
+/**
+ * Parse an IP address
+ * IPv4-mapped IPv6 addresses are returned as IPv4.
+ *
+ * @param {string} address - IPv4 or IPv6 address (brackets and zone IDs are ignored)
+ * @returns {{version: 4|6, value: bigint}|null} Parsed address, or null if invalid
+ */
+export function parseIp(address) {
+    if (typeof address !== 'string') return null;
+    const text = address.trim().replace(/^\[(.*)\]$/, '$1').replace(/%.*$/, '');
+
+    if (!text.includes(':')) {
+        const value = parseIpv4(text);
+        return value === null ? null : { version: 4, value };
+    }
+
+    const value = parseIpv6(text);
+    if (value === null) return null;
+
+    // ::ffff:0:0/96 carries an IPv4 address
+    if (value >> 32n === 0xffffn) {
+        return { version: 4, value: value & 0xffffffffn };
+    }
+    return { version: 6, value };
+}
+
+/**
+ * Parse a CIDR range
+ * Host bits are ignored, so "10.20.1.0/16" is the same range as "10.20.0.0/16".
+ *
+ * @param {string} pattern - e.g. "10.20.0.0/16" or "2001:db8::/32"
+ * @returns {{version: 4|6, value: bigint, prefix: number}|null} Parsed range, or null if invalid
+ */
+export function parseCidr(pattern) {
+    if (typeof pattern !== 'string') return null;
+    const [address, prefixText, extra] = pattern.trim().split('/');
+    if (extra !== undefined || !/^\d{1,3}$/.test(prefixText || '')) return null;
+
+    // Parse without IPv4-mapped conversion so "::ffff:0:0/96" keeps its IPv6 prefix length
+    const text = address.replace(/^\[(.*)\]$/, '$1');
+    const version = text.includes(':') ? 6 : 4;
+    const value = version === 4 ? parseIpv4(text) : parseIpv6(text);
+    const prefix = Number(prefixText);
+
+    if (value === null || prefix > (version === 4 ? 32 : 128)) return null;
+    return { version, value, prefix };
+}
+
+/**
+ * Check if an address is inside a CIDR range
+ * @param {{version: 4|6, value: bigint}} ip - Parsed address
+ * @param {{version: 4|6, value: bigint, prefix: number}} range - Parsed range
+ * @returns {boolean} True if the address is in the range
+ */
+function isInRange(ip, range) {
+    let { version, value } = ip;
+
+    // Compare IPv4 addresses against IPv6 ranges in their ::ffff: form
+    if (version === 4 && range.version === 6) {
+        version = 6;
+        value = (0xffffn << 32n) | value;
+    }
+    if (version !== range.version) return false;
+
+    const shift = BigInt((version === 4 ? 32 : 128) - range.prefix);
+    return (value >> shift) === (range.value >> shift);
+}
+
+/**
+ * Check if a pattern is an IPv4 wildcard like "192.168.1.*"
+ * @param {string} pattern - The pattern
+ * @returns {boolean} True for 1-4 dotted parts with at least one "*"
+ */
+function isWildcardPattern(pattern) {
+    return pattern.includes('*') &&
+        /^(\*|\d{1,3})(\.(\*|\d{1,3})){0,3}$/.test(pattern) &&
+        pattern.split('.').every(part => part === '*' || Number(part) <= 255);
+}
+
+/**
+ * Normalize IPv6 localhost to its IPv4 form (the two are treated as the same address)
+ * @param {string} value - Address or pattern
+ * @returns {string} Normalized value
+ */
+function normalizeLocalhost(value) {
+    return value === '::1' ? '127.0.0.1' : value;
+}
+
+/**
+ * Match an IP address against a pattern
+ * Examples:
+ *   - "10.20.0.0/16" matches "10.20.5.1" (CIDR)
+ *   - "2001:db8::/32" matches "2001:db8:1::5" (IPv6 CIDR)
+ *   - "192.168.1.*" matches "192.168.1.100" (wildcard; "*" alone matches any address)
+ *   - "10.0.0.1" matches only "10.0.0.1" (also as "::ffff:10.0.0.1")
+ *   - "::1" matches localhost (IPv4 or IPv6)
+ *
+ * @param {string} ip - The client IP to check
+ * @param {string} pattern - The pattern to match against
+ * @returns {boolean} True if IP matches pattern
+ */
+export function matchIpPattern(ip, pattern) {
+    if (!pattern || !ip) return false;
+
+    const normalizedPattern = normalizeLocalhost(pattern.trim());
+    const parsedIp = parseIp(normalizeLocalhost(ip));
+    if (!parsedIp) return false;
+
+    if (normalizedPattern.includes('/')) {
+        const range = parseCidr(normalizedPattern);
+        return range ? isInRange(parsedIp, range) : false;
+    }
+
+    if (normalizedPattern.includes('*')) {
+        if (normalizedPattern === '*') return true;
+        if (parsedIp.version !== 4 || !isWildcardPattern(normalizedPattern)) return false;
+
+        const octets = [24n, 16n, 8n, 0n].map(shift => String((parsedIp.value >> shift) & 0xffn));
+        const parts = normalizedPattern.split('.');
+        // A trailing "*" covers the remaining octets ("10.*" matches "10.1.2.3")
+        if (parts.length < 4 && parts[parts.length - 1] !== '*') return false;
+        return parts.every((part, index) => part === '*' || Number(part) === Number(octets[index]));
+    }
+
+    const parsedPattern = parseIp(normalizedPattern);
+    return Boolean(parsedPattern) &&
+        parsedPattern.version === parsedIp.version &&
+        parsedPattern.value === parsedIp.value;
+}
+
+/**
+ * Check if a whitelist/trusted-proxy entry is a valid pattern
+ * @param {string} pattern - IP address, CIDR range or IPv4 wildcard
+ * @returns {boolean} True if the pattern is valid
+ */
+export function isValidIpPattern(pattern) {
+    if (typeof pattern !== 'string' || !pattern.trim()) return false;
+    const text = pattern.trim();
+
+    if (text.includes('/')) return parseCidr(text) !== null;
+    if (text.includes('*')) return isWildcardPattern(text);
+    return parseIp(text) !== null;
+}
+
+/**
+ * Resolve the client IP for a request that may have passed through reverse proxies
+ * X-Forwarded-For is only used when the connecting address is a trusted proxy. Hops
+ * are read right to left and skipped while they are trusted proxies too, so a client
+ * cannot spoof its address by sending its own X-Forwarded-For header.
+ *
+ * @param {string} remoteAddress - Address of the connecting socket
+ * @param {string|undefined} forwardedFor - X-Forwarded-For header value
+ * @param {string[]} [trustedProxies=[]] - Proxy IP patterns (addresses, CIDR ranges, wildcards)
+ * @returns {string} Client IP
+ */
+export function resolveClientIp(remoteAddress, forwardedFor, trustedProxies = []) {
+    if (!forwardedFor || !trustedProxies?.length) return remoteAddress;
+
+    const isTrusted = (address) => trustedProxies.some(pattern => matchIpPattern(address, pattern));
+    const hops = String(forwardedFor).split(',').map(hop => hop.trim()).filter(Boolean);
+
+    let client = remoteAddress;
+    while (hops.length > 0 && isTrusted(client)) {
+        client = hops.pop();
+    }
+    return client;
+}
@@ -0,0 +1,35 @@
+/**
+ * Stream Keep-Alive
+ * Keeps streaming responses alive while nothing is sent
+ *
+ * Reverse proxies and SDKs time out idle connections, and a stream can stay
+ * silent for a long time: while waiting for a rate-limited account, between
+ * retries, before the first upstream chunk and during long thinking phases.
+ */
+
+// Keep-alive written to silent streams: an Anthropic ping event, or an SSE comment for other formats
+export const ANTHROPIC_PING = `event: ping\ndata: ${JSON.stringify({ type: 'ping' })}\n\n`;
+export const SSE_COMMENT_PING = ': ping\n\n';
+
+/**
+ * Write a keep-alive after every intervalMs of silence until the response ends
+ * @param {Object} res - Express response (headers already flushed)
+ * @param {string} ping - Keep-alive text (ANTHROPIC_PING or SSE_COMMENT_PING)
+ * @param {number} intervalMs - Silence before each keep-alive (0 disables it)
+ * @returns {{touch: Function}} Call touch() after each write to restart the silence timer
+ */
+export function keepStreamAlive(res, ping, intervalMs) {
+    if (!intervalMs) return { touch() {} };
+
+    const timer = setInterval(() => {
+        if (res.writableEnded || res.destroyed) return;
+        res.write(ping);
+        if (res.flush) res.flush();
+    }, intervalMs);
+
+    const stop = () => clearInterval(timer);
+    res.on('finish', stop);
+    res.on('close', stop);
+
+    return { touch: () => timer.refresh() };
+}
@@ -0,0 +1,158 @@
+/**
+ * WebUI Authentication
+ * Session cookies, roles and request actors for the WebUI
+ *
+ * Until the first WebUI user is created the WebUI keeps its original behaviour:
+ * open, or protected by the shared webuiPassword. Once users exist, requests need
+ * a login session (HTTP-only, SameSite=Strict cookie); the shared password, if
+ * set, still works as an admin credential for scripts.
+ */
+
+import { config } from '../config.js';
+import { resolveClientIp } from '../utils/ip.js';
+import { WEBUI_ROLES, hasWebuiUsers } from '../database/models/webui-users.js';
+
+// Session cookie name and lifetime (7 days)
+export const SESSION_COOKIE = 'ag_webui_session';
+export const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Actor for requests authenticated with the shared webuiPassword
+export const SHARED_PASSWORD_ACTOR = { id: null, username: 'shared-password', role: 'admin' };
+
+// Actor for requests to a WebUI without users or password
+export const OPEN_ACTOR = { id: null, username: null, role: 'admin' };
+
+// Routes viewers may use: dashboard data, their own API keys and request logs
+const VIEWER_ROUTES = [
+    ['GET', /^\/account-limits$/],
+    ['GET', /^\/health$/],
+    ['GET', /^\/api\/config$/],
+    ['GET', /^\/api\/keys(\/[^/]+)?$/],
+    ['GET', /^\/api\/logs\/requests(\/[^/]+)?$/],
+    ['POST', /^\/api\/auth\/password$/]
+];
+
+/**
+ * Check if WebUI user logins are enabled (at least one user exists)
+ * @returns {boolean} False when there are no users or the database is unavailable
+ */
+export function isUserLoginEnabled() {
+    try {
+        return hasWebuiUsers();
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Check if a route is open to viewers
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {boolean} True if viewers may call the route
+ */
+export function isViewerRoute(method, path) {
+    return VIEWER_ROUTES.some(([routeMethod, pattern]) => routeMethod === method && pattern.test(path));
+}
+
+/**
+ * Check if a request carries the Prometheus scrape token for /metrics
+ * Scrapers can't hold a login session, so `Authorization: Bearer <metricsToken>`
+ * is accepted there whether or not WebUI users exist.
+ * @param {Object} req - Express request
+ * @returns {boolean} True if a metrics token is configured and matches
+ */
+export function hasMetricsToken(req) {
+    const token = config.metricsToken;
+    return Boolean(token) && req.headers.authorization === `Bearer ${token}`;
+}
+
+/**
+ * Get the WebUI user an API key or log list should be limited to
+ * @param {Object} req - Express request (after the auth middleware)
+ * @returns {string|undefined} The viewer's user ID, or undefined for admins
+ */
+export function getOwnerFilter(req) {
+    return req.webuiUser?.role === 'viewer' ? req.webuiUser.id : undefined;
+}
+
+/**
+ * Get the client IP of a WebUI request (honours trusted proxies like the API)
+ * @param {Object} req - Express request
+ * @returns {string} Client IP
+ */
+export function getRequestIp(req) {
+    return resolveClientIp(req.ip || req.socket?.remoteAddress, req.headers['x-forwarded-for'], config.trustedProxies);
+}
+
+/**
+ * Read the session token from the request cookies
+ * @param {Object} req - Express request
+ * @returns {string|null} Session token, or null if not present
+ */
+export function getSessionToken(req) {
+    const header = req.headers.cookie;
+    if (!header) return null;
+
+    for (const part of header.split(';')) {
+        const separator = part.indexOf('=');
+        if (separator === -1) continue;
+        if (part.slice(0, separator).trim() === SESSION_COOKIE) {
+            return decodeURIComponent(part.slice(separator + 1).trim());
+        }
+    }
+    return null;
+}
+
+/**
+ * Set the session cookie
+ * @param {Object} req - Express request (Secure is added on HTTPS)
+ * @param {Object} res - Express response
+ * @param {string} token - Session token
+ */
+export function setSessionCookie(req, res, token) {
+    const attributes = [
+        `${SESSION_COOKIE}=${encodeURIComponent(token)}`,
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Strict',
+        `Max-Age=${Math.floor(SESSION_TTL_MS / 1000)}`
+    ];
+    if (req.secure) attributes.push('Secure');
+    res.setHeader('Set-Cookie', attributes.join('; '));
+}
+
+/**
+ * Clear the session cookie
+ * @param {Object} res - Express response
+ */
+export function clearSessionCookie(res) {
+    res.setHeader('Set-Cookie', `${SESSION_COOKIE}=; Path=/; HttpOnly; SameSite=Strict; Max-Age=0`);
+}
+
+/**
+ * Validate WebUI user fields from a create/update request
+ * @param {Object} fields - { username, password, role, enabled }
+ * @param {boolean} [partial=false] - Only validate the fields that are present (updates)
+ * @returns {string|null} Error message, or null if valid
+ */
+export function validateWebuiUserFields({ username, password, role, enabled }, partial = false) {
+    if (!partial || username !== undefined) {
+        if (typeof username !== 'string' || !/^[A-Za-z0-9._@-]{1,64}$/.test(username)) {
+            return 'username must be 1-64 letters, digits or . _ @ -';
+        }
+    }
+    if (!partial || password !== undefined) {
+        if (typeof password !== 'string' || password.length < 8) {
+            return 'password must be at least 8 characters';
+        }
+    }
+    if (!partial || role !== undefined) {
+        if (!WEBUI_ROLES.includes(role)) {
+            return `role must be one of: ${WEBUI_ROLES.join(', ')}`;
+        }
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return 'enabled must be a boolean';
+    }
+    return null;
+}
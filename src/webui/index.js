@@ -21,6 +21,7 @@ import { DEFAULT_PORT, ACCOUNT_CONFIG_PATH } from '../constants.js';
 import { logger } from '../utils/logger.js';
 import { getAuthorizationUrl, completeOAuthFlow, startCallbackServer } from '../auth/oauth.js';
 import { loadAccounts, saveAccounts } from '../account-manager/storage.js';
+import { STRATEGY_NAMES } from '../account-manager/strategies/index.js';
 
 // API Keys (database-backed)
 import {
@@ -30,9 +31,60 @@ import {
     updateApiKey,
     deleteApiKey,
     regenerateApiKey,
-    getRateLimitStatus
+    retirePreviousApiKey,
+    getRateLimitStatus,
+    getConcurrencyStatus,
+    getTokenBudgetStatus,
+    validateModelTokenBudgets,
+    validateScopes,
+    validateAllowedTools,
+    validateIpWhitelist,
+    getKeyRotationStatus,
+    validateGracePeriod,
+    MAX_GRACE_PERIOD_MS,
+    API_KEY_SCOPES
 } from '../api-keys/index.js';
 
+// WebUI users, sessions and audit log
+import {
+    WEBUI_ROLES,
+    verifyPassword,
+    createWebuiUser,
+    listWebuiUsers,
+    getWebuiUserById,
+    findWebuiUserByUsername,
+    updateWebuiUser,
+    deleteWebuiUser,
+    countEnabledAdmins,
+    recordWebuiLogin,
+    createWebuiSession,
+    findWebuiSessionUser,
+    deleteWebuiSession
+} from '../database/models/webui-users.js';
+import {
+    recordAuditEvent,
+    getAuditEvents,
+    getAuditFilterOptions,
+    exportAuditEvents
+} from '../database/models/audit-log.js';
+import { getResponseCacheStats, clearResponseCache } from '../database/models/response-cache.js';
+import { validateRoutingRules, normalizeRoutingRules } from '../routing/index.js';
+import { validateFallbackChains, normalizeFallbackChains } from '../fallback-config.js';
+import {
+    SESSION_TTL_MS,
+    SHARED_PASSWORD_ACTOR,
+    OPEN_ACTOR,
+    isUserLoginEnabled,
+    isViewerRoute,
+    hasMetricsToken,
+    getOwnerFilter,
+    getRequestIp,
+    getSessionToken,
+    setSessionCookie,
+    clearSessionCookie,
+    validateWebuiUserFields
+} from './auth.js';
+
 // Request Logs
 import {
     getRequestLogs,
@@ -67,6 +119,7 @@ const pendingOAuthFlows = new Map();
 
 /**
  * Set account enabled/disabled state
+ * @returns {Promise<boolean>} The previous enabled state
  */
 async function setAccountEnabled(email, enabled) {
     const { accounts, settings, activeIndex } = await loadAccounts(ACCOUNT_CONFIG_PATH);
@@ -74,13 +127,16 @@ async function setAccountEnabled(email, enabled) {
     if (!account) {
         throw new Error(`Account ${email} not found`);
     }
+    const wasEnabled = account.enabled !== false;
     account.enabled = enabled;
     await saveAccounts(ACCOUNT_CONFIG_PATH, accounts, settings, activeIndex);
     logger.info(`[WebUI] Account ${email} ${enabled ? 'enabled' : 'disabled'}`);
+    return wasEnabled;
 }
 
 /**
  * Remove account from config
+ * @returns {Promise<Object>} The removed account
  */
 async function removeAccount(email) {
     const { accounts, settings, activeIndex } = await loadAccounts(ACCOUNT_CONFIG_PATH);
@@ -88,11 +144,12 @@ async function removeAccount(email) {
     if (index === -1) {
         throw new Error(`Account ${email} not found`);
     }
-    accounts.splice(index, 1);
+    const [removed] = accounts.splice(index, 1);
     // Adjust activeIndex if needed
     const newActiveIndex = activeIndex >= accounts.length ? Math.max(0, accounts.length - 1) : activeIndex;
     await saveAccounts(ACCOUNT_CONFIG_PATH, accounts, settings, newActiveIndex);
     logger.info(`[WebUI] Account ${email} removed`);
+    return removed;
 }
 
 /**
@@ -132,29 +189,99 @@ async function addAccount(accountData) {
 }
 
 /**
- * Auth Middleware - Optional password protection for WebUI
- * Password can be set via WEBUI_PASSWORD env var or config.json
+ * Auth Middleware - Optional password protection and user logins for WebUI
+ * Password can be set via WEBUI_PASSWORD env var or config.json. Once WebUI users
+ * exist, protected routes need a login session and viewers are limited to
+ * the routes in isViewerRoute(). Sets req.webuiUser to the acting user.
  */
 function createAuthMiddleware() {
     return (req, res, next) => {
         const password = config.webuiPassword;
-        if (!password) return next();
+        const usersEnabled = isUserLoginEnabled();
+        const providedPassword = req.headers['x-webui-password'] || req.query.password;
+
+        req.webuiUser = (usersEnabled ? findWebuiSessionUser(getSessionToken(req)) : null)
+            || (password && providedPassword === password ? SHARED_PASSWORD_ACTOR : null)
+            || (!password && !usersEnabled ? OPEN_ACTOR : null);
 
         // Determine if this path should be protected
         const isApiRoute = req.path.startsWith('/api/');
-        const isException = req.path === '/api/auth/url' || req.path === '/api/config';
-        const isProtected = (isApiRoute && !isException) || req.path === '/account-limits' || req.path === '/health';
+        const isSessionRoute = req.path === '/api/auth/session' || req.path === '/api/auth/login' || req.path === '/api/auth/logout';
+        const isException = !usersEnabled && (req.path === '/api/auth/url' || req.path === '/api/config');
+        const isProtected = (isApiRoute && !isSessionRoute && !isException) || req.path === '/account-limits' || req.path === '/health' || req.path === '/metrics';
+
+        // Prometheus scrapers authenticate with the metrics token instead of a session
+        if (req.path === '/metrics' && hasMetricsToken(req)) {
+            return next();
+        }
 
         if (isProtected) {
-            const providedPassword = req.headers['x-webui-password'] || req.query.password;
-            if (providedPassword !== password) {
-                return res.status(401).json({ status: 'error', error: 'Unauthorized: Password required' });
+            if (!req.webuiUser) {
+                return res.status(401).json({
+                    status: 'error',
+                    error: usersEnabled ? 'Unauthorized: Login required' : 'Unauthorized: Password required',
+                    loginRequired: usersEnabled
+                });
+            }
+            if (req.webuiUser.role !== 'admin' && !isViewerRoute(req.method, req.path)) {
+                return res.status(403).json({ status: 'error', error: 'Forbidden: Admin role required' });
             }
         }
         next();
     };
 }
 
+/**
+ * Validate the owner of an API key from a create/update request
+ * @param {*} ownerUserId - Expected: null or the ID of a WebUI user
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateKeyOwner(ownerUserId) {
+    if (ownerUserId === null || ownerUserId === undefined) return null;
+    return getWebuiUserById(ownerUserId) ? null : `Unknown WebUI user: ${ownerUserId}`;
+}
+
+/**
+ * Record an administrative change in the audit log
+ * Failures are reported but never affect the response.
+ * @param {Object} req - Express request (after the auth middleware)
+ * @param {string} action - What was done, e.g. "keys.create"
+ * @param {string|null} [target] - What it was done to (key ID, account email, ...)
+ * @param {Object} [values] - { before, after } of the changed object; only differing fields are stored, secrets redacted
+ */
+function audit(req, action, target = null, { before = null, after = null } = {}) {
+    try {
+        recordAuditEvent({
+            user_id: req.webuiUser?.id,
+            username: req.webuiUser?.username,
+            client_ip: getRequestIp(req),
+            action,
+            target,
+            before,
+            after
+        });
+    } catch (error) {
+        logger.error('[WebUI] Failed to write audit log:', error.message);
+    }
+}
+
+/**
+ * Read audit log filters from the query string
+ * @param {Object} query - req.query
+ * @returns {Object} Filter options for getAuditEvents / exportAuditEvents
+ */
+function getAuditQueryFilters(query) {
+    const { action, username, target, from, to, search } = query;
+    return {
+        action,
+        username,
+        target,
+        from: from ? parseInt(from) : undefined,
+        to: to ? parseInt(to) : undefined,
+        search
+    };
+}
+
 /**
  * Mount WebUI routes and middleware on Express app
  * @param {Express} app - Express application instance
@@ -201,6 +328,7 @@ export function mountWebUI(app, dirname, accountManager) {
             const { email } = req.params;
             accountManager.clearTokenCache(email);
             accountManager.clearProjectCache(email);
+            audit(req, 'accounts.refresh', email);
             res.json({
                 status: 'ok',
                 message: `Token cache cleared for ${email}`
@@ -222,10 +350,14 @@ export function mountWebUI(app, dirname, accountManager) {
                 return res.status(400).json({ status: 'error', error: 'enabled must be a boolean' });
             }
 
-            await setAccountEnabled(email, enabled);
+            const wasEnabled = await setAccountEnabled(email, enabled);
 
             // Reload AccountManager to pick up changes
             await accountManager.reload();
+            audit(req, enabled ? 'accounts.enable' : 'accounts.disable', email, {
+                before: { enabled: wasEnabled },
+                after: { enabled }
+            });
 
             res.json({
                 status: 'ok',
@@ -242,10 +374,11 @@ export function mountWebUI(app, dirname, accountManager) {
     app.delete('/api/accounts/:email', async (req, res) => {
         try {
             const { email } = req.params;
-            await removeAccount(email);
+            const removed = await removeAccount(email);
 
             // Reload AccountManager to pick up changes
             await accountManager.reload();
+            audit(req, 'accounts.delete', email, { before: removed });
 
             res.json({
                 status: 'ok',
@@ -263,6 +396,7 @@ export function mountWebUI(app, dirname, accountManager) {
         try {
             // Reload AccountManager from disk
             await accountManager.reload();
+            audit(req, 'accounts.reload');
 
             const status = accountManager.getStatus();
             res.json({
@@ -280,11 +414,11 @@ export function mountWebUI(app, dirname, accountManager) {
     // ==========================================
 
     /**
-     * GET /api/config - Get server configuration
+     * GET /api/config - Get server configuration (viewers only get the version)
      */
     app.get('/api/config', (req, res) => {
         try {
-            const publicConfig = getPublicConfig();
+            const publicConfig = req.webuiUser?.role === 'viewer' ? null : getPublicConfig();
             res.json({
                 status: 'ok',
                 config: publicConfig,
@@ -302,7 +436,7 @@ export function mountWebUI(app, dirname, accountManager) {
      */
     app.post('/api/config', (req, res) => {
         try {
-            const { debug, logLevel, maxRetries, retryBaseMs, retryMaxMs, persistTokenCache, defaultCooldownMs, maxWaitBeforeErrorMs, accountSelection } = req.body;
+            const { debug, logLevel, maxRetries, retryBaseMs, retryMaxMs, persistTokenCache, defaultCooldownMs, maxWaitBeforeErrorMs, streamKeepAliveMs, batchConcurrency, trustedProxies, keyRotationGraceMs, responseCacheEnabled, responseCacheTtlMs, responseCacheMaxEntries, responseCacheMaxSizeMb, accountSelection } = req.body;
 
             // Only allow updating specific fields (security)
             const updates = {};
@@ -328,10 +462,33 @@ export function mountWebUI(app, dirname, accountManager) {
             if (typeof maxWaitBeforeErrorMs === 'number' && maxWaitBeforeErrorMs >= 0 && maxWaitBeforeErrorMs <= 600000) {
                 updates.maxWaitBeforeErrorMs = maxWaitBeforeErrorMs;
             }
+            if (Number.isInteger(streamKeepAliveMs) && (streamKeepAliveMs === 0 || (streamKeepAliveMs >= 1000 && streamKeepAliveMs <= 120000))) {
+                updates.streamKeepAliveMs = streamKeepAliveMs;
+            }
+            if (Number.isInteger(batchConcurrency) && batchConcurrency >= 1 && batchConcurrency <= 32) {
+                updates.batchConcurrency = batchConcurrency;
+            }
+            if (Array.isArray(trustedProxies) && !validateIpWhitelist(trustedProxies, 'trustedProxies')) {
+                updates.trustedProxies = trustedProxies.map(entry => entry.trim());
+            }
+            if (keyRotationGraceMs !== undefined && !validateGracePeriod(keyRotationGraceMs)) {
+                updates.keyRotationGraceMs = keyRotationGraceMs;
+            }
+            if (typeof responseCacheEnabled === 'boolean') {
+                updates.responseCacheEnabled = responseCacheEnabled;
+            }
+            if (Number.isInteger(responseCacheTtlMs) && responseCacheTtlMs >= 1000 && responseCacheTtlMs <= 30 * 24 * 60 * 60 * 1000) {
+                updates.responseCacheTtlMs = responseCacheTtlMs;
+            }
+            if (Number.isInteger(responseCacheMaxEntries) && responseCacheMaxEntries >= 1 && responseCacheMaxEntries <= 1000000) {
+                updates.responseCacheMaxEntries = responseCacheMaxEntries;
+            }
+            if (Number.isInteger(responseCacheMaxSizeMb) && responseCacheMaxSizeMb >= 1 && responseCacheMaxSizeMb <= 10240) {
+                updates.responseCacheMaxSizeMb = responseCacheMaxSizeMb;
+            }
             // Account selection strategy validation
             if (accountSelection && typeof accountSelection === 'object') {
-                const validStrategies = ['sticky', 'round-robin', 'hybrid'];
-                if (accountSelection.strategy && validStrategies.includes(accountSelection.strategy)) {
+                if (accountSelection.strategy && STRATEGY_NAMES.includes(accountSelection.strategy)) {
                     updates.accountSelection = {
                         ...(config.accountSelection || {}),
                         strategy: accountSelection.strategy
@@ -346,9 +503,20 @@ export function mountWebUI(app, dirname, accountManager) {
                 });
             }
 
+            // Snapshot the current values for the audit log (saveConfig updates config in place)
+            const previous = JSON.parse(JSON.stringify(
+                Object.fromEntries(Object.keys(updates).map(key => [key, config[key]]))
+            ));
+
             const success = saveConfig(updates);
 
             if (success) {
+                // Apply strategy changes immediately
+                if (updates.accountSelection && accountManager) {
+                    accountManager.setStrategy(updates.accountSelection.strategy);
+                }
+                audit(req, 'config.update', Object.keys(updates).join(', '), { before: previous, after: updates });
+
                 res.json({
                     status: 'ok',
                     message: 'Configuration saved. Restart server to apply some changes.',
@@ -391,11 +559,16 @@ export function mountWebUI(app, dirname, accountManager) {
             }
 
             // Save new password
+            const previousPassword = config.webuiPassword;
             const success = saveConfig({ webuiPassword: newPassword });
 
             if (success) {
                 // Update in-memory config
                 config.webuiPassword = newPassword;
+                audit(req, 'config.password', null, {
+                    before: { webuiPassword: previousPassword },
+                    after: { webuiPassword: newPassword }
+                });
                 res.json({
                     status: 'ok',
                     message: 'Password changed successfully'
@@ -427,6 +600,230 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    // ==========================================
+    // WebUI Users & Sessions
+    // ==========================================
+
+    /**
+     * GET /api/auth/session - Current WebUI user and whether user logins are enabled
+     */
+    app.get('/api/auth/session', (req, res) => {
+        res.json({
+            status: 'ok',
+            usersEnabled: isUserLoginEnabled(),
+            user: req.webuiUser
+        });
+    });
+
+    /**
+     * POST /api/auth/login - Log in as a WebUI user (sets the session cookie)
+     */
+    app.post('/api/auth/login', async (req, res) => {
+        try {
+            const { username, password } = req.body || {};
+
+            if (!isUserLoginEnabled()) {
+                return res.status(400).json({ status: 'error', error: 'No WebUI users configured' });
+            }
+
+            const user = typeof username === 'string' ? findWebuiUserByUsername(username) : null;
+            const valid = user && user.enabled && await verifyPassword(password, user.password_hash);
+            if (!valid) {
+                logger.warn(`[WebUI] Failed login for "${username}" from ${getRequestIp(req)}`);
+                return res.status(401).json({ status: 'error', error: 'Invalid username or password' });
+            }
+
+            const session = createWebuiSession(user.id, {
+                ttlMs: SESSION_TTL_MS,
+                client_ip: getRequestIp(req),
+                user_agent: req.headers['user-agent'] || null
+            });
+            setSessionCookie(req, res, session.token);
+            recordWebuiLogin(user.id);
+
+            req.webuiUser = getWebuiUserById(user.id);
+            audit(req, 'auth.login', user.username);
+
+            res.json({ status: 'ok', user: req.webuiUser });
+        } catch (error) {
+            logger.error('[WebUI] Error logging in:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/auth/logout - End the current session
+     */
+    app.post('/api/auth/logout', (req, res) => {
+        try {
+            deleteWebuiSession(getSessionToken(req));
+            clearSessionCookie(res);
+            res.json({ status: 'ok' });
+        } catch (error) {
+            logger.error('[WebUI] Error logging out:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/auth/password - Change the logged-in user's own password
+     */
+    app.post('/api/auth/password', async (req, res) => {
+        try {
+            const { oldPassword, newPassword } = req.body || {};
+
+            if (!req.webuiUser?.id) {
+                return res.status(400).json({ status: 'error', error: 'Not logged in as a WebUI user' });
+            }
+
+            const validationError = validateWebuiUserFields({ password: newPassword }, true);
+            if (validationError) {
+                return res.status(400).json({ status: 'error', error: validationError });
+            }
+
+            const user = findWebuiUserByUsername(req.webuiUser.username);
+            if (!await verifyPassword(oldPassword, user.password_hash)) {
+                return res.status(403).json({ status: 'error', error: 'Invalid current password' });
+            }
+
+            // Ends all sessions of the user, so log this browser in again
+            await updateWebuiUser(user.id, { password: newPassword });
+            const session = createWebuiSession(user.id, {
+                ttlMs: SESSION_TTL_MS,
+                client_ip: getRequestIp(req),
+                user_agent: req.headers['user-agent'] || null
+            });
+            setSessionCookie(req, res, session.token);
+            audit(req, 'users.password', user.username, {
+                before: { password_hash: user.password_hash },
+                after: { password_hash: findWebuiUserByUsername(user.username).password_hash }
+            });
+
+            res.json({ status: 'ok', message: 'Password changed successfully' });
+        } catch (error) {
+            logger.error('[WebUI] Error changing user password:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/users - List WebUI users
+     */
+    app.get('/api/users', (req, res) => {
+        try {
+            res.json({
+                status: 'ok',
+                users: listWebuiUsers(),
+                roles: WEBUI_ROLES
+            });
+        } catch (error) {
+            logger.error('[WebUI] Error listing users:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/users - Create a WebUI user (the first user must be an admin)
+     */
+    app.post('/api/users', async (req, res) => {
+        try {
+            const { username, password, role } = req.body || {};
+
+            const validationError = validateWebuiUserFields({ username, password, role });
+            if (validationError) {
+                return res.status(400).json({ status: 'error', error: validationError });
+            }
+            if (role !== 'admin' && !isUserLoginEnabled()) {
+                return res.status(400).json({ status: 'error', error: 'The first WebUI user must be an admin' });
+            }
+            if (findWebuiUserByUsername(username)) {
+                return res.status(409).json({ status: 'error', error: `User ${username} already exists` });
+            }
+
+            const user = await createWebuiUser({ username, password, role });
+            logger.info(`[WebUI] Created ${role} user ${username}`);
+            audit(req, 'users.create', username, { after: user });
+
+            res.json({ status: 'ok', user });
+        } catch (error) {
+            logger.error('[WebUI] Error creating user:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * PATCH /api/users/:id - Change a WebUI user's password, role or enabled state
+     */
+    app.patch('/api/users/:id', async (req, res) => {
+        try {
+            const { id } = req.params;
+            const { password, role, enabled } = req.body || {};
+
+            const validationError = validateWebuiUserFields({ password, role, enabled }, true);
+            if (validationError) {
+                return res.status(400).json({ status: 'error', error: validationError });
+            }
+
+            const user = getWebuiUserById(id);
+            if (!user) {
+                return res.status(404).json({ status: 'error', error: 'User not found' });
+            }
+
+            const losesAdmin = user.role === 'admin' && user.enabled && ((role && role !== 'admin') || enabled === false);
+            if (losesAdmin && countEnabledAdmins(id) === 0) {
+                return res.status(400).json({ status: 'error', error: 'Cannot demote or disable the last admin' });
+            }
+
+            const updates = {};
+            if (password !== undefined) updates.password = password;
+            if (role !== undefined) updates.role = role;
+            if (enabled !== undefined) updates.enabled = enabled;
+
+            if (Object.keys(updates).length === 0) {
+                return res.status(400).json({ status: 'error', error: 'No valid updates provided' });
+            }
+
+            const previous = findWebuiUserByUsername(user.username);
+            await updateWebuiUser(id, updates);
+            const updated = findWebuiUserByUsername(user.username);
+            logger.info(`[WebUI] Updated user ${user.username}`);
+            audit(req, 'users.update', user.username, { before: previous, after: updated });
+
+            res.json({ status: 'ok', user: getWebuiUserById(id) });
+        } catch (error) {
+            logger.error('[WebUI] Error updating user:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * DELETE /api/users/:id - Delete a WebUI user (their API keys lose their owner)
+     */
+    app.delete('/api/users/:id', (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const user = getWebuiUserById(id);
+            if (!user) {
+                return res.status(404).json({ status: 'error', error: 'User not found' });
+            }
+
+            // The last user may be removed (back to password/open mode), the last admin may not
+            if (user.role === 'admin' && user.enabled && countEnabledAdmins(id) === 0 && listWebuiUsers().length > 1) {
+                return res.status(400).json({ status: 'error', error: 'Cannot delete the last admin' });
+            }
+
+            deleteWebuiUser(id);
+            logger.info(`[WebUI] Deleted user ${user.username}`);
+            audit(req, 'users.delete', user.username, { before: user });
+
+            res.json({ status: 'ok', message: 'User deleted' });
+        } catch (error) {
+            logger.error('[WebUI] Error deleting user:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     // ==========================================
     // API Key Management (Advanced - Database-backed)
     // ==========================================
@@ -436,10 +833,16 @@ export function mountWebUI(app, dirname, accountManager) {
      */
     app.get('/api/keys', (req, res) => {
         try {
-            const keys = listApiKeys();
+            const keys = listApiKeys({ owner_user_id: getOwnerFilter(req) }).map(key => ({
+                ...key,
+                concurrencyStatus: getConcurrencyStatus(key),
+                tokenBudgetStatus: getTokenBudgetStatus(key),
+                rotationStatus: getKeyRotationStatus(key)
+            }));
             res.json({
                 status: 'ok',
-                keys: keys
+                keys: keys,
+                availableScopes: API_KEY_SCOPES
             });
         } catch (error) {
             logger.error('[WebUI] Error listing API keys:', error);
@@ -454,20 +857,24 @@ export function mountWebUI(app, dirname, accountManager) {
         try {
             const { id } = req.params;
             const key = getApiKeyById(id);
+            const ownerId = getOwnerFilter(req);
 
-            if (!key) {
+            if (!key || (ownerId && key.owner_user_id !== ownerId)) {
                 return res.status(404).json({
                     status: 'error',
                     error: 'API key not found'
                 });
             }
 
-            // Add rate limit status
+            // Add rate limit, concurrency, token budget and rotation status
             const rateLimitStatus = getRateLimitStatus(key);
+            const concurrencyStatus = getConcurrencyStatus(key);
+            const tokenBudgetStatus = getTokenBudgetStatus(key);
+            const rotationStatus = getKeyRotationStatus(key);
 
             res.json({
                 status: 'ok',
-                key: { ...key, rateLimitStatus }
+                key: { ...key, rateLimitStatus, concurrencyStatus, tokenBudgetStatus, rotationStatus }
             });
         } catch (error) {
             logger.error('[WebUI] Error getting API key:', error);
@@ -485,22 +892,54 @@ export function mountWebUI(app, dirname, accountManager) {
                 allowed_models,
                 rate_limit_rpm,
                 rate_limit_rph,
+                max_concurrent_requests,
                 ip_whitelist,
                 expires_at,
+                token_budget_daily,
+                token_budget_monthly,
+                model_token_budgets,
+                scopes,
+                streaming_only,
+                max_tokens_limit,
+                thinking_disabled,
+                allowed_tools,
+                response_cache,
+                owner_user_id,
                 notes
             } = req.body;
 
+            const validationError = validateIpWhitelist(ip_whitelist)
+                || validateModelTokenBudgets(model_token_budgets)
+                || validateScopes(scopes)
+                || validateAllowedTools(allowed_tools)
+                || validateKeyOwner(owner_user_id);
+            if (validationError) {
+                return res.status(400).json({ status: 'error', error: validationError });
+            }
+
             const keyEntry = createApiKey({
                 name: name || 'Unnamed Key',
                 allowed_models,
                 rate_limit_rpm,
                 rate_limit_rph,
+                max_concurrent_requests,
                 ip_whitelist,
                 expires_at,
+                token_budget_daily,
+                token_budget_monthly,
+                model_token_budgets,
+                scopes,
+                streaming_only,
+                max_tokens_limit,
+                thinking_disabled,
+                allowed_tools,
+                response_cache,
+                owner_user_id,
                 notes
             });
 
             logger.info(`[WebUI] Created new API key: ${keyEntry.name}`);
+            audit(req, 'keys.create', keyEntry.id, { after: keyEntry });
 
             // Return full key only on creation
             res.json({
@@ -525,19 +964,50 @@ export function mountWebUI(app, dirname, accountManager) {
                 allowed_models,
                 rate_limit_rpm,
                 rate_limit_rph,
+                max_concurrent_requests,
                 ip_whitelist,
                 expires_at,
+                token_budget_daily,
+                token_budget_monthly,
+                model_token_budgets,
+                scopes,
+                streaming_only,
+                max_tokens_limit,
+                thinking_disabled,
+                allowed_tools,
+                response_cache,
+                owner_user_id,
                 enabled,
                 notes
             } = req.body;
 
+            const validationError = validateIpWhitelist(ip_whitelist)
+                || validateModelTokenBudgets(model_token_budgets)
+                || validateScopes(scopes)
+                || validateAllowedTools(allowed_tools)
+                || validateKeyOwner(owner_user_id);
+            if (validationError) {
+                return res.status(400).json({ status: 'error', error: validationError });
+            }
+
             const updates = {};
             if (name !== undefined) updates.name = name;
             if (allowed_models !== undefined) updates.allowed_models = allowed_models;
             if (rate_limit_rpm !== undefined) updates.rate_limit_rpm = rate_limit_rpm;
             if (rate_limit_rph !== undefined) updates.rate_limit_rph = rate_limit_rph;
+            if (max_concurrent_requests !== undefined) updates.max_concurrent_requests = max_concurrent_requests;
             if (ip_whitelist !== undefined) updates.ip_whitelist = ip_whitelist;
             if (expires_at !== undefined) updates.expires_at = expires_at;
+            if (token_budget_daily !== undefined) updates.token_budget_daily = token_budget_daily;
+            if (token_budget_monthly !== undefined) updates.token_budget_monthly = token_budget_monthly;
+            if (model_token_budgets !== undefined) updates.model_token_budgets = model_token_budgets;
+            if (scopes !== undefined) updates.scopes = scopes;
+            if (streaming_only !== undefined) updates.streaming_only = streaming_only;
+            if (max_tokens_limit !== undefined) updates.max_tokens_limit = max_tokens_limit;
+            if (thinking_disabled !== undefined) updates.thinking_disabled = thinking_disabled;
+            if (allowed_tools !== undefined) updates.allowed_tools = allowed_tools;
+            if (response_cache !== undefined) updates.response_cache = response_cache;
+            if (owner_user_id !== undefined) updates.owner_user_id = owner_user_id;
             if (enabled !== undefined) updates.enabled = enabled;
             if (notes !== undefined) updates.notes = notes;
 
@@ -548,6 +1018,7 @@ export function mountWebUI(app, dirname, accountManager) {
                 });
             }
 
+            const previous = getApiKeyById(id);
             const success = updateApiKey(id, updates);
             if (!success) {
                 return res.status(404).json({
@@ -556,11 +1027,13 @@ export function mountWebUI(app, dirname, accountManager) {
                 });
             }
 
+            const updated = getApiKeyById(id);
             logger.info(`[WebUI] Updated API key ${id}`);
+            audit(req, 'keys.update', id, { before: previous, after: updated });
             res.json({
                 status: 'ok',
                 message: 'API key updated',
-                key: getApiKeyById(id)
+                key: updated
             });
         } catch (error) {
             logger.error('[WebUI] Error updating API key:', error);
@@ -575,6 +1048,7 @@ export function mountWebUI(app, dirname, accountManager) {
         try {
             const { id } = req.params;
 
+            const previous = getApiKeyById(id);
             const success = deleteApiKey(id);
             if (!success) {
                 return res.status(404).json({
@@ -584,6 +1058,7 @@ export function mountWebUI(app, dirname, accountManager) {
             }
 
             logger.info(`[WebUI] Deleted API key ${id}`);
+            audit(req, 'keys.delete', id, { before: previous });
             res.json({
                 status: 'ok',
                 message: 'API key deleted'
@@ -596,12 +1071,21 @@ export function mountWebUI(app, dirname, accountManager) {
 
     /**
      * POST /api/keys/:id/regenerate - Regenerate an API key (new key, same settings)
+     * Body: { grace_period_ms } - how long the old key keeps working (default: keyRotationGraceMs, 0 = revoke now)
      */
     app.post('/api/keys/:id/regenerate', (req, res) => {
         try {
             const { id } = req.params;
+            const { grace_period_ms } = req.body || {};
 
-            const newKey = regenerateApiKey(id);
+            const validationError = validateGracePeriod(grace_period_ms);
+            if (validationError) {
+                return res.status(400).json({ status: 'error', error: validationError });
+            }
+
+            const gracePeriodMs = grace_period_ms ?? Math.min(config.keyRotationGraceMs || 0, MAX_GRACE_PERIOD_MS);
+            const previous = getApiKeyById(id);
+            const newKey = regenerateApiKey(id, { gracePeriodMs });
             if (!newKey) {
                 return res.status(404).json({
                     status: 'error',
@@ -609,11 +1093,15 @@ export function mountWebUI(app, dirname, accountManager) {
                 });
             }
 
-            logger.info(`[WebUI] Regenerated API key ${id}`);
+            logger.info(`[WebUI] Regenerated API key ${id}` +
+                (newKey.previous_key_expires_at ? ` (old key valid until ${new Date(newKey.previous_key_expires_at).toISOString()})` : ''));
+            audit(req, 'keys.regenerate', id, { before: previous, after: getApiKeyById(id) });
             res.json({
                 status: 'ok',
                 key: newKey, // Includes new full key - shown only once!
-                message: 'API key regenerated. Copy the new key now!'
+                message: newKey.previous_key_expires_at
+                    ? 'API key regenerated. Copy the new key now! The old key keeps working until the grace period ends.'
+                    : 'API key regenerated. Copy the new key now!'
             });
         } catch (error) {
             logger.error('[WebUI] Error regenerating API key:', error);
@@ -621,6 +1109,34 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    /**
+     * DELETE /api/keys/:id/previous - Retire a rotated key's old key before its grace period ends
+     */
+    app.delete('/api/keys/:id/previous', (req, res) => {
+        try {
+            const { id } = req.params;
+
+            const previous = getApiKeyById(id);
+            const success = retirePreviousApiKey(id);
+            if (!success) {
+                return res.status(404).json({
+                    status: 'error',
+                    error: 'API key has no old key in a grace period'
+                });
+            }
+
+            logger.info(`[WebUI] Retired previous key of API key ${id}`);
+            audit(req, 'keys.revoke_previous', id, { before: previous, after: getApiKeyById(id) });
+            res.json({
+                status: 'ok',
+                message: 'Old key revoked'
+            });
+        } catch (error) {
+            logger.error('[WebUI] Error retiring previous API key:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     // ==========================================
     // Request Logs API
     // ==========================================
@@ -634,6 +1150,9 @@ export function mountWebUI(app, dirname, accountManager) {
                 api_key_id,
                 model,
                 status,
+                api_format,
+                account_email,
+                end_user_id,
                 from,
                 to,
                 search,
@@ -643,8 +1162,12 @@ export function mountWebUI(app, dirname, accountManager) {
 
             const result = getRequestLogs({
                 api_key_id,
+                owner_user_id: getOwnerFilter(req),
                 model,
                 status,
+                api_format,
+                account_email,
+                end_user_id,
                 from: from ? parseInt(from) : undefined,
                 to: to ? parseInt(to) : undefined,
                 search,
@@ -667,10 +1190,12 @@ export function mountWebUI(app, dirname, accountManager) {
      */
     app.get('/api/logs/requests/stats', (req, res) => {
         try {
-            const { api_key_id, from, to } = req.query;
+            const { api_key_id, api_format, from, to } = req.query;
 
             const stats = getRequestStats({
                 api_key_id,
+                owner_user_id: getOwnerFilter(req),
+                api_format,
                 from: from ? parseInt(from) : undefined,
                 to: to ? parseInt(to) : undefined
             });
@@ -690,12 +1215,16 @@ export function mountWebUI(app, dirname, accountManager) {
      */
     app.get('/api/logs/requests/export', (req, res) => {
         try {
-            const { api_key_id, model, status, from, to, search, format = 'csv' } = req.query;
+            const { api_key_id, model, status, api_format, account_email, end_user_id, from, to, search, format = 'csv' } = req.query;
 
             const options = {
                 api_key_id,
+                owner_user_id: getOwnerFilter(req),
                 model,
                 status,
+                api_format,
+                account_email,
+                end_user_id,
                 from: from ? parseInt(from) : undefined,
                 to: to ? parseInt(to) : undefined,
                 search
@@ -726,8 +1255,9 @@ export function mountWebUI(app, dirname, accountManager) {
         try {
             const { id } = req.params;
             const log = getRequestLogById(id);
+            const ownerId = getOwnerFilter(req);
 
-            if (!log) {
+            if (!log || (ownerId && log.api_key_owner_id !== ownerId)) {
                 return res.status(404).json({
                     status: 'error',
                     error: 'Request log not found'
@@ -795,6 +1325,105 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    // ==========================================
+    // Response Cache API
+    // ==========================================
+
+    /**
+     * GET /api/cache - Get response cache settings and statistics
+     */
+    app.get('/api/cache', (req, res) => {
+        try {
+            res.json({
+                status: 'ok',
+                settings: {
+                    responseCacheEnabled: config.responseCacheEnabled,
+                    responseCacheTtlMs: config.responseCacheTtlMs,
+                    responseCacheMaxEntries: config.responseCacheMaxEntries,
+                    responseCacheMaxSizeMb: config.responseCacheMaxSizeMb
+                },
+                stats: getResponseCacheStats()
+            });
+        } catch (error) {
+            logger.error('[WebUI] Error getting response cache stats:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * POST /api/cache/clear - Delete cached responses
+     * Body: { api_key_id } - only clear the entries of this API key (optional)
+     */
+    app.post('/api/cache/clear', (req, res) => {
+        try {
+            const { api_key_id } = req.body || {};
+            const deleted = clearResponseCache({ api_key_id });
+
+            audit(req, 'cache.clear', api_key_id || 'all', { after: { deleted } });
+            logger.info(`[WebUI] Cleared ${deleted} cached responses`);
+            res.json({
+                status: 'ok',
+                deleted,
+                message: `Cleared ${deleted} cached responses`
+            });
+        } catch (error) {
+            logger.error('[WebUI] Error clearing response cache:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    // ==========================================
+    // Audit Log API
+    // ==========================================
+
+    /**
+     * GET /api/audit - List audit events with filtering and pagination
+     */
+    app.get('/api/audit', (req, res) => {
+        try {
+            const { page = 1, limit = 50 } = req.query;
+
+            const result = getAuditEvents({
+                ...getAuditQueryFilters(req.query),
+                page: parseInt(page),
+                limit: Math.min(parseInt(limit), 200)
+            });
+
+            res.json({
+                status: 'ok',
+                ...result,
+                filterOptions: getAuditFilterOptions()
+            });
+        } catch (error) {
+            logger.error('[WebUI] Error getting audit log:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/audit/export - Export audit events as CSV or JSON
+     */
+    app.get('/api/audit/export', (req, res) => {
+        try {
+            const { format = 'csv' } = req.query;
+            const filters = getAuditQueryFilters(req.query);
+
+            if (format === 'csv') {
+                res.setHeader('Content-Type', 'text/csv');
+                res.setHeader('Content-Disposition', 'attachment; filename="audit-log.csv"');
+                res.send(exportAuditEvents(filters));
+            } else {
+                const result = getAuditEvents({ ...filters, page: 1, limit: 10000 });
+                res.setHeader('Content-Type', 'application/json');
+                res.setHeader('Content-Disposition', 'attachment; filename="audit-log.json"');
+                res.json(result.events);
+            }
+        } catch (error) {
+            logger.error('[WebUI] Error exporting audit log:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     // ==========================================
     // Model Configuration API
     // ==========================================
@@ -812,6 +1441,7 @@ export function mountWebUI(app, dirname, accountManager) {
 
             // Load current config
             const currentMapping = config.modelMapping || {};
+            const previousModelConfig = JSON.parse(JSON.stringify(currentMapping[modelId] || {}));
 
             // Update specific model config
             currentMapping[modelId] = {
@@ -825,6 +1455,7 @@ export function mountWebUI(app, dirname, accountManager) {
             if (success) {
                 // Update in-memory config reference
                 config.modelMapping = currentMapping;
+                audit(req, 'models.config', modelId, { before: previousModelConfig, after: currentMapping[modelId] });
                 res.json({ status: 'ok', modelConfig: currentMapping[modelId] });
             } else {
                 throw new Error('Failed to save configuration');
@@ -834,6 +1465,78 @@ export function mountWebUI(app, dirname, accountManager) {
         }
     });
 
+    // ==========================================
+    // Model Routing API
+    // ==========================================
+
+    /**
+     * GET /api/routing/rules - Get the ordered model routing rules
+     */
+    app.get('/api/routing/rules', (req, res) => {
+        res.json({ status: 'ok', rules: config.routingRules || [] });
+    });
+
+    /**
+     * POST /api/routing/rules - Replace the model routing rules (order is significant)
+     */
+    app.post('/api/routing/rules', (req, res) => {
+        try {
+            const { rules } = req.body || {};
+
+            const validationError = validateRoutingRules(rules);
+            if (validationError) {
+                return res.status(400).json({ status: 'error', error: validationError });
+            }
+
+            const previousRules = config.routingRules || [];
+            const routingRules = normalizeRoutingRules(rules);
+
+            if (!saveConfig({ routingRules })) {
+                throw new Error('Failed to save configuration');
+            }
+
+            audit(req, 'routing.update', null, { before: { rules: previousRules }, after: { rules: routingRules } });
+            res.json({ status: 'ok', rules: routingRules });
+        } catch (error) {
+            logger.error('[WebUI] Error saving routing rules:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
+    /**
+     * GET /api/routing/fallbacks - Get the per-model fallback chains
+     */
+    app.get('/api/routing/fallbacks', (req, res) => {
+        res.json({ status: 'ok', chains: config.fallbackChains || {} });
+    });
+
+    /**
+     * POST /api/routing/fallbacks - Replace the per-model fallback chains
+     */
+    app.post('/api/routing/fallbacks', (req, res) => {
+        try {
+            const { chains } = req.body || {};
+
+            const validationError = validateFallbackChains(chains);
+            if (validationError) {
+                return res.status(400).json({ status: 'error', error: validationError });
+            }
+
+            const previousChains = config.fallbackChains || {};
+            const fallbackChains = normalizeFallbackChains(chains);
+
+            if (!saveConfig({ fallbackChains })) {
+                throw new Error('Failed to save configuration');
+            }
+
+            audit(req, 'routing.fallbacks', null, { before: previousChains, after: fallbackChains });
+            res.json({ status: 'ok', chains: fallbackChains });
+        } catch (error) {
+            logger.error('[WebUI] Error saving fallback chains:', error);
+            res.status(500).json({ status: 'error', error: error.message });
+        }
+    });
+
     // ==========================================
     // Logs API
     // ==========================================
@@ -20,7 +20,29 @@ const tests = [
     { name: 'OAuth No-Browser Mode', file: 'test-oauth-no-browser.cjs' },
     { name: 'Empty Response Retry', file: 'test-empty-response-retry.cjs' },
     { name: 'Schema Sanitizer', file: 'test-schema-sanitizer.cjs' },
-    { name: 'Streaming Whitespace', file: 'test-streaming-whitespace.cjs' }
+    { name: 'Tool Choice', file: 'test-tool-choice.cjs' },
+    { name: 'Stop Sequences', file: 'test-stop-sequences.cjs' },
+    { name: 'Tool Names', file: 'test-tool-names.cjs' },
+    { name: 'Request Cancellation', file: 'test-request-cancellation.cjs' },
+    { name: 'Stream Keep-Alive', file: 'test-stream-keep-alive.cjs' },
+    { name: 'Streaming Whitespace', file: 'test-streaming-whitespace.cjs' },
+    { name: 'Token Counter', file: 'test-token-counter.cjs' },
+    { name: 'OpenAI Tools Conversion', file: 'test-openai-tools.cjs' },
+    { name: 'OpenAI Responses API', file: 'test-openai-responses.cjs' },
+    { name: 'Request Logging', file: 'test-request-logging.cjs' },
+    { name: 'Gemini Native API', file: 'test-gemini-native.cjs' },
+    { name: 'Message Batches', file: 'test-message-batches.cjs' },
+    { name: 'Metrics', file: 'test-metrics.cjs' },
+    { name: 'Token Budgets', file: 'test-token-budgets.cjs' },
+    { name: 'Rate Limiter Persistence', file: 'test-rate-limiter-persistence.cjs' },
+    { name: 'API Key Permissions', file: 'test-api-key-permissions.cjs' },
+    { name: 'IP Matching', file: 'test-ip-matching.cjs' },
+    { name: 'Key Rotation', file: 'test-key-rotation.cjs' },
+    { name: 'WebUI Users', file: 'test-webui-users.cjs' },
+    { name: 'Audit Log', file: 'test-audit-log.cjs' },
+    { name: 'Model Routing', file: 'test-model-routing.cjs' },
+    { name: 'Fallback Chains', file: 'test-fallback-chains.cjs' },
+    { name: 'Response Cache', file: 'test-response-cache.cjs' }
 ];
 
 async function runTest(test) {
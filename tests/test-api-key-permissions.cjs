@@ -0,0 +1,228 @@
+/**
+ * Test API Key Permissions - Unit tests for endpoint scopes and request policies
+ *
+ * Uses a temporary HOME so the SQLite database is created from scratch.
+ * Verifies:
+ * - Endpoints map to scopes and scoped keys are denied other endpoints
+ * - Case, trailing-slash and encoded path variants match the same endpoint
+ * - Streaming-only, max max_tokens, thinking and tool policies across
+ *   Anthropic, OpenAI, Responses, Gemini and batch requests
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Must be set before the database module resolves its path
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'permissions-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           API KEY PERMISSIONS TEST SUITE                     ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { initDatabase, closeDatabase } = await import('../src/database/index.js');
+    const {
+        createApiKey,
+        getApiKeyById,
+        updateApiKey,
+        validateApiKey,
+        getEndpointScope,
+        validateScopes,
+        validateAllowedTools
+    } = await import('../src/api-keys/index.js');
+
+    initDatabase();
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    // Validate a request and return the error (null if allowed)
+    function check(key, method, urlPath, body = {}, model = body.model) {
+        const result = validateApiKey(key.key, { model, method, path: urlPath, body });
+        if (!result.valid) {
+            assertEqual(result.status, 403);
+            assertEqual(result.errorType, 'permission_error');
+        }
+        return result.valid ? null : result.error;
+    }
+
+    const message = { role: 'user', content: 'Hi' };
+
+    test('Endpoints map to scopes', () => {
+        assertEqual(getEndpointScope('POST', '/v1/messages'), 'messages');
+        assertEqual(getEndpointScope('POST', '/v1/messages/count_tokens'), 'count_tokens');
+        assertEqual(getEndpointScope('GET', '/v1/messages/batches/msgbatch_1/results'), 'batches');
+        assertEqual(getEndpointScope('POST', '/v1/chat/completions'), 'chat.completions');
+        assertEqual(getEndpointScope('POST', '/v1/responses'), 'responses');
+        assertEqual(getEndpointScope('GET', '/v1/models/openai'), 'models.read');
+        assertEqual(getEndpointScope('POST', '/v1beta/models/gemini-3-flash:streamGenerateContent'), 'generate_content');
+        assertEqual(getEndpointScope('POST', '/v1beta/models/gemini-3-flash:countTokens'), 'count_tokens');
+        assertEqual(getEndpointScope('GET', '/v1/unknown'), null);
+    });
+
+    test('Scoped keys are denied endpoints outside their scopes', () => {
+        const key = createApiKey({ name: 'scoped', scopes: ['chat.completions', 'models.read'] });
+        assertEqual(check(key, 'POST', '/v1/chat/completions', { model: 'gpt-4', messages: [message] }), null);
+        assertEqual(check(key, 'GET', '/v1/models'), null);
+        assertEqual(check(key, 'POST', '/v1/messages', { model: 'claude-sonnet-4-5', max_tokens: 10, messages: [message] }),
+            'This API key does not have the messages scope');
+        assertEqual(check(key, 'POST', '/v1/messages/batches', { requests: [] }), 'This API key does not have the batches scope');
+
+        // Without a path (e.g. internal callers) only the key itself is validated
+        assertEqual(validateApiKey(key.key, { model: 'claude-sonnet-4-5' }).valid, true);
+    });
+
+    test('Path variants match the same endpoint', () => {
+        assertEqual(getEndpointScope('POST', '/v1/messages/'), 'messages');
+        assertEqual(getEndpointScope('POST', '/V1/Messages'), 'messages');
+        assertEqual(getEndpointScope('POST', '/v1/chat/completions/'), 'chat.completions');
+        assertEqual(getEndpointScope('HEAD', '/v1/models'), 'models.read');
+        assertEqual(getEndpointScope('POST', '/v1beta/models/gemini-3-flash%3AgenerateContent'), 'generate_content');
+
+        const scoped = createApiKey({ name: 'scoped-variants', scopes: ['chat.completions'] });
+        const body = { model: 'claude-sonnet-4-5', max_tokens: 10, messages: [message] };
+        for (const urlPath of ['/v1/messages/', '/V1/Messages', '/v1/MESSAGES//']) {
+            assertEqual(check(scoped, 'POST', urlPath, body), 'This API key does not have the messages scope', urlPath);
+        }
+        // Unknown API paths are denied for scoped keys, allowed for unscoped ones
+        assertEqual(check(scoped, 'POST', '/v1/unknown', body), 'This API key cannot access this endpoint');
+        assertEqual(check(createApiKey({ name: 'unscoped-variants' }), 'POST', '/v1/unknown', body), null);
+
+        const streaming = createApiKey({ name: 'streaming-variants', streaming_only: true });
+        assertEqual(check(streaming, 'POST', '/v1/chat/completions/', { model: 'gpt-4', messages: [message] }),
+            'This API key only allows streaming requests');
+        assertEqual(check(streaming, 'POST', '/V1/Messages', body), 'This API key only allows streaming requests');
+        assertEqual(check(streaming, 'POST', '/v1beta/models/claude-sonnet-4-5:STREAMGENERATECONTENT',
+            { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] }, 'claude-sonnet-4-5'), null);
+    });
+
+    test('Streaming-only keys reject non-streaming generation', () => {
+        const key = createApiKey({ name: 'streaming', streaming_only: true });
+        const body = { model: 'claude-sonnet-4-5', max_tokens: 10, messages: [message] };
+        assertEqual(check(key, 'POST', '/v1/messages', body), 'This API key only allows streaming requests');
+        assertEqual(check(key, 'POST', '/v1/messages', { ...body, stream: true }), null);
+        assertEqual(check(key, 'POST', '/v1/messages/count_tokens', body), null);
+
+        const gemini = { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] };
+        assertEqual(check(key, 'POST', '/v1beta/models/claude-sonnet-4-5:generateContent', gemini, 'claude-sonnet-4-5'),
+            'This API key only allows streaming requests');
+        assertEqual(check(key, 'POST', '/v1beta/models/claude-sonnet-4-5:streamGenerateContent', gemini, 'claude-sonnet-4-5'), null);
+    });
+
+    test('max_tokens limit applies to the converted request, including defaults', () => {
+        const key = createApiKey({ name: 'max-tokens', max_tokens_limit: 4096 });
+        assertEqual(check(key, 'POST', '/v1/messages', { model: 'claude-sonnet-4-5', max_tokens: 5000, messages: [message] }),
+            'max_tokens 5000 exceeds this API key\'s limit of 4096');
+        assertEqual(check(key, 'POST', '/v1/chat/completions', { model: 'gpt-4', max_completion_tokens: 4096, messages: [message] }), null);
+        // OpenAI requests without max_tokens default to 4096, Gemini to 8192
+        assertEqual(check(key, 'POST', '/v1/chat/completions', { model: 'gpt-4', messages: [message] }), null);
+        assertEqual(check(key, 'POST', '/v1beta/models/gemini-2.5-flash:generateContent',
+            { contents: [{ role: 'user', parts: [{ text: 'Hi' }] }] }, 'gemini-2.5-flash'),
+        'max_tokens 8192 exceeds this API key\'s limit of 4096');
+    });
+
+    test('Thinking can be disallowed by request or model', () => {
+        const key = createApiKey({ name: 'no-thinking', thinking_disabled: true });
+        assertEqual(check(key, 'POST', '/v1/messages', { model: 'claude-sonnet-4-5', max_tokens: 10, messages: [message] }), null);
+        assertEqual(check(key, 'POST', '/v1/messages', { model: 'claude-opus-4-5-thinking', max_tokens: 10, messages: [message] }),
+            'Thinking is not allowed for this API key');
+        assertEqual(check(key, 'POST', '/v1/responses', { model: 'claude-sonnet-4-5', input: 'Hi', reasoning: { effort: 'high' } }),
+            'Thinking is not allowed for this API key');
+        assertEqual(check(key, 'POST', '/v1/messages', { model: 'gemini-3-flash', max_tokens: 10, messages: [message] }),
+            'Thinking is not allowed for this API key');
+    });
+
+    test('Allowed tools are matched by name across formats', () => {
+        const key = createApiKey({ name: 'tools', allowed_tools: ['read_*', 'search'] });
+        const anthropicTool = (name) => ({ name, input_schema: { type: 'object' } });
+        const openaiTool = (name) => ({ type: 'function', function: { name, parameters: { type: 'object' } } });
+
+        assertEqual(check(key, 'POST', '/v1/messages', {
+            model: 'claude-sonnet-4-5', max_tokens: 10, messages: [message], tools: [anthropicTool('read_file'), anthropicTool('search')]
+        }), null);
+        assertEqual(check(key, 'POST', '/v1/chat/completions', {
+            model: 'gpt-4', messages: [message], tools: [openaiTool('read_file'), openaiTool('write_file')]
+        }), 'Tool write_file is not allowed for this API key');
+
+        // An empty list allows requests without tools only
+        const noTools = createApiKey({ name: 'no-tools', allowed_tools: [] });
+        assertEqual(check(noTools, 'POST', '/v1/messages', { model: 'claude-sonnet-4-5', max_tokens: 10, messages: [message] }), null);
+        assertEqual(check(noTools, 'POST', '/v1/messages', {
+            model: 'claude-sonnet-4-5', max_tokens: 10, messages: [message], tools: [anthropicTool('search')]
+        }), 'Tool search is not allowed for this API key');
+    });
+
+    test('Batch items are checked individually', () => {
+        const key = createApiKey({ name: 'batches', max_tokens_limit: 100 });
+        const item = (customId, maxTokens) => ({
+            custom_id: customId,
+            params: { model: 'claude-sonnet-4-5', max_tokens: maxTokens, messages: [message] }
+        });
+
+        assertEqual(check(key, 'POST', '/v1/messages/batches', { requests: [item('a', 50), item('b', 500)] }),
+            'requests.1: max_tokens 500 exceeds this API key\'s limit of 100');
+        assertEqual(check(key, 'GET', '/v1/messages/batches'), null);
+    });
+
+    test('Permissions round-trip through the database', () => {
+        const key = createApiKey({ name: 'stored', scopes: ['messages'], streaming_only: true, allowed_tools: ['a*'] });
+        let stored = getApiKeyById(key.id);
+        assertEqual([stored.scopes, stored.streaming_only, stored.thinking_disabled, stored.allowed_tools],
+            [['messages'], true, false, ['a*']]);
+
+        updateApiKey(key.id, { scopes: null, streaming_only: false, thinking_disabled: true, max_tokens_limit: 2048 });
+        stored = getApiKeyById(key.id);
+        assertEqual([stored.scopes, stored.streaming_only, stored.thinking_disabled, stored.max_tokens_limit],
+            [null, false, true, 2048]);
+    });
+
+    test('validateScopes and validateAllowedTools reject malformed values', () => {
+        assertEqual(validateScopes(null), null);
+        assertEqual(validateScopes(['messages', 'batches']), null);
+        assertEqual(validateScopes('messages'), 'scopes must be an array');
+        assertEqual(validateScopes(['admin']).startsWith('Unknown scope: admin.'), true);
+        assertEqual(validateAllowedTools(['read_*']), null);
+        assertEqual(validateAllowedTools(['']), 'allowed_tools must be an array of tool name patterns');
+    });
+
+    closeDatabase();
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests()
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(tempHome, { recursive: true, force: true });
+        process.exit(process.exitCode || 0);
+    });
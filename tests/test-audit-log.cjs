@@ -0,0 +1,186 @@
+/**
+ * Test Audit Log - Unit tests for the WebUI audit trail
+ *
+ * Uses a temporary HOME so the SQLite database is created from scratch.
+ * Verifies:
+ * - Only changed fields are stored, with before/after values
+ * - Secrets are redacted at any depth
+ * - Filtering by action group, user, time range and search
+ * - CSV export
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Must be set before the database module resolves its path
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'audit-log-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           AUDIT LOG TEST SUITE                               ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { initDatabase, getDatabase, closeDatabase } = await import('../src/database/index.js');
+    const {
+        REDACTED,
+        redactSecrets,
+        diffAuditValues,
+        recordAuditEvent,
+        getAuditEvents,
+        getAuditFilterOptions,
+        exportAuditEvents
+    } = await import('../src/database/models/audit-log.js');
+
+    initDatabase();
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const HOUR = 60 * 60 * 1000;
+
+    test('Only changed fields are included in the diff', () => {
+        const changes = diffAuditValues(
+            { name: 'old', rate_limit_rpm: 60, notes: null, enabled: true },
+            { name: 'new', rate_limit_rpm: 60, notes: undefined, enabled: false }
+        );
+        assertEqual(changes, {
+            name: { before: 'old', after: 'new' },
+            enabled: { before: true, after: false }
+        });
+        assertEqual(diffAuditValues({ a: [1, 2] }, { a: [1, 2] }), null);
+    });
+
+    test('Created and deleted objects list the fields that are set', () => {
+        assertEqual(diffAuditValues(null, { name: 'key', notes: null }), { name: { before: null, after: 'key' } });
+        assertEqual(diffAuditValues({ email: 'a@example.com' }, null), { email: { before: 'a@example.com', after: null } });
+    });
+
+    test('Secrets are redacted but still show that they changed', () => {
+        const changes = diffAuditValues(
+            { webuiPassword: 'old-secret' },
+            { webuiPassword: 'new-secret' }
+        );
+        assertEqual(changes, { webuiPassword: { before: REDACTED, after: REDACTED } });
+
+        // A secret being set for the first time keeps its empty "before"
+        assertEqual(diffAuditValues({ webuiPassword: '' }, { webuiPassword: 'x' }), { webuiPassword: { before: '', after: REDACTED } });
+        assertEqual(diffAuditValues({ webuiPassword: 'same' }, { webuiPassword: 'same' }), null);
+    });
+
+    test('Nested secrets are redacted', () => {
+        const account = { email: 'a@example.com', refreshToken: '1//secret', subscription: { tier: 'pro' } };
+        assertEqual(redactSecrets(account), { email: 'a@example.com', refreshToken: REDACTED, subscription: { tier: 'pro' } });
+        assertEqual(redactSecrets([{ apiKey: 'AIza' }]), [{ apiKey: REDACTED }]);
+
+        // Non-secret fields that merely contain "token" or "key" are kept
+        const key = { key: 'sk-ag-full', key_prefix: 'sk-ag-abcd', token_budget_daily: 1000 };
+        assertEqual(redactSecrets(key), { key: REDACTED, key_prefix: 'sk-ag-abcd', token_budget_daily: 1000 });
+    });
+
+    test('Events store actor, IP and changes', () => {
+        const event = recordAuditEvent({
+            user_id: null,
+            username: 'alice',
+            client_ip: '10.0.0.1',
+            action: 'keys.update',
+            target: 'key-1',
+            before: { rate_limit_rpm: 60, key_hash: 'abc' },
+            after: { rate_limit_rpm: 120, key_hash: 'abc' }
+        });
+
+        const stored = getDatabase().prepare('SELECT changes FROM audit_log WHERE id = ?').pluck().get(event.id);
+        assertEqual(JSON.parse(stored), { rate_limit_rpm: { before: 60, after: 120 } });
+
+        const [latest] = getAuditEvents({ limit: 1 }).events;
+        assertEqual([latest.username, latest.client_ip, latest.action, latest.target], ['alice', '10.0.0.1', 'keys.update', 'key-1']);
+        assertEqual(latest.changes.rate_limit_rpm.after, 120);
+
+        // Events without before/after have no changes
+        const plain = recordAuditEvent({ username: 'alice', action: 'accounts.reload' });
+        assertEqual(plain.changes, null);
+    });
+
+    test('Events can be filtered by action group, user, time and search', () => {
+        recordAuditEvent({ username: 'bob', client_ip: '10.0.0.2', action: 'keys.delete', target: 'key-2' });
+        recordAuditEvent({ username: 'bob', client_ip: '10.0.0.2', action: 'accounts.disable', target: 'b@example.com' });
+        recordAuditEvent({ username: 'carol', action: 'config.update', target: 'debug', after: { debug: true } });
+
+        const actions = filters => getAuditEvents(filters).events.map(event => event.action).sort();
+
+        assertEqual(actions({ action: 'keys' }), ['keys.delete', 'keys.update']);
+        assertEqual(actions({ action: 'keys.delete' }), ['keys.delete']);
+        assertEqual(actions({ username: 'bob' }), ['accounts.disable', 'keys.delete']);
+        assertEqual(actions({ search: 'b@example' }), ['accounts.disable']);
+        assertEqual(actions({ search: '"debug"' }), ['config.update']);
+        assertEqual(actions({ from: Date.now() + HOUR }), []);
+        assertEqual(actions({ to: Date.now() - HOUR }), []);
+
+        const options = getAuditFilterOptions();
+        assertEqual(options.usernames, ['alice', 'bob', 'carol']);
+        assertEqual(options.actions.includes('accounts.reload'), true);
+    });
+
+    test('Events are paginated', () => {
+        const result = getAuditEvents({ page: 2, limit: 2 });
+        assertEqual(result.page, 2);
+        assertEqual(result.events.length, 2);
+        assertEqual(result.pages, Math.ceil(result.total / 2));
+    });
+
+    test('CSV export quotes values with commas and quotes', () => {
+        recordAuditEvent({
+            username: 'dave',
+            action: 'config.update',
+            target: 'debug, logLevel',
+            before: { debug: false },
+            after: { debug: true }
+        });
+
+        const lines = exportAuditEvents({ username: 'dave' }).split('\n');
+        assertEqual(lines[0], 'id,timestamp,username,user_id,client_ip,action,target,changes');
+        assertEqual(lines.length, 2);
+        assertEqual(lines[1].includes('"debug, logLevel"'), true);
+        assertEqual(lines[1].includes('"{""debug"":{""before"":false,""after"":true}}"'), true);
+    });
+
+    closeDatabase();
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests()
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(tempHome, { recursive: true, force: true });
+        process.exit(process.exitCode || 0);
+    });
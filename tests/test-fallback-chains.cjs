@@ -0,0 +1,132 @@
+/**
+ * Test Fallback Chains - Unit tests for configurable model fallback chains
+ *
+ * Verifies:
+ * - Configured chains take precedence over the built-in single hop
+ * - The built-in hop only applies with --fallback
+ * - Chains are walked one model at a time and only on their conditions
+ * - Fallback hops are recorded on the request trace
+ * - Chain validation and normalization
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           FALLBACK CHAINS TEST SUITE                         ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const {
+        FALLBACK_CONDITIONS,
+        getFallbackChain,
+        getNextFallback,
+        recordFallback,
+        validateFallbackChains,
+        normalizeFallbackChains
+    } = await import('../src/fallback-config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const chains = {
+        'claude-opus-4-5-thinking': { models: ['claude-sonnet-4-5-thinking', 'gemini-3-pro-high'], on: ['quota', 'capacity'] },
+        'gemini-3-flash': { models: ['gemini-2.5-flash'] },
+        'gemini-3-pro-high': { models: [] }
+    };
+
+    test('Configured chains take precedence over the built-in fallback', () => {
+        assertEqual(getFallbackChain('claude-opus-4-5-thinking', { chains }),
+            { models: ['claude-sonnet-4-5-thinking', 'gemini-3-pro-high'], on: ['quota', 'capacity'] });
+
+        // A chain without conditions reacts to every failure
+        assertEqual(getFallbackChain('gemini-3-flash', { chains, fallbackEnabled: true }),
+            { models: ['gemini-2.5-flash'], on: FALLBACK_CONDITIONS });
+
+        // An empty chain turns fallback off for the model even with --fallback
+        assertEqual(getFallbackChain('gemini-3-pro-high', { chains, fallbackEnabled: true }).models, []);
+    });
+
+    test('The built-in fallback only applies with --fallback', () => {
+        assertEqual(getFallbackChain('claude-sonnet-4-5', { chains }), null);
+        assertEqual(getFallbackChain('claude-sonnet-4-5', { chains, fallbackEnabled: true }),
+            { models: ['gemini-3-flash'], on: FALLBACK_CONDITIONS });
+        assertEqual(getFallbackChain('unknown-model', { chains, fallbackEnabled: true }), null);
+    });
+
+    test('Chains are walked one model at a time', () => {
+        const chain = getFallbackChain('claude-opus-4-5-thinking', { chains });
+
+        const first = getNextFallback('claude-opus-4-5-thinking', chain, 'quota');
+        assertEqual(first, { model: 'claude-sonnet-4-5-thinking', chain: { models: ['gemini-3-pro-high'], on: ['quota', 'capacity'] } });
+
+        const second = getNextFallback(first.model, first.chain, 'capacity');
+        assertEqual(second, { model: 'gemini-3-pro-high', chain: { models: [], on: ['quota', 'capacity'] } });
+
+        assertEqual(getNextFallback(second.model, second.chain, 'quota'), null);
+        assertEqual(getNextFallback('claude-sonnet-4-5', null, 'quota'), null);
+    });
+
+    test('Chains only fall back on their conditions', () => {
+        const chain = getFallbackChain('claude-opus-4-5-thinking', { chains });
+        assertEqual(getNextFallback('claude-opus-4-5-thinking', chain, 'error'), null);
+
+        // The failing model is skipped if it appears again in the chain
+        const loop = { models: ['a', 'b'], on: ['error'] };
+        assertEqual(getNextFallback('a', loop, 'error').model, 'b');
+    });
+
+    test('Fallback hops are recorded on the trace', () => {
+        const trace = {};
+        recordFallback(trace, 'claude-opus-4-5-thinking', 'claude-sonnet-4-5-thinking', 'quota');
+        recordFallback(trace, 'claude-sonnet-4-5-thinking', 'gemini-3-pro-high', 'capacity');
+
+        // The original model is kept; the served model and reason are the last hop's
+        assertEqual([trace.fallbackFrom, trace.fallbackModel, trace.fallbackReason],
+            ['claude-opus-4-5-thinking', 'gemini-3-pro-high', 'capacity']);
+    });
+
+    test('Chains are validated and normalized', () => {
+        assertEqual(validateFallbackChains(chains), null);
+        assertEqual(validateFallbackChains([]) !== null, true);
+        assertEqual(validateFallbackChains({ a: { models: 'b' } }) !== null, true);
+        assertEqual(validateFallbackChains({ a: { models: ['b', ' '] } }) !== null, true);
+        assertEqual(validateFallbackChains({ a: { models: ['a'] } }) !== null, true, 'self-fallback');
+        assertEqual(validateFallbackChains({ a: { models: ['b'], on: [] } }) !== null, true);
+        assertEqual(validateFallbackChains({ a: { models: ['b'], on: ['timeout'] } }) !== null, true);
+
+        assertEqual(normalizeFallbackChains({ ' a ': { models: [' b ', 'c'] }, d: { models: ['e'], on: ['quota', 'quota'] } }), {
+            a: { models: ['b', 'c'], on: FALLBACK_CONDITIONS },
+            d: { models: ['e'], on: ['quota'] }
+        });
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
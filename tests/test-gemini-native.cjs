@@ -0,0 +1,207 @@
+/**
+ * Test Gemini Native API - Unit tests for the /v1beta generateContent converters
+ *
+ * Verifies:
+ * - Malformed requests (non-object contents entries or parts, null generationConfig) are rejected
+ * - Native Gemini requests (contents, systemInstruction, generationConfig, tools) map to Anthropic
+ * - Function calls/responses without ids are paired by name
+ * - Anthropic responses and stream events map back to native Gemini responses
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           GEMINI NATIVE API TEST SUITE                       ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM module
+    const {
+        validateGeminiRequest,
+        convertGeminiToAnthropic,
+        convertAnthropicToGemini,
+        createGeminiStreamAdapter
+    } = await import('../src/format/gemini/index.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    test('Rejects malformed requests before conversion', () => {
+        const contents = [{ role: 'user', parts: [{ text: 'hi' }] }];
+        assertEqual(validateGeminiRequest({ contents }), null);
+        assertEqual(validateGeminiRequest({ contents, generationConfig: { temperature: 0 } }), null);
+
+        assertEqual(validateGeminiRequest(null), 'Request body must be a JSON object');
+        assertEqual(validateGeminiRequest({ contents: [] }), 'contents is required and must be a non-empty array');
+        assertEqual(validateGeminiRequest({ contents: [null] }), 'contents[0] must be an object');
+        assertEqual(validateGeminiRequest({ contents: [...contents, 'hi'] }), 'contents[1] must be an object');
+        assertEqual(validateGeminiRequest({ contents: [{ parts: [null] }] }), 'contents[0].parts must be an array of objects');
+        assertEqual(validateGeminiRequest({ contents: [{ parts: 5 }] }), 'contents[0].parts must be an array of objects');
+        assertEqual(validateGeminiRequest({ contents, generationConfig: null }), 'generationConfig must be an object');
+    });
+
+    test('Converts contents, systemInstruction and generationConfig', () => {
+        const result = convertGeminiToAnthropic({
+            systemInstruction: { parts: [{ text: 'Be brief' }] },
+            contents: [
+                { role: 'user', parts: [{ text: 'hi' }] },
+                { role: 'model', parts: [{ text: 'hello' }] }
+            ],
+            generationConfig: {
+                maxOutputTokens: 256,
+                temperature: 0.2,
+                topK: 40,
+                stopSequences: ['END'],
+                thinkingConfig: { thinkingBudget: 2048 }
+            }
+        }, 'gemini-3-flash');
+
+        assertEqual(result.model, 'gemini-3-flash');
+        assertEqual(result.system, 'Be brief');
+        assertEqual(result.messages, [
+            { role: 'user', content: [{ type: 'text', text: 'hi' }] },
+            { role: 'assistant', content: [{ type: 'text', text: 'hello' }] }
+        ]);
+        assertEqual(result.max_tokens, 256);
+        assertEqual(result.temperature, 0.2);
+        assertEqual(result.top_k, 40);
+        assertEqual(result.stop_sequences, ['END']);
+        assertEqual(result.thinking, { type: 'enabled', budget_tokens: 2048 });
+    });
+
+    test('Pairs function calls and responses without ids by name', () => {
+        const result = convertGeminiToAnthropic({
+            contents: [
+                { role: 'user', parts: [{ text: 'weather?' }] },
+                {
+                    role: 'model',
+                    parts: [
+                        { functionCall: { name: 'get_weather', args: { city: 'Paris' } }, thoughtSignature: 'sig' },
+                        { functionCall: { name: 'get_weather', args: { city: 'Rome' } } }
+                    ]
+                },
+                {
+                    role: 'user',
+                    parts: [
+                        { functionResponse: { name: 'get_weather', response: { temp: 20 } } },
+                        { functionResponse: { name: 'get_weather', response: { temp: 25 } } }
+                    ]
+                }
+            ]
+        }, 'gemini-3-flash');
+
+        const [call1, call2] = result.messages[1].content;
+        assertEqual(call1, { type: 'tool_use', id: 'get_weather', name: 'get_weather', input: { city: 'Paris' }, thoughtSignature: 'sig' });
+        assertEqual(call2.id, 'get_weather_2');
+        assertEqual(result.messages[2].content.map(b => b.tool_use_id), ['get_weather', 'get_weather_2']);
+        assertEqual(result.messages[2].content[0].content, '{"temp":20}');
+    });
+
+    test('Converts function declarations and functionCallingConfig', () => {
+        const result = convertGeminiToAnthropic({
+            contents: [{ role: 'user', parts: [{ text: 'hi' }] }],
+            tools: [
+                { functionDeclarations: [{ name: 'lookup', parameters: { type: 'OBJECT', properties: { q: { type: 'STRING' } } } }] },
+                { googleSearch: {} }
+            ],
+            toolConfig: { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['lookup'] } }
+        }, 'gemini-3-flash');
+
+        assertEqual(result.tools, [{
+            name: 'lookup',
+            description: '',
+            input_schema: { type: 'object', properties: { q: { type: 'string' } } }
+        }]);
+        assertEqual(result.tool_choice, { type: 'tool', name: 'lookup' });
+    });
+
+    test('Drops unsigned thought parts and merges consecutive roles', () => {
+        const result = convertGeminiToAnthropic({
+            contents: [
+                { role: 'user', parts: [{ text: 'a' }] },
+                { role: 'user', parts: [{ text: 'b' }] },
+                { role: 'model', parts: [{ text: 'plan', thought: true }, { text: 'answer' }] }
+            ]
+        }, 'gemini-3-flash');
+
+        assertEqual(result.messages[0].content.map(b => b.text), ['a', 'b']);
+        assertEqual(result.messages[1].content, [{ type: 'text', text: 'answer' }]);
+    });
+
+    test('Converts Anthropic response to Gemini format', () => {
+        const result = convertAnthropicToGemini({
+            model: 'gemini-3-flash',
+            content: [
+                { type: 'thinking', thinking: 'hmm', signature: 'sig' },
+                { type: 'text', text: 'Hi' },
+                { type: 'tool_use', id: 'toolu_1', name: 'f', input: { a: 1 } }
+            ],
+            stop_reason: 'max_tokens',
+            usage: { input_tokens: 10, cache_read_input_tokens: 2, output_tokens: 5 }
+        }, 'gemini-3-flash');
+
+        assertEqual(result.candidates[0].content.parts, [
+            { text: 'hmm', thought: true, thoughtSignature: 'sig' },
+            { text: 'Hi' },
+            { functionCall: { id: 'toolu_1', name: 'f', args: { a: 1 } } }
+        ]);
+        assertEqual(result.candidates[0].finishReason, 'MAX_TOKENS');
+        assertEqual(result.usageMetadata, {
+            promptTokenCount: 12,
+            candidatesTokenCount: 5,
+            totalTokenCount: 17,
+            cachedContentTokenCount: 2
+        });
+    });
+
+    test('Stream adapter emits text chunks, whole function calls and a final chunk', () => {
+        const adapter = createGeminiStreamAdapter('gemini-3-flash');
+        const chunks = [
+            { type: 'message_start', message: { model: 'gemini-3-flash', usage: { input_tokens: 4 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Hi' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'f', input: {} } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"a":' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '1}' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 3 } },
+            { type: 'message_stop' }
+        ].map(e => adapter.transform(e)).filter(Boolean);
+
+        assertEqual(chunks.length, 3);
+        assertEqual(chunks[0].candidates[0].content.parts, [{ text: 'Hi' }]);
+        assertEqual(chunks[1].candidates[0].content.parts, [{ functionCall: { id: 'toolu_1', name: 'f', args: { a: 1 } } }]);
+        assertEqual(chunks[2].candidates[0].finishReason, 'STOP');
+        assertEqual(chunks[2].usageMetadata.totalTokenCount, 7);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
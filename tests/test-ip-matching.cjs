@@ -0,0 +1,120 @@
+/**
+ * Test IP Matching - Unit tests for API key IP whitelists and trusted proxies
+ *
+ * Verifies:
+ * - IPv4/IPv6 parsing, including "::" compression and IPv4-mapped addresses
+ * - CIDR ranges, wildcards and exact matches
+ * - Whitelist entry validation
+ * - X-Forwarded-For is only honoured from trusted proxies
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           IP MATCHING TEST SUITE                             ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { parseIp, isValidIpPattern, resolveClientIp } = await import('../src/utils/ip.js');
+    const { matchIpPattern, isIpAllowed, validateIpWhitelist } = await import('../src/api-keys/validator.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${expected}\nActual: ${actual}`);
+        }
+    }
+
+    test('Parses IPv4, IPv6 and IPv4-mapped addresses', () => {
+        assertEqual(parseIp('10.20.0.1').value, 0x0a140001n);
+        assertEqual(parseIp('2001:db8::1').value, parseIp('2001:DB8:0:0:0:0:0:1').value);
+        assertEqual(parseIp('::').value, 0n);
+        assertEqual(parseIp('::ffff:10.20.0.1').version, 4);
+        assertEqual(parseIp('::ffff:10.20.0.1').value, parseIp('10.20.0.1').value);
+        assertEqual(parseIp('fe80::1%eth0').version, 6);
+        assertEqual(parseIp('256.1.1.1'), null);
+        assertEqual(parseIp('1:2:3:4:5:6:7:8:9'), null);
+        assertEqual(parseIp('1::2::3'), null);
+    });
+
+    test('IPv4 CIDR ranges', () => {
+        assertEqual(matchIpPattern('10.20.5.1', '10.20.0.0/16'), true);
+        assertEqual(matchIpPattern('10.21.0.1', '10.20.0.0/16'), false);
+        assertEqual(matchIpPattern('::ffff:10.20.255.255', '10.20.0.0/16'), true);
+        assertEqual(matchIpPattern('192.168.1.7', '192.168.1.7/32'), true);
+        assertEqual(matchIpPattern('8.8.8.8', '0.0.0.0/0'), true);
+        assertEqual(matchIpPattern('2001:db8::1', '0.0.0.0/0'), false);
+    });
+
+    test('IPv6 CIDR ranges and exact matches', () => {
+        assertEqual(matchIpPattern('2001:db8:1::5', '2001:db8::/32'), true);
+        assertEqual(matchIpPattern('2001:db9::5', '2001:db8::/32'), false);
+        assertEqual(matchIpPattern('2001:0db8:0000::0001', '2001:db8::1'), true);
+        assertEqual(matchIpPattern('10.20.0.1', '::ffff:0:0/96'), true);
+    });
+
+    test('Wildcards, localhost and exact IPv4 keep working', () => {
+        assertEqual(matchIpPattern('192.168.1.100', '192.168.1.*'), true);
+        assertEqual(matchIpPattern('192.168.2.100', '192.168.1.*'), false);
+        assertEqual(matchIpPattern('10.1.2.3', '10.*'), true);
+        assertEqual(matchIpPattern('2001:db8::1', '*'), true);
+        assertEqual(matchIpPattern('::1', '127.0.0.1'), true);
+        assertEqual(matchIpPattern('127.0.0.1', '::1'), true);
+        assertEqual(matchIpPattern('::ffff:10.0.0.1', '10.0.0.1'), true);
+        assertEqual(isIpAllowed('10.0.0.2', ['10.0.0.1', '10.0.0.0/30']), true);
+        assertEqual(isIpAllowed('10.0.0.9', ['10.0.0.1', '10.0.0.0/30']), false);
+    });
+
+    test('Whitelist entries are validated', () => {
+        assertEqual(isValidIpPattern('10.20.0.0/16'), true);
+        assertEqual(isValidIpPattern('2001:db8::/32'), true);
+        assertEqual(isValidIpPattern('192.168.1.*'), true);
+        assertEqual(isValidIpPattern('10.0.0.0/33'), false);
+        assertEqual(isValidIpPattern('2001:db8::/129'), false);
+        assertEqual(isValidIpPattern('10.0.0'), false);
+        assertEqual(isValidIpPattern('example.com'), false);
+        assertEqual(validateIpWhitelist(null), null);
+        assertEqual(validateIpWhitelist(['10.20.0.0/16', '::1']), null);
+        assertEqual(validateIpWhitelist('10.0.0.1'), 'ip_whitelist must be an array');
+        assertEqual(validateIpWhitelist(['10.0.0.1', '10.0.0.300']).startsWith('Invalid ip_whitelist entry: 10.0.0.300.'), true);
+    });
+
+    test('X-Forwarded-For is only honoured from trusted proxies', () => {
+        // No trusted proxies: the header is ignored
+        assertEqual(resolveClientIp('203.0.113.9', '10.0.0.5'), '203.0.113.9');
+        // Untrusted peer cannot spoof its address
+        assertEqual(resolveClientIp('203.0.113.9', '10.0.0.5', ['172.16.0.0/12']), '203.0.113.9');
+        // Trusted proxy: the right-most untrusted hop is the client
+        assertEqual(resolveClientIp('172.16.0.2', 'spoofed, 198.51.100.7, 172.16.0.3', ['172.16.0.0/12']), '198.51.100.7');
+        assertEqual(resolveClientIp('::ffff:172.16.0.2', '2001:db8::7', ['172.16.0.0/12']), '2001:db8::7');
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Exit explicitly: the validator pulls in the rate limiter's cleanup interval
+runTests()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exit(1);
+    });
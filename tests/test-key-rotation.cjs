@@ -0,0 +1,187 @@
+/**
+ * Test Key Rotation - Unit tests for API key regeneration with a grace period
+ *
+ * Uses a temporary HOME so the SQLite database is created from scratch.
+ * Verifies:
+ * - The previous key stays valid during the grace period and is flagged
+ * - Regenerating without a grace period invalidates the old key immediately
+ * - Expired previous keys are rejected and retired
+ * - Clients still on the previous key are reported from request logs
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Must be set before the database module resolves its path
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'key-rotation-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           KEY ROTATION TEST SUITE                            ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { initDatabase, getDatabase, closeDatabase } = await import('../src/database/index.js');
+    const { createRequestLog } = await import('../src/database/models/request-logs.js');
+    const {
+        createApiKey,
+        getApiKeyById,
+        findApiKeyByHash,
+        hashApiKey,
+        regenerateApiKey,
+        retirePreviousApiKey,
+        validateApiKey,
+        getUsedKeyPrefix,
+        getKeyRotationStatus,
+        validateGracePeriod,
+        retireExpiredKeys
+    } = await import('../src/api-keys/index.js');
+
+    initDatabase();
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const HOUR = 60 * 60 * 1000;
+
+    // Move a key's grace period into the past
+    function expirePreviousKey(id) {
+        getDatabase().prepare('UPDATE api_keys SET previous_key_expires_at = ? WHERE id = ?').run(Date.now() - 1, id);
+    }
+
+    test('Both keys are valid during the grace period', () => {
+        const original = createApiKey({ name: 'grace' });
+        const rotated = regenerateApiKey(original.id, { gracePeriodMs: HOUR });
+
+        assertEqual(rotated.previous_key_prefix, original.key_prefix);
+        assertEqual(rotated.previous_key_expires_at - rotated.rotated_at, HOUR);
+
+        const current = validateApiKey(rotated.key);
+        const previous = validateApiKey(original.key);
+        assertEqual([current.valid, current.key.using_previous_key], [true, false]);
+        assertEqual([previous.valid, previous.key.using_previous_key], [true, true]);
+        assertEqual(getUsedKeyPrefix(current.key), rotated.key_prefix);
+        assertEqual(getUsedKeyPrefix(previous.key), original.key_prefix);
+    });
+
+    test('Without a grace period the old key stops working immediately', () => {
+        const original = createApiKey({ name: 'immediate' });
+        const rotated = regenerateApiKey(original.id);
+
+        assertEqual(rotated.previous_key_expires_at, null);
+        assertEqual(validateApiKey(original.key).error, 'Invalid API key');
+        assertEqual(validateApiKey(rotated.key).valid, true);
+        assertEqual(getKeyRotationStatus(getApiKeyById(original.id)).active, false);
+    });
+
+    test('Expired previous keys are rejected and retired', () => {
+        const original = createApiKey({ name: 'expiring' });
+        regenerateApiKey(original.id, { gracePeriodMs: HOUR });
+        expirePreviousKey(original.id);
+
+        assertEqual(findApiKeyByHash(hashApiKey(original.key)), null);
+        assertEqual(retireExpiredKeys(), 1);
+        assertEqual(retireExpiredKeys(), 0);
+
+        const stored = getDatabase().prepare('SELECT previous_key_hash, previous_key_prefix FROM api_keys WHERE id = ?').get(original.id);
+        assertEqual(stored, { previous_key_hash: null, previous_key_prefix: original.key_prefix });
+    });
+
+    test('A second rotation retires the older key', () => {
+        const first = createApiKey({ name: 'twice' });
+        const second = regenerateApiKey(first.id, { gracePeriodMs: HOUR });
+        const third = regenerateApiKey(first.id, { gracePeriodMs: HOUR });
+
+        assertEqual(validateApiKey(first.key).valid, false);
+        assertEqual(validateApiKey(second.key).key.using_previous_key, true);
+        assertEqual(validateApiKey(third.key).valid, true);
+    });
+
+    test('The old key can be revoked before its grace period ends', () => {
+        const original = createApiKey({ name: 'revoke' });
+        regenerateApiKey(original.id, { gracePeriodMs: HOUR });
+
+        assertEqual(retirePreviousApiKey(original.id), true);
+        assertEqual(retirePreviousApiKey(original.id), false);
+        assertEqual(validateApiKey(original.key).valid, false);
+    });
+
+    test('Rotation status lists clients still using the old key', () => {
+        const original = createApiKey({ name: 'clients' });
+        const log = (keyPrefix, clientIp, userAgent, timestamp) => createRequestLog({
+            api_key_id: original.id,
+            timestamp,
+            model: 'claude-sonnet-4-5',
+            request_messages: [],
+            status: 'success',
+            client_ip: clientIp,
+            user_agent: userAgent,
+            key_prefix: keyPrefix
+        });
+
+        // Before the rotation: not reported
+        log(original.key_prefix, '10.0.0.1', 'old-client/1.0', Date.now() - HOUR);
+
+        const rotated = regenerateApiKey(original.id, { gracePeriodMs: HOUR });
+        log(original.key_prefix, '10.0.0.2', 'worker/2.0', Date.now());
+        log(original.key_prefix, '10.0.0.2', 'worker/2.0', Date.now());
+        log(rotated.key_prefix, '10.0.0.3', 'migrated/1.0', Date.now());
+
+        const status = getKeyRotationStatus(getApiKeyById(original.id));
+        assertEqual(status.active, true);
+        assertEqual(status.previousKeyPrefix, original.key_prefix);
+        assertEqual(status.clients.map(client => [client.client_ip, client.user_agent, client.requests]),
+            [['10.0.0.2', 'worker/2.0', 2]]);
+
+        assertEqual(getKeyRotationStatus(createApiKey({ name: 'never-rotated' })), null);
+    });
+
+    test('validateGracePeriod rejects out-of-range values', () => {
+        assertEqual(validateGracePeriod(undefined), null);
+        assertEqual(validateGracePeriod(0), null);
+        assertEqual(validateGracePeriod(24 * HOUR), null);
+        assertEqual(validateGracePeriod(-1) !== null, true);
+        assertEqual(validateGracePeriod(31 * 24 * HOUR) !== null, true);
+        assertEqual(validateGracePeriod('3600000') !== null, true);
+    });
+
+    closeDatabase();
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests()
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(tempHome, { recursive: true, force: true });
+        process.exit(process.exitCode || 0);
+    });
@@ -0,0 +1,172 @@
+/**
+ * Test Message Batches - Unit tests for batch storage and the background processor
+ *
+ * Uses a temporary HOME so the SQLite database is created from scratch, and a stub
+ * account manager with no accounts so every request fails fast without network access.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Must be set before the database module resolves its path
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'batches-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           MESSAGE BATCHES TEST SUITE                         ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { initDatabase, closeDatabase } = await import('../src/database/index.js');
+    const batches = await import('../src/database/models/message-batches.js');
+    const { BatchProcessor, validateBatchRequests, formatMessageBatch } = await import('../src/batches/index.js');
+
+    initDatabase();
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    // No accounts and nothing rate-limited: sendMessage fails immediately
+    const stubAccountManager = {
+        getAccountCount: () => 0,
+        clearExpiredLimits: () => {},
+        getAvailableAccounts: () => [],
+        isAllRateLimited: () => false
+    };
+
+    const params = { model: 'gemini-3-flash', max_tokens: 10, messages: [{ role: 'user', content: 'hi' }] };
+    const makeRequests = (n) => Array.from({ length: n }, (_, i) => ({ custom_id: `req-${i}`, params }));
+
+    async function waitForEnd(id) {
+        for (let i = 0; i < 100; i++) {
+            const batch = batches.getMessageBatch(id);
+            if (batch.processing_status === 'ended') return batch;
+            await new Promise(resolve => setTimeout(resolve, 20));
+        }
+        throw new Error(`Batch ${id} did not end`);
+    }
+
+    await test('validateBatchRequests rejects malformed batches', () => {
+        assertEqual(validateBatchRequests([]), 'requests is required and must be a non-empty array');
+        assertEqual(validateBatchRequests([{ custom_id: 'a b', params }]).includes('custom_id'), true);
+        assertEqual(validateBatchRequests([{ custom_id: 'a', params }, { custom_id: 'a', params }]).includes('duplicated'), true);
+        assertEqual(validateBatchRequests([{ custom_id: 'a', params: { ...params, stream: true } }]).includes('stream'), true);
+        assertEqual(validateBatchRequests(makeRequests(2)), null);
+    });
+
+    await test('createMessageBatch stores requests as processing', () => {
+        const batch = batches.createMessageBatch({ requests: makeRequests(3) });
+        assertEqual(batch.processing_status, 'in_progress');
+        assertEqual(batch.request_counts, { processing: 3, succeeded: 0, errored: 0, canceled: 0, expired: 0 });
+
+        const formatted = formatMessageBatch(batch, 'http://localhost:8080');
+        assertEqual(formatted.type, 'message_batch');
+        assertEqual(formatted.results_url, null);
+        batches.endMessageBatch(batch.id);
+    });
+
+    await test('Processor records errored results and ends the batch', async () => {
+        const completed = [];
+        const processor = new BatchProcessor(stubAccountManager, {
+            formatError: (error) => ({ errorType: 'api_error', errorMessage: error.message }),
+            onRequestComplete: ({ customId }) => completed.push(customId)
+        });
+
+        const batch = batches.createMessageBatch({ requests: makeRequests(3) });
+        processor.enqueue(batch.id);
+        const ended = await waitForEnd(batch.id);
+
+        assertEqual(ended.request_counts.errored, 3);
+        assertEqual(completed, ['req-0', 'req-1', 'req-2']);
+
+        const results = [...batches.iterateBatchResults(batch.id)];
+        assertEqual(results.map(r => r.custom_id), ['req-0', 'req-1', 'req-2']);
+        assertEqual(results[0].result, {
+            type: 'errored',
+            error: { type: 'error', error: { type: 'api_error', message: 'No accounts available' } }
+        });
+        assertEqual(formatMessageBatch(ended, 'http://x').results_url, `http://x/v1/messages/batches/${batch.id}/results`);
+    });
+
+    await test('Canceled batches resolve pending requests as canceled', async () => {
+        const processor = new BatchProcessor(stubAccountManager);
+        const batch = batches.createMessageBatch({ requests: makeRequests(2) });
+
+        assertEqual(batches.cancelMessageBatch(batch.id), true);
+        assertEqual(batches.cancelMessageBatch(batch.id), false, 'second cancel is a no-op');
+
+        processor.enqueue(batch.id);
+        const ended = await waitForEnd(batch.id);
+        assertEqual(ended.request_counts.canceled, 2);
+        assertEqual(typeof ended.cancel_initiated_at, 'number');
+    });
+
+    await test('resume() requeues in-flight requests of unfinished batches', async () => {
+        const batch = batches.createMessageBatch({ requests: makeRequests(2) });
+        batches.claimNextBatchRequest(batch.id); // Simulates a restart mid-request
+
+        const processor = new BatchProcessor(stubAccountManager);
+        assertEqual(processor.resume(), 1);
+        const ended = await waitForEnd(batch.id);
+        assertEqual(ended.request_counts.errored, 2);
+    });
+
+    await test('listMessageBatches pages newest first', () => {
+        const { batches: page1, has_more } = batches.listMessageBatches({ limit: 2 });
+        assertEqual(page1.length, 2);
+        assertEqual(has_more, true);
+
+        const { batches: page2 } = batches.listMessageBatches({ limit: 2, after_id: page1[1].id });
+        assertEqual(page2[0].created_at <= page1[1].created_at, true);
+
+        const { batches: back } = batches.listMessageBatches({ limit: 2, before_id: page2[0].id });
+        assertEqual(back.map(b => b.id), page1.map(b => b.id));
+    });
+
+    await test('deleteMessageBatch removes the batch and its requests', () => {
+        const { batches: [latest] } = batches.listMessageBatches({ limit: 1 });
+        assertEqual(batches.deleteMessageBatch(latest.id), true);
+        assertEqual(batches.getMessageBatch(latest.id), null);
+        assertEqual([...batches.iterateBatchResults(latest.id)].length, 0);
+    });
+
+    closeDatabase();
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests()
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(tempHome, { recursive: true, force: true });
+        process.exit(process.exitCode || 0);
+    });
@@ -0,0 +1,157 @@
+/**
+ * Test Metrics - Unit tests for the Prometheus metrics registry and /metrics collectors
+ *
+ * Verifies:
+ * - Counters, gauges and histograms render in the Prometheus text format
+ * - Label values are escaped
+ * - HTTP request metrics label unknown models as "other"
+ * - Account rate-limit gauges are rebuilt from the account manager on each render
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           METRICS TEST SUITE                                 ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { Counter, Gauge, Histogram, MetricsRegistry } = await import('../src/metrics/registry.js');
+    const { renderMetrics, recordTokenUsage, recordHttpRequest, getModelLabel } = await import('../src/metrics/index.js');
+    const { config } = await import('../src/config.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    function assertIncludes(text, line) {
+        if (!text.split('\n').includes(line)) {
+            throw new Error(`Missing line: ${line}\nIn:\n${text}`);
+        }
+    }
+
+    test('Counter renders HELP, TYPE and labeled samples', () => {
+        const registry = new MetricsRegistry();
+        const counter = registry.register(new Counter('test_total', 'Test counter', ['model']));
+        counter.inc({ model: 'a' });
+        counter.inc({ model: 'a' }, 2);
+        counter.inc({ model: 'b' }, 0); // Zero increments do not create series
+
+        assertEqual(registry.render(), [
+            '# HELP test_total Test counter',
+            '# TYPE test_total counter',
+            'test_total{model="a"} 3',
+            ''
+        ].join('\n'));
+    });
+
+    test('Label values are escaped', () => {
+        const gauge = new Gauge('test_gauge', 'Test gauge', ['name']);
+        gauge.set({ name: 'a"b\\c\nd' }, 1);
+        assertIncludes(gauge.render(), 'test_gauge{name="a\\"b\\\\c\\nd"} 1');
+    });
+
+    test('Histogram renders cumulative buckets, sum and count', () => {
+        const histogram = new Histogram('test_seconds', 'Test histogram', ['route'], [0.5, 1]);
+        histogram.observe({ route: '/x' }, 0.2);
+        histogram.observe({ route: '/x' }, 0.7);
+        histogram.observe({ route: '/x' }, 3);
+
+        const text = histogram.render();
+        assertIncludes(text, 'test_seconds_bucket{route="/x",le="0.5"} 1');
+        assertIncludes(text, 'test_seconds_bucket{route="/x",le="1"} 2');
+        assertIncludes(text, 'test_seconds_bucket{route="/x",le="+Inf"} 3');
+        assertIncludes(text, 'test_seconds_sum{route="/x"} 3.9');
+        assertIncludes(text, 'test_seconds_count{route="/x"} 3');
+    });
+
+    test('Records HTTP requests and token usage', () => {
+        recordHttpRequest({ method: 'POST', route: '/v1/messages', model: 'gemini-3-flash', status: 200, durationMs: 1500 });
+        recordTokenUsage('gemini-3-flash', { input_tokens: 10, output_tokens: 5, cache_read_input_tokens: 2 });
+
+        const text = renderMetrics();
+        assertIncludes(text, 'antigravity_http_requests_total{method="POST",route="/v1/messages",model="gemini-3-flash",status="200"} 1');
+        assertIncludes(text, 'antigravity_http_request_duration_seconds_bucket{method="POST",route="/v1/messages",model="gemini-3-flash",status="200",le="2.5"} 1');
+        assertIncludes(text, 'antigravity_tokens_total{model="gemini-3-flash",type="input"} 10');
+        assertIncludes(text, 'antigravity_tokens_total{model="gemini-3-flash",type="output"} 5');
+        assertIncludes(text, 'antigravity_tokens_total{model="gemini-3-flash",type="cache_read"} 2');
+    });
+
+    test('Unknown models share the "other" label', () => {
+        assertEqual(getModelLabel('claude-sonnet-4-5'), 'claude-sonnet-4-5');
+        assertEqual(getModelLabel('made-up-model-123'), 'other');
+        assertEqual(getModelLabel(undefined), '');
+
+        // Models named in the proxy's own configuration are known
+        const routingRules = config.routingRules;
+        config.routingRules = [{ target_model: 'gemini-custom', fallback_models: ['claude-custom'] }];
+        try {
+            assertEqual([getModelLabel('gemini-custom'), getModelLabel('claude-custom')], ['gemini-custom', 'claude-custom']);
+        } finally {
+            config.routingRules = routingRules;
+        }
+
+        recordHttpRequest({ method: 'POST', route: '/v1/messages', model: 'made-up-model-123', status: 200, durationMs: 10 });
+        recordHttpRequest({ method: 'POST', route: '/v1/messages', model: 'made-up-model-456', status: 200, durationMs: 10 });
+        const text = renderMetrics();
+        assertIncludes(text, 'antigravity_http_requests_total{method="POST",route="/v1/messages",model="other",status="200"} 2');
+        assertEqual(text.includes('made-up-model'), false);
+    });
+
+    test('Account rate-limit gauges reflect the current account state', () => {
+        const limits = { 'a@example.com': { 'claude-sonnet-4-5': { isRateLimited: true, waitMs: 30000 } } };
+        const accountManager = {
+            getStatus: () => ({
+                total: 2,
+                available: 1,
+                rateLimited: 1,
+                invalid: 0,
+                accounts: [
+                    { email: 'a@example.com', modelRateLimits: { 'claude-sonnet-4-5': {} } },
+                    { email: 'b@example.com', modelRateLimits: {} }
+                ]
+            }),
+            getRateLimitInfo: (email, model) => limits[email]?.[model] || { isRateLimited: false, waitMs: 0 }
+        };
+
+        let text = renderMetrics(accountManager);
+        assertIncludes(text, 'antigravity_accounts{state="rate_limited"} 1');
+        assertIncludes(text, 'antigravity_account_rate_limited{account="a@example.com",model="claude-sonnet-4-5"} 1');
+        assertIncludes(text, 'antigravity_account_rate_limit_reset_seconds{account="a@example.com",model="claude-sonnet-4-5"} 30');
+
+        // Limits that disappear from the account are dropped on the next scrape
+        limits['a@example.com'] = {};
+        accountManager.getStatus = () => ({ total: 2, available: 2, rateLimited: 0, invalid: 0, accounts: [] });
+        text = renderMetrics(accountManager);
+        assertEqual(text.includes('antigravity_account_rate_limited{'), false);
+        assertIncludes(text, 'antigravity_signature_cache_entries{cache="thinking"} 0');
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
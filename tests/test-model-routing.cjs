@@ -0,0 +1,196 @@
+/**
+ * Test Model Routing - Unit tests for the model routing rules engine
+ *
+ * Verifies:
+ * - Rules are checked in order and disabled rules are skipped
+ * - Matching on requested model, API key, header and request features
+ * - Estimated prompt size conditions
+ * - Model mapping and fallback defaults when no rule matches
+ * - Rule fallback chains and configured per-model chains
+ * - Rule validation and normalization
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           MODEL ROUTING TEST SUITE                           ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const {
+        resolveModelRoute,
+        validateRoutingRules,
+        normalizeRoutingRules,
+        hasImageContent
+    } = await import('../src/routing/index.js');
+    const { convertOpenAIToAnthropic } = await import('../src/format/openai/index.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const textRequest = (model, extra = {}) => ({
+        model,
+        messages: [{ role: 'user', content: 'Hello' }],
+        max_tokens: 100,
+        ...extra
+    });
+
+    const route = (request, context) => resolveModelRoute(request, { rules: [], modelMapping: {}, ...context });
+
+    test('The first enabled matching rule wins', () => {
+        const rules = [
+            { id: 'off', enabled: false, match: { model: 'claude-*' }, target_model: 'disabled-target' },
+            { id: 'sonnet', name: 'Sonnet', match: { model: 'claude-sonnet-*' }, target_model: 'gemini-3-flash' },
+            { id: 'claude', match: { model: 'claude-*' }, target_model: 'gemini-3-pro-high' }
+        ];
+
+        const sonnet = route(textRequest('claude-sonnet-4-5'), { rules });
+        assertEqual([sonnet.model, sonnet.rule], ['gemini-3-flash', { id: 'sonnet', name: 'Sonnet' }]);
+        assertEqual(route(textRequest('claude-opus-4-5-thinking'), { rules }).model, 'gemini-3-pro-high');
+        assertEqual(route(textRequest('gemini-3-flash'), { rules }).rule, null);
+    });
+
+    test('OpenAI requests match on the model name the client sent', () => {
+        const anthropicRequest = convertOpenAIToAnthropic({ model: 'gpt-4o', messages: [{ role: 'user', content: 'Hi' }] });
+        const rules = [{ match: { model: 'gpt-4o' }, target_model: 'claude-sonnet-4-5' }];
+
+        // Without a rule the built-in OpenAI mapping applies
+        assertEqual(route(anthropicRequest, { requestedModel: 'gpt-4o' }).model, 'gemini-3-pro-high');
+        assertEqual(route(anthropicRequest, { requestedModel: 'gpt-4o', rules }).model, 'claude-sonnet-4-5');
+    });
+
+    test('Rules can match on API key and header', () => {
+        const rules = [
+            { id: 'key', match: { api_key_ids: ['key-1'] }, target_model: 'from-key' },
+            { id: 'header', match: { header: { name: 'X-Route', value: 'cheap*' } }, target_model: 'from-header' },
+            { id: 'present', match: { header: { name: 'x-debug' } }, target_model: 'from-presence' }
+        ];
+        const request = textRequest('claude-sonnet-4-5');
+
+        assertEqual(route(request, { rules, apiKeyId: 'key-1' }).model, 'from-key');
+        assertEqual(route(request, { rules, apiKeyId: 'key-2', headers: { 'x-route': 'cheapest' } }).model, 'from-header');
+        assertEqual(route(request, { rules, headers: { 'x-route': 'premium', 'x-debug': '' } }).model, 'from-presence');
+        assertEqual(route(request, { rules, headers: { 'x-route': 'premium' } }).rule, null);
+    });
+
+    test('Rules can match on images, tools and thinking', () => {
+        const rules = [
+            { id: 'images', match: { has_images: true }, target_model: 'vision' },
+            { id: 'tools', match: { has_tools: true, thinking: false }, target_model: 'tools-fast' },
+            { id: 'thinking', match: { thinking: true }, target_model: 'thinker' }
+        ];
+        const image = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'iVBORw0KGgo=' } };
+
+        const withImage = textRequest('claude-sonnet-4-5', {
+            messages: [{ role: 'user', content: [{ type: 'tool_result', tool_use_id: 't1', content: [image] }] }]
+        });
+        assertEqual(hasImageContent(withImage.messages), true);
+        assertEqual(route(withImage, { rules }).model, 'vision');
+
+        const tools = [{ name: 'get_weather', input_schema: { type: 'object' } }];
+        assertEqual(route(textRequest('claude-sonnet-4-5', { tools }), { rules }).model, 'tools-fast');
+
+        // Thinking is requested by the thinking parameter or by asking for a thinking model
+        assertEqual(route(textRequest('claude-sonnet-4-5', { tools, thinking: { type: 'enabled', budget_tokens: 1024 } }), { rules }).model, 'thinker');
+        assertEqual(route(textRequest('claude-opus-4-5-thinking'), { rules }).model, 'thinker');
+        assertEqual(route(textRequest('claude-sonnet-4-5'), { rules }).rule, null);
+    });
+
+    test('Rules can match on the estimated prompt size', () => {
+        const rules = [
+            { id: 'small', match: { max_prompt_tokens: 1000 }, target_model: 'small' },
+            { id: 'large', match: { min_prompt_tokens: 5000 }, target_model: 'large' }
+        ];
+
+        assertEqual(route(textRequest('claude-sonnet-4-5'), { rules }).model, 'small');
+
+        const long = textRequest('claude-sonnet-4-5', { system: 'lorem ipsum '.repeat(4000) });
+        assertEqual(route(long, { rules }).model, 'large');
+    });
+
+    test('Without a matching rule the model mapping and default fallback apply', () => {
+        const modelMapping = { 'claude-sonnet-4-5': { mapping: 'gemini-3-flash' } };
+
+        const mapped = route(textRequest('claude-sonnet-4-5'), { modelMapping, fallbackEnabled: true, fallbackChains: {} });
+        assertEqual([mapped.model, mapped.fallbackEnabled, mapped.fallbackChain.models], ['gemini-3-flash', true, ['claude-sonnet-4-5-thinking']]);
+
+        // A rule without a target model keeps the mapped model and only sets the fallback chain
+        const rules = [{ match: { model: 'claude-*' }, fallback_models: ['claude-opus-4-5-thinking', 'gemini-3-pro-high'], fallback_on: ['quota'] }];
+        const chained = route(textRequest('claude-sonnet-4-5'), { modelMapping, rules });
+        assertEqual([chained.model, chained.fallbackEnabled, chained.fallbackChain],
+            ['gemini-3-flash', true, { models: ['claude-opus-4-5-thinking', 'gemini-3-pro-high'], on: ['quota'] }]);
+
+        // An empty chain turns fallback off even with --fallback
+        const none = route(textRequest('claude-sonnet-4-5'), {
+            rules: [{ match: {}, target_model: 'claude-sonnet-4-5', fallback_models: [] }],
+            fallbackEnabled: true
+        });
+        assertEqual(none.fallbackEnabled, false);
+    });
+
+    test('A configured chain for the target model applies without --fallback', () => {
+        const fallbackChains = { 'gemini-3-flash': { models: ['gemini-2.5-flash'], on: ['capacity'] } };
+        const rules = [{ match: { has_tools: true }, target_model: 'gemini-3-flash' }];
+        const tools = [{ name: 'get_weather', input_schema: { type: 'object' } }];
+
+        const routed = route(textRequest('claude-sonnet-4-5', { tools }), { rules, fallbackChains });
+        assertEqual([routed.fallbackEnabled, routed.fallbackChain], [true, { models: ['gemini-2.5-flash'], on: ['capacity'] }]);
+
+        // Other models keep the default: no fallback without --fallback
+        assertEqual(route(textRequest('claude-sonnet-4-5'), { rules, fallbackChains }).fallbackEnabled, false);
+    });
+
+    test('Rules are validated and normalized', () => {
+        assertEqual(validateRoutingRules([{ match: { model: 'gpt-*' }, target_model: 'gemini-3-flash' }]), null);
+        assertEqual(validateRoutingRules('rules') !== null, true);
+        assertEqual(validateRoutingRules([{ match: {} }]) !== null, true, 'needs a target or fallback chain');
+        assertEqual(validateRoutingRules([{ match: { color: 'red' }, target_model: 'x' }]) !== null, true);
+        assertEqual(validateRoutingRules([{ match: { has_tools: 'yes' }, target_model: 'x' }]) !== null, true);
+        assertEqual(validateRoutingRules([{ match: { min_prompt_tokens: -1 }, target_model: 'x' }]) !== null, true);
+        assertEqual(validateRoutingRules([{ match: { header: { value: 'x' } }, target_model: 'x' }]) !== null, true);
+        assertEqual(validateRoutingRules([{ match: {}, fallback_models: ['ok', ''] }]) !== null, true);
+        assertEqual(validateRoutingRules([{ match: {}, fallback_models: ['ok'], fallback_on: ['timeout'] }]) !== null, true);
+
+        const [rule] = normalizeRoutingRules([{
+            name: ' Cheap ',
+            match: { model: 'gpt-*', api_key_ids: [], header: null, has_tools: false },
+            target_model: ' gemini-3-flash '
+        }]);
+        assertEqual(typeof rule.id, 'string');
+        assertEqual([rule.name, rule.enabled, rule.match, rule.target_model, rule.fallback_models],
+            ['Cheap', true, { model: 'gpt-*', has_tools: false }, 'gemini-3-flash', null]);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+// Exit explicitly: the validator pulls in the rate limiter's cleanup interval
+runTests()
+    .then(() => process.exit(0))
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exit(1);
+    });
@@ -0,0 +1,228 @@
+/**
+ * Test OpenAI Responses - Unit tests for the /v1/responses converters
+ *
+ * Verifies:
+ * - Responses input items (messages, function calls/outputs, reasoning) map to Anthropic messages
+ * - instructions, function tools and reasoning effort are forwarded
+ * - Anthropic responses map to Responses output items
+ * - Anthropic stream events map to the typed Responses event stream
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           OPENAI RESPONSES API TEST SUITE                    ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM module
+    const {
+        convertResponsesToAnthropic,
+        convertAnthropicToResponses,
+        createResponsesStreamAdapter
+    } = await import('../src/format/openai/index.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    /**
+     * Parse the SSE text produced by the stream adapter into event payloads
+     */
+    function parseEvents(text) {
+        return text.split('\n\n').filter(Boolean).map(chunk => {
+            const [eventLine, dataLine] = chunk.split('\n');
+            const data = JSON.parse(dataLine.slice('data: '.length));
+            assertEqual(eventLine, `event: ${data.type}`, 'event name matches payload type');
+            return data;
+        });
+    }
+
+    test('String input becomes a single user message with instructions as system', () => {
+        const result = convertResponsesToAnthropic({ model: 'gpt-4', input: 'hi', instructions: 'Be brief', max_output_tokens: 100 });
+        assertEqual(result.messages, [{ role: 'user', content: 'hi' }]);
+        assertEqual(result.system, 'Be brief');
+        assertEqual(result.max_tokens, 100);
+    });
+
+    test('Developer and system items are appended to the system prompt', () => {
+        const result = convertResponsesToAnthropic({
+            model: 'gpt-4',
+            instructions: 'A',
+            input: [
+                { role: 'developer', content: 'B' },
+                { type: 'message', role: 'user', content: [{ type: 'input_text', text: 'hi' }] }
+            ]
+        });
+        assertEqual(result.system, 'A\n\nB');
+        assertEqual(result.messages, [{ role: 'user', content: 'hi' }]);
+    });
+
+    test('Reasoning and function call items merge into one assistant turn', () => {
+        const result = convertResponsesToAnthropic({
+            model: 'gpt-4',
+            input: [
+                { role: 'user', content: 'weather?' },
+                { type: 'reasoning', id: 'rs_1', summary: [{ type: 'summary_text', text: 'think' }], encrypted_content: 'sig' },
+                { type: 'function_call', call_id: 'call_1', name: 'get_weather', arguments: '{"city":"Paris"}' },
+                { type: 'function_call_output', call_id: 'call_1', output: 'sunny' }
+            ]
+        });
+        assertEqual(result.messages, [
+            { role: 'user', content: 'weather?' },
+            {
+                role: 'assistant',
+                content: [
+                    { type: 'thinking', thinking: 'think', signature: 'sig' },
+                    { type: 'tool_use', id: 'call_1', name: 'get_weather', input: { city: 'Paris' } }
+                ]
+            },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call_1', content: 'sunny' }] }
+        ]);
+    });
+
+    test('Reasoning items without encrypted_content are dropped', () => {
+        const result = convertResponsesToAnthropic({
+            model: 'gpt-4',
+            input: [
+                { role: 'user', content: 'hi' },
+                { type: 'reasoning', summary: [{ type: 'summary_text', text: 'x' }] },
+                { role: 'assistant', content: [{ type: 'output_text', text: 'hello' }] }
+            ]
+        });
+        assertEqual(result.messages[1], { role: 'assistant', content: 'hello' });
+    });
+
+    test('Forwards function tools, tool_choice and reasoning effort', () => {
+        const result = convertResponsesToAnthropic({
+            model: 'gpt-4',
+            input: 'hi',
+            tools: [
+                { type: 'function', name: 'get_weather', parameters: { type: 'object', properties: { city: { type: 'string' } }, additionalProperties: false } },
+                { type: 'web_search' }
+            ],
+            tool_choice: { type: 'function', name: 'get_weather' },
+            reasoning: { effort: 'low' }
+        });
+        assertEqual(result.tools.map(t => t.name), ['get_weather']);
+        assertEqual(result.tools[0].input_schema.additionalProperties, undefined, 'schema sanitized');
+        assertEqual(result.tool_choice, { type: 'tool', name: 'get_weather' });
+        assertEqual(result.thinking, { type: 'enabled', budget_tokens: 4096 });
+    });
+
+    test('Converts Anthropic response to Responses output items', () => {
+        const result = convertAnthropicToResponses({
+            content: [
+                { type: 'thinking', thinking: 'hmm', signature: 'sig' },
+                { type: 'text', text: 'Hello' },
+                { type: 'text', text: ' world' },
+                { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 10, cache_read_input_tokens: 5, output_tokens: 7 }
+        }, 'gpt-4');
+
+        assertEqual(result.object, 'response');
+        assertEqual(result.status, 'completed');
+        assertEqual(result.output.map(item => item.type), ['reasoning', 'message', 'function_call']);
+        assertEqual(result.output[0].encrypted_content, 'sig');
+        assertEqual(result.output[1].content.map(part => part.text), ['Hello', ' world']);
+        assertEqual(result.output[2].call_id, 'toolu_1');
+        assertEqual(result.output[2].arguments, '{"city":"Paris"}');
+        assertEqual(result.usage.input_tokens, 15);
+        assertEqual(result.usage.total_tokens, 22);
+    });
+
+    test('max_tokens stop reason maps to an incomplete response', () => {
+        const result = convertAnthropicToResponses({ content: [{ type: 'text', text: 'x' }], stop_reason: 'max_tokens' }, 'gpt-4');
+        assertEqual(result.status, 'incomplete');
+        assertEqual(result.incomplete_details, { reason: 'max_output_tokens' });
+    });
+
+    test('Stream adapter emits typed Responses events', () => {
+        const adapter = createResponsesStreamAdapter('gpt-4');
+        const anthropicEvents = [
+            { type: 'message_start', message: { usage: { input_tokens: 3, output_tokens: 0 } } },
+            { type: 'content_block_start', index: 0, content_block: { type: 'thinking', thinking: '' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'thinking_delta', thinking: 'hmm' } },
+            { type: 'content_block_delta', index: 0, delta: { type: 'signature_delta', signature: 'sig' } },
+            { type: 'content_block_stop', index: 0 },
+            { type: 'content_block_start', index: 1, content_block: { type: 'text', text: '' } },
+            { type: 'content_block_delta', index: 1, delta: { type: 'text_delta', text: 'Hi' } },
+            { type: 'content_block_stop', index: 1 },
+            { type: 'content_block_start', index: 2, content_block: { type: 'tool_use', id: 'toolu_1', name: 'f', input: {} } },
+            { type: 'content_block_delta', index: 2, delta: { type: 'input_json_delta', partial_json: '{}' } },
+            { type: 'content_block_stop', index: 2 },
+            { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 4 } },
+            { type: 'message_stop' }
+        ];
+        const events = parseEvents(anthropicEvents.map(e => adapter.transform(e) || '').join(''));
+
+        assertEqual(events.map(e => e.type), [
+            'response.created',
+            'response.in_progress',
+            'response.output_item.added',
+            'response.reasoning_summary_part.added',
+            'response.reasoning_summary_text.delta',
+            'response.reasoning_summary_text.done',
+            'response.reasoning_summary_part.done',
+            'response.output_item.done',
+            'response.output_item.added',
+            'response.content_part.added',
+            'response.output_text.delta',
+            'response.output_text.done',
+            'response.content_part.done',
+            'response.output_item.done',
+            'response.output_item.added',
+            'response.function_call_arguments.delta',
+            'response.function_call_arguments.done',
+            'response.output_item.done',
+            'response.completed'
+        ]);
+        assertEqual(events.map(e => e.sequence_number), events.map((_, i) => i), 'sequence numbers');
+
+        const completed = events[events.length - 1].response;
+        assertEqual(completed.status, 'completed');
+        assertEqual(completed.output.map(item => item.type), ['reasoning', 'message', 'function_call']);
+        assertEqual(completed.output[0].encrypted_content, 'sig');
+        assertEqual(completed.output[1].content[0].text, 'Hi');
+        assertEqual(completed.usage.total_tokens, 7);
+    });
+
+    test('Stream adapter fail() emits response.failed once', () => {
+        const adapter = createResponsesStreamAdapter('gpt-4');
+        const events = parseEvents(adapter.fail('boom'));
+        assertEqual(events.map(e => e.type), ['response.created', 'response.in_progress', 'response.failed']);
+        assertEqual(events[2].response.error, { code: 'server_error', message: 'boom' });
+        assertEqual(adapter.fail('again'), null);
+        assertEqual(adapter.transform({ type: 'message_stop' }), null);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
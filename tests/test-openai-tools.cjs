@@ -0,0 +1,125 @@
+/**
+ * Test OpenAI Tools - Unit tests for OpenAI tool/function request conversion
+ *
+ * Verifies that convertOpenAIToAnthropic forwards:
+ * - tools and legacy functions as Anthropic tools (schemas sanitized)
+ * - tool_choice modes (auto/none/required/named) and legacy function_call
+ * - parallel_tool_calls as disable_parallel_tool_use
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           OPENAI TOOLS CONVERSION TEST SUITE                 ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM module
+    const { convertOpenAIToAnthropic } = await import('../src/format/openai/request-converter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const weatherTool = {
+        type: 'function',
+        function: {
+            name: 'get_weather',
+            description: 'Get the weather',
+            parameters: {
+                type: 'object',
+                properties: { city: { type: 'string' } },
+                required: ['city'],
+                additionalProperties: false
+            }
+        }
+    };
+
+    function convert(extra) {
+        return convertOpenAIToAnthropic({
+            model: 'gpt-4',
+            messages: [{ role: 'user', content: 'hi' }],
+            ...extra
+        });
+    }
+
+    test('Converts tools to Anthropic tools with sanitized schema', () => {
+        const result = convert({ tools: [weatherTool] });
+        assertEqual(result.tools, [{
+            name: 'get_weather',
+            description: 'Get the weather',
+            input_schema: {
+                type: 'object',
+                properties: { city: { type: 'string' } },
+                required: ['city']
+            }
+        }]);
+        assertEqual(result.tool_choice, undefined, 'No tool_choice by default');
+    });
+
+    test('Converts legacy functions', () => {
+        const result = convert({ functions: [{ name: 'lookup', parameters: { type: 'object', properties: { q: { type: 'string' } } } }] });
+        assertEqual(result.tools.map(t => t.name), ['lookup']);
+    });
+
+    test('Missing parameters get a placeholder schema', () => {
+        const result = convert({ tools: [{ type: 'function', function: { name: 'ping' } }] });
+        assertEqual(result.tools[0].input_schema.type, 'object');
+        assertEqual(Object.keys(result.tools[0].input_schema.properties), ['reason']);
+    });
+
+    test('Maps tool_choice modes', () => {
+        assertEqual(convert({ tools: [weatherTool], tool_choice: 'auto' }).tool_choice, { type: 'auto' });
+        assertEqual(convert({ tools: [weatherTool], tool_choice: 'none' }).tool_choice, { type: 'none' });
+        assertEqual(convert({ tools: [weatherTool], tool_choice: 'required' }).tool_choice, { type: 'any' });
+        assertEqual(
+            convert({ tools: [weatherTool], tool_choice: { type: 'function', function: { name: 'get_weather' } } }).tool_choice,
+            { type: 'tool', name: 'get_weather' }
+        );
+    });
+
+    test('Maps legacy function_call', () => {
+        const functions = [weatherTool.function];
+        assertEqual(convert({ functions, function_call: 'none' }).tool_choice, { type: 'none' });
+        assertEqual(convert({ functions, function_call: { name: 'get_weather' } }).tool_choice, { type: 'tool', name: 'get_weather' });
+    });
+
+    test('parallel_tool_calls false disables parallel tool use', () => {
+        assertEqual(convert({ tools: [weatherTool], parallel_tool_calls: false }).tool_choice,
+            { type: 'auto', disable_parallel_tool_use: true });
+        assertEqual(convert({ tools: [weatherTool], tool_choice: 'required', parallel_tool_calls: false }).tool_choice,
+            { type: 'any', disable_parallel_tool_use: true });
+    });
+
+    test('tool_choice is dropped when no tools are defined', () => {
+        assertEqual(convert({ tool_choice: 'required' }).tool_choice, undefined);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
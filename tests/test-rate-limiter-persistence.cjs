@@ -0,0 +1,218 @@
+/**
+ * Test Rate Limiter Persistence - Unit tests for SQLite-backed rate limits and concurrency limits
+ *
+ * Uses a temporary HOME so the SQLite database is created from scratch.
+ * A restart is simulated by dropping the in-memory cache; another instance
+ * by writing to the database directly.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+// Must be set before the database module resolves its path
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'rate-limits-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           RATE LIMITER PERSISTENCE TEST SUITE                ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { initDatabase, closeDatabase } = await import('../src/database/index.js');
+    const { recordRateLimitEvent, acquireInflightSlot } = await import('../src/database/models/rate-limits.js');
+    const { INFLIGHT_LEASE_MS } = await import('../src/api-keys/concurrency-limiter.js');
+    const {
+        createApiKey,
+        getApiKeyById,
+        updateApiKey,
+        checkRateLimit,
+        recordRequest,
+        resetRateLimit,
+        clearRateLimitCache,
+        acquireConcurrencySlot,
+        getConcurrencyStatus,
+        releaseDeadHolderSlots
+    } = await import('../src/api-keys/index.js');
+
+    initDatabase();
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    test('Rate limit windows survive a restart', () => {
+        const key = getApiKeyById(createApiKey({ name: 'restart', rate_limit_rpm: 2 }).id);
+        recordRequest(key.id);
+        recordRequest(key.id);
+        assertEqual(checkRateLimit(key).allowed, false);
+
+        clearRateLimitCache();
+        const result = checkRateLimit(key);
+        assertEqual(result.allowed, false);
+        assertEqual(result.current, { rpm: 2, rph: 2 });
+        assertEqual(result.error, 'Rate limit exceeded: 2/2 requests per minute');
+    });
+
+    test('Requests recorded by another instance count toward the limit', () => {
+        const key = getApiKeyById(createApiKey({ name: 'shared', rate_limit_rph: 3 }).id);
+        const now = Date.now();
+        recordRateLimitEvent(key.id, now - 30 * 60 * 1000);
+        recordRateLimitEvent(key.id, now - 1000);
+        recordRateLimitEvent(key.id, now - 2 * 60 * 60 * 1000); // Outside the hour window
+
+        const result = checkRateLimit(key);
+        assertEqual(result.allowed, true);
+        assertEqual(result.current, { rpm: 1, rph: 2 });
+
+        recordRateLimitEvent(key.id, now);
+        clearRateLimitCache();
+        assertEqual(checkRateLimit(key).allowed, false);
+    });
+
+    test('resetRateLimit clears persisted windows', () => {
+        const key = getApiKeyById(createApiKey({ name: 'reset', rate_limit_rpm: 1 }).id);
+        recordRequest(key.id);
+        assertEqual(checkRateLimit(key).allowed, false);
+
+        resetRateLimit(key.id);
+        clearRateLimitCache();
+        assertEqual(checkRateLimit(key).allowed, true);
+    });
+
+    test('Concurrency limit rejects requests beyond max in-flight', () => {
+        const key = getApiKeyById(createApiKey({ name: 'concurrent', max_concurrent_requests: 2 }).id);
+        assertEqual(key.max_concurrent_requests, 2);
+
+        const first = acquireConcurrencySlot(key);
+        const second = acquireConcurrencySlot(key);
+        assertEqual([first.allowed, second.allowed], [true, true]);
+        assertEqual(getConcurrencyStatus(key), { current: 2, limit: 2, remaining: 0 });
+
+        const third = acquireConcurrencySlot(key);
+        assertEqual(third.allowed, false);
+        assertEqual(third.error, 'Concurrency limit exceeded: 2/2 requests in flight');
+        assertEqual(third.retryAfter, 1);
+
+        // Releasing twice frees only one slot
+        first.release();
+        first.release();
+        assertEqual(getConcurrencyStatus(key).current, 1);
+        assertEqual(acquireConcurrencySlot(key).allowed, true);
+        assertEqual(acquireConcurrencySlot(key).allowed, false);
+    });
+
+    test('Keys without a concurrency limit do not take slots', () => {
+        const key = getApiKeyById(createApiKey({ name: 'unlimited' }).id);
+        const slot = acquireConcurrencySlot(key);
+        assertEqual(slot.allowed, true);
+        assertEqual(getConcurrencyStatus(key), { current: 0, limit: null, remaining: null });
+        slot.release();
+    });
+
+    test('Slots held by a stopped process on this host are reclaimed', () => {
+        const key = getApiKeyById(createApiKey({ name: 'dead-holder', max_concurrent_requests: 1 }).id);
+        const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+
+        acquireInflightSlot({
+            id: 'dead-slot',
+            api_key_id: key.id,
+            holder: `${os.hostname()}:${deadPid}`,
+            started_at: Date.now()
+        }, 1, 0);
+        assertEqual(getConcurrencyStatus(key).current, 1);
+
+        const slot = acquireConcurrencySlot(key);
+        assertEqual(slot.allowed, true);
+        assertEqual(getConcurrencyStatus(key).current, 1);
+        slot.release();
+    });
+
+    test('Slots from a previous run with the same PID are released at startup', () => {
+        const key = getApiKeyById(createApiKey({ name: 'restarted', max_concurrent_requests: 2 }).id);
+        const slot = acquireConcurrencySlot(key);
+
+        // A crashed run of this proxy that had the same PID (e.g. PID 1 in a restarted container)
+        acquireInflightSlot({
+            id: 'previous-run-slot',
+            api_key_id: key.id,
+            holder: `${os.hostname()}:${process.pid}:0123456789ab`,
+            started_at: Date.now()
+        }, 2, 0);
+        // Another proxy on this host that is still running
+        acquireInflightSlot({
+            id: 'live-instance-slot',
+            api_key_id: key.id,
+            holder: `${os.hostname()}:${process.ppid}:ba9876543210`,
+            started_at: Date.now()
+        }, 3, 0);
+        assertEqual(getConcurrencyStatus(key).current, 3);
+
+        assertEqual(releaseDeadHolderSlots(), 1);
+        assertEqual(getConcurrencyStatus(key).current, 2);
+
+        slot.release();
+        assertEqual(getConcurrencyStatus(key).current, 1);
+    });
+
+    test('Slots older than the lease are ignored', () => {
+        const key = getApiKeyById(createApiKey({ name: 'stale', max_concurrent_requests: 1 }).id);
+        acquireInflightSlot({
+            id: 'stale-slot',
+            api_key_id: key.id,
+            holder: 'other-host:1',
+            started_at: Date.now() - INFLIGHT_LEASE_MS - 1000
+        }, 1, 0);
+
+        assertEqual(getConcurrencyStatus(key).current, 0);
+        assertEqual(acquireConcurrencySlot(key).allowed, true);
+    });
+
+    test('Concurrency limit can be changed and cleared through updateApiKey', () => {
+        const key = createApiKey({ name: 'update', max_concurrent_requests: 1 });
+        updateApiKey(key.id, { max_concurrent_requests: 5 });
+        assertEqual(getApiKeyById(key.id).max_concurrent_requests, 5);
+
+        updateApiKey(key.id, { max_concurrent_requests: null });
+        assertEqual(getApiKeyById(key.id).max_concurrent_requests, null);
+    });
+
+    closeDatabase();
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests()
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(tempHome, { recursive: true, force: true });
+        process.exit(process.exitCode || 0);
+    });
@@ -0,0 +1,191 @@
+/**
+ * Test Request Cancellation - Tests for aborting upstream work when the client disconnects
+ *
+ * Uses a stubbed fetch and a minimal account manager.
+ * Verifies:
+ * - sleep() rejects as soon as its signal aborts
+ * - An aborted signal stops sendMessage/sendMessageStream before any upstream call
+ * - Aborting during a fetch or a retry wait stops without trying other endpoints or accounts
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           REQUEST CANCELLATION TEST SUITE                    ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { sleep } = await import('../src/utils/helpers.js');
+    const { isAbortError } = await import('../src/errors.js');
+    const { sendMessage } = await import('../src/cloudcode/message-handler.js');
+    const { sendMessageStream } = await import('../src/cloudcode/streaming-handler.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    /**
+     * Minimal account manager with two healthy accounts
+     */
+    function createAccountManager() {
+        const accounts = [{ email: 'a@example.com' }, { email: 'b@example.com' }];
+        let next = 0;
+        return {
+            selected: [],
+            getAccountCount: () => accounts.length,
+            clearExpiredLimits: () => {},
+            getAvailableAccounts: () => accounts,
+            isAllRateLimited: () => false,
+            getMinWaitTimeMs: () => 0,
+            selectAccount() {
+                const account = accounts[next++ % accounts.length];
+                this.selected.push(account.email);
+                return { account, waitMs: 0 };
+            },
+            getTokenForAccount: async () => 'token',
+            getProjectForAccount: async () => 'project',
+            notifySuccess: () => {},
+            notifyFailure: () => {},
+            notifyRateLimit: () => {},
+            markRateLimited: () => {},
+            markInvalid: () => {},
+            clearTokenCache: () => {},
+            clearProjectCache: () => {},
+            getHealthTracker: () => null
+        };
+    }
+
+    const request = { model: 'gemini-3-flash', messages: [{ role: 'user', content: 'Hi' }], max_tokens: 10 };
+    const originalFetch = globalThis.fetch;
+    let fetchCalls = 0;
+
+    /**
+     * Run fn with fetch replaced by handler (counts calls)
+     */
+    async function withFetch(handler, fn) {
+        fetchCalls = 0;
+        globalThis.fetch = (url, options) => {
+            fetchCalls++;
+            return handler(url, options);
+        };
+        try {
+            await fn();
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    }
+
+    /**
+     * Assert that fn rejects with an AbortError
+     */
+    async function assertAborts(fn) {
+        try {
+            await fn();
+        } catch (error) {
+            if (isAbortError(error)) return;
+            throw new Error(`Expected AbortError, got: ${error.message}`);
+        }
+        throw new Error('Expected AbortError, but nothing was thrown');
+    }
+
+    async function drain(generator) {
+        for await (const event of generator) void event;
+    }
+
+    // Never settles until the request's signal aborts
+    const hangUntilAborted = (url, { signal }) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason), { once: true });
+    });
+
+    await test('sleep resolves normally and rejects when aborted', async () => {
+        const controller = new AbortController();
+        await sleep(5, controller.signal);
+
+        const started = Date.now();
+        setTimeout(() => controller.abort(), 20);
+        await assertAborts(() => sleep(60000, controller.signal));
+        assertEqual(Date.now() - started < 5000, true, 'sleep should stop at the abort');
+
+        await assertAborts(() => sleep(10, controller.signal));
+    });
+
+    await test('Aborted signal stops sendMessage before any upstream call', async () => {
+        const controller = new AbortController();
+        controller.abort();
+        const accountManager = createAccountManager();
+
+        await withFetch(hangUntilAborted, async () => {
+            await assertAborts(() => sendMessage(request, accountManager, false, {}, null, controller.signal));
+        });
+        assertEqual([fetchCalls, accountManager.selected.length], [0, 0]);
+    });
+
+    await test('Abort during the upstream call does not fail over (non-streaming)', async () => {
+        const controller = new AbortController();
+        const accountManager = createAccountManager();
+        setTimeout(() => controller.abort(), 20);
+
+        await withFetch(hangUntilAborted, async () => {
+            await assertAborts(() => sendMessage(request, accountManager, false, {}, null, controller.signal));
+        });
+        assertEqual([fetchCalls, accountManager.selected], [1, ['a@example.com']]);
+    });
+
+    await test('Abort during the upstream call does not fail over (streaming)', async () => {
+        const controller = new AbortController();
+        const accountManager = createAccountManager();
+        setTimeout(() => controller.abort(), 20);
+
+        await withFetch(hangUntilAborted, async () => {
+            await assertAborts(() => drain(sendMessageStream(request, accountManager, false, {}, null, controller.signal)));
+        });
+        assertEqual([fetchCalls, accountManager.selected], [1, ['a@example.com']]);
+    });
+
+    await test('Abort during a capacity retry wait stops the retry loop', async () => {
+        const controller = new AbortController();
+        const accountManager = createAccountManager();
+        const capacityError = () => new Response(
+            JSON.stringify({ error: { message: 'MODEL_CAPACITY_EXHAUSTED' } }),
+            { status: 429 }
+        );
+
+        const started = Date.now();
+        await withFetch(async () => {
+            setTimeout(() => controller.abort(), 20);
+            return capacityError();
+        }, async () => {
+            await assertAborts(() => drain(sendMessageStream(request, accountManager, false, {}, null, controller.signal)));
+        });
+        assertEqual([fetchCalls, accountManager.selected.length], [1, 1]);
+        assertEqual(Date.now() - started < 1000, true, 'should not wait out the retry delay');
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    // The cloudcode handlers keep a cleanup interval running, so exit explicitly
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,194 @@
+/**
+ * Test Request Logging - Drives requests through the API handlers and checks the stored log rows
+ *
+ * Uses a temporary HOME so the SQLite database is created from scratch, a
+ * stubbed upstream (fetch) and a minimal account pool.
+ * Verifies:
+ * - Non-streaming /v1/messages requests store model, account, tokens, format and end user
+ * - Streaming OpenAI chat completions are logged with the assembled response
+ * - Logs can be filtered by API format, account and end user
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Must be set before the database module resolves its path
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'request-logging-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           REQUEST LOGGING TEST SUITE                         ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { default: app, accountManager } = await import('../src/server.js');
+    const { createApiKey } = await import('../src/api-keys/index.js');
+    const { getRequestLogs, getRequestLogById } = await import('../src/database/models/request-logs.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    // One healthy account; the handlers only need the methods the request path calls
+    const account = { email: 'logger@example.com' };
+    Object.assign(accountManager, {
+        initialize: async () => {},
+        getStatus: () => ({ total: 1, available: 1, rateLimited: 0, invalid: 0, summary: '1 total', accounts: [] }),
+        getAccountCount: () => 1,
+        getAllAccounts: () => [account],
+        getAvailableAccounts: () => [account],
+        isAllRateLimited: () => false,
+        resetAllRateLimits: () => {},
+        clearExpiredLimits: () => {},
+        getMinWaitTimeMs: () => 0,
+        selectAccount: () => ({ account, waitMs: 0 }),
+        getTokenForAccount: async () => 'token',
+        getProjectForAccount: async () => 'project',
+        notifySuccess: () => {},
+        notifyFailure: () => {},
+        notifyRateLimit: () => {},
+        markRateLimited: () => {},
+        markInvalid: () => {},
+        clearTokenCache: () => {},
+        clearProjectCache: () => {},
+        getHealthTracker: () => null
+    });
+
+    // Upstream answers every generation with the same text and usage
+    const googleResponse = {
+        candidates: [{ content: { role: 'model', parts: [{ text: 'Hello there' }] }, finishReason: 'STOP' }],
+        usageMetadata: { promptTokenCount: 12, candidatesTokenCount: 3 }
+    };
+    const originalFetch = globalThis.fetch;
+    globalThis.fetch = (url, options) => {
+        if (String(url).startsWith('http://127.0.0.1')) return originalFetch(url, options);
+        if (String(url).includes('streamGenerateContent')) {
+            return Promise.resolve(new Response(`data: ${JSON.stringify({ response: googleResponse })}\n\n`, {
+                headers: { 'Content-Type': 'text/event-stream' }
+            }));
+        }
+        return Promise.resolve(new Response(JSON.stringify({ response: googleResponse }), {
+            headers: { 'Content-Type': 'application/json' }
+        }));
+    };
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const apiKey = createApiKey({ name: 'logging' });
+
+    async function post(urlPath, body) {
+        const response = await fetch(`${baseUrl}${urlPath}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'x-api-key': apiKey.key, 'User-Agent': 'logging-test' },
+            body: JSON.stringify(body)
+        });
+        return { status: response.status, text: await response.text() };
+    }
+
+    await test('Non-streaming /v1/messages request is stored with its details', async () => {
+        const response = await post('/v1/messages', {
+            model: 'gemini-3-flash',
+            max_tokens: 100,
+            system: 'Be brief',
+            messages: [{ role: 'user', content: 'Hi' }],
+            metadata: { user_id: 'user-42' }
+        });
+        assertEqual(response.status, 200, response.text);
+
+        const { logs } = getRequestLogs({ api_key_id: apiKey.id, api_format: 'anthropic' });
+        assertEqual(logs.length, 1);
+        const log = logs[0];
+        assertEqual({
+            model: log.model,
+            actual_model: log.actual_model,
+            account_email: log.account_email,
+            status: log.status,
+            http_status: log.http_status,
+            input_tokens: log.input_tokens,
+            output_tokens: log.output_tokens,
+            api_format: log.api_format,
+            end_user_id: log.end_user_id,
+            user_agent: log.user_agent,
+            key_prefix: log.key_prefix
+        }, {
+            model: 'gemini-3-flash',
+            actual_model: 'gemini-3-flash',
+            account_email: 'logger@example.com',
+            status: 'success',
+            http_status: 200,
+            input_tokens: 12,
+            output_tokens: 3,
+            api_format: 'anthropic',
+            end_user_id: 'user-42',
+            user_agent: 'logging-test',
+            key_prefix: apiKey.key_prefix
+        });
+        assertEqual(log.attempts >= 1, true, `attempts: ${log.attempts}`);
+
+        // Content is only returned with the full entry
+        const entry = getRequestLogById(log.id);
+        assertEqual(entry.request_system, 'Be brief');
+        assertEqual(entry.request_messages, [{ role: 'user', content: 'Hi' }]);
+        assertEqual(entry.response_content, [{ type: 'text', text: 'Hello there' }]);
+    });
+
+    await test('Streaming chat completion is logged with the assembled response', async () => {
+        const response = await post('/v1/chat/completions', {
+            model: 'gemini-3-flash',
+            stream: true,
+            messages: [{ role: 'user', content: 'Hi again' }],
+            user: 'user-7'
+        });
+        assertEqual(response.status, 200);
+        assertEqual(response.text.includes('data: [DONE]'), true);
+
+        const { logs } = getRequestLogs({ api_key_id: apiKey.id, api_format: 'openai' });
+        assertEqual(logs.length, 1);
+        assertEqual([logs[0].status, logs[0].http_status, logs[0].end_user_id, logs[0].output_tokens], ['success', 200, 'user-7', 3]);
+        assertEqual(getRequestLogById(logs[0].id).response_content, [{ type: 'text', text: 'Hello there' }]);
+    });
+
+    await test('Logs filter by API format, account and end user', async () => {
+        assertEqual(getRequestLogs({ api_key_id: apiKey.id }).total, 2);
+        assertEqual(getRequestLogs({ account_email: 'logger@example.com' }).total, 2);
+        assertEqual(getRequestLogs({ end_user_id: 'user-42' }).logs.map(log => log.api_format), ['anthropic']);
+        assertEqual(getRequestLogs({ api_format: 'gemini' }).total, 0);
+    });
+
+    server.close();
+    globalThis.fetch = originalFetch;
+    fs.rmSync(tempHome, { recursive: true, force: true });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    // The server keeps its cleanup intervals running, so exit explicitly
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,203 @@
+/**
+ * Test Response Cache - Unit tests for the exact-match response cache
+ *
+ * Uses a temporary HOME so the SQLite database and config are created from scratch.
+ * Verifies:
+ * - Equivalent requests share a key; response-changing fields do not
+ * - Server default, per-key override and Cache-Control bypass
+ * - Store, lookup (with a new message ID), expiry and LRU pruning
+ * - Replayed SSE events rebuild the original message
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Must be set before the database and config modules resolve their paths
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'response-cache-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           RESPONSE CACHE TEST SUITE                          ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { initDatabase, getDatabase, closeDatabase } = await import('../src/database/index.js');
+    const { saveConfig } = await import('../src/config.js');
+    const { buildCacheKey, getCachePolicy, lookupCachedResponse, storeCachedResponse } = await import('../src/cache/index.js');
+    const { getResponseCacheEntry, putResponseCacheEntry, pruneResponseCache, getResponseCacheStats, clearResponseCache } = await import('../src/database/models/response-cache.js');
+    const { replayMessageEvents } = await import('../src/format/stream-replay.js');
+    const { createStreamAccumulator } = await import('../src/format/stream-accumulator.js');
+
+    initDatabase();
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const request = {
+        model: 'claude-sonnet-4-5',
+        system: 'Be brief.',
+        messages: [{ role: 'user', content: 'Hello' }],
+        max_tokens: 100,
+        temperature: 0
+    };
+
+    const message = {
+        id: 'msg_original',
+        type: 'message',
+        role: 'assistant',
+        model: 'claude-sonnet-4-5',
+        content: [
+            { type: 'text', text: 'Hi there' },
+            { type: 'tool_use', id: 'toolu_1', name: 'get_weather', input: { city: 'Paris' } }
+        ],
+        stop_reason: 'tool_use',
+        stop_sequence: null,
+        usage: { input_tokens: 12, output_tokens: 7, cache_read_input_tokens: 0, cache_creation_input_tokens: 0 }
+    };
+
+    test('Equivalent requests share a cache key', () => {
+        const equivalent = {
+            temperature: 0,
+            max_tokens: 100,
+            stream: true,
+            metadata: { user_id: 'someone' },
+            system: [{ type: 'text', text: 'Be brief.', cache_control: { type: 'ephemeral' } }],
+            messages: [{ role: 'user', content: [{ type: 'text', text: 'Hello' }] }],
+            model: 'claude-sonnet-4-5'
+        };
+        assertEqual(buildCacheKey(equivalent), buildCacheKey(request));
+    });
+
+    test('Response-changing fields and the API key change the cache key', () => {
+        const key = buildCacheKey(request);
+        assertEqual(buildCacheKey({ ...request, temperature: 1 }) === key, false, 'temperature');
+        assertEqual(buildCacheKey({ ...request, model: 'gemini-3-flash' }) === key, false, 'model');
+        assertEqual(buildCacheKey({ ...request, tools: [{ name: 'get_weather', input_schema: {} }] }) === key, false, 'tools');
+        assertEqual(buildCacheKey(request, 'key-a') === buildCacheKey(request, 'key-b'), false, 'API key');
+    });
+
+    test('Cache is off by default and follows the per-key override', () => {
+        assertEqual(getCachePolicy(request), null);
+        assertEqual(getCachePolicy(request, { keyEntry: { response_cache: true } })?.lookup, true);
+
+        saveConfig({ responseCacheEnabled: true });
+        assertEqual(getCachePolicy(request)?.store, true);
+        assertEqual(getCachePolicy(request, { keyEntry: { response_cache: false } }), null);
+        assertEqual(getCachePolicy(request, { keyEntry: { response_cache: null } })?.lookup, true);
+    });
+
+    test('Cache-Control no-cache skips the lookup, no-store skips the cache', () => {
+        const noCache = getCachePolicy(request, { headers: { 'cache-control': 'no-cache' } });
+        assertEqual([noCache.lookup, noCache.store], [false, true]);
+
+        const noStore = getCachePolicy(request, { headers: { 'cache-control': 'max-age=0, No-Store' } });
+        assertEqual([noStore.lookup, noStore.store], [false, false]);
+        assertEqual(lookupCachedResponse(noStore), { response: null, status: 'BYPASS' });
+    });
+
+    test('Stored responses are served with a new message ID', () => {
+        const policy = getCachePolicy(request, { apiKeyId: null });
+        assertEqual(lookupCachedResponse(policy).status, 'MISS');
+
+        storeCachedResponse(policy, message);
+        const { response, status } = lookupCachedResponse(policy);
+
+        assertEqual(status, 'HIT');
+        assertEqual(response.content, message.content);
+        assertEqual(response.usage, message.usage);
+        assertEqual(response.id !== message.id && response.id.startsWith('msg_'), true);
+        assertEqual(getResponseCacheStats().hits, 1);
+    });
+
+    test('Incomplete responses are not stored', () => {
+        const policy = getCachePolicy({ ...request, temperature: 0.5 });
+
+        storeCachedResponse(policy, { ...message, stop_reason: null });
+        storeCachedResponse(policy, {
+            ...message,
+            content: [{ type: 'tool_use', id: 'toolu_2', name: 'get_weather', input: { _partial: '{"city": "Par' } }]
+        });
+
+        assertEqual(lookupCachedResponse(policy).status, 'MISS');
+    });
+
+    test('Pruning removes expired entries, then the least recently used', () => {
+        clearResponseCache();
+        putResponseCacheEntry({ key: 'expired', response: message, ttl_ms: -1 });
+        putResponseCacheEntry({ key: 'old', response: message, ttl_ms: 60000 });
+        putResponseCacheEntry({ key: 'new', response: message, ttl_ms: 60000 });
+
+        // Make "old" the least recently used
+        getDatabase().prepare("UPDATE response_cache SET last_used_at = last_used_at - 1000 WHERE key = 'old'").run();
+
+        assertEqual(pruneResponseCache({ maxEntries: 5 }), 1, 'expired entry');
+        assertEqual(getResponseCacheStats().entries, 2);
+
+        assertEqual(pruneResponseCache({ maxEntries: 1 }), 1, 'entry over the limit');
+        assertEqual(getResponseCacheEntry('old'), null);
+        assertEqual(getResponseCacheEntry('new')?.model, message.model);
+
+        assertEqual(pruneResponseCache({ maxBytes: 1 }), 1, 'entry over the size limit');
+        assertEqual(getResponseCacheStats().entries, 0);
+    });
+
+    test('Replayed events rebuild the original message', () => {
+        const thinkingMessage = {
+            ...message,
+            content: [{ type: 'thinking', thinking: 'Let me think', signature: 'sig'.repeat(20) }, ...message.content]
+        };
+        const events = [...replayMessageEvents(thinkingMessage)];
+        const accumulator = createStreamAccumulator();
+        events.forEach(event => accumulator.add(event));
+
+        assertEqual(events[0].type, 'message_start');
+        assertEqual(events[events.length - 1].type, 'message_stop');
+        assertEqual(accumulator.getMessage(), {
+            model: thinkingMessage.model,
+            content: thinkingMessage.content,
+            stop_reason: thinkingMessage.stop_reason,
+            stop_sequence: null,
+            usage: thinkingMessage.usage
+        });
+    });
+
+    closeDatabase();
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests()
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(tempHome, { recursive: true, force: true });
+        process.exit(process.exitCode || 0);
+    });
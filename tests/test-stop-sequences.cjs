@@ -0,0 +1,286 @@
+/**
+ * Test Stop Sequences - Tests for stop_sequences applied by the proxy
+ *
+ * Verifies:
+ * - The earliest stop sequence wins; empty sequences are ignored
+ * - The streaming matcher holds back possible prefixes and matches across chunks
+ * - convertGoogleToAnthropic (also across text parts) and streamSSEResponse cut
+ *   the text and return stop_reason "stop_sequence" with the matched sequence
+ * - stop_sequences are not sent upstream; OpenAI stop/user are mapped
+ * - Against an upstream that behaves like Google (strips the match, reports STOP),
+ *   sendMessage and sendMessageStream still report the matched sequence
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           STOP SEQUENCES TEST SUITE                          ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { normalizeStopSequences, findStopSequence, createStopSequenceMatcher } = await import('../src/format/stop-sequences.js');
+    const { convertAnthropicToGoogle, getResponseOptions } = await import('../src/format/request-converter.js');
+    const { convertGoogleToAnthropic } = await import('../src/format/response-converter.js');
+    const { convertOpenAIToAnthropic } = await import('../src/format/openai/request-converter.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+    const { sendMessage } = await import('../src/cloudcode/message-handler.js');
+    const { sendMessageStream } = await import('../src/cloudcode/streaming-handler.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    /**
+     * Build a Google SSE response from text chunks
+     */
+    function sseResponse(chunks, finishReason = 'STOP') {
+        const lines = chunks.map((text, i) => JSON.stringify({
+            response: {
+                candidates: [{
+                    content: { parts: [{ text }] },
+                    ...(i === chunks.length - 1 ? { finishReason } : {})
+                }]
+            }
+        }));
+        return new Response(lines.map(line => `data: ${line}\n\n`).join(''));
+    }
+
+    async function collect(generator) {
+        const events = [];
+        for await (const event of generator) events.push(event);
+        return events;
+    }
+
+    function streamedText(events) {
+        return events
+            .filter(event => event.delta?.type === 'text_delta')
+            .map(event => event.delta.text)
+            .join('');
+    }
+
+    await test('Earliest stop sequence wins, empty ones are ignored', () => {
+        const sequences = normalizeStopSequences(['', 'END', '\n\n', null]);
+        assertEqual(sequences, ['END', '\n\n']);
+        assertEqual(findStopSequence('a\n\nb END', sequences), { index: 1, sequence: '\n\n' });
+        assertEqual(findStopSequence('no match', sequences), null);
+    });
+
+    await test('Matcher holds back possible prefixes and matches across chunks', () => {
+        const matcher = createStopSequenceMatcher(['</answer>']);
+        assertEqual(matcher.push('42 </an'), { text: '42 ', stopSequence: null });
+        assertEqual(matcher.push('swer> trailing'), { text: '', stopSequence: '</answer>' });
+
+        const other = createStopSequenceMatcher(['</answer>']);
+        assertEqual(other.push('a </b'), { text: 'a </b', stopSequence: null });
+        assertEqual(other.push('x <'), { text: 'x ', stopSequence: null });
+        assertEqual(other.flush(), '<');
+    });
+
+    await test('stop_sequences are not sent upstream', () => {
+        const request = { model: 'gemini-3-flash', messages: [{ role: 'user', content: 'Hi' }], stop_sequences: ['END', ''] };
+        assertEqual(convertAnthropicToGoogle(request).generationConfig.stopSequences, undefined);
+        assertEqual(getResponseOptions(request).stopSequences, ['END']);
+    });
+
+    await test('convertGoogleToAnthropic cuts the text at the stop sequence', () => {
+        const googleResponse = {
+            candidates: [{
+                content: { parts: [{ text: 'Answer: 42\nEND\nextra' }, { functionCall: { name: 'later', args: {} } }] },
+                finishReason: 'STOP'
+            }]
+        };
+
+        const result = convertGoogleToAnthropic(googleResponse, 'gemini-3-flash', { stopSequences: ['END'] });
+        assertEqual(result.content, [{ type: 'text', text: 'Answer: 42\n' }]);
+        assertEqual([result.stop_reason, result.stop_sequence], ['stop_sequence', 'END']);
+
+        const unmatched = convertGoogleToAnthropic(googleResponse, 'gemini-3-flash', { stopSequences: ['STOP HERE'] });
+        assertEqual(unmatched.stop_sequence, null);
+    });
+
+    await test('convertGoogleToAnthropic finds a sequence split across text parts', () => {
+        const googleResponse = {
+            candidates: [{
+                content: { parts: [{ text: 'The answer is 42.</' }, { text: 'ans' }, { text: 'wer> and more' }] },
+                finishReason: 'STOP'
+            }]
+        };
+
+        const result = convertGoogleToAnthropic(googleResponse, 'gemini-3-flash', { stopSequences: ['</answer>'] });
+        assertEqual(result.content, [{ type: 'text', text: 'The answer is 42.' }]);
+        assertEqual([result.stop_reason, result.stop_sequence], ['stop_sequence', '</answer>']);
+
+        // Parts are kept as they are when nothing matches
+        const unmatched = convertGoogleToAnthropic(googleResponse, 'gemini-3-flash', { stopSequences: ['</question>'] });
+        assertEqual(unmatched.content.map(block => block.text), ['The answer is 42.</', 'ans', 'wer> and more']);
+        assertEqual(unmatched.stop_reason, 'end_turn');
+    });
+
+    await test('streamSSEResponse stops at a sequence split across chunks', async () => {
+        const events = await collect(streamSSEResponse(
+            sseResponse(['The answer is 4', '2.</ans', 'wer> and more']),
+            'gemini-3-flash',
+            { stopSequences: ['</answer>'] }
+        ));
+
+        assertEqual(streamedText(events), 'The answer is 42.');
+        const messageDelta = events.find(event => event.type === 'message_delta');
+        assertEqual([messageDelta.delta.stop_reason, messageDelta.delta.stop_sequence], ['stop_sequence', '</answer>']);
+        assertEqual(events[events.length - 1].type, 'message_stop');
+    });
+
+    await test('streamSSEResponse sends held-back text when nothing matches', async () => {
+        const events = await collect(streamSSEResponse(
+            sseResponse(['Ends with <', '/ans']),
+            'gemini-3-flash',
+            { stopSequences: ['</answer>'] }
+        ));
+
+        assertEqual(streamedText(events), 'Ends with </ans');
+        const messageDelta = events.find(event => event.type === 'message_delta');
+        assertEqual([messageDelta.delta.stop_reason, messageDelta.delta.stop_sequence], ['end_turn', null]);
+    });
+
+    /**
+     * Minimal account manager with one healthy account
+     */
+    function createAccountManager() {
+        const account = { email: 'a@example.com' };
+        return {
+            getAccountCount: () => 1,
+            clearExpiredLimits: () => {},
+            getAvailableAccounts: () => [account],
+            isAllRateLimited: () => false,
+            getMinWaitTimeMs: () => 0,
+            selectAccount: () => ({ account, waitMs: 0 }),
+            getTokenForAccount: async () => 'token',
+            getProjectForAccount: async () => 'project',
+            notifySuccess: () => {},
+            notifyFailure: () => {},
+            notifyRateLimit: () => {},
+            markRateLimited: () => {},
+            markInvalid: () => {},
+            clearTokenCache: () => {},
+            clearProjectCache: () => {},
+            getHealthTracker: () => null
+        };
+    }
+
+    const GENERATED_CHUNKS = ['The answer is 4', '2.</ans', 'wer> and more', ' text after it'];
+
+    /**
+     * Run fn against an upstream that handles stopSequences like Google: generation ends
+     * at the match, the match itself is dropped and finishReason is STOP as for a natural end.
+     * Chunks are produced one at a time, so an early cancel leaves the rest ungenerated.
+     */
+    async function withGoogleLikeUpstream(fn) {
+        const upstream = { bodies: [], chunksSent: 0, cancelled: false };
+        const originalFetch = globalThis.fetch;
+        globalThis.fetch = async (url, options) => {
+            const body = JSON.parse(options.body);
+            upstream.bodies.push(body);
+
+            let chunks = GENERATED_CHUNKS;
+            const stops = body.request.generationConfig?.stopSequences || [];
+            const match = findStopSequence(chunks.join(''), stops);
+            if (match) chunks = [chunks.join('').slice(0, match.index)];
+
+            const events = chunks.map((text, i) => `data: ${JSON.stringify({
+                response: {
+                    candidates: [{
+                        content: { role: 'model', parts: [{ text }] },
+                        ...(i === chunks.length - 1 ? { finishReason: 'STOP' } : {})
+                    }],
+                    ...(i === chunks.length - 1 ? { usageMetadata: { promptTokenCount: 5, candidatesTokenCount: 7 } } : {})
+                }
+            })}\n\n`);
+
+            const encoder = new TextEncoder();
+            return new Response(new ReadableStream({
+                pull(controller) {
+                    if (upstream.chunksSent === events.length) return controller.close();
+                    controller.enqueue(encoder.encode(events[upstream.chunksSent++]));
+                },
+                cancel() {
+                    upstream.cancelled = true;
+                }
+            }, { highWaterMark: 0 }), { status: 200, headers: { 'Content-Type': 'text/event-stream' } });
+        };
+        try {
+            await fn(upstream);
+        } finally {
+            globalThis.fetch = originalFetch;
+        }
+    }
+
+    const stopRequest = {
+        model: 'gemini-3-flash',
+        messages: [{ role: 'user', content: 'What is the answer?' }],
+        max_tokens: 100,
+        stop_sequences: ['</answer>']
+    };
+
+    await test('sendMessage reports the stop sequence from a Google-like upstream', async () => {
+        await withGoogleLikeUpstream(async upstream => {
+            const result = await sendMessage(stopRequest, createAccountManager());
+
+            assertEqual(upstream.bodies[0].request.generationConfig.stopSequences, undefined);
+            assertEqual(result.content.filter(block => block.type === 'text').map(block => block.text).join(''), 'The answer is 42.');
+            assertEqual([result.stop_reason, result.stop_sequence], ['stop_sequence', '</answer>']);
+        });
+    });
+
+    await test('sendMessageStream reports the stop sequence and stops reading upstream', async () => {
+        await withGoogleLikeUpstream(async upstream => {
+            const events = await collect(sendMessageStream(stopRequest, createAccountManager()));
+
+            assertEqual(upstream.bodies[0].request.generationConfig.stopSequences, undefined);
+            assertEqual(streamedText(events), 'The answer is 42.');
+            const messageDelta = events.find(event => event.type === 'message_delta');
+            assertEqual([messageDelta.delta.stop_reason, messageDelta.delta.stop_sequence], ['stop_sequence', '</answer>']);
+
+            // The rest of the generation is never read
+            assertEqual(upstream.cancelled, true, 'upstream stream should be cancelled');
+            assertEqual(upstream.chunksSent < GENERATED_CHUNKS.length, true, 'chunks after the match should not be read');
+        });
+    });
+
+    await test('OpenAI stop and user map to stop_sequences and metadata.user_id', () => {
+        const result = convertOpenAIToAnthropic({
+            model: 'gpt-4',
+            messages: [{ role: 'user', content: 'Hi' }],
+            stop: 'END',
+            user: 'user-123'
+        });
+        assertEqual(result.stop_sequences, ['END']);
+        assertEqual(result.metadata, { user_id: 'user-123' });
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    // The cloudcode handlers keep a cleanup interval running, so exit explicitly
+    process.exit(failed > 0 ? 1 : 0);
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,148 @@
+/**
+ * Test Stream Keep-Alive - Tests for keep-alives written to silent streams
+ *
+ * Uses a real HTTP response for the wire format and a fake response for timing.
+ * Verifies:
+ * - Pings are written while a stream is silent (event: ping, or a ": ping" comment)
+ * - touch() restarts the silence timer
+ * - The timer stops when the response finishes or the connection closes
+ * - An interval of 0 disables keep-alives
+ */
+
+const http = require('http');
+const { EventEmitter } = require('events');
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           STREAM KEEP-ALIVE TEST SUITE                       ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM module
+    const { ANTHROPIC_PING, SSE_COMMENT_PING, keepStreamAlive } = await import('../src/utils/stream-keep-alive.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    /**
+     * Minimal response that records writes
+     */
+    function createResponse() {
+        const res = new EventEmitter();
+        res.writes = [];
+        res.writableEnded = false;
+        res.destroyed = false;
+        res.write = (chunk) => res.writes.push(chunk);
+        return res;
+    }
+
+    /**
+     * Serve one stream that stays silent for silenceMs, and return the body the client receives
+     */
+    function fetchSilentStream(ping, silenceMs, intervalMs) {
+        const server = http.createServer((req, res) => {
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            res.flushHeaders();
+            keepStreamAlive(res, ping, intervalMs);
+            setTimeout(() => res.end('data: done\n\n'), silenceMs);
+        });
+
+        return new Promise((resolve, reject) => {
+            server.listen(0, async () => {
+                try {
+                    const response = await fetch(`http://127.0.0.1:${server.address().port}/`);
+                    resolve(await response.text());
+                } catch (error) {
+                    reject(error);
+                } finally {
+                    server.close();
+                }
+            });
+        });
+    }
+
+    await test('Pings are written to a silent HTTP stream', async () => {
+        const body = await fetchSilentStream(ANTHROPIC_PING, 130, 40);
+        const pings = body.split(ANTHROPIC_PING).length - 1;
+        assertEqual(pings >= 2, true, `expected at least 2 pings, got ${pings}`);
+        assertEqual(body.endsWith('data: done\n\n'), true);
+        assertEqual(ANTHROPIC_PING, 'event: ping\ndata: {"type":"ping"}\n\n');
+
+        const comments = await fetchSilentStream(SSE_COMMENT_PING, 130, 40);
+        assertEqual(comments.startsWith(': ping\n\n'), true, comments);
+    });
+
+    await test('touch() restarts the silence timer', async () => {
+        const res = createResponse();
+        const keepAlive = keepStreamAlive(res, SSE_COMMENT_PING, 200);
+        for (let i = 0; i < 4; i++) {
+            await wait(50);
+            keepAlive.touch();
+        }
+        assertEqual(res.writes, []);
+
+        await wait(300);
+        assertEqual(res.writes.length > 0, true, 'silence after the last write should ping');
+        res.emit('finish');
+    });
+
+    await test('The timer stops when the response finishes', async () => {
+        const res = createResponse();
+        keepStreamAlive(res, SSE_COMMENT_PING, 20);
+        await wait(50);
+        const count = res.writes.length;
+        assertEqual(count > 0, true);
+
+        res.emit('finish');
+        await wait(60);
+        assertEqual(res.writes.length, count);
+    });
+
+    await test('The timer stops when the client disconnects', async () => {
+        const res = createResponse();
+        keepStreamAlive(res, ANTHROPIC_PING, 20);
+        res.emit('close');
+        await wait(60);
+        assertEqual(res.writes, []);
+    });
+
+    await test('An interval of 0 disables keep-alives', async () => {
+        const res = createResponse();
+        const keepAlive = keepStreamAlive(res, SSE_COMMENT_PING, 0);
+        keepAlive.touch();
+        await wait(30);
+        assertEqual([res.writes, res.listenerCount('finish'), res.listenerCount('close')], [[], 0, 0]);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,191 @@
+/**
+ * Test Token Budgets - Unit tests for per-key daily/monthly token budgets
+ *
+ * Uses a temporary HOME so the SQLite database is created from scratch.
+ * Usage is seeded through request logs, the same source the proxy uses.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Must be set before the database module resolves its path
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'budgets-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           TOKEN BUDGETS TEST SUITE                           ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { initDatabase, closeDatabase, getDatabase } = await import('../src/database/index.js');
+    const { pruneOldLogs } = await import('../src/database/migrations.js');
+    const { createRequestLog } = await import('../src/database/models/request-logs.js');
+    const {
+        createApiKey,
+        getApiKeyById,
+        updateApiKey,
+        validateApiKey,
+        getBudgetWindows,
+        getTokenBudgetStatus,
+        validateModelTokenBudgets
+    } = await import('../src/api-keys/index.js');
+
+    initDatabase();
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    function logUsage(apiKeyId, model, input, output, timestamp = Date.now()) {
+        createRequestLog({
+            api_key_id: apiKeyId,
+            timestamp,
+            model,
+            request_messages: [],
+            input_tokens: input,
+            output_tokens: output,
+            status: 'success'
+        });
+    }
+
+    const { dayStart, monthStart } = getBudgetWindows();
+
+    test('Budget windows are UTC day and month boundaries', () => {
+        const windows = getBudgetWindows(Date.UTC(2025, 11, 31, 15, 30));
+        assertEqual(windows, {
+            dayStart: Date.UTC(2025, 11, 31),
+            dayEnd: Date.UTC(2026, 0, 1),
+            monthStart: Date.UTC(2025, 11, 1),
+            monthEnd: Date.UTC(2026, 0, 1)
+        });
+    });
+
+    test('Keys without budgets have no budget status', () => {
+        const key = createApiKey({ name: 'unlimited' });
+        assertEqual(getTokenBudgetStatus(getApiKeyById(key.id)), null);
+        assertEqual(validateApiKey(key.key, { model: 'gemini-3-flash' }).valid, true);
+    });
+
+    test('Daily budget counts input + output tokens from today only', () => {
+        const key = createApiKey({ name: 'daily', token_budget_daily: 1000 });
+        logUsage(key.id, 'gemini-3-flash', 300, 200);
+        if (dayStart > monthStart) {
+            // Earlier this month: counts toward monthly usage only
+            logUsage(key.id, 'gemini-3-flash', 5000, 0, dayStart - 1);
+        }
+
+        const status = getTokenBudgetStatus(getApiKeyById(key.id));
+        assertEqual(status.daily.used, 500);
+        assertEqual(status.daily.remaining, 500);
+        assertEqual(status.monthly, null);
+        assertEqual(validateApiKey(key.key, { model: 'gemini-3-flash' }).valid, true);
+
+        logUsage(key.id, 'gemini-3-flash', 400, 200);
+        const result = validateApiKey(key.key, { model: 'gemini-3-flash' });
+        assertEqual(result.valid, false);
+        assertEqual(result.status, 429);
+        assertEqual(result.error.startsWith('Token budget exceeded: 1100/1000 tokens per day'), true, result.error);
+        assertEqual(result.retryAfter > 0 && result.retryAfter <= 86400, true);
+    });
+
+    test('Requests without a model are not blocked by budgets', () => {
+        const key = createApiKey({ name: 'exhausted', token_budget_monthly: 10 });
+        logUsage(key.id, 'gemini-3-flash', 50, 50);
+
+        assertEqual(validateApiKey(key.key, { model: 'gemini-3-flash' }).valid, false);
+        assertEqual(validateApiKey(key.key, {}).valid, true);
+    });
+
+    test('Per-model budgets only apply to matching models', () => {
+        const key = createApiKey({
+            name: 'per-model',
+            model_token_budgets: [{ model: 'claude-*', monthly: 100 }]
+        });
+        logUsage(key.id, 'claude-sonnet-4-5', 80, 40);
+        logUsage(key.id, 'gemini-3-flash', 5000, 5000);
+
+        const status = getTokenBudgetStatus(getApiKeyById(key.id));
+        assertEqual(status.models[0].monthly.used, 120);
+        assertEqual(status.models[0].daily, null);
+
+        const blocked = validateApiKey(key.key, { model: 'claude-opus-4-5-thinking' });
+        assertEqual(blocked.valid, false);
+        assertEqual(blocked.error.startsWith('Token budget for claude-* exceeded: 120/100 tokens per month'), true, blocked.error);
+        assertEqual(validateApiKey(key.key, { model: 'gemini-3-flash' }).valid, true);
+    });
+
+    test('Log pruning keeps a whole month of usage', () => {
+        const key = createApiKey({ name: 'pruning', token_budget_monthly: 1000000 });
+        const day = 24 * 60 * 60 * 1000;
+        // The start of a 31-day month, seen from its last moment
+        logUsage(key.id, 'gemini-3-flash', 100, 0, Date.now() - 31 * day + 60 * 1000);
+        logUsage(key.id, 'gemini-3-flash', 200, 0, Date.now() - 32 * day);
+
+        pruneOldLogs(getDatabase());
+        const rows = getDatabase().prepare('SELECT input_tokens FROM request_logs WHERE api_key_id = ?').all(key.id);
+        assertEqual(rows.map(row => row.input_tokens), [100]);
+    });
+
+    test('Budgets can be changed and cleared through updateApiKey', () => {
+        const key = createApiKey({ name: 'update', token_budget_daily: 1 });
+        logUsage(key.id, 'gemini-3-flash', 10, 10);
+        assertEqual(validateApiKey(key.key, { model: 'gemini-3-flash' }).valid, false);
+
+        updateApiKey(key.id, { token_budget_daily: null, model_token_budgets: [{ model: 'gemini-*', daily: 1000 }] });
+        const updated = getApiKeyById(key.id);
+        assertEqual(updated.token_budget_daily, null);
+        assertEqual(updated.model_token_budgets, [{ model: 'gemini-*', daily: 1000 }]);
+        assertEqual(validateApiKey(key.key, { model: 'gemini-3-flash' }).valid, true);
+
+        updateApiKey(key.id, { model_token_budgets: [] });
+        assertEqual(getApiKeyById(key.id).model_token_budgets, null);
+    });
+
+    test('validateModelTokenBudgets rejects malformed budgets', () => {
+        assertEqual(validateModelTokenBudgets(null), null);
+        assertEqual(validateModelTokenBudgets([{ model: 'claude-*', daily: 100 }]), null);
+        assertEqual(validateModelTokenBudgets({}), 'model_token_budgets must be an array');
+        assertEqual(validateModelTokenBudgets([{ daily: 100 }]), 'model_token_budgets.0.model is required');
+        assertEqual(validateModelTokenBudgets([{ model: 'a', daily: -5 }]), 'model_token_budgets.0 daily/monthly must be positive integers');
+        assertEqual(validateModelTokenBudgets([{ model: 'a' }]), 'model_token_budgets.0 needs a daily or monthly budget');
+    });
+
+    closeDatabase();
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests()
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(tempHome, { recursive: true, force: true });
+        process.exit(process.exitCode || 0);
+    });
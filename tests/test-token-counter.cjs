@@ -0,0 +1,143 @@
+/**
+ * Test Token Counter - Unit tests for local input token estimation
+ *
+ * Verifies the heuristics behind POST /v1/messages/count_tokens:
+ * - Text estimation per model family
+ * - Image dimension detection and image token costs
+ * - Tool definition overhead
+ * - Thinking blocks from earlier turns are not counted
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           TOKEN COUNTER TEST SUITE                           ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM module
+    const {
+        countRequestTokens,
+        estimateTextTokens,
+        estimateImageTokens,
+        getImageDimensions
+    } = await import('../src/format/token-counter.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    function test(name, fn) {
+        try {
+            fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (actual !== expected) {
+            throw new Error(`${message}\nExpected: ${expected}\nActual: ${actual}`);
+        }
+    }
+
+    function assertTrue(value, message = '') {
+        if (!value) {
+            throw new Error(message || 'Expected true but got false');
+        }
+    }
+
+    // 1x1 PNG and a 2x3 GIF header
+    const PNG_1X1 = 'iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mP8z8BQDwAEhQGAhKmMIQAAAABJRU5ErkJggg==';
+    const GIF_2X3 = Buffer.from('GIF89a\x02\x00\x03\x00\x00\x00\x00', 'latin1').toString('base64');
+
+    test('Empty text is zero tokens', () => {
+        assertEqual(estimateTextTokens('', 'claude'), 0);
+        assertEqual(estimateTextTokens(null, 'gemini'), 0);
+    });
+
+    test('Claude text uses a denser ratio than Gemini', () => {
+        const text = 'The quick brown fox jumps over the lazy dog. '.repeat(20);
+        assertTrue(estimateTextTokens(text, 'claude') > estimateTextTokens(text, 'gemini'));
+    });
+
+    test('CJK characters count as one token each', () => {
+        assertEqual(estimateTextTokens('你好世界', 'claude'), 4);
+    });
+
+    test('Reads PNG and GIF dimensions from base64 header', () => {
+        const png = getImageDimensions(PNG_1X1);
+        assertEqual(png.width, 1);
+        assertEqual(png.height, 1);
+        const gif = getImageDimensions(GIF_2X3);
+        assertEqual(gif.width, 2);
+        assertEqual(gif.height, 3);
+    });
+
+    test('Unknown image data returns null dimensions', () => {
+        assertEqual(getImageDimensions('bm90IGFuIGltYWdl'), null);
+    });
+
+    test('Image tokens follow per-family formulas', () => {
+        const block = { type: 'image', source: { type: 'base64', media_type: 'image/png', data: PNG_1X1 } };
+        assertEqual(estimateImageTokens(block, 'claude'), 1);
+        assertEqual(estimateImageTokens(block, 'gemini'), 258);
+        assertEqual(estimateImageTokens({ type: 'image', source: { type: 'url' } }, 'claude'), 1600);
+    });
+
+    test('Tools add the Claude tool-use prompt overhead', () => {
+        const base = { model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] };
+        const tools = [{ name: 'get_weather', description: 'Get weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } }];
+        const withTools = countRequestTokens({ ...base, tools });
+        assertTrue(withTools - countRequestTokens(base) > 346, 'Should include tool prompt overhead');
+    });
+
+    test('Gemini tools do not add the Claude tool prompt', () => {
+        const base = { model: 'gemini-3-flash', messages: [{ role: 'user', content: 'hi' }] };
+        const tools = [{ name: 'a', input_schema: { type: 'object' } }];
+        assertTrue(countRequestTokens({ ...base, tools }) - countRequestTokens(base) < 100);
+    });
+
+    test('Thinking from earlier assistant turns is ignored', () => {
+        const thinking = { type: 'thinking', thinking: 'x'.repeat(3500), signature: 'sig' };
+        const earlier = countRequestTokens({
+            model: 'claude-sonnet-4-5-thinking',
+            messages: [
+                { role: 'user', content: 'a' },
+                { role: 'assistant', content: [thinking, { type: 'text', text: 'b' }] },
+                { role: 'user', content: 'c' },
+                { role: 'assistant', content: [{ type: 'text', text: 'd' }] }
+            ]
+        });
+        const latest = countRequestTokens({
+            model: 'claude-sonnet-4-5-thinking',
+            messages: [
+                { role: 'user', content: 'a' },
+                { role: 'assistant', content: [{ type: 'text', text: 'b' }] },
+                { role: 'user', content: 'c' },
+                { role: 'assistant', content: [thinking, { type: 'text', text: 'd' }] }
+            ]
+        });
+        assertEqual(latest - earlier, 1000, 'Only the final assistant turn thinking should count');
+    });
+
+    test('System prompt blocks are counted', () => {
+        const base = { model: 'claude-sonnet-4-5', messages: [{ role: 'user', content: 'hi' }] };
+        const withSystem = countRequestTokens({ ...base, system: [{ type: 'text', text: 'x'.repeat(35) }] });
+        assertEqual(withSystem - countRequestTokens(base), 10);
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,138 @@
+/**
+ * Test Tool Choice - Tests for Anthropic tool_choice -> Google functionCallingConfig
+ *
+ * Verifies:
+ * - auto / any / tool / none map to VALIDATED|AUTO / ANY / ANY + allowedFunctionNames / NONE
+ * - Claude keeps VALIDATED by default, Gemini gets no toolConfig by default
+ * - Forced tool names are sanitized the same way as the declarations
+ * - disable_parallel_tool_use keeps only the first tool call (non-streaming and streaming)
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           TOOL CHOICE TEST SUITE                             ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { convertAnthropicToGoogle, getResponseOptions } = await import('../src/format/request-converter.js');
+    const { convertGoogleToAnthropic } = await import('../src/format/response-converter.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const tools = [
+        { name: 'get_weather', description: 'Weather', input_schema: { type: 'object', properties: { city: { type: 'string' } } } },
+        { name: 'mcp__search.web', description: 'Search', input_schema: { type: 'object' } }
+    ];
+
+    function toolConfigFor(model, tool_choice) {
+        return convertAnthropicToGoogle({
+            model,
+            messages: [{ role: 'user', content: 'Hi' }],
+            tools,
+            tool_choice
+        }).toolConfig;
+    }
+
+    await test('Default: VALIDATED for Claude, nothing for Gemini', () => {
+        assertEqual(toolConfigFor('claude-sonnet-4-5', undefined), { functionCallingConfig: { mode: 'VALIDATED' } });
+        assertEqual(toolConfigFor('gemini-3-flash', undefined), undefined);
+    });
+
+    await test('auto maps to VALIDATED for Claude and AUTO for Gemini', () => {
+        assertEqual(toolConfigFor('claude-sonnet-4-5', { type: 'auto' }), { functionCallingConfig: { mode: 'VALIDATED' } });
+        assertEqual(toolConfigFor('gemini-3-flash', { type: 'auto' }), { functionCallingConfig: { mode: 'AUTO' } });
+    });
+
+    await test('any maps to ANY for both model families', () => {
+        assertEqual(toolConfigFor('claude-sonnet-4-5', { type: 'any' }), { functionCallingConfig: { mode: 'ANY' } });
+        assertEqual(toolConfigFor('gemini-3-flash', { type: 'any' }), { functionCallingConfig: { mode: 'ANY' } });
+    });
+
+    await test('tool maps to ANY with the sanitized function name', () => {
+        const expected = { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: ['mcp__search_web'] } };
+        assertEqual(toolConfigFor('claude-opus-4-5-thinking', { type: 'tool', name: 'mcp__search.web' }), expected);
+        assertEqual(toolConfigFor('gemini-3-pro-high', { type: 'tool', name: 'mcp__search.web' }), expected);
+    });
+
+    await test('none maps to NONE for both model families', () => {
+        assertEqual(toolConfigFor('claude-sonnet-4-5', { type: 'none' }), { functionCallingConfig: { mode: 'NONE' } });
+        assertEqual(toolConfigFor('gemini-3-flash', { type: 'none' }), { functionCallingConfig: { mode: 'NONE' } });
+    });
+
+    await test('disable_parallel_tool_use sets singleToolUse', () => {
+        assertEqual(getResponseOptions({ tool_choice: { type: 'auto', disable_parallel_tool_use: true } }).singleToolUse, true);
+        assertEqual(getResponseOptions({ tool_choice: { type: 'tool', name: 'x', disable_parallel_tool_use: false } }).singleToolUse, false);
+        assertEqual(getResponseOptions({}).singleToolUse, false);
+        // Same mode as without the flag
+        assertEqual(toolConfigFor('gemini-3-flash', { type: 'any', disable_parallel_tool_use: true }), { functionCallingConfig: { mode: 'ANY' } });
+    });
+
+    const parallelResponse = {
+        candidates: [{
+            content: {
+                parts: [
+                    { text: 'Checking both cities.' },
+                    { functionCall: { name: 'get_weather', args: { city: 'Paris' } } },
+                    { functionCall: { name: 'get_weather', args: { city: 'Rome' } } }
+                ]
+            },
+            finishReason: 'STOP'
+        }],
+        usageMetadata: { promptTokenCount: 10, candidatesTokenCount: 5 }
+    };
+
+    await test('singleToolUse keeps only the first tool call (non-streaming)', () => {
+        const all = convertGoogleToAnthropic(parallelResponse, 'gemini-3-flash');
+        assertEqual(all.content.filter(block => block.type === 'tool_use').length, 2);
+
+        const single = convertGoogleToAnthropic(parallelResponse, 'gemini-3-flash', { singleToolUse: true });
+        assertEqual(single.content.map(block => block.type), ['text', 'tool_use']);
+        assertEqual(single.content[1].input, { city: 'Paris' });
+    });
+
+    await test('singleToolUse keeps only the first tool call (streaming)', async () => {
+        const response = new Response(`data: ${JSON.stringify({ response: parallelResponse })}\n\n`);
+        const events = [];
+        for await (const event of streamSSEResponse(response, 'gemini-3-flash', { singleToolUse: true })) {
+            events.push(event);
+        }
+
+        const toolStarts = events.filter(event => event.type === 'content_block_start' && event.content_block.type === 'tool_use');
+        assertEqual(toolStarts.length, 1);
+        assertEqual(events.find(event => event.delta?.type === 'input_json_delta').delta.partial_json, '{"city":"Paris"}');
+        assertEqual(events.find(event => event.type === 'message_delta').delta.stop_reason, 'tool_use');
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
@@ -0,0 +1,149 @@
+/**
+ * Test Tool Names - Tests for the reversible tool name mapping
+ *
+ * Verifies:
+ * - Valid names are kept; other names are sanitized and truncated to 64 characters
+ * - Names that sanitize to the same string get distinct suffixes
+ * - Declarations, tool_use blocks in history and tool_choice use the mapped names
+ * - Responses (non-streaming, streaming and OpenAI format) use the client's names
+ */
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           TOOL NAMES TEST SUITE                              ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { createToolNameMap, sanitizeToolName } = await import('../src/format/tool-names.js');
+    const { convertAnthropicToGoogle, getResponseOptions } = await import('../src/format/request-converter.js');
+    const { convertGoogleToAnthropic } = await import('../src/format/response-converter.js');
+    const { convertOpenAIToAnthropic } = await import('../src/format/openai/request-converter.js');
+    const { convertAnthropicToOpenAI } = await import('../src/format/openai/response-converter.js');
+    const { streamSSEResponse } = await import('../src/cloudcode/sse-streamer.js');
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const longName = 'mcp__' + 'x'.repeat(70);
+
+    const request = {
+        model: 'claude-sonnet-4-5',
+        messages: [
+            { role: 'user', content: 'Search for it' },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'mcp__search.web', input: { q: 'a' } }] },
+            { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'toolu_1', content: 'done' }] }
+        ],
+        tools: [
+            { name: 'mcp__search.web', input_schema: { type: 'object' } },
+            { name: 'mcp__search/web', input_schema: { type: 'object' } },
+            { name: 'mcp__search_web', input_schema: { type: 'object' } },
+            { name: longName, input_schema: { type: 'object' } },
+            { name: 'get_weather', input_schema: { type: 'object' } }
+        ],
+        tool_choice: { type: 'tool', name: 'mcp__search/web' }
+    };
+
+    function googleResponse(name) {
+        return {
+            candidates: [{
+                content: { parts: [{ functionCall: { id: 'toolu_2', name, args: { q: 'b' } } }] },
+                finishReason: 'STOP'
+            }]
+        };
+    }
+
+    await test('Valid names are kept, others are sanitized and truncated', () => {
+        const toolNames = createToolNameMap(request);
+        assertEqual(toolNames.toGoogle('get_weather'), 'get_weather');
+        assertEqual(toolNames.toGoogle(longName), sanitizeToolName(longName));
+        assertEqual(toolNames.toGoogle(longName).length, 64);
+        assertEqual(toolNames.toClient(sanitizeToolName(longName)), longName);
+    });
+
+    await test('Colliding names get distinct suffixes; real names keep their own', () => {
+        const toolNames = createToolNameMap(request);
+        assertEqual(toolNames.toGoogle('mcp__search_web'), 'mcp__search_web');
+        assertEqual(toolNames.toGoogle('mcp__search.web'), 'mcp__search_web_2');
+        assertEqual(toolNames.toGoogle('mcp__search/web'), 'mcp__search_web_3');
+        assertEqual(toolNames.toClient('mcp__search_web_3'), 'mcp__search/web');
+        assertEqual(toolNames.toClient('unknown_tool'), 'unknown_tool');
+    });
+
+    await test('Suffixes keep truncated names within 64 characters', () => {
+        const toolNames = createToolNameMap({ tools: [{ name: `${longName}.a` }, { name: `${longName}.b` }] });
+        const names = [toolNames.toGoogle(`${longName}.a`), toolNames.toGoogle(`${longName}.b`)];
+        assertEqual(names.map(name => name.length), [64, 64]);
+        assertEqual(names[0] === names[1], false);
+    });
+
+    await test('Declarations, history and tool_choice use the mapped names', () => {
+        const googleRequest = convertAnthropicToGoogle(request);
+        assertEqual(
+            googleRequest.tools[0].functionDeclarations.map(fn => fn.name),
+            ['mcp__search_web_2', 'mcp__search_web_3', 'mcp__search_web', sanitizeToolName(longName), 'get_weather']
+        );
+        assertEqual(googleRequest.contents[1].parts[0].functionCall.name, 'mcp__search_web_2');
+        assertEqual(googleRequest.toolConfig.functionCallingConfig.allowedFunctionNames, ['mcp__search_web_3']);
+    });
+
+    await test('Non-streaming responses use the client tool name', () => {
+        const result = convertGoogleToAnthropic(googleResponse('mcp__search_web_3'), request.model, getResponseOptions(request));
+        assertEqual(result.content[0].name, 'mcp__search/web');
+    });
+
+    await test('Streaming responses use the client tool name', async () => {
+        const response = new Response(`data: ${JSON.stringify({ response: googleResponse('mcp__search_web_2') })}\n\n`);
+        const events = [];
+        for await (const event of streamSSEResponse(response, request.model, getResponseOptions(request))) {
+            events.push(event);
+        }
+        const start = events.find(event => event.type === 'content_block_start' && event.content_block.type === 'tool_use');
+        assertEqual(start.content_block.name, 'mcp__search.web');
+    });
+
+    await test('OpenAI requests get their function names back', () => {
+        const anthropicRequest = convertOpenAIToAnthropic({
+            model: 'claude-sonnet-4-5',
+            messages: [{ role: 'user', content: 'Read the file' }],
+            tools: [{ type: 'function', function: { name: 'fs.read_file', parameters: { type: 'object' } } }]
+        });
+        const googleRequest = convertAnthropicToGoogle(anthropicRequest);
+        const upstreamName = googleRequest.tools[0].functionDeclarations[0].name;
+        assertEqual(upstreamName, 'fs_read_file');
+
+        const anthropicResponse = convertGoogleToAnthropic(googleResponse(upstreamName), anthropicRequest.model, getResponseOptions(anthropicRequest));
+        const openaiResponse = convertAnthropicToOpenAI(anthropicResponse, 'claude-sonnet-4-5');
+        assertEqual(openaiResponse.choices[0].message.tool_calls[0].function.name, 'fs.read_file');
+    });
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests().catch(err => {
+    console.error('Test suite failed:', err);
+    process.exit(1);
+});
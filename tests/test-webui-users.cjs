@@ -0,0 +1,262 @@
+/**
+ * Test WebUI Users - Unit tests for WebUI logins, roles and sessions
+ *
+ * Uses a temporary HOME so the SQLite database is created from scratch.
+ * Verifies:
+ * - Password hashing and verification
+ * - Sessions expire, end on logout and stop working for disabled users
+ * - Changing a user ends their sessions
+ * - The viewer route list and user field validation
+ * - API keys and request logs can be limited to a key owner
+ * - /metrics accepts the metrics token when users exist and no password is set
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Must be set before the database module resolves its path
+const tempHome = fs.mkdtempSync(path.join(os.tmpdir(), 'webui-users-test-'));
+process.env.HOME = tempHome;
+
+async function runTests() {
+    console.log('╔══════════════════════════════════════════════════════════════╗');
+    console.log('║           WEBUI USERS TEST SUITE                             ║');
+    console.log('╚══════════════════════════════════════════════════════════════╝\n');
+
+    // Dynamic import for ESM modules
+    const { initDatabase, getDatabase, closeDatabase } = await import('../src/database/index.js');
+    const {
+        hashPassword,
+        verifyPassword,
+        createWebuiUser,
+        findWebuiUserByUsername,
+        updateWebuiUser,
+        deleteWebuiUser,
+        hasWebuiUsers,
+        countEnabledAdmins,
+        createWebuiSession,
+        findWebuiSessionUser,
+        deleteWebuiSession,
+        pruneExpiredWebuiSessions
+    } = await import('../src/database/models/webui-users.js');
+    const { createApiKey, listApiKeys, getApiKeyById } = await import('../src/database/models/api-keys.js');
+    const { createRequestLog, getRequestLogs } = await import('../src/database/models/request-logs.js');
+    const { isViewerRoute, validateWebuiUserFields, getSessionToken, SESSION_COOKIE } = await import('../src/webui/auth.js');
+    const { mountWebUI } = await import('../src/webui/index.js');
+    const { config } = await import('../src/config.js');
+    const { default: express } = await import('express');
+
+    initDatabase();
+
+    let passed = 0;
+    let failed = 0;
+
+    async function test(name, fn) {
+        try {
+            await fn();
+            console.log(`✓ ${name}`);
+            passed++;
+        } catch (e) {
+            console.log(`✗ ${name}`);
+            console.log(`  Error: ${e.message}`);
+            failed++;
+        }
+    }
+
+    function assertEqual(actual, expected, message = '') {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(`${message}\nExpected: ${JSON.stringify(expected, null, 2)}\nActual: ${JSON.stringify(actual, null, 2)}`);
+        }
+    }
+
+    const HOUR = 60 * 60 * 1000;
+
+    await test('Passwords are salted and verified', async () => {
+        const first = await hashPassword('correct horse');
+        const second = await hashPassword('correct horse');
+
+        assertEqual(first.startsWith('scrypt$'), true);
+        assertEqual(first === second, false, 'hashes should use different salts');
+        assertEqual(await verifyPassword('correct horse', first), true);
+        assertEqual(await verifyPassword('wrong horse', first), false);
+        assertEqual(await verifyPassword('correct horse', 'not-a-hash'), false);
+    });
+
+    await test('Users are stored without exposing the password', async () => {
+        assertEqual(hasWebuiUsers(), false);
+
+        const admin = await createWebuiUser({ username: 'Alice', password: 'alice-password', role: 'admin' });
+        assertEqual(admin.password_hash, undefined);
+        assertEqual([admin.username, admin.role, admin.enabled], ['Alice', 'admin', true]);
+        assertEqual(hasWebuiUsers(), true);
+
+        // Usernames are case-insensitive
+        const found = findWebuiUserByUsername('alice');
+        assertEqual(found.id, admin.id);
+        assertEqual(await verifyPassword('alice-password', found.password_hash), true);
+    });
+
+    await test('Sessions expire and end on logout', async () => {
+        const user = await createWebuiUser({ username: 'bob', password: 'bob-password', role: 'viewer' });
+
+        const session = createWebuiSession(user.id, { ttlMs: HOUR, client_ip: '10.0.0.1' });
+        assertEqual(findWebuiSessionUser(session.token).username, 'bob');
+        assertEqual(findWebuiSessionUser('unknown-token'), null);
+
+        // Only the token hash is stored
+        const stored = getDatabase().prepare('SELECT id FROM webui_sessions WHERE user_id = ?').pluck().get(user.id);
+        assertEqual(stored === session.token, false);
+
+        assertEqual(deleteWebuiSession(session.token), true);
+        assertEqual(findWebuiSessionUser(session.token), null);
+
+        const expired = createWebuiSession(user.id, { ttlMs: -1 });
+        assertEqual(findWebuiSessionUser(expired.token), null);
+        assertEqual(pruneExpiredWebuiSessions(), 1);
+    });
+
+    await test('Changing or disabling a user ends their sessions', async () => {
+        const user = await createWebuiUser({ username: 'carol', password: 'carol-password', role: 'viewer' });
+
+        const session = createWebuiSession(user.id, { ttlMs: HOUR });
+        assertEqual(await updateWebuiUser(user.id, { password: 'new-password' }), true);
+        assertEqual(findWebuiSessionUser(session.token), null);
+        assertEqual(await verifyPassword('new-password', findWebuiUserByUsername('carol').password_hash), true);
+
+        await updateWebuiUser(user.id, { enabled: false });
+        const afterDisable = createWebuiSession(user.id, { ttlMs: HOUR });
+        assertEqual(findWebuiSessionUser(afterDisable.token), null);
+
+        assertEqual(await updateWebuiUser('missing', { role: 'admin' }), false);
+    });
+
+    await test('countEnabledAdmins ignores viewers, disabled users and the excluded user', async () => {
+        const alice = findWebuiUserByUsername('alice');
+        assertEqual(countEnabledAdmins(), 1);
+        assertEqual(countEnabledAdmins(alice.id), 0);
+
+        const dave = await createWebuiUser({ username: 'dave', password: 'dave-password', role: 'admin' });
+        assertEqual(countEnabledAdmins(alice.id), 1);
+        await updateWebuiUser(dave.id, { enabled: false });
+        assertEqual(countEnabledAdmins(alice.id), 0);
+    });
+
+    await test('Viewers may only use read routes for keys and logs', () => {
+        assertEqual(isViewerRoute('GET', '/api/keys'), true);
+        assertEqual(isViewerRoute('GET', '/api/keys/abc'), true);
+        assertEqual(isViewerRoute('GET', '/api/logs/requests/stats'), true);
+        assertEqual(isViewerRoute('POST', '/api/auth/password'), true);
+        assertEqual(isViewerRoute('POST', '/api/keys'), false);
+        assertEqual(isViewerRoute('DELETE', '/api/logs/requests'), false);
+        assertEqual(isViewerRoute('GET', '/api/accounts'), false);
+        assertEqual(isViewerRoute('GET', '/api/users'), false);
+    });
+
+    await test('validateWebuiUserFields checks username, password and role', () => {
+        assertEqual(validateWebuiUserFields({ username: 'erin', password: 'long-enough', role: 'viewer' }), null);
+        assertEqual(validateWebuiUserFields({ username: 'bad name', password: 'long-enough', role: 'viewer' }) !== null, true);
+        assertEqual(validateWebuiUserFields({ username: 'erin', password: 'short', role: 'viewer' }) !== null, true);
+        assertEqual(validateWebuiUserFields({ username: 'erin', password: 'long-enough', role: 'owner' }) !== null, true);
+
+        // Partial updates only check the fields that are present
+        assertEqual(validateWebuiUserFields({ enabled: false }, true), null);
+        assertEqual(validateWebuiUserFields({ enabled: 'no' }, true) !== null, true);
+    });
+
+    await test('The session cookie is read from the Cookie header', () => {
+        const req = { headers: { cookie: `theme=dark; ${SESSION_COOKIE}=abc%2D123; other=1` } };
+        assertEqual(getSessionToken(req), 'abc-123');
+        assertEqual(getSessionToken({ headers: { cookie: 'theme=dark' } }), null);
+        assertEqual(getSessionToken({ headers: {} }), null);
+    });
+
+    await test('API keys and request logs can be limited to an owner', async () => {
+        const owner = await createWebuiUser({ username: 'frank', password: 'frank-password', role: 'viewer' });
+        const owned = createApiKey({ name: 'owned', owner_user_id: owner.id });
+        const other = createApiKey({ name: 'other' });
+
+        for (const key of [owned, other]) {
+            createRequestLog({
+                api_key_id: key.id,
+                timestamp: Date.now(),
+                model: 'claude-sonnet-4-5',
+                request_messages: [],
+                status: 'success'
+            });
+        }
+
+        assertEqual(listApiKeys({ owner_user_id: owner.id }).map(key => key.name), ['owned']);
+        assertEqual(listApiKeys().length >= 2, true);
+
+        const logs = getRequestLogs({ owner_user_id: owner.id }).logs;
+        assertEqual(logs.map(log => log.api_key_id), [owned.id]);
+
+        // Deleting the user keeps the key, without an owner
+        deleteWebuiUser(owner.id);
+        assertEqual(getApiKeyById(owned.id).owner_user_id, null);
+    });
+
+    await test('/metrics accepts the metrics token without a login session', async () => {
+        // Users exist and no shared password is set, so only sessions or the token get in
+        assertEqual(hasWebuiUsers(), true);
+        assertEqual(config.webuiPassword, '');
+
+        const app = express();
+        mountWebUI(app, path.join(__dirname, '../src'), {});
+        app.get('/metrics', (req, res) => res.type('text/plain').send('# metrics\n'));
+        const server = app.listen(0, '127.0.0.1');
+        await new Promise(resolve => server.once('listening', resolve));
+        const url = `http://127.0.0.1:${server.address().port}/metrics`;
+        const scrape = async headers => (await fetch(url, { headers })).status;
+
+        const previousToken = config.metricsToken;
+        try {
+            config.metricsToken = '';
+            assertEqual(await scrape({}), 401, 'no token configured');
+            assertEqual(await scrape({ Authorization: 'Bearer ' }), 401, 'empty bearer token');
+
+            config.metricsToken = 'scrape-secret';
+            assertEqual(await scrape({ Authorization: 'Bearer scrape-secret' }), 200);
+            assertEqual(await scrape({}), 401, 'missing token');
+            assertEqual(await scrape({ Authorization: 'Bearer wrong-secret' }), 401, 'wrong token');
+
+            // The token only opens /metrics
+            const otherRouteStatus = (await fetch(url.replace('/metrics', '/api/accounts'), {
+                headers: { Authorization: 'Bearer scrape-secret' }
+            })).status;
+            assertEqual(otherRouteStatus, 401, 'token used on another route');
+
+            // Admin sessions still work; viewer sessions don't
+            const admin = findWebuiUserByUsername('alice');
+            const adminSession = createWebuiSession(admin.id, { ttlMs: HOUR });
+            assertEqual(await scrape({ Cookie: `${SESSION_COOKIE}=${adminSession.token}` }), 200);
+            const viewer = await createWebuiUser({ username: 'scraper', password: 'scraper-password', role: 'viewer' });
+            const viewerSession = createWebuiSession(viewer.id, { ttlMs: HOUR });
+            assertEqual(await scrape({ Cookie: `${SESSION_COOKIE}=${viewerSession.token}` }), 403);
+        } finally {
+            config.metricsToken = previousToken;
+            await new Promise(resolve => server.close(resolve));
+        }
+    });
+
+    closeDatabase();
+
+    // Summary
+    console.log('\n' + '═'.repeat(60));
+    console.log(`Tests completed: ${passed} passed, ${failed} failed`);
+
+    if (failed > 0) {
+        process.exit(1);
+    }
+}
+
+runTests()
+    .catch(err => {
+        console.error('Test suite failed:', err);
+        process.exitCode = 1;
+    })
+    .finally(() => {
+        fs.rmSync(tempHome, { recursive: true, force: true });
+        process.exit(process.exitCode || 0);
+    });